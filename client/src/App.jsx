@@ -6,15 +6,32 @@ import Chat from "./components/Chat";
 function App() {
   const [username, setUsername] = useState("");
   const [token, setToken] = useState("");
-  const socket = useSocket();
+  const [refreshToken, setRefreshToken] = useState("");
 
-  // Persist username and token in sessionStorage so reloads keep the user
+  const clearSession = () => {
+    setUsername("");
+    setToken("");
+    setRefreshToken("");
+  };
+
+  const socket = useSocket({
+    // Keep the stored tokens in step with the ones the socket layer rotated
+    onSessionRefreshed: (newToken, newRefreshToken) => {
+      setToken(newToken);
+      setRefreshToken(newRefreshToken);
+    },
+    onSessionExpired: clearSession,
+  });
+
+  // Persist username and tokens in sessionStorage so reloads keep the user
   useEffect(() => {
     const savedUsername = sessionStorage.getItem("chat_username");
     const savedToken = sessionStorage.getItem("chat_token");
+    const savedRefreshToken = sessionStorage.getItem("chat_refresh_token");
     if (savedUsername && savedToken) {
       setUsername(savedUsername);
       setToken(savedToken);
+      setRefreshToken(savedRefreshToken || "");
     }
   }, []);
 
@@ -22,11 +39,13 @@ function App() {
     if (username && token) {
       sessionStorage.setItem("chat_username", username);
       sessionStorage.setItem("chat_token", token);
+      sessionStorage.setItem("chat_refresh_token", refreshToken);
     } else {
       sessionStorage.removeItem("chat_username");
       sessionStorage.removeItem("chat_token");
+      sessionStorage.removeItem("chat_refresh_token");
     }
-  }, [username, token]);
+  }, [username, token, refreshToken]);
 
   // Handle token expiration - if socket disconnects due to auth, logout
   useEffect(() => {
@@ -34,8 +53,7 @@ function App() {
       const currentToken = sessionStorage.getItem("chat_token");
       if (!currentToken && token) {
         // Token was cleared, logout
-        setUsername("");
-        setToken("");
+        clearSession();
       }
     };
 
@@ -51,19 +69,20 @@ function App() {
 
       {!username ? (
         <Login
-          onSubmit={(name, jwtToken) => {
+          onSubmit={(name, jwtToken, jwtRefreshToken) => {
             setUsername(name);
             setToken(jwtToken);
+            setRefreshToken(jwtRefreshToken);
           }}
         />
       ) : (
         <Chat
           username={username}
           token={token}
+          refreshToken={refreshToken}
           socket={socket}
           onLogout={() => {
-            setUsername("");
-            setToken("");
+            socket.logout().finally(clearSession);
           }}
         />
       )}
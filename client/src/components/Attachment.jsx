@@ -0,0 +1,83 @@
+import { useEffect, useState } from "react";
+import { fetchAttachment } from "../socket/socket";
+
+export const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// A message's file. Messages sent before uploads existed carry the file
+// itself as a data URL.
+const Attachment = ({ file }) => {
+  const [thumbnailUrl, setThumbnailUrl] = useState(null);
+
+  useEffect(() => {
+    if (file.data || !file.hasThumbnail) return;
+    let url = null;
+    let cancelled = false;
+    fetchAttachment(file.id, { thumbnail: true }).then((blob) => {
+      if (blob && !cancelled) {
+        url = URL.createObjectURL(blob);
+        setThumbnailUrl(url);
+      }
+    });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [file.id, file.data, file.hasThumbnail]);
+
+  // Download the full file under its original name
+  const download = async () => {
+    const blob = await fetchAttachment(file.id);
+    if (!blob) {
+      alert("Could not download file");
+      return;
+    }
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = file.filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  if (file.data) {
+    return file.mimetype.startsWith("image/") ? (
+      <img src={file.data} alt={file.filename} className="max-w-xs rounded" />
+    ) : (
+      <a
+        href={file.data}
+        download={file.filename}
+        className="text-blue-200 hover:underline"
+      >
+        {file.filename}
+      </a>
+    );
+  }
+
+  return (
+    <div>
+      {file.hasThumbnail && (
+        <button onClick={download} className="block mb-1" title="Download">
+          {thumbnailUrl ? (
+            <img
+              src={thumbnailUrl}
+              alt={file.filename}
+              className="max-w-xs rounded"
+            />
+          ) : (
+            <div className="w-32 h-24 rounded bg-gray-300 animate-pulse" />
+          )}
+        </button>
+      )}
+      <button onClick={download} className="underline hover:no-underline">
+        {file.filename}
+      </button>
+      <span className="ml-1 text-xs opacity-75">({formatSize(file.size)})</span>
+    </div>
+  );
+};
+
+export default Attachment;
@@ -1,116 +1,574 @@
-import { useState, useEffect, useRef } from "react";
+import { Fragment, useState, useEffect, useRef } from "react";
+import ThreadPanel from "./ThreadPanel";
+import DirectMessagePanel from "./DirectMessagePanel";
+import CreateRoomDialog from "./CreateRoomDialog";
+import RoomSettingsDialog from "./RoomSettingsDialog";
+import SearchPanel from "./SearchPanel";
+import Attachment from "./Attachment";
+import UploadList from "./UploadList";
+import TypingIndicator from "./TypingIndicator";
+import MessageText from "./MessageText";
+import LinkPreviews from "./LinkPreviews";
+import PresenceDot, { activeCustomStatus } from "./PresenceDot";
+import PresencePicker from "./PresencePicker";
+import ScheduledJobs, { toLocalInputValue } from "./ScheduledJobs";
+import PinnedMessages from "./PinnedMessages";
+import SavedMessages from "./SavedMessages";
+import PollMessage from "./PollMessage";
+import CreatePollDialog from "./CreatePollDialog";
 
-const Chat = ({ username, token, socket, onLogout }) => {
+const Chat = ({ username, token, refreshToken, socket, onLogout }) => {
   const [message, setMessage] = useState("");
-  const [isTyping, setIsTyping] = useState(false);
+  // When the composer schedules instead of sending: a datetime-local value
+  const [scheduleAt, setScheduleAt] = useState(null);
+  const [historyMessageId, setHistoryMessageId] = useState(null);
+  const [showCreateRoom, setShowCreateRoom] = useState(false);
+  const [showRoomSettings, setShowRoomSettings] = useState(false);
+  const [showCreatePoll, setShowCreatePoll] = useState(false);
+  const [joinRequestSent, setJoinRequestSent] = useState(null);
+  const [searchQuery, setSearchQuery] = useState("");
   const messageListRef = useRef(null);
 
   const { connect, disconnect, sendMessage, setTyping, messages, users, onlineUsers } = socket;
 
   useEffect(() => {
     if (username && token) {
-      connect(username, token);
+      connect(username, token, refreshToken);
     }
 
     return () => {
       disconnect();
     };
-  }, [username, token, connect, disconnect]);
+  }, [username, token, refreshToken, connect, disconnect]);
 
   useEffect(() => {
-    // Scroll to the bottom of the message list whenever new messages arrive
-    if (messageListRef.current) {
+    // Accept an invite link (?invite=<token>) once connected, then drop it from the URL
+    const params = new URLSearchParams(window.location.search);
+    const inviteToken = params.get("invite");
+    if (!socket.isConnected || !inviteToken) return;
+
+    params.delete("invite");
+    const query = params.toString();
+    window.history.replaceState(
+      null,
+      "",
+      `${window.location.pathname}${query ? `?${query}` : ""}`
+    );
+    socket.acceptInvite(inviteToken).then((result) => {
+      if (!result.ok) {
+        alert(`Could not accept invite: ${result.error}`);
+      }
+    });
+  }, [socket.isConnected]);
+
+  useEffect(() => {
+    // Open a message link (?message=<id>) once connected, then drop it from the URL
+    const params = new URLSearchParams(window.location.search);
+    const messageId = params.get("message");
+    if (!socket.isConnected || !messageId) return;
+
+    params.delete("message");
+    const query = params.toString();
+    window.history.replaceState(
+      null,
+      "",
+      `${window.location.pathname}${query ? `?${query}` : ""}`
+    );
+    socket.openMessageContext(messageId).then((result) => {
+      if (!result.ok) {
+        alert(`Could not open message: ${result.error}`);
+      }
+    });
+  }, [socket.isConnected]);
+
+  useEffect(() => {
+    // Scroll to the bottom of the message list whenever new messages arrive,
+    // or to the message a search result jumped to
+    const highlighted =
+      socket.highlightedMessageId != null &&
+      document.getElementById(`message-${socket.highlightedMessageId}`);
+    if (highlighted) {
+      highlighted.scrollIntoView({ block: "center" });
+    } else if (messageListRef.current) {
       messageListRef.current.scrollTop = messageListRef.current.scrollHeight;
     }
-  }, [messages]);
+  }, [messages, socket.highlightedMessageId]);
 
   const handleTyping = (e) => {
     setMessage(e.target.value);
+    // Stops by itself once the typing pauses
+    setTyping(e.target.value.length > 0);
+  };
 
-    if (!isTyping) {
-      setIsTyping(true);
-      setTyping(true);
+  const handleEditMessage = (msg) => {
+    const text = prompt("Edit message", msg.message);
+    if (text && text.trim() && text !== msg.message) {
+      socket.editMessage(msg.id, text, (ack) => {
+        if (!ack.success) {
+          console.error("Message failed to update:", ack.error);
+        }
+      });
     }
+  };
 
-    // Debounce typing event
-    setTimeout(() => {
-      setIsTyping(false);
-      setTyping(false);
-    }, 2000);
+  const handleDeleteMessage = (msg) => {
+    if (confirm("Delete this message?")) {
+      socket.deleteMessage(msg.id, (ack) => {
+        if (!ack.success) {
+          console.error("Message failed to delete:", ack.error);
+        }
+      });
+    }
+  };
+
+  const handleRequestToJoin = async (roomName) => {
+    const result = await socket.requestToJoin(roomName);
+    if (result.ok) {
+      setJoinRequestSent(roomName);
+    } else {
+      console.error("Join request failed:", result.error);
+    }
+  };
+
+  const currentRoomInfo = socket.availableRooms.find(
+    (room) => room.name === socket.currentRoom
+  );
+  const canModerate =
+    currentRoomInfo?.role === "owner" || currentRoomInfo?.role === "moderator";
+
+  // The "new messages" divider goes above the first message from someone
+  // else that was unread when the room was opened
+  const marker = socket.unreadMarker;
+  const firstUnreadIndex =
+    marker?.room === socket.currentRoom && marker.seq != null
+      ? messages.findIndex(
+          (msg) =>
+            msg.seq > marker.seq && msg.senderId !== socket.myId && !msg.system
+        )
+      : -1;
+
+  // Counts stop at 100 on the server
+  const formatCount = (count) => (count >= 100 ? "99+" : count);
+
+  const reportModerationResult = (result) => {
+    if (!result.ok) {
+      alert(`Moderation failed: ${result.error}`);
+    }
+  };
+
+  const handleMuteUser = async (user) => {
+    const minutes = prompt(`Mute ${user.username} for how many minutes?`, "10");
+    if (!minutes) return;
+    const reason = prompt("Reason (optional)") || "";
+    reportModerationResult(
+      await socket.muteUser(socket.currentRoom, user.id, Number(minutes), reason)
+    );
+  };
+
+  const handleKickUser = async (user) => {
+    const reason = prompt(`Kick ${user.username} from #${socket.currentRoom}? Reason (optional)`);
+    if (reason === null) return;
+    reportModerationResult(
+      await socket.kickUser(socket.currentRoom, user.id, reason)
+    );
+  };
+
+  const handleBanUser = async (user) => {
+    const reason = prompt(`Ban ${user.username} from #${socket.currentRoom}? Reason (optional)`);
+    if (reason === null) return;
+    reportModerationResult(
+      await socket.banUser(socket.currentRoom, user.id, reason)
+    );
+  };
+
+  const describeModerationNotice = ({ room, action, until, role }) => {
+    switch (action) {
+      case "mute":
+        return `You have been muted in #${room} until ${new Date(until).toLocaleTimeString()}`;
+      case "unmute":
+        return `You are no longer muted in #${room}`;
+      case "kick":
+        return `You were removed from #${room}`;
+      case "ban":
+        return `You have been banned from #${room}`;
+      case "unban":
+        return `Your ban from #${room} was lifted`;
+      case "set_role":
+        return `You are now a ${role} of #${room}`;
+      default:
+        return `A moderator acted on your account in #${room}`;
+    }
   };
 
   const handleSendMessage = (e) => {
     e.preventDefault();
-    if (message.trim()) {
-      sendMessage(message, (ack) => {
-        if (ack.success) {
-          setMessage("");
-        } else {
-          console.error("Message failed to send");
+    if (!message.trim()) return;
+    if (scheduleAt !== null) {
+      socket.scheduleMessage(
+        {
+          message,
+          runAt: new Date(scheduleAt).toISOString(),
+          roomId: socket.currentRoom,
+        },
+        (ack) => {
+          if (ack.success) {
+            setMessage("");
+            setScheduleAt(null);
+          } else {
+            alert(`Could not schedule message: ${ack.error}`);
+          }
         }
-      });
+      );
+      setTyping(false);
+      return;
+    }
+    // Queued in the outbox; its state shows on the message itself
+    sendMessage(message);
+    setMessage("");
+    setTyping(false);
+  };
+
+  const toggleScheduling = () => {
+    // Starts an hour from now
+    setScheduleAt(
+      scheduleAt === null ? toLocalInputValue(Date.now() + 60 * 60 * 1000) : null
+    );
+  };
+
+  const handleRemindMe = (msg) => {
+    const minutes = prompt("Remind me about this message in how many minutes?", "120");
+    if (!minutes) return;
+    if (!(Number(minutes) > 0)) {
+      alert("Enter a number of minutes");
+      return;
+    }
+    socket.setReminder(
+      msg.id,
+      new Date(Date.now() + Number(minutes) * 60 * 1000).toISOString(),
+      null,
+      (ack) => {
+        if (!ack.success) alert(`Could not set reminder: ${ack.error}`);
+      }
+    );
+  };
+
+  const pinnedIds = new Set(socket.pins.map((pin) => String(pin.messageId)));
+  const savedIds = new Set(
+    socket.bookmarks.map((bookmark) => String(bookmark.messageId))
+  );
+
+  const handleTogglePin = async (msg) => {
+    reportModerationResult(
+      pinnedIds.has(String(msg.id))
+        ? await socket.unpinMessage(msg.id)
+        : await socket.pinMessage(msg.id)
+    );
+  };
+
+  const handleToggleSaved = async (msg) => {
+    if (savedIds.has(String(msg.id))) {
+      const result = await socket.removeBookmark(msg.id);
+      if (!result.ok) alert(`Could not remove saved message: ${result.error}`);
+      return;
     }
+    const note = prompt("Save this message. Note (optional)");
+    if (note === null) return;
+    const result = await socket.saveBookmark(msg.id, note.trim());
+    if (!result.ok) alert(`Could not save message: ${result.error}`);
+  };
+
+  const handleEditBookmarkNote = async (messageId, note) => {
+    const text = prompt("Note", note);
+    if (text === null) return;
+    const result = await socket.saveBookmark(messageId, text.trim());
+    if (!result.ok) alert(`Could not update note: ${result.error}`);
+  };
+
+  const handleRemoveBookmark = async (messageId) => {
+    const result = await socket.removeBookmark(messageId);
+    if (!result.ok) alert(`Could not remove saved message: ${result.error}`);
   };
 
   return (
     <div className="flex h-[calc(100vh-80px)]">
       <div className="w-64 bg-gray-100 p-4 border-r border-gray-200">
+        <PresencePicker
+          presence={socket.myPresence}
+          onChange={socket.setPresence}
+        />
         <h2 className="text-lg font-bold mb-4">Users</h2>
         <ul>
-          {users.map((user) => (
-            <li key={user.id} className="flex items-center mb-2">
-              <span
-                className={`w-3 h-3 rounded-full mr-2 ${
-                  onlineUsers.has(user.id) ? "bg-green-500" : "bg-gray-400"
+          {users.map((user) => {
+            const presence = onlineUsers.get(user.id);
+            const customStatus = activeCustomStatus(presence?.customStatus);
+            return (
+              <li key={user.id} className="flex flex-wrap items-center mb-2">
+                <PresenceDot status={presence?.status} />
+                <span>{user.username}</span>
+                {user.id !== socket.myId && (
+                  <button
+                    onClick={() => socket.openConversation(user)}
+                    className="ml-auto text-xs bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-2 rounded"
+                  >
+                    Send PM
+                  </button>
+                )}
+                {user.id !== socket.myId && canModerate && (
+                  <div className="w-full flex mt-1 text-xs">
+                    <button
+                      onClick={() => handleMuteUser(user)}
+                      className="mr-2 text-gray-600 hover:underline"
+                    >
+                      Mute
+                    </button>
+                    {socket.currentRoom !== "general" && (
+                      <>
+                        <button
+                          onClick={() => handleKickUser(user)}
+                          className="mr-2 text-gray-600 hover:underline"
+                        >
+                          Kick
+                        </button>
+                        <button
+                          onClick={() => handleBanUser(user)}
+                          className="text-red-600 hover:underline"
+                        >
+                          Ban
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+                {customStatus && (
+                  <p className="w-full pl-5 text-xs text-gray-600 truncate">
+                    {`${customStatus.emoji} ${customStatus.text}`.trim()}
+                  </p>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+        <h2 className="text-lg font-bold mt-4 mb-2">Direct Messages</h2>
+        <ul>
+          {socket.conversations.length === 0 && (
+            <li className="text-sm text-gray-500 mb-2">No conversations yet</li>
+          )}
+          {socket.conversations.map((conversation) => (
+            <li key={conversation.id} className="mb-2">
+              <button
+                onClick={() => socket.openConversation(conversation.otherUser)}
+                className={`w-full flex items-center text-left px-2 py-1 rounded ${
+                  socket.activeConversation?.conversationId === conversation.id
+                    ? "bg-purple-500 text-white"
+                    : "bg-gray-300 hover:bg-gray-400"
                 }`}
-              ></span>
-              <span>{user.username}</span>
-              {user.id !== socket.myId && (
-                <button
-                  onClick={() => {
-                    const message = prompt(`Send a private message to ${user.username}`);
-                    if (message) {
-                      socket.sendPrivateMessage(user.id, message);
-                    }
-                  }}
-                  className="ml-auto text-xs bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-2 rounded"
-                >
-                  Send PM
-                </button>
-              )}
+              >
+                <span className="truncate">@ {conversation.otherUser.username}</span>
+                {conversation.unread > 0 && (
+                  <span className="ml-auto text-xs bg-red-500 text-white rounded-full px-2">
+                    {conversation.unread}
+                  </span>
+                )}
+              </button>
             </li>
           ))}
         </ul>
+        <SavedMessages
+          bookmarks={socket.bookmarks}
+          onJump={socket.openMessageContext}
+          onEditNote={handleEditBookmarkNote}
+          onRemove={handleRemoveBookmark}
+        />
         <h2 className="text-lg font-bold mt-4 mb-2">Rooms</h2>
         <ul>
           {socket.availableRooms.map((room) => (
-            <li key={room} className="mb-2">
+            <li key={room.name} className="mb-2">
               <button
-                onClick={() => socket.switchRoom(room)}
-                className={`w-full text-left px-2 py-1 rounded ${
-                  socket.currentRoom === room
+                onClick={() => socket.switchRoom(room.name)}
+                className={`w-full flex items-center text-left px-2 py-1 rounded ${
+                  socket.currentRoom === room.name
                     ? "bg-blue-500 text-white"
                     : "bg-gray-300 hover:bg-gray-400"
                 }`}
               >
-                # {room}
+                <span className="truncate"># {room.name}</span>
+                {room.visibility === "private" && (
+                  <span className="ml-1 text-xs" title="Private room">
+                    🔒
+                  </span>
+                )}
+                {socket.currentRoom !== room.name && (
+                  <span className="ml-auto flex space-x-1 text-xs text-white">
+                    {socket.readState[room.name]?.mentions > 0 && (
+                      <span
+                        className="bg-red-500 rounded-full px-2"
+                        title="Mentions"
+                      >
+                        @{formatCount(socket.readState[room.name].mentions)}
+                      </span>
+                    )}
+                    {socket.readState[room.name]?.unread > 0 && (
+                      <span
+                        className="bg-gray-500 rounded-full px-2"
+                        title="Unread messages"
+                      >
+                        {formatCount(socket.readState[room.name].unread)}
+                      </span>
+                    )}
+                  </span>
+                )}
               </button>
             </li>
           ))}
         </ul>
+        <button
+          onClick={() => setShowCreateRoom(true)}
+          className="w-full mt-2 text-sm bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-2 rounded"
+        >
+          + Add Room
+        </button>
         <button
           onClick={() => {
-            const newRoom = prompt("Enter new room name");
-            if (newRoom) {
-              socket.switchRoom(newRoom);
+            const roomName = prompt("Enter the name of the room to join");
+            if (roomName && roomName.trim()) {
+              socket.switchRoom(roomName.trim());
             }
           }}
           className="w-full mt-2 text-sm bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-2 rounded"
         >
-          + Add Room
+          Join by name
         </button>
       </div>
       <div className="flex-1 flex flex-col">
+        <div className="flex items-center p-4 border-b border-gray-200">
+          <div className="min-w-0">
+            <h2 className="text-lg font-bold"># {socket.currentRoom}</h2>
+            {currentRoomInfo?.topic && (
+              <p className="text-sm text-gray-500 truncate">
+                {currentRoomInfo.topic}
+              </p>
+            )}
+          </div>
+          {currentRoomInfo && (
+            <button
+              onClick={() => setShowRoomSettings(true)}
+              className="ml-auto text-sm bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-2 rounded"
+            >
+              {canModerate ? "Room settings" : "Room info"}
+              {currentRoomInfo.role === "owner" &&
+                socket.joinRequests.some(
+                  (r) => r.room === currentRoomInfo.name
+                ) && (
+                  <span className="ml-2 text-xs bg-red-500 text-white rounded-full px-2">
+                    {
+                      socket.joinRequests.filter(
+                        (r) => r.room === currentRoomInfo.name
+                      ).length
+                    }
+                  </span>
+                )}
+            </button>
+          )}
+        </div>
+        <PinnedMessages
+          pins={socket.pins}
+          canUnpin={canModerate}
+          onJump={socket.openMessageContext}
+          onUnpin={(messageId) => handleTogglePin({ id: messageId })}
+        />
+        {socket.moderationNotice && (
+          <div className="flex items-center px-4 py-2 bg-yellow-100 text-yellow-800 text-sm">
+            <span>
+              {describeModerationNotice(socket.moderationNotice)}
+              {socket.moderationNotice.reason &&
+                ` (${socket.moderationNotice.reason})`}
+            </span>
+            <button
+              onClick={socket.clearModerationNotice}
+              className="ml-auto text-yellow-800 hover:text-yellow-900"
+              title="Dismiss"
+            >
+              ✕
+            </button>
+          </div>
+        )}
+        {socket.slowDown && (
+          <div className="px-4 py-2 bg-yellow-100 text-yellow-800 text-sm">
+            You are doing that too often. Please wait{" "}
+            {Math.max(1, Math.ceil((socket.slowDown.until - Date.now()) / 1000))}{" "}
+            seconds before trying again.
+          </div>
+        )}
+        {socket.dueReminder && (
+          <div className="flex items-center px-4 py-2 bg-blue-100 text-blue-800 text-sm">
+            <span className="truncate">
+              ⏰ Reminder:{" "}
+              {socket.dueReminder.message
+                ? `${socket.dueReminder.message.sender}: ${socket.dueReminder.message.message}`
+                : "the message is no longer available"}
+              {socket.dueReminder.job.note && ` (${socket.dueReminder.job.note})`}
+            </span>
+            {socket.dueReminder.message &&
+              !socket.dueReminder.message.isPrivate && (
+                <button
+                  onClick={() => {
+                    socket.openMessageContext(socket.dueReminder.message.id);
+                    socket.clearDueReminder();
+                  }}
+                  className="ml-4 text-xs underline"
+                >
+                  Show
+                </button>
+              )}
+            <button
+              onClick={socket.clearDueReminder}
+              className="ml-auto text-blue-800 hover:text-blue-900"
+              title="Dismiss"
+            >
+              ✕
+            </button>
+          </div>
+        )}
+        {socket.scheduleFailure && (
+          <div className="flex items-center px-4 py-2 bg-red-100 text-red-700 text-sm">
+            <span className="truncate">
+              A scheduled message could not be sent (
+              {socket.scheduleFailure.error}): {socket.scheduleFailure.job.message}
+            </span>
+            <button
+              onClick={socket.clearScheduleFailure}
+              className="ml-auto text-red-700 hover:text-red-800"
+              title="Dismiss"
+            >
+              ✕
+            </button>
+          </div>
+        )}
+        {socket.roomError && (
+          <div className="flex items-center px-4 py-2 bg-red-100 text-red-700 text-sm">
+            <span>
+              #{socket.roomError.room}: {socket.roomError.error}
+            </span>
+            {socket.roomError.error === "Room is private" &&
+              (joinRequestSent === socket.roomError.room ? (
+                <span className="ml-4 text-gray-600">Request sent</span>
+              ) : (
+                <button
+                  onClick={() => handleRequestToJoin(socket.roomError.room)}
+                  className="ml-4 text-xs bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-2 rounded"
+                >
+                  Request to join
+                </button>
+              ))}
+            <button
+              onClick={socket.clearRoomError}
+              className="ml-auto text-red-700 hover:text-red-900"
+              title="Dismiss"
+            >
+              ✕
+            </button>
+          </div>
+        )}
         <div className="flex-1 p-4 overflow-y-auto" ref={messageListRef}>
           {socket.hasMoreMessages && (
             <div className="text-center mb-4">
@@ -124,69 +582,248 @@ const Chat = ({ username, token, socket, onLogout }) => {
             </div>
           )}
           {messages.map((msg, index) => (
-            <div
-              key={index}
-              className={`flex ${
-                msg.sender === username ? "justify-end" : "justify-start"
-              }`}
-            >
+            <Fragment key={index}>
+              {index === firstUnreadIndex && (
+                <div className="flex items-center my-2 text-xs text-red-500">
+                  <div className="flex-1 border-t border-red-300"></div>
+                  <span className="px-2">New messages</span>
+                  <div className="flex-1 border-t border-red-300"></div>
+                </div>
+              )}
               <div
-                className={`max-w-xs md:max-w-md lg:max-w-lg p-3 rounded-lg mb-2 ${
-                  msg.isPrivate
-                    ? "bg-purple-500 text-white"
-                    : msg.sender === username
-                    ? "bg-blue-500 text-white"
-                    : "bg-gray-200 text-gray-800"
+                id={msg.id != null ? `message-${msg.id}` : undefined}
+                className={`flex ${
+                  msg.sender === username ? "justify-end" : "justify-start"
                 }`}
               >
-                <p className="font-bold">{msg.sender}{msg.isPrivate ? " (private)" : ""}</p>
-                {msg.file ? (
-                  <div>
-                    {msg.file.mimetype.startsWith("image/") ? (
-                      <img src={msg.file.data} alt={msg.file.filename} className="max-w-xs rounded" />
-                    ) : (
-                      <a
-                        href={msg.file.data}
-                        download={msg.file.filename}
-                        className="text-blue-200 hover:underline"
+                <div
+                  className={`max-w-xs md:max-w-md lg:max-w-lg p-3 rounded-lg mb-2 ${
+                    msg.id != null &&
+                    String(msg.id) === String(socket.highlightedMessageId)
+                      ? "ring-4 ring-yellow-300 "
+                      : ""
+                  }${
+                    msg.isPrivate
+                      ? "bg-purple-500 text-white"
+                      : msg.sender === username
+                      ? "bg-blue-500 text-white"
+                      : "bg-gray-200 text-gray-800"
+                  }`}
+                >
+                  <p className="font-bold">{msg.sender}{msg.isPrivate ? " (private)" : ""}</p>
+                  {msg.deleted ? (
+                    <p className="italic opacity-75">
+                      {msg.removedBy
+                        ? "This message was removed by a moderator"
+                        : "This message was deleted"}
+                    </p>
+                  ) : msg.file ? (
+                    <Attachment file={msg.file} />
+                  ) : (
+                    <>
+                      <MessageText
+                        text={msg.message}
+                        mentions={msg.mentions}
+                        username={username}
+                      />
+                      <LinkPreviews previews={msg.previews} />
+                      {msg.poll && (
+                        <PollMessage
+                          message={msg}
+                          myId={socket.myId}
+                          canClose={msg.senderId === socket.myId || canModerate}
+                          onVote={socket.votePoll}
+                          onClose={socket.closePoll}
+                          fetchBallot={socket.fetchBallot}
+                        />
+                      )}
+                    </>
+                  )}
+                  {historyMessageId === msg.id && msg.history?.length > 0 && (
+                    <ul className="mt-2 text-xs opacity-75 border-t border-current pt-1">
+                      {msg.history.map((revision, revisionIndex) => (
+                        <li key={revisionIndex}>
+                          {new Date(revision.editedAt).toLocaleTimeString()}:{" "}
+                          {revision.message}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  <p className="text-xs text-right mt-1">
+                    {msg.status === "pending" && (
+                      <span className="mr-2 italic">Sending...</span>
+                    )}
+                    {msg.status === "failed" && (
+                      <>
+                        <span className="mr-2 font-bold" title={msg.error}>
+                          Not sent
+                        </span>
+                        <button
+                          onClick={() => socket.retryMessage(msg.clientId)}
+                          className="mr-2 underline"
+                        >
+                          Retry
+                        </button>
+                        <button
+                          onClick={() => socket.discardMessage(msg.clientId)}
+                          className="mr-2 underline"
+                        >
+                          Discard
+                        </button>
+                      </>
+                    )}
+                    {msg.id != null && !msg.system && !msg.deleted && !msg.isPrivate && (
+                      <button
+                        onClick={() => socket.openThread(msg.id)}
+                        className="mr-2 hover:underline"
                       >
-                        {msg.file.filename}
-                      </a>
+                        {msg.replyCount
+                          ? `${msg.replyCount} ${
+                              msg.replyCount === 1 ? "reply" : "replies"
+                            }`
+                          : "Reply"}
+                      </button>
                     )}
-                  </div>
-                ) : (
-                  <p>{msg.message}</p>
-                )}
-                <p className="text-xs text-right mt-1">
-                  {new Date(msg.timestamp).toLocaleTimeString()}
-                </p>
+                    {msg.id != null && !msg.system && !msg.deleted && (
+                      <button
+                        onClick={() => handleRemindMe(msg)}
+                        className="mr-2 hover:underline"
+                        title="Remind me about this message"
+                      >
+                        Remind me
+                      </button>
+                    )}
+                    {msg.id != null && !msg.system && !msg.deleted && (
+                      <button
+                        onClick={() => handleToggleSaved(msg)}
+                        className="mr-2 hover:underline"
+                        title={
+                          savedIds.has(String(msg.id))
+                            ? "Remove from saved messages"
+                            : "Save this message"
+                        }
+                      >
+                        {savedIds.has(String(msg.id)) ? "Saved ★" : "Save"}
+                      </button>
+                    )}
+                    {canModerate &&
+                      msg.id != null &&
+                      !msg.system &&
+                      !msg.deleted &&
+                      !msg.isPrivate && (
+                        <button
+                          onClick={() => handleTogglePin(msg)}
+                          className="mr-2 hover:underline"
+                        >
+                          {pinnedIds.has(String(msg.id)) ? "Unpin" : "Pin"}
+                        </button>
+                      )}
+                    {msg.edited && !msg.deleted && (
+                      <button
+                        onClick={() =>
+                          setHistoryMessageId(
+                            historyMessageId === msg.id ? null : msg.id
+                          )
+                        }
+                        className="mr-2 underline"
+                        title="View edit history"
+                      >
+                        (edited)
+                      </button>
+                    )}
+                    {msg.id != null &&
+                      !msg.system &&
+                      !msg.deleted &&
+                      msg.sender === username && (
+                        <>
+                          {!msg.file && !msg.isPrivate && (
+                            <button
+                              onClick={() => handleEditMessage(msg)}
+                              className="mr-2 hover:underline"
+                            >
+                              Edit
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleDeleteMessage(msg)}
+                            className="mr-2 hover:underline"
+                          >
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    {canModerate &&
+                      !msg.system &&
+                      !msg.deleted &&
+                      !msg.isPrivate &&
+                      msg.sender !== username && (
+                        <button
+                          onClick={() => handleDeleteMessage(msg)}
+                          className="mr-2 hover:underline"
+                          title="Remove as moderator"
+                        >
+                          Remove
+                        </button>
+                      )}
+                    {msg.id != null && !msg.system && msg.sender === username && (
+                      <span className="mr-2" title="Sent">
+                        ✓
+                      </span>
+                    )}
+                    {new Date(msg.timestamp).toLocaleTimeString()}
+                  </p>
+                </div>
               </div>
-            </div>
+            </Fragment>
           ))}
+          {socket.hasNewerMessages && (
+            <div className="text-center mt-4">
+              <button
+                onClick={() => socket.loadNewerMessages()}
+                disabled={socket.loadingOlderMessages}
+                className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 transition duration-300 disabled:bg-gray-200"
+              >
+                {socket.loadingOlderMessages ? "Loading..." : "Load Newer"}
+              </button>
+            </div>
+          )}
         </div>
         <div className="p-4 bg-white border-t border-gray-200">
-          <div className="flex items-center mb-4">
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              socket.searchMessages(searchQuery);
+            }}
+            className="flex items-center mb-4"
+          >
             <input
               type="text"
-              placeholder="Search messages..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Search messages... (from:, in:, has:file, before:)"
               className="flex-1 px-4 py-2 border rounded-full focus:outline-none focus:ring-2 focus:ring-blue-500"
-              onKeyDown={(e) => {
-                if (e.key === "Enter") {
-                  socket.searchMessages(e.target.value);
-                }
-              }}
             />
             <button
-              onClick={() =>
-                socket.searchMessages(
-                  document.querySelector('input[placeholder="Search messages..."]').value
-                )
-              }
+              type="submit"
               className="ml-4 px-6 py-2 bg-blue-500 text-white rounded-full hover:bg-blue-600 transition duration-300"
             >
               Search
             </button>
-          </div>
+          </form>
+          <TypingIndicator
+            users={socket.typingUsers.filter((user) => user.threadId == null)}
+          />
+          <UploadList
+            uploads={socket.uploads}
+            onPause={socket.pauseUpload}
+            onResume={socket.resumeUpload}
+            onCancel={socket.cancelUpload}
+          />
+          <ScheduledJobs
+            jobs={socket.scheduledJobs}
+            onEdit={socket.editScheduledJob}
+            onCancel={socket.cancelScheduledJob}
+          />
           <form onSubmit={handleSendMessage} className="flex items-center">
             <input
               type="text"
@@ -195,25 +832,46 @@ const Chat = ({ username, token, socket, onLogout }) => {
               placeholder="Type a message..."
               className="flex-1 px-4 py-2 border rounded-full focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
+            {scheduleAt !== null && (
+              <input
+                type="datetime-local"
+                value={scheduleAt}
+                min={toLocalInputValue(Date.now())}
+                onChange={(e) => setScheduleAt(e.target.value)}
+                required
+                className="ml-4 px-4 py-2 border rounded-full focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            )}
+            <button
+              type="button"
+              onClick={toggleScheduling}
+              className={`ml-4 px-4 py-2 rounded-full transition duration-300 ${
+                scheduleAt !== null
+                  ? "bg-blue-100 text-blue-800 hover:bg-blue-200"
+                  : "bg-gray-300 text-gray-800 hover:bg-gray-400"
+              }`}
+              title={scheduleAt !== null ? "Send now instead" : "Send later"}
+            >
+              ⏰
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowCreatePoll(true)}
+              className="ml-4 px-4 py-2 bg-gray-300 text-gray-800 rounded-full hover:bg-gray-400 transition duration-300"
+              title="Create a poll"
+            >
+              📊
+            </button>
                       <input
                         type="file"
                         id="file-input"
+                        multiple
                         className="hidden"
                         onChange={(e) => {
-                          const file = e.target.files[0];
-                          if (file) {
-                            const reader = new FileReader();
-                            reader.onload = (e) => {
-                              const fileData = {
-                                filename: file.name,
-                                mimetype: file.type,
-                                size: file.size,
-                                data: e.target.result,
-                              };
-                              socket.sendFile(fileData);
-                            };
-                            reader.readAsDataURL(file);
-                          }
+                          const files = [...e.target.files];
+                          // Let the same file be picked again later
+                          e.target.value = "";
+                          files.forEach((file) => socket.sendFile(file));
                         }}
                       />
                       <label
@@ -226,7 +884,7 @@ const Chat = ({ username, token, socket, onLogout }) => {
                         type="submit"
                         className="ml-4 px-6 py-2 bg-blue-500 text-white rounded-full hover:bg-blue-600 transition duration-300"
                       >
-                        Send
+                        {scheduleAt !== null ? "Schedule" : "Send"}
                       </button>          </form>
                   <button
                     onClick={onLogout}
@@ -268,6 +926,60 @@ const Chat = ({ username, token, socket, onLogout }) => {
                     </div>
                   </div>        </div>
       </div>
+      {socket.activeConversation && (
+        <DirectMessagePanel
+          conversation={socket.activeConversation}
+          myId={socket.myId}
+          presence={socket.onlineUsers.get(
+            socket.activeConversation.otherUser.id
+          )}
+          onFetchPresence={socket.fetchPresence}
+          onSend={socket.sendPrivateMessage}
+          onLoadOlder={socket.loadOlderDirectMessages}
+          onClose={socket.closeConversation}
+        />
+      )}
+      {socket.searchResults && (
+        <SearchPanel
+          search={socket.searchResults}
+          onJump={socket.openMessageContext}
+          onLoadMore={socket.loadMoreSearchResults}
+          onClose={socket.clearSearch}
+        />
+      )}
+      {socket.activeThread && (
+        <ThreadPanel
+          thread={socket.activeThread}
+          username={username}
+          onSendReply={socket.sendThreadReply}
+          onTyping={setTyping}
+          typingUsers={socket.typingUsers.filter(
+            (user) =>
+              String(user.threadId) === String(socket.activeThread.parent.id)
+          )}
+          onClose={socket.closeThread}
+        />
+      )}
+      {showCreateRoom && (
+        <CreateRoomDialog
+          onCreate={socket.createRoom}
+          onClose={() => setShowCreateRoom(false)}
+        />
+      )}
+      {showCreatePoll && (
+        <CreatePollDialog
+          room={socket.currentRoom}
+          onCreate={socket.createPoll}
+          onClose={() => setShowCreatePoll(false)}
+        />
+      )}
+      {showRoomSettings && currentRoomInfo && (
+        <RoomSettingsDialog
+          room={currentRoomInfo}
+          socket={socket}
+          onClose={() => setShowRoomSettings(false)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,168 @@
+import { useState } from "react";
+import { toLocalInputValue } from "./ScheduledJobs";
+
+const MAX_OPTIONS = 10;
+
+const CreatePollDialog = ({ room, onCreate, onClose }) => {
+  const [question, setQuestion] = useState("");
+  const [options, setOptions] = useState(["", ""]);
+  const [multiple, setMultiple] = useState(false);
+  const [anonymous, setAnonymous] = useState(false);
+  // A datetime-local value, or "" for polls that stay open
+  const [closesAt, setClosesAt] = useState("");
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const setOption = (index, text) =>
+    setOptions(options.map((option, i) => (i === index ? text : option)));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const filled = options.map((option) => option.trim()).filter(Boolean);
+    if (!question.trim()) {
+      setError("Question is required");
+      return;
+    }
+    if (filled.length < 2) {
+      setError("A poll needs at least two options");
+      return;
+    }
+
+    setSaving(true);
+    setError("");
+    onCreate(
+      {
+        question,
+        options: filled,
+        multiple,
+        anonymous,
+        closesAt: closesAt ? new Date(closesAt).toISOString() : null,
+      },
+      (ack) => {
+        setSaving(false);
+        if (ack.success) {
+          onClose();
+        } else {
+          setError(ack.error);
+        }
+      }
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-10">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white p-6 rounded-lg shadow-md w-full max-w-sm"
+      >
+        <h2 className="text-xl font-bold mb-4 text-gray-800">
+          New poll in #{room}
+        </h2>
+        {error && <p className="text-red-500 mb-4 text-sm">{error}</p>}
+        <label
+          htmlFor="poll-question"
+          className="block text-gray-700 text-sm font-bold mb-2"
+        >
+          Question
+        </label>
+        <input
+          id="poll-question"
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder="What should we decide?"
+          className="w-full mb-4 px-3 py-2 border rounded-md text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          autoFocus
+        />
+        <fieldset className="mb-4">
+          <legend className="text-gray-700 text-sm font-bold mb-2">
+            Options
+          </legend>
+          {options.map((option, index) => (
+            <div key={index} className="flex items-center mb-2">
+              <input
+                type="text"
+                value={option}
+                onChange={(e) => setOption(index, e.target.value)}
+                placeholder={`Option ${index + 1}`}
+                maxLength={100}
+                className="flex-1 px-3 py-2 border rounded-md text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              {options.length > 2 && (
+                <button
+                  type="button"
+                  onClick={() =>
+                    setOptions(options.filter((_, i) => i !== index))
+                  }
+                  className="ml-2 text-gray-500 hover:text-gray-700"
+                  title="Remove option"
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+          {options.length < MAX_OPTIONS && (
+            <button
+              type="button"
+              onClick={() => setOptions([...options, ""])}
+              className="text-sm text-blue-600 hover:underline"
+            >
+              + Add option
+            </button>
+          )}
+        </fieldset>
+        <label className="flex items-center mb-1">
+          <input
+            type="checkbox"
+            checked={multiple}
+            onChange={(e) => setMultiple(e.target.checked)}
+            className="mr-2"
+          />
+          Allow several choices
+        </label>
+        <label className="flex items-center mb-4">
+          <input
+            type="checkbox"
+            checked={anonymous}
+            onChange={(e) => setAnonymous(e.target.checked)}
+            className="mr-2"
+          />
+          Anonymous - hide who voted for what
+        </label>
+        <label
+          htmlFor="poll-closes-at"
+          className="block text-gray-700 text-sm font-bold mb-2"
+        >
+          Closes (optional)
+        </label>
+        <input
+          id="poll-closes-at"
+          type="datetime-local"
+          value={closesAt}
+          min={toLocalInputValue(Date.now())}
+          onChange={(e) => setClosesAt(e.target.value)}
+          className="w-full mb-6 px-3 py-2 border rounded-md text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="mr-2 px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-blue-300"
+          >
+            {saving ? "Creating..." : "Create poll"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CreatePollDialog;
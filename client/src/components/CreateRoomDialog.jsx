@@ -0,0 +1,115 @@
+import { useState } from "react";
+
+const CreateRoomDialog = ({ onCreate, onClose }) => {
+  const [name, setName] = useState("");
+  const [topic, setTopic] = useState("");
+  const [visibility, setVisibility] = useState("public");
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      setError("Room name is required");
+      return;
+    }
+
+    setSaving(true);
+    setError("");
+    const result = await onCreate({ name: name.trim(), topic, visibility });
+    setSaving(false);
+    if (result.ok) {
+      onClose();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-10">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white p-6 rounded-lg shadow-md w-full max-w-sm"
+      >
+        <h2 className="text-xl font-bold mb-4 text-gray-800">Create Room</h2>
+        {error && <p className="text-red-500 mb-4 text-sm">{error}</p>}
+        <label
+          htmlFor="room-name"
+          className="block text-gray-700 text-sm font-bold mb-2"
+        >
+          Name
+        </label>
+        <input
+          id="room-name"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. project-x"
+          maxLength={32}
+          className="w-full mb-4 px-3 py-2 border rounded-md text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          autoFocus
+        />
+        <label
+          htmlFor="room-topic"
+          className="block text-gray-700 text-sm font-bold mb-2"
+        >
+          Topic
+        </label>
+        <input
+          id="room-topic"
+          type="text"
+          value={topic}
+          onChange={(e) => setTopic(e.target.value)}
+          placeholder="What is this room about?"
+          maxLength={200}
+          className="w-full mb-4 px-3 py-2 border rounded-md text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <fieldset className="mb-6">
+          <legend className="text-gray-700 text-sm font-bold mb-2">
+            Visibility
+          </legend>
+          <label className="flex items-center mb-1">
+            <input
+              type="radio"
+              name="visibility"
+              value="public"
+              checked={visibility === "public"}
+              onChange={() => setVisibility("public")}
+              className="mr-2"
+            />
+            Public - anyone can find and join
+          </label>
+          <label className="flex items-center">
+            <input
+              type="radio"
+              name="visibility"
+              value="private"
+              checked={visibility === "private"}
+              onChange={() => setVisibility("private")}
+              className="mr-2"
+            />
+            Private - invite only
+          </label>
+        </fieldset>
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="mr-2 px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-blue-300"
+          >
+            {saving ? "Creating..." : "Create"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CreateRoomDialog;
@@ -0,0 +1,129 @@
+import { useEffect, useState } from "react";
+import MessageText from "./MessageText";
+import LinkPreviews from "./LinkPreviews";
+import PresenceDot, { STATUS_LABELS, formatLastSeen } from "./PresenceDot";
+
+const DirectMessagePanel = ({
+  conversation,
+  myId,
+  presence,
+  onFetchPresence,
+  onSend,
+  onLoadOlder,
+  onClose,
+}) => {
+  const [message, setMessage] = useState("");
+  const [fetchedPresence, setFetchedPresence] = useState(null);
+  const { otherUser, messages, hasMore } = conversation;
+
+  // Status updates only arrive for users in the same room, and the last
+  // seen time of offline users never does, so ask whenever it may have changed
+  useEffect(() => {
+    let cancelled = false;
+    onFetchPresence(otherUser.id).then(({ ok, data }) => {
+      if (ok && !cancelled) setFetchedPresence(data);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [otherUser.id, presence?.status]);
+  const shownPresence = presence || fetchedPresence;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (message.trim()) {
+      onSend(otherUser.id, message, (ack) => {
+        if (ack.success) {
+          setMessage("");
+        } else {
+          console.error("Direct message failed to send:", ack.error);
+        }
+      });
+    }
+  };
+
+  return (
+    <div className="w-80 flex flex-col bg-gray-50 border-l border-gray-200">
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <div className="min-w-0">
+          <h2 className="text-lg font-bold">@ {otherUser.username}</h2>
+          {shownPresence && (
+            <p className="flex items-center text-xs text-gray-500">
+              <PresenceDot status={shownPresence.status} />
+              {shownPresence.status === "offline"
+                ? formatLastSeen(shownPresence.lastSeen)
+                : STATUS_LABELS[shownPresence.status]}
+            </p>
+          )}
+        </div>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+          title="Close conversation"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="flex-1 p-4 overflow-y-auto">
+        {hasMore && (
+          <div className="text-center mb-4">
+            <button
+              onClick={onLoadOlder}
+              className="px-3 py-1 text-sm bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+            >
+              Load older
+            </button>
+          </div>
+        )}
+        {messages.length === 0 && (
+          <p className="text-sm text-gray-500 text-center">
+            No messages yet. Say hello!
+          </p>
+        )}
+        {messages.map((msg) => (
+          <div
+            key={msg.id}
+            className={`p-2 rounded-lg mb-2 ${
+              msg.senderId === myId
+                ? "bg-purple-500 text-white ml-6"
+                : "bg-white text-gray-800 mr-6"
+            }`}
+          >
+            {msg.deleted ? (
+              <p className="italic opacity-75">This message was deleted</p>
+            ) : (
+              <>
+                <MessageText text={msg.message} />
+                <LinkPreviews previews={msg.previews} />
+              </>
+            )}
+            <p className="text-xs text-right mt-1">
+              {msg.edited && !msg.deleted && "(edited) "}
+              {new Date(msg.timestamp).toLocaleTimeString()}
+            </p>
+          </div>
+        ))}
+      </div>
+      <form
+        onSubmit={handleSubmit}
+        className="p-4 border-t border-gray-200 flex items-center"
+      >
+        <input
+          type="text"
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          placeholder={`Message ${otherUser.username}...`}
+          className="flex-1 min-w-0 px-3 py-2 border rounded-full focus:outline-none focus:ring-2 focus:ring-purple-500"
+        />
+        <button
+          type="submit"
+          className="ml-2 px-4 py-2 bg-purple-500 text-white rounded-full hover:bg-purple-600 transition duration-300"
+        >
+          Send
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default DirectMessagePanel;
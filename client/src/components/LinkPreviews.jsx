@@ -0,0 +1,56 @@
+import { useEffect, useState } from "react";
+import { fetchLinkPreviewImage } from "../socket/socket";
+
+const PreviewImage = ({ image, alt }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    fetchLinkPreviewImage(image.id).then((blob) => {
+      if (blob && !cancelled) {
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      }
+    });
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [image.id]);
+
+  return url ? (
+    <img src={url} alt={alt} className="mt-1 max-h-48 rounded" />
+  ) : (
+    <div
+      className="mt-1 w-full max-w-xs rounded bg-gray-300 animate-pulse"
+      style={{ aspectRatio: `${image.width} / ${image.height}` }}
+    />
+  );
+};
+
+// Preview cards for the links in a message
+const LinkPreviews = ({ previews }) => {
+  if (!previews?.length) return null;
+
+  return previews.map((preview) => (
+    <a
+      key={preview.url}
+      href={preview.url}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="block mt-2 pl-2 border-l-4 border-current opacity-90 hover:opacity-100"
+    >
+      <p className="text-xs opacity-75">{preview.siteName}</p>
+      {preview.title && <p className="font-semibold">{preview.title}</p>}
+      {preview.description && (
+        <p className="text-sm line-clamp-3">{preview.description}</p>
+      )}
+      {preview.image && (
+        <PreviewImage image={preview.image} alt={preview.title || ""} />
+      )}
+    </a>
+  ));
+};
+
+export default LinkPreviews;
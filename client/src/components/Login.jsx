@@ -3,36 +3,51 @@ import { useState } from "react";
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || "http://localhost:5001";
 
 function Login({ onSubmit }) {
+  const [mode, setMode] = useState("signin"); // "signin" | "register"
   const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
 
+  const isRegister = mode === "register";
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!username.trim()) {
       setError("Username is required");
       return;
     }
+    if (password.length < 8) {
+      setError("Password must be at least 8 characters");
+      return;
+    }
 
     setLoading(true);
     setError("");
 
     try {
-      const response = await fetch(`${SOCKET_URL}/api/login`, {
+      const endpoint = isRegister ? "register" : "login";
+      const response = await fetch(`${SOCKET_URL}/api/${endpoint}`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ username }),
+        body: JSON.stringify({ username, password }),
       });
 
       if (!response.ok) {
         const { error: errorMessage } = await response.json();
-        throw new Error(errorMessage || "Login failed");
+        throw new Error(
+          errorMessage || (isRegister ? "Registration failed" : "Login failed")
+        );
       }
 
-      const { token, username: returnedUsername } = await response.json();
-      onSubmit(returnedUsername, token);
+      const {
+        token,
+        refreshToken,
+        username: returnedUsername,
+      } = await response.json();
+      onSubmit(returnedUsername, token, refreshToken);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -47,7 +62,7 @@ function Login({ onSubmit }) {
         className="bg-white p-8 rounded-lg shadow-md w-full max-w-sm"
       >
         <h2 className="text-2xl font-bold mb-6 text-center text-gray-800">
-          Join Chat
+          {isRegister ? "Create Account" : "Sign In"}
         </h2>
         {error && <p className="text-red-500 mb-4 text-sm">{error}</p>}
         <div className="mb-4">
@@ -67,13 +82,51 @@ function Login({ onSubmit }) {
             autoFocus
           />
         </div>
+        <div className="mb-4">
+          <label
+            htmlFor="password"
+            className="block text-gray-700 text-sm font-bold mb-2"
+          >
+            Password
+          </label>
+          <input
+            id="password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder={
+              isRegister ? "At least 8 characters" : "Enter your password"
+            }
+            autoComplete={isRegister ? "new-password" : "current-password"}
+            className="w-full px-3 py-2 border rounded-md text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
         <button
           type="submit"
           className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition duration-300 disabled:bg-blue-300"
           disabled={loading}
         >
-          {loading ? "Joining..." : "Join"}
+          {loading
+            ? isRegister
+              ? "Creating account..."
+              : "Signing in..."
+            : isRegister
+            ? "Create Account"
+            : "Sign In"}
         </button>
+        <p className="mt-4 text-center text-sm text-gray-600">
+          {isRegister ? "Already have an account?" : "New here?"}{" "}
+          <button
+            type="button"
+            onClick={() => {
+              setMode(isRegister ? "signin" : "register");
+              setError("");
+            }}
+            className="text-blue-500 hover:underline"
+          >
+            {isRegister ? "Sign in" : "Create an account"}
+          </button>
+        </p>
       </form>
     </div>
   );
@@ -0,0 +1,211 @@
+import { useMemo } from "react";
+import hljs from "highlight.js/lib/core";
+import bash from "highlight.js/lib/languages/bash";
+import css from "highlight.js/lib/languages/css";
+import go from "highlight.js/lib/languages/go";
+import java from "highlight.js/lib/languages/java";
+import javascript from "highlight.js/lib/languages/javascript";
+import json from "highlight.js/lib/languages/json";
+import python from "highlight.js/lib/languages/python";
+import sql from "highlight.js/lib/languages/sql";
+import typescript from "highlight.js/lib/languages/typescript";
+import xml from "highlight.js/lib/languages/xml";
+import "highlight.js/styles/github.css";
+
+// Only these languages are bundled; they also come with their aliases
+// (js, ts, py, sh, html, ...)
+Object.entries({
+  bash,
+  css,
+  go,
+  java,
+  javascript,
+  json,
+  python,
+  sql,
+  typescript,
+  xml,
+}).forEach(([name, language]) => hljs.registerLanguage(name, language));
+
+const SAFE_LINK_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+// Inline markup, tried left to right; the first alternative that matches at
+// a position wins, so code spans keep their content literal
+const INLINE_PATTERN = new RegExp(
+  [
+    "`(?<code>[^`\\n]+)`",
+    "\\[(?<label>[^\\]\\n]*)\\]\\((?<href>[^)\\s]*)\\)",
+    "(?<url>https?:\\/\\/[^\\s<]*[^\\s<.,;:!?)\\]'\"])",
+    "\\*\\*(?<strong>.+?)\\*\\*",
+    "__(?<strongAlt>.+?)__",
+    "\\*(?<em>[^*\\s](?:[^*\\n]*[^*\\s])?)\\*",
+    "(?<![\\p{L}\\p{N}])_(?<emAlt>[^_\\s](?:[^_\\n]*[^_\\s])?)_(?![\\p{L}\\p{N}])",
+    "(?<![\\p{L}\\p{N}_@])@(?<mention>[\\p{L}\\p{N}_.-]*[\\p{L}\\p{N}_])",
+  ].join("|"),
+  "gu"
+);
+
+// Split text into blocks: { type: "code", language, code },
+// { type: "quote", text } and { type: "paragraph", text }
+const parseBlocks = (text) => {
+  const lines = text.split("\n");
+  const blocks = [];
+  let index = 0;
+  while (index < lines.length) {
+    const line = lines[index];
+    if (line.startsWith("```")) {
+      const code = [];
+      index++;
+      while (index < lines.length && !lines[index].startsWith("```")) {
+        code.push(lines[index++]);
+      }
+      index++; // closing fence
+      blocks.push({
+        type: "code",
+        language: line.slice(3).trim().toLowerCase(),
+        code: code.join("\n"),
+      });
+    } else if (line.startsWith(">")) {
+      const quoted = [];
+      while (index < lines.length && lines[index].startsWith(">")) {
+        quoted.push(lines[index++].replace(/^> ?/, ""));
+      }
+      blocks.push({ type: "quote", text: quoted.join("\n") });
+    } else if (line.trim() === "") {
+      index++;
+    } else {
+      const paragraph = [];
+      while (
+        index < lines.length &&
+        lines[index].trim() !== "" &&
+        !lines[index].startsWith("```") &&
+        !lines[index].startsWith(">")
+      ) {
+        paragraph.push(lines[index++]);
+      }
+      blocks.push({ type: "paragraph", text: paragraph.join("\n") });
+    }
+  }
+  return blocks;
+};
+
+const highlight = (code, language) =>
+  language && hljs.getLanguage(language)
+    ? hljs.highlight(code, { language }).value
+    : hljs.highlightAuto(code).value;
+
+// highlight.js escapes the code it returns, so its markup is safe to insert
+const CodeBlock = ({ code, language }) => {
+  const html = useMemo(() => highlight(code, language), [code, language]);
+  return (
+    <pre className="my-1 rounded overflow-x-auto text-sm">
+      <code
+        className="hljs block p-2"
+        dangerouslySetInnerHTML={{ __html: html }}
+      />
+    </pre>
+  );
+};
+
+const renderInline = (text, context) => {
+  const nodes = [];
+  let position = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > position) nodes.push(text.slice(position, match.index));
+    position = match.index + match[0].length;
+    const key = match.index;
+    const { code, label, href, url, strong, strongAlt, em, emAlt, mention } =
+      match.groups;
+
+    if (code !== undefined) {
+      nodes.push(
+        <code
+          key={key}
+          className="px-1 rounded bg-black bg-opacity-10 font-mono text-sm"
+        >
+          {code}
+        </code>
+      );
+    } else if (href !== undefined || url !== undefined) {
+      const target = href ?? url;
+      nodes.push(
+        SAFE_LINK_PATTERN.test(target) ? (
+          <a
+            key={key}
+            href={target}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="underline break-all"
+          >
+            {label ? renderInline(label, context) : target}
+          </a>
+        ) : (
+          label
+        )
+      );
+    } else if (strong !== undefined || strongAlt !== undefined) {
+      nodes.push(
+        <strong key={key}>{renderInline(strong ?? strongAlt, context)}</strong>
+      );
+    } else if (em !== undefined || emAlt !== undefined) {
+      nodes.push(<em key={key}>{renderInline(em ?? emAlt, context)}</em>);
+    } else {
+      const name = mention.toLowerCase();
+      const isRoom = name === "room" && context.mentionsRoom;
+      if (isRoom || context.mentionedNames.has(name)) {
+        const isMe = isRoom || name === context.username;
+        nodes.push(
+          <span
+            key={key}
+            className={`px-1 rounded font-semibold ${
+              isMe ? "bg-yellow-300 text-gray-900" : "bg-black bg-opacity-10"
+            }`}
+          >
+            @{mention}
+          </span>
+        );
+      } else {
+        nodes.push(match[0]);
+      }
+    }
+  }
+  if (position < text.length) nodes.push(text.slice(position));
+  return nodes;
+};
+
+// Message text rendered as Markdown: **bold**, *italics*, [links](https://…),
+// `code`, ``` fenced code blocks ```, > quotes and @mentions. Everything is
+// built as React elements, so nothing in a message is ever parsed as HTML.
+const MessageText = ({ text, mentions, username }) => {
+  const blocks = useMemo(() => parseBlocks(text || ""), [text]);
+  const context = {
+    mentionedNames: new Set(
+      (mentions?.users || []).map((user) => user.username.toLowerCase())
+    ),
+    mentionsRoom: Boolean(mentions?.room),
+    username: (username || "").toLowerCase(),
+  };
+
+  return (
+    <div className="break-words">
+      {blocks.map((block, index) =>
+        block.type === "code" ? (
+          <CodeBlock key={index} code={block.code} language={block.language} />
+        ) : block.type === "quote" ? (
+          <blockquote
+            key={index}
+            className="my-1 pl-2 border-l-4 border-current opacity-80 whitespace-pre-wrap"
+          >
+            {renderInline(block.text, context)}
+          </blockquote>
+        ) : (
+          <p key={index} className="whitespace-pre-wrap">
+            {renderInline(block.text, context)}
+          </p>
+        )
+      )}
+    </div>
+  );
+};
+
+export default MessageText;
@@ -0,0 +1,62 @@
+import { useState } from "react";
+
+// The pins bar under the room header: the newest pin, and all of them when
+// expanded. Moderators can unpin from here.
+const PinnedMessages = ({ pins, canUnpin, onJump, onUnpin }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (pins.length === 0) return null;
+
+  const latest = pins[0];
+
+  return (
+    <div className="px-4 py-2 border-b border-gray-200 bg-gray-50 text-sm">
+      <div className="flex items-center">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="shrink-0 text-gray-600 hover:underline"
+        >
+          {expanded ? "▾" : "▸"} 📌 {pins.length} pinned
+        </button>
+        {!expanded && (
+          <button
+            onClick={() => onJump(latest.message.id)}
+            className="ml-2 min-w-0 truncate text-left hover:underline"
+            title="Jump to message"
+          >
+            <span className="font-bold">{latest.message.sender}:</span>{" "}
+            {latest.message.message || latest.message.file?.name}
+          </button>
+        )}
+      </div>
+      {expanded && (
+        <ul className="mt-2 space-y-1 max-h-48 overflow-y-auto">
+          {pins.map((pin) => (
+            <li key={pin.messageId} className="flex items-center">
+              <button
+                onClick={() => onJump(pin.message.id)}
+                className="min-w-0 truncate text-left hover:underline"
+                title={`Pinned by ${pin.pinnedBy.username} on ${new Date(
+                  pin.pinnedAt
+                ).toLocaleString()}`}
+              >
+                <span className="font-bold">{pin.message.sender}:</span>{" "}
+                {pin.message.message || pin.message.file?.name}
+              </button>
+              {canUnpin && (
+                <button
+                  onClick={() => onUnpin(pin.message.id)}
+                  className="ml-auto pl-2 text-xs text-gray-500 hover:underline"
+                >
+                  Unpin
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PinnedMessages;
@@ -0,0 +1,137 @@
+import { useEffect, useState } from "react";
+
+// Timers cannot wait longer than this
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const isClosed = (poll) =>
+  poll.closesAt != null && new Date(poll.closesAt) <= new Date();
+
+// A poll shown inside its message, with a result bar per option. Clicking
+// an option votes for it; clicking a chosen option takes that vote back.
+const PollMessage = ({
+  message,
+  myId,
+  canClose,
+  onVote,
+  onClose,
+  fetchBallot,
+}) => {
+  const { poll, pollResults } = message;
+  // What we picked, for anonymous polls which do not name their voters
+  const [ballot, setBallot] = useState([]);
+  const [error, setError] = useState(null);
+  const [, setClosedAt] = useState(null);
+
+  useEffect(() => {
+    if (!poll.anonymous) return;
+    fetchBallot(message.id).then((result) => {
+      if (result.ok) setBallot(result.data.optionIds);
+    });
+  }, [message.id, poll.anonymous]);
+
+  // Show the poll as closed once its time comes
+  useEffect(() => {
+    if (poll.closesAt == null || isClosed(poll)) return;
+    const timer = setTimeout(
+      () => setClosedAt(poll.closesAt),
+      Math.min(new Date(poll.closesAt) - Date.now(), MAX_TIMER_MS)
+    );
+    return () => clearTimeout(timer);
+  }, [poll.closesAt]);
+
+  const closed = isClosed(poll);
+  const chosen = poll.anonymous
+    ? ballot
+    : poll.options
+        .filter((option) =>
+          pollResults.voters[option.id].some((voter) => voter.id === myId)
+        )
+        .map((option) => option.id);
+
+  const handleAck = (ack) => {
+    if (ack.success) {
+      if (ack.optionIds) setBallot(ack.optionIds);
+      setError(null);
+    } else {
+      setError(ack.error);
+    }
+  };
+
+  const handleChoose = (optionId) => {
+    if (closed) return;
+    let optionIds;
+    if (chosen.includes(optionId)) {
+      optionIds = chosen.filter((id) => id !== optionId);
+    } else {
+      optionIds = poll.multiple ? [...chosen, optionId] : [optionId];
+    }
+    onVote(message.id, optionIds, handleAck);
+  };
+
+  const { voterCount } = pollResults;
+
+  return (
+    <div className="mt-2 min-w-[16rem]">
+      <ul className="space-y-1">
+        {poll.options.map((option) => {
+          const tally = pollResults.tallies[option.id] || 0;
+          const percent = voterCount
+            ? Math.round((tally / voterCount) * 100)
+            : 0;
+          return (
+            <li key={option.id}>
+              <button
+                onClick={() => handleChoose(option.id)}
+                disabled={closed}
+                className="relative w-full text-left rounded border border-current overflow-hidden disabled:cursor-default"
+                title={
+                  poll.anonymous
+                    ? undefined
+                    : pollResults.voters[option.id]
+                        .map((voter) => voter.username)
+                        .join(", ")
+                }
+              >
+                <span
+                  className="absolute inset-y-0 left-0 bg-current opacity-20"
+                  style={{ width: `${percent}%` }}
+                />
+                <span className="relative flex justify-between px-2 py-1">
+                  <span>
+                    {chosen.includes(option.id) && "✓ "}
+                    {option.text}
+                  </span>
+                  <span className="ml-4">
+                    {tally} ({percent}%)
+                  </span>
+                </span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      {error && <p className="text-xs mt-1">{error}</p>}
+      <p className="text-xs opacity-75 mt-1">
+        {voterCount} {voterCount === 1 ? "voter" : "voters"}
+        {poll.multiple && " · multiple choice"}
+        {poll.anonymous && " · anonymous"}
+        {" · "}
+        {closed
+          ? "closed"
+          : poll.closesAt
+          ? `closes ${new Date(poll.closesAt).toLocaleString()}`
+          : "open"}
+        {canClose && !closed && (
+          <button
+            onClick={() => onClose(message.id, handleAck)}
+            className="ml-2 underline"
+          >
+            Close poll
+          </button>
+        )}
+      </p>
+    </div>
+  );
+};
+
+export default PollMessage;
@@ -0,0 +1,44 @@
+const DOT_COLORS = {
+  online: "bg-green-500",
+  away: "bg-yellow-400",
+  dnd: "bg-red-500",
+  offline: "bg-gray-400",
+};
+
+export const STATUS_LABELS = {
+  online: "Online",
+  away: "Away",
+  dnd: "Do not disturb",
+  invisible: "Invisible",
+  offline: "Offline",
+};
+
+// A custom status, or null once it has run out
+export const activeCustomStatus = (customStatus) =>
+  customStatus &&
+  (!customStatus.expiresAt || new Date(customStatus.expiresAt) > new Date())
+    ? customStatus
+    : null;
+
+// "Last seen just now", "Last seen 5 min ago", ... or the date further back
+export const formatLastSeen = (lastSeen) => {
+  if (!lastSeen) return "Offline";
+  const minutes = Math.floor((Date.now() - new Date(lastSeen)) / 60000);
+  if (minutes < 1) return "Last seen just now";
+  if (minutes < 60) return `Last seen ${minutes} min ago`;
+  if (minutes < 24 * 60) {
+    return `Last seen ${Math.floor(minutes / 60)} h ago`;
+  }
+  return `Last seen ${new Date(lastSeen).toLocaleDateString()}`;
+};
+
+const PresenceDot = ({ status = "offline" }) => (
+  <span
+    className={`inline-block w-3 h-3 rounded-full mr-2 shrink-0 ${
+      DOT_COLORS[status] || DOT_COLORS.offline
+    }`}
+    title={STATUS_LABELS[status]}
+  ></span>
+);
+
+export default PresenceDot;
@@ -0,0 +1,148 @@
+import { useState } from "react";
+import PresenceDot, { STATUS_LABELS, activeCustomStatus } from "./PresenceDot";
+
+const CHOSEN_STATUSES = ["online", "dnd", "invisible"];
+
+// Minutes until a custom status is cleared; null keeps it until changed
+const EXPIRY_OPTIONS = [
+  { label: "Don't clear", minutes: null },
+  { label: "30 minutes", minutes: 30 },
+  { label: "1 hour", minutes: 60 },
+  { label: "4 hours", minutes: 4 * 60 },
+  { label: "1 day", minutes: 24 * 60 },
+];
+
+// Your own status and custom status
+const PresencePicker = ({ presence, onChange }) => {
+  const [editing, setEditing] = useState(false);
+  const [emoji, setEmoji] = useState("");
+  const [text, setText] = useState("");
+  const [expiry, setExpiry] = useState(0); // index into EXPIRY_OPTIONS
+  const [error, setError] = useState(null);
+
+  if (!presence) return null;
+  const customStatus = activeCustomStatus(presence.customStatus);
+
+  const handleAck = (ack) => {
+    if (ack.success) {
+      setEditing(false);
+      setError(null);
+    } else {
+      setError(ack.error);
+    }
+  };
+
+  const startEditing = () => {
+    setEmoji(customStatus?.emoji || "");
+    setText(customStatus?.text || "");
+    setExpiry(0);
+    setError(null);
+    setEditing(true);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const { minutes } = EXPIRY_OPTIONS[expiry];
+    onChange(
+      {
+        customStatus: {
+          emoji,
+          text,
+          expiresAt: minutes
+            ? new Date(Date.now() + minutes * 60000).toISOString()
+            : null,
+        },
+      },
+      handleAck
+    );
+  };
+
+  return (
+    <div className="mb-4 text-sm">
+      <div className="flex items-center">
+        <PresenceDot
+          status={presence.status === "invisible" ? "offline" : presence.status}
+        />
+        <select
+          value={presence.status}
+          onChange={(e) => onChange({ status: e.target.value }, handleAck)}
+          className="flex-1 bg-transparent focus:outline-none"
+        >
+          {CHOSEN_STATUSES.map((status) => (
+            <option key={status} value={status}>
+              {STATUS_LABELS[status]}
+            </option>
+          ))}
+        </select>
+      </div>
+      {editing ? (
+        <form onSubmit={handleSubmit} className="mt-2 space-y-1">
+          <div className="flex">
+            <input
+              type="text"
+              value={emoji}
+              onChange={(e) => setEmoji(e.target.value)}
+              placeholder="🙂"
+              className="w-10 mr-1 px-1 border rounded text-center"
+            />
+            <input
+              type="text"
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder="What's your status?"
+              maxLength={100}
+              className="flex-1 min-w-0 px-2 border rounded"
+            />
+          </div>
+          <select
+            value={expiry}
+            onChange={(e) => setExpiry(Number(e.target.value))}
+            className="w-full px-1 border rounded"
+          >
+            {EXPIRY_OPTIONS.map((option, index) => (
+              <option key={option.label} value={index}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          {error && <p className="text-xs text-red-600">{error}</p>}
+          <div className="flex justify-end space-x-2 text-xs">
+            <button
+              type="button"
+              onClick={() => setEditing(false)}
+              className="text-gray-600 hover:underline"
+            >
+              Cancel
+            </button>
+            <button type="submit" className="text-blue-600 hover:underline">
+              Save
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex items-center mt-1 text-xs text-gray-600">
+          <button
+            onClick={startEditing}
+            className="truncate text-left hover:underline"
+          >
+            {customStatus
+              ? `${customStatus.emoji} ${customStatus.text}`.trim()
+              : "Set a custom status"}
+          </button>
+          {customStatus && (
+            <button
+              onClick={() => onChange({ customStatus: null }, handleAck)}
+              className="ml-auto pl-2 text-gray-500 hover:text-gray-700"
+              title="Clear status"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      )}
+      {!editing && error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default PresencePicker;
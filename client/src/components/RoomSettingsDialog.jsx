@@ -0,0 +1,294 @@
+import { useEffect, useState } from "react";
+
+const RoomSettingsDialog = ({ room, socket, onClose }) => {
+  const isOwner = room.role === "owner";
+  const isModerator = isOwner || room.role === "moderator";
+  const [topic, setTopic] = useState(room.topic || "");
+  const [visibility, setVisibility] = useState(room.visibility);
+  const [members, setMembers] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [bans, setBans] = useState([]);
+  const [moderationLog, setModerationLog] = useState([]);
+  const [inviteLink, setInviteLink] = useState("");
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const loadModeration = () => {
+    socket.fetchBans(room.name).then((result) => {
+      if (result.ok) setBans(result.data);
+    });
+    socket.fetchModerationLog(room.name).then((result) => {
+      if (result.ok) setModerationLog(result.data);
+    });
+  };
+
+  useEffect(() => {
+    socket.fetchRoomMembers(room.name).then((result) => {
+      if (result.ok) setMembers(result.data);
+    });
+    if (isOwner) {
+      socket.fetchJoinRequests(room.name).then((result) => {
+        if (result.ok) setRequests(result.data);
+      });
+    }
+    if (isModerator) loadModeration();
+  }, [room.name]);
+
+  const report = (result, successMessage) => {
+    if (result.ok) {
+      setError("");
+      setNotice(successMessage);
+    } else {
+      setNotice("");
+      setError(result.error);
+    }
+    return result.ok;
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    report(
+      await socket.updateRoom(room.name, { topic, visibility }),
+      "Settings saved"
+    );
+  };
+
+  const handleInvite = async () => {
+    const result = await socket.createInvite(room.name, 24);
+    if (report(result, "Invite link created (valid for 24 hours)")) {
+      setInviteLink(
+        `${window.location.origin}/?invite=${encodeURIComponent(
+          result.data.token
+        )}`
+      );
+    }
+  };
+
+  const handleRequest = async (userId, approve) => {
+    const result = await socket.respondToJoinRequest(
+      room.name,
+      userId,
+      approve
+    );
+    if (report(result, approve ? "Request approved" : "Request declined")) {
+      setRequests((prev) => prev.filter((r) => r.userId !== userId));
+      if (approve) {
+        const refreshed = await socket.fetchRoomMembers(room.name);
+        if (refreshed.ok) setMembers(refreshed.data);
+      }
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    const result = await socket.setMemberRole(room.name, member.id, role);
+    if (report(result, `${member.username} is now a ${role}`)) {
+      setMembers(result.data);
+      loadModeration();
+    }
+  };
+
+  const handleUnban = async (ban) => {
+    const result = await socket.unbanUser(room.name, ban.id);
+    if (report(result, `${ban.username} was unbanned`)) {
+      loadModeration();
+    }
+  };
+
+  const handleArchive = async () => {
+    if (confirm(`Archive #${room.name}? Nobody will be able to join it.`)) {
+      if (report(await socket.archiveRoom(room.name), "Room archived")) {
+        onClose();
+      }
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-10">
+      <div className="bg-white p-6 rounded-lg shadow-md w-full max-w-md max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-800"># {room.name}</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+        {error && <p className="text-red-500 mb-4 text-sm">{error}</p>}
+        {notice && <p className="text-green-600 mb-4 text-sm">{notice}</p>}
+
+        {isOwner ? (
+          <form onSubmit={handleSave} className="mb-6">
+            <label
+              htmlFor="settings-topic"
+              className="block text-gray-700 text-sm font-bold mb-2"
+            >
+              Topic
+            </label>
+            <input
+              id="settings-topic"
+              type="text"
+              value={topic}
+              onChange={(e) => setTopic(e.target.value)}
+              maxLength={200}
+              className="w-full mb-4 px-3 py-2 border rounded-md text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <label
+              htmlFor="settings-visibility"
+              className="block text-gray-700 text-sm font-bold mb-2"
+            >
+              Visibility
+            </label>
+            <select
+              id="settings-visibility"
+              value={visibility}
+              onChange={(e) => setVisibility(e.target.value)}
+              className="w-full mb-4 px-3 py-2 border rounded-md text-gray-700"
+            >
+              <option value="public">Public</option>
+              <option value="private">Private</option>
+            </select>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600"
+            >
+              Save
+            </button>
+          </form>
+        ) : (
+          <p className="mb-6 text-gray-700">{room.topic || "No topic set"}</p>
+        )}
+
+        <h3 className="text-lg font-bold mb-2">Members ({members.length})</h3>
+        <ul className="mb-6">
+          {members.map((member) => (
+            <li key={member.id} className="flex items-center mb-1">
+              <span>{member.username}</span>
+              <span className="ml-auto text-xs text-gray-500">
+                {member.role}
+              </span>
+              {isOwner && member.role !== "owner" && (
+                <button
+                  onClick={() =>
+                    handleRoleChange(
+                      member,
+                      member.role === "moderator" ? "member" : "moderator"
+                    )
+                  }
+                  className="ml-2 text-xs bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-2 rounded"
+                >
+                  {member.role === "moderator"
+                    ? "Remove moderator"
+                    : "Make moderator"}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {isModerator && (
+          <>
+            <h3 className="text-lg font-bold mb-2">Banned users</h3>
+            {bans.length === 0 && (
+              <p className="text-sm text-gray-500 mb-6">Nobody is banned</p>
+            )}
+            <ul className="mb-6">
+              {bans.map((ban) => (
+                <li key={ban.id} className="flex items-center mb-2">
+                  <span>{ban.username}</span>
+                  {ban.reason && (
+                    <span className="ml-2 text-xs text-gray-500 truncate">
+                      {ban.reason}
+                    </span>
+                  )}
+                  <button
+                    onClick={() => handleUnban(ban)}
+                    className="ml-auto text-xs bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-2 rounded"
+                  >
+                    Unban
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <h3 className="text-lg font-bold mb-2">Moderation log</h3>
+            {moderationLog.length === 0 && (
+              <p className="text-sm text-gray-500 mb-6">No actions yet</p>
+            )}
+            <ul className="mb-6 text-sm">
+              {moderationLog.map((entry) => (
+                <li key={entry.id} className="mb-1">
+                  <span className="text-gray-500">
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </span>{" "}
+                  <strong>{entry.actor.username}</strong> {entry.action}
+                  {entry.target && ` ${entry.target.username}`}
+                  {entry.role && ` (${entry.role})`}
+                  {entry.durationMinutes && ` for ${entry.durationMinutes} min`}
+                  {entry.reason && ` - ${entry.reason}`}
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        {isOwner && (
+          <>
+            <h3 className="text-lg font-bold mb-2">Invite</h3>
+            <button
+              onClick={handleInvite}
+              className="mb-2 px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400"
+            >
+              Create invite link
+            </button>
+            {inviteLink && (
+              <input
+                type="text"
+                readOnly
+                value={inviteLink}
+                onFocus={(e) => e.target.select()}
+                className="w-full mb-6 px-3 py-2 border rounded-md text-sm text-gray-700"
+              />
+            )}
+
+            <h3 className="text-lg font-bold mt-4 mb-2">Join requests</h3>
+            {requests.length === 0 && (
+              <p className="text-sm text-gray-500 mb-6">No pending requests</p>
+            )}
+            <ul className="mb-6">
+              {requests.map((request) => (
+                <li key={request.userId} className="flex items-center mb-2">
+                  <span>{request.username}</span>
+                  <button
+                    onClick={() => handleRequest(request.userId, true)}
+                    className="ml-auto text-xs bg-green-500 hover:bg-green-600 text-white font-bold py-1 px-2 rounded"
+                  >
+                    Approve
+                  </button>
+                  <button
+                    onClick={() => handleRequest(request.userId, false)}
+                    className="ml-2 text-xs bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-2 rounded"
+                  >
+                    Decline
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            {room.name !== "general" && (
+              <button
+                onClick={handleArchive}
+                className="px-4 py-2 bg-red-500 text-white rounded-md hover:bg-red-600"
+              >
+                Archive room
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RoomSettingsDialog;
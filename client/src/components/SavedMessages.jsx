@@ -0,0 +1,80 @@
+import { useState } from "react";
+
+const describePlace = (message) => {
+  if (message.isPrivate) return "direct message";
+  const room = `#${message.roomId || "general"}`;
+  return message.parentId != null ? `${room}, in a thread` : room;
+};
+
+// The "Saved" section of the sidebar: bookmarked messages with their notes
+const SavedMessages = ({ bookmarks, onJump, onEditNote, onRemove }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  return (
+    <>
+      <h2 className="text-lg font-bold mt-4 mb-2">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="hover:underline"
+        >
+          {expanded ? "▾" : "▸"} Saved ({bookmarks.length})
+        </button>
+      </h2>
+      {expanded && (
+        <ul className="max-h-64 overflow-y-auto">
+          {bookmarks.length === 0 && (
+            <li className="text-sm text-gray-500 mb-2">Nothing saved yet</li>
+          )}
+          {bookmarks.map(({ messageId, note, message }) => (
+            <li key={messageId} className="p-2 mb-2 rounded bg-white text-sm">
+              <p className="text-xs text-gray-500 truncate">
+                <span className="font-bold text-gray-800">
+                  {message.sender}
+                </span>{" "}
+                in {describePlace(message)}
+              </p>
+              <p className="truncate">
+                {message.deleted ? (
+                  <span className="italic text-gray-500">
+                    This message was deleted
+                  </span>
+                ) : (
+                  message.message || message.file?.name
+                )}
+              </p>
+              {note && (
+                <p className="text-xs text-gray-600 italic truncate">{note}</p>
+              )}
+              <div className="flex space-x-2 text-xs">
+                {!message.deleted && !message.isPrivate && (
+                  <button
+                    onClick={() => onJump(message.id)}
+                    className="text-blue-600 hover:underline"
+                  >
+                    Jump
+                  </button>
+                )}
+                {!message.deleted && (
+                  <button
+                    onClick={() => onEditNote(messageId, note)}
+                    className="text-blue-600 hover:underline"
+                  >
+                    {note ? "Edit note" : "Add note"}
+                  </button>
+                )}
+                <button
+                  onClick={() => onRemove(messageId)}
+                  className="text-gray-500 hover:underline"
+                >
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+};
+
+export default SavedMessages;
@@ -0,0 +1,144 @@
+import { useState } from "react";
+
+// The value a datetime-local input shows for a time, in local time
+export const toLocalInputValue = (time) => {
+  const date = new Date(time);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+};
+
+const describeJob = (job) => {
+  if (job.type === "reminder") return "Reminder";
+  if (job.to) return `To ${job.toUsername || "user"}`;
+  return job.parentId ? `#${job.roomId}, in a thread` : `#${job.roomId}`;
+};
+
+// Scheduled messages and reminders still to come, which can be changed or
+// cancelled until they run
+const ScheduledJobs = ({ jobs, onEdit, onCancel }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [text, setText] = useState("");
+  const [runAt, setRunAt] = useState("");
+  const [error, setError] = useState(null);
+
+  if (jobs.length === 0) return null;
+
+  const handleAck = (ack) => {
+    if (ack.success) {
+      setEditingId(null);
+      setError(null);
+    } else {
+      setError(ack.error);
+    }
+  };
+
+  const startEditing = (job) => {
+    setText(job.type === "message" ? job.message : job.note || "");
+    setRunAt(toLocalInputValue(job.runAt));
+    setError(null);
+    setEditingId(job.id);
+  };
+
+  const handleSubmit = (e, job) => {
+    e.preventDefault();
+    onEdit(
+      job.id,
+      {
+        runAt: new Date(runAt).toISOString(),
+        ...(job.type === "message" ? { message: text } : { note: text }),
+      },
+      handleAck
+    );
+  };
+
+  return (
+    <div className="mb-4 text-sm">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="text-gray-600 hover:underline"
+      >
+        {expanded ? "▾" : "▸"} Scheduled ({jobs.length})
+      </button>
+      {expanded && (
+        <ul className="mt-2 space-y-2">
+          {jobs.map((job) => (
+            <li key={job.id} className="p-2 rounded-lg bg-gray-100">
+              {editingId === job.id ? (
+                <form
+                  onSubmit={(e) => handleSubmit(e, job)}
+                  className="space-y-1"
+                >
+                  <input
+                    type="text"
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    placeholder={
+                      job.type === "message" ? "Message" : "Note (optional)"
+                    }
+                    className="w-full px-2 py-1 border rounded"
+                  />
+                  <input
+                    type="datetime-local"
+                    value={runAt}
+                    min={toLocalInputValue(Date.now())}
+                    onChange={(e) => setRunAt(e.target.value)}
+                    required
+                    className="px-2 py-1 border rounded"
+                  />
+                  {error && <p className="text-xs text-red-600">{error}</p>}
+                  <div className="flex justify-end space-x-2 text-xs">
+                    <button
+                      type="button"
+                      onClick={() => setEditingId(null)}
+                      className="text-gray-600 hover:underline"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      className="text-blue-600 hover:underline"
+                    >
+                      Save
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <>
+                  <div className="flex items-center justify-between text-xs text-gray-500">
+                    <span>
+                      {describeJob(job)} ·{" "}
+                      {new Date(job.runAt).toLocaleString()}
+                    </span>
+                    <span className="space-x-2">
+                      <button
+                        onClick={() => startEditing(job)}
+                        className="text-blue-600 hover:underline"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => onCancel(job.id, handleAck)}
+                        className="text-gray-500 hover:underline"
+                      >
+                        Cancel
+                      </button>
+                    </span>
+                  </div>
+                  <p className="truncate">
+                    {job.type === "message" ? job.message : job.note}
+                  </p>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {editingId === null && error && (
+        <p className="text-xs text-red-600">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default ScheduledJobs;
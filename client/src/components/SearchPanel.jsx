@@ -0,0 +1,70 @@
+const SearchPanel = ({ search, onJump, onLoadMore, onClose }) => {
+  const { query, results, total, hasMore, loading, error } = search;
+
+  return (
+    <div className="w-80 flex flex-col bg-gray-50 border-l border-gray-200">
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <h2 className="text-lg font-bold">Search</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+          title="Close search"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="flex-1 p-4 overflow-y-auto">
+        <p className="text-xs text-gray-500 mb-2">
+          {loading && results.length === 0
+            ? `Searching for "${query}"...`
+            : `${total} ${total === 1 ? "result" : "results"} for "${query}"`}
+        </p>
+        {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+        {results.map(({ message, snippet }) => (
+          <div key={message.id} className="p-2 rounded-lg mb-2 bg-white">
+            <p className="text-xs text-gray-500">
+              <span className="font-bold text-gray-800">{message.sender}</span>
+              {" in #"}
+              {message.roomId || "general"}
+              {message.parentId != null && " (thread)"}
+              {" · "}
+              {new Date(message.timestamp).toLocaleString()}
+            </p>
+            <p className="text-sm break-words">
+              {snippet.map((segment, index) =>
+                segment.match ? (
+                  <mark key={index} className="bg-yellow-200">
+                    {segment.text}
+                  </mark>
+                ) : (
+                  <span key={index}>{segment.text}</span>
+                )
+              )}
+            </p>
+            <button
+              onClick={() => onJump(message.id)}
+              className="text-xs text-blue-600 hover:underline"
+            >
+              Jump to message
+            </button>
+          </div>
+        ))}
+        {hasMore && (
+          <button
+            onClick={onLoadMore}
+            disabled={loading}
+            className="w-full px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 transition duration-300 disabled:bg-gray-200"
+          >
+            {loading ? "Loading..." : "More results"}
+          </button>
+        )}
+      </div>
+      <p className="p-4 border-t border-gray-200 text-xs text-gray-500">
+        Filters: "exact phrase", from:name, in:room, has:file, has:link,
+        before:YYYY-MM-DD, after:YYYY-MM-DD, on:YYYY-MM-DD
+      </p>
+    </div>
+  );
+};
+
+export default SearchPanel;
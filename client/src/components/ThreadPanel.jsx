@@ -0,0 +1,122 @@
+import { useState } from "react";
+import MessageText from "./MessageText";
+import LinkPreviews from "./LinkPreviews";
+import TypingIndicator from "./TypingIndicator";
+
+const ThreadPanel = ({
+  thread,
+  username,
+  typingUsers,
+  onSendReply,
+  onTyping,
+  onClose,
+}) => {
+  const [reply, setReply] = useState("");
+  const { parent, replies } = thread;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (reply.trim()) {
+      onTyping(false);
+      onSendReply(parent.id, reply, (ack) => {
+        if (ack.success) {
+          setReply("");
+        } else {
+          console.error("Reply failed to send:", ack.error);
+        }
+      });
+    }
+  };
+
+  return (
+    <div className="w-80 flex flex-col bg-gray-50 border-l border-gray-200">
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <h2 className="text-lg font-bold">Thread</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+          title="Close thread"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="flex-1 p-4 overflow-y-auto">
+        <div className="p-3 rounded-lg mb-4 bg-gray-200 text-gray-800">
+          <p className="font-bold">{parent.sender}</p>
+          {parent.deleted ? (
+            <p className="italic opacity-75">This message was deleted</p>
+          ) : (
+            <>
+              <MessageText
+                text={parent.message}
+                mentions={parent.mentions}
+                username={username}
+              />
+              <LinkPreviews previews={parent.previews} />
+            </>
+          )}
+          <p className="text-xs text-right mt-1">
+            {new Date(parent.timestamp).toLocaleTimeString()}
+          </p>
+        </div>
+        <p className="text-xs text-gray-500 mb-2">
+          {replies.length} {replies.length === 1 ? "reply" : "replies"}
+        </p>
+        {replies.map((msg) => (
+          <div
+            key={msg.id}
+            className={`p-2 rounded-lg mb-2 ${
+              msg.sender === username
+                ? "bg-blue-500 text-white"
+                : "bg-white text-gray-800"
+            }`}
+          >
+            <p className="font-bold text-sm">{msg.sender}</p>
+            {msg.deleted ? (
+              <p className="italic opacity-75">This message was deleted</p>
+            ) : (
+              <>
+                <MessageText
+                  text={msg.message}
+                  mentions={msg.mentions}
+                  username={username}
+                />
+                <LinkPreviews previews={msg.previews} />
+              </>
+            )}
+            <p className="text-xs text-right mt-1">
+              {msg.edited && !msg.deleted && "(edited) "}
+              {new Date(msg.timestamp).toLocaleTimeString()}
+            </p>
+          </div>
+        ))}
+      </div>
+      <div className="px-4">
+        <TypingIndicator users={typingUsers} />
+      </div>
+      <form
+        onSubmit={handleSubmit}
+        className="p-4 border-t border-gray-200 flex items-center"
+      >
+        <input
+          type="text"
+          value={reply}
+          onChange={(e) => {
+            setReply(e.target.value);
+            onTyping(e.target.value.length > 0, parent.id);
+          }}
+          placeholder="Reply in thread..."
+          className="flex-1 min-w-0 px-3 py-2 border rounded-full focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          className="ml-2 px-4 py-2 bg-blue-500 text-white rounded-full hover:bg-blue-600 transition duration-300"
+        >
+          Reply
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ThreadPanel;
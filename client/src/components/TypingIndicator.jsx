@@ -0,0 +1,20 @@
+// "X is typing…", "X and Y are typing…", "X, Y and Z are typing…"
+const typingText = (names) => {
+  if (names.length === 1) return `${names[0]} is typing…`;
+  if (names.length <= 3) {
+    return `${names.slice(0, -1).join(", ")} and ${names.at(-1)} are typing…`;
+  }
+  return "Several people are typing…";
+};
+
+// Everyone in users (as sent with typing_users) typing in one place
+const TypingIndicator = ({ users }) => {
+  const names = [...new Set(users.map((user) => user.username))];
+  return (
+    <p className="h-5 text-xs italic text-gray-500">
+      {names.length > 0 && typingText(names)}
+    </p>
+  );
+};
+
+export default TypingIndicator;
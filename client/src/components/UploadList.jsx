@@ -0,0 +1,61 @@
+import { formatSize } from "./Attachment";
+
+// Files on their way up, each with a progress bar
+const UploadList = ({ uploads, onPause, onResume, onCancel }) => {
+  if (uploads.length === 0) return null;
+
+  return (
+    <div className="mb-4 space-y-2">
+      {uploads.map((upload) => {
+        const percent = Math.floor((upload.sentBytes / upload.size) * 100);
+        return (
+          <div key={upload.key} className="p-2 rounded-lg bg-gray-100 text-sm">
+            <div className="flex items-center justify-between">
+              <span className="truncate font-medium">{upload.filename}</span>
+              <span className="ml-2 shrink-0 text-xs text-gray-500">
+                {upload.status === "paused" && "Paused · "}
+                {formatSize(upload.sentBytes)} of {formatSize(upload.size)}
+              </span>
+            </div>
+            <div className="my-1 h-2 rounded bg-gray-300 overflow-hidden">
+              <div
+                className={`h-full transition-all duration-300 ${
+                  upload.status === "failed" ? "bg-red-500" : "bg-blue-500"
+                }`}
+                style={{ width: `${percent}%` }}
+              />
+            </div>
+            {upload.error && (
+              <p className="text-xs text-red-600">{upload.error}</p>
+            )}
+            <div className="flex justify-end space-x-2 text-xs">
+              {upload.status === "uploading" ? (
+                <button
+                  onClick={() => onPause(upload.key)}
+                  className="text-blue-600 hover:underline"
+                >
+                  Pause
+                </button>
+              ) : (
+                <button
+                  onClick={() => onResume(upload.key)}
+                  className="text-blue-600 hover:underline"
+                >
+                  {upload.status === "failed" ? "Retry" : "Resume"}
+                </button>
+              )}
+              <button
+                onClick={() => onCancel(upload.key)}
+                className="text-gray-500 hover:underline"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default UploadList;
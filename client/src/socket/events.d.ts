@@ -0,0 +1,444 @@
+// Generated from server/utils/schemas.js by `npm run generate:types`
+// in the server directory. Do not edit by hand.
+
+import type { Socket } from "socket.io-client";
+
+/** What the server answers events that take a callback with */
+export interface Ack {
+  success: boolean;
+  error?: string;
+  code?: string;
+  [key: string]: unknown;
+}
+
+export interface SendMessagePayload {
+  message: string;
+  roomId?: string | null;
+  clientId?: string;
+  parentId?: number | string | null;
+}
+
+export interface SendFilePayload {
+  attachmentId: string;
+  roomId?: string | null;
+}
+
+export interface TypingPayload {
+  isTyping: boolean;
+  threadId?: number | string | null;
+}
+
+export interface PrivateMessagePayload {
+  to: string;
+  message: string;
+}
+
+export interface DmReadPayload {
+  conversationId: string;
+}
+
+export interface MessageReadPayload {
+  messageId: number | string;
+}
+
+export interface AddReactionPayload {
+  messageId: number | string;
+  reaction: string;
+}
+
+export interface RemoveReactionPayload {
+  messageId: number | string;
+  reaction: string;
+}
+
+export interface EditMessagePayload {
+  messageId: number | string;
+  message: string;
+}
+
+export interface DeleteMessagePayload {
+  messageId: number | string;
+}
+
+export interface SetPresencePayload {
+  status?: "online" | "dnd" | "invisible";
+  customStatus?: {
+    text?: string;
+    emoji?: string;
+    expiresAt?: string | null;
+  } | null;
+}
+
+export interface ScheduleMessagePayload {
+  message: string;
+  runAt: string;
+  roomId?: string;
+  parentId?: number | string;
+  to?: string;
+}
+
+export interface SetReminderPayload {
+  messageId: number | string;
+  runAt: string;
+  note?: string;
+}
+
+export interface EditScheduledPayload {
+  jobId: string;
+  runAt?: string;
+  message?: string;
+  note?: string;
+}
+
+export interface CancelScheduledPayload {
+  jobId: string;
+}
+
+export interface CreatePollPayload {
+  question: string;
+  options: string[];
+  multiple?: boolean;
+  anonymous?: boolean;
+  closesAt?: string | null;
+  roomId?: string | null;
+}
+
+export interface VotePollPayload {
+  messageId: number | string;
+  optionIds: string[];
+}
+
+export interface ClosePollPayload {
+  messageId: number | string;
+}
+
+/** Events the client may emit */
+export interface ClientToServerEvents {
+  user_join: (username?: string | null, room?: string | null) => void;
+  switch_room: (room: string, ack?: (response: Ack) => void) => void;
+  send_message: (
+    payload: SendMessagePayload,
+    ack?: (response: Ack) => void
+  ) => void;
+  send_file: (payload: SendFilePayload, ack?: (response: Ack) => void) => void;
+  typing: (payload: boolean | TypingPayload) => void;
+  private_message: (
+    payload: PrivateMessagePayload,
+    ack?: (response: Ack) => void
+  ) => void;
+  dm_read: (payload: DmReadPayload) => void;
+  message_read: (payload: MessageReadPayload) => void;
+  add_reaction: (
+    payload: AddReactionPayload,
+    ack?: (response: Ack) => void
+  ) => void;
+  remove_reaction: (
+    payload: RemoveReactionPayload,
+    ack?: (response: Ack) => void
+  ) => void;
+  edit_message: (
+    payload: EditMessagePayload,
+    ack?: (response: Ack) => void
+  ) => void;
+  delete_message: (
+    payload: DeleteMessagePayload,
+    ack?: (response: Ack) => void
+  ) => void;
+  idle: (idle: boolean) => void;
+  set_presence: (
+    changes: SetPresencePayload,
+    ack?: (response: Ack) => void
+  ) => void;
+  list_scheduled: (ack?: (response: Ack) => void) => void;
+  schedule_message: (
+    payload: ScheduleMessagePayload,
+    ack?: (response: Ack) => void
+  ) => void;
+  set_reminder: (
+    payload: SetReminderPayload,
+    ack?: (response: Ack) => void
+  ) => void;
+  edit_scheduled: (
+    payload: EditScheduledPayload,
+    ack?: (response: Ack) => void
+  ) => void;
+  cancel_scheduled: (
+    payload: CancelScheduledPayload,
+    ack?: (response: Ack) => void
+  ) => void;
+  create_poll: (
+    payload: CreatePollPayload,
+    ack?: (response: Ack) => void
+  ) => void;
+  vote_poll: (payload: VotePollPayload, ack?: (response: Ack) => void) => void;
+  close_poll: (
+    payload: ClosePollPayload,
+    ack?: (response: Ack) => void
+  ) => void;
+}
+
+export interface RegisterBody {
+  username: string;
+  password: string;
+}
+
+export interface LoginBody {
+  username: string;
+  password: string;
+}
+
+export interface RefreshBody {
+  refreshToken: string;
+}
+
+export interface LogoutBody {
+  refreshToken?: string;
+}
+
+export interface ListMessagesQuery {
+  roomId?: string;
+  before?: string;
+  after?: string;
+  around?: string;
+  limit?: string;
+}
+
+export interface SyncMessagesQuery {
+  roomId?: string;
+  after?: string;
+}
+
+export interface SearchQuery {
+  q?: string;
+  limit?: string;
+  offset?: string;
+}
+
+export interface MessageContextParams {
+  id: string;
+}
+
+export interface BallotParams {
+  id: string;
+}
+
+export interface ThreadParams {
+  id: string;
+}
+
+export interface DirectMessagesParams {
+  userId: string;
+}
+
+export interface DirectMessagesQuery {
+  limit?: string;
+  before?: string;
+}
+
+export interface PresenceParams {
+  id: string;
+}
+
+export interface ListRoomsQuery {
+  includeArchived?: "true" | "false";
+}
+
+export interface CreateRoomBody {
+  name: string;
+  topic?: string;
+  visibility?: "public" | "private";
+}
+
+export interface UpdateRoomParams {
+  name: string;
+}
+
+export interface UpdateRoomBody {
+  topic?: string;
+  visibility?: "public" | "private";
+}
+
+export interface ArchiveRoomParams {
+  name: string;
+}
+
+export interface ListMembersParams {
+  name: string;
+}
+
+export interface CreateInviteParams {
+  name: string;
+}
+
+export interface CreateInviteBody {
+  expiresInHours?: number;
+}
+
+export interface AcceptInviteParams {
+  token: string;
+}
+
+export interface RequestToJoinParams {
+  name: string;
+}
+
+export interface ListJoinRequestsParams {
+  name: string;
+}
+
+export interface ResolveJoinRequestParams {
+  name: string;
+  userId: string;
+}
+
+export interface ResolveJoinRequestBody {
+  approve: boolean;
+}
+
+export interface SetRoleParams {
+  name: string;
+  userId: string;
+}
+
+export interface SetRoleBody {
+  role: "moderator" | "member";
+}
+
+export interface MuteParams {
+  name: string;
+}
+
+export interface MuteBody {
+  userId?: string;
+  durationMinutes?: number | null;
+  reason?: string;
+}
+
+export interface UnmuteParams {
+  name: string;
+  userId: string;
+}
+
+export interface KickParams {
+  name: string;
+}
+
+export interface KickBody {
+  userId?: string;
+  reason?: string;
+}
+
+export interface ListBansParams {
+  name: string;
+}
+
+export interface BanParams {
+  name: string;
+}
+
+export interface BanBody {
+  userId?: string;
+  reason?: string;
+}
+
+export interface UnbanParams {
+  name: string;
+  userId: string;
+}
+
+export interface ModerationLogParams {
+  name: string;
+}
+
+export interface ListPinsParams {
+  name: string;
+}
+
+export interface PinMessageParams {
+  name: string;
+}
+
+export interface PinMessageBody {
+  messageId: number | string;
+}
+
+export interface UnpinMessageParams {
+  name: string;
+  messageId: string;
+}
+
+export interface ScheduleMessageBody {
+  message: string;
+  runAt: string;
+  roomId?: string;
+  parentId?: number | string;
+  to?: string;
+}
+
+export interface SetReminderBody {
+  messageId: number | string;
+  runAt: string;
+  note?: string;
+}
+
+export interface EditScheduledParams {
+  id: string;
+}
+
+export interface EditScheduledBody {
+  runAt?: string;
+  message?: string;
+  note?: string;
+}
+
+export interface CancelScheduledParams {
+  id: string;
+}
+
+export interface SaveBookmarkParams {
+  messageId: string;
+}
+
+export interface SaveBookmarkBody {
+  note?: string;
+}
+
+export interface RemoveBookmarkParams {
+  messageId: string;
+}
+
+export interface StartUploadBody {
+  filename: string;
+  size: number;
+  chunkSize?: number;
+}
+
+export interface UploadStatusParams {
+  id: string;
+}
+
+export interface UploadChunkParams {
+  id: string;
+  index: string;
+}
+
+export interface CompleteUploadParams {
+  id: string;
+}
+
+export interface CancelUploadParams {
+  id: string;
+}
+
+export interface AttachmentParams {
+  id: string;
+}
+
+export interface LinkPreviewImageParams {
+  id: string;
+}
+
+export type ChatSocket = Socket<
+  { [event: string]: (...args: any[]) => void },
+  ClientToServerEvents
+>;
@@ -1,12 +1,14 @@
 // socket.js - Socket.io client setup
 
 import { io } from "socket.io-client";
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 
 // Socket.io connection URL
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || "http://localhost:5001";
 
-// Create socket instance with namespace
+// Create socket instance with namespace. The events it may emit are typed
+// from the server's schemas (see ./events.d.ts).
+/** @type {import("./events").ChatSocket} */
 export const socket = io(`${SOCKET_URL}/chat`, {
   autoConnect: false,
   reconnection: true,
@@ -15,6 +17,208 @@ export const socket = io(`${SOCKET_URL}/chat`, {
   auth: {},
 });
 
+// Session utilities
+// The refresh token stays in memory here and is never sent on the handshake
+let currentRefreshToken = null;
+let refreshInFlight = null;
+// Callbacks from the mounted useSocket hook, told when the session changes
+let sessionHandlers = {};
+
+const authHeaders = () => {
+  const token = socket.auth.token;
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Trade the refresh token for a new token pair. Concurrent callers share one
+// request, since the server spends a refresh token the first time it is used.
+const refreshSession = () => {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      if (!currentRefreshToken) return null;
+      try {
+        const res = await fetch(`${SOCKET_URL}/api/refresh`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ refreshToken: currentRefreshToken }),
+        });
+        if (!res.ok) return null;
+        const session = await res.json();
+        socket.auth.token = session.token;
+        currentRefreshToken = session.refreshToken;
+        sessionHandlers.onSessionRefreshed?.(
+          session.token,
+          session.refreshToken
+        );
+        return session;
+      } catch (err) {
+        console.warn("Could not refresh session:", err);
+        return null;
+      }
+    })().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+};
+
+// fetch() with the access token attached, retried once after a refresh
+const authFetch = async (url, options = {}) => {
+  const request = () =>
+    fetch(url, {
+      ...options,
+      headers: { ...options.headers, ...authHeaders() },
+    });
+  const res = await request();
+  if ((res.status === 401 || res.status === 403) && (await refreshSession())) {
+    return request();
+  }
+  return res;
+};
+
+// JSON request against the chat API; resolves to { ok, data } or { ok, error }
+const apiRequest = async (path, { method = "GET", body } = {}) => {
+  try {
+    const res = await authFetch(`${SOCKET_URL}${path}`, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json().catch(() => null);
+    return res.ok
+      ? { ok: true, data }
+      : { ok: false, error: data?.error || "Request failed" };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+};
+
+// Files served by the chat API need the access token, so they are fetched
+// rather than linked. Resolves to a Blob, or null when it cannot be loaded.
+const fetchBlob = async (path) => {
+  try {
+    const res = await authFetch(`${SOCKET_URL}${path}`);
+    return res.ok ? await res.blob() : null;
+  } catch (err) {
+    console.warn("Could not load file:", err);
+    return null;
+  }
+};
+
+export const fetchAttachment = (attachmentId, { thumbnail } = {}) =>
+  fetchBlob(
+    `/api/attachments/${encodeURIComponent(attachmentId)}${
+      thumbnail ? "/thumbnail" : ""
+    }`
+  );
+
+// Link preview images come from the server's cache, not the linked site
+export const fetchLinkPreviewImage = (imageId) =>
+  fetchBlob(`/api/link-previews/${encodeURIComponent(imageId)}/image`);
+
+// Upload utilities
+// Files are sent in chunks through /api/uploads, each with its CRC-32, so a
+// dropped connection only costs the chunk that was in flight
+const UPLOAD_RETRIES = 5;
+const UPLOAD_RETRY_MS = 1000;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, "0");
+};
+
+// Request against the upload API. Resolves to the response body or throws;
+// network errors are retried with backoff first, failed requests carry the
+// server's status.
+const uploadRequest = async (path, options, signal) => {
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await authFetch(`${SOCKET_URL}${path}`, { ...options, signal });
+    } catch (err) {
+      if (signal.aborted || attempt >= UPLOAD_RETRIES) throw err;
+      await new Promise((resolve) =>
+        setTimeout(resolve, UPLOAD_RETRY_MS * 2 ** attempt)
+      );
+      continue;
+    }
+    const data = await res.json().catch(() => null);
+    if (res.ok) return data;
+    const error = new Error(data?.error || "Upload failed");
+    error.status = res.status;
+    throw error;
+  }
+};
+
+// Outbox utilities
+// Room messages wait in localStorage until the server acknowledges them, so
+// they survive dropped connections and page reloads. Each one carries a
+// client-generated id that lets the server store it once however often it
+// is resent.
+const OUTBOX_KEY = "chat_outbox";
+const ACK_TIMEOUT_MS = 10000;
+
+// crypto.randomUUID only exists in secure contexts (https and localhost)
+const newClientId = () =>
+  crypto.randomUUID?.() ??
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+const readOutbox = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OUTBOX_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const writeOutbox = (entries) => {
+  localStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+};
+
+const updateOutboxEntry = (clientId, changes) => {
+  writeOutbox(
+    readOutbox().map((entry) =>
+      entry.clientId === clientId ? { ...entry, ...changes } : entry
+    )
+  );
+};
+
+const removeOutboxEntry = (clientId) => {
+  writeOutbox(readOutbox().filter((entry) => entry.clientId !== clientId));
+};
+
+// Outbox entries show in the timeline as messages without a server id yet
+const outboxMessage = (entry) => ({
+  clientId: entry.clientId,
+  sender: entry.sender,
+  senderId: entry.userId,
+  roomId: entry.roomId,
+  message: entry.message,
+  timestamp: entry.timestamp,
+  status: entry.status,
+  error: entry.error,
+});
+
+// Outbox entries that were sent and are waiting for an acknowledgment
+const inFlightClientIds = new Set();
+
+const SEARCH_PAGE_SIZE = 20;
+// The server stops counting unread messages here
+const MAX_UNREAD = 100;
+// Comfortably inside the server's expiry for typing indicators
+const TYPING_RENEW_MS = 3000;
+const TYPING_PAUSE_MS = 3000;
+// A connection without keyboard or mouse activity for this long reports
+// itself idle; the user shows as away once all their connections are idle
+const IDLE_AFTER_MS = 5 * 60 * 1000;
+const ACTIVITY_EVENTS = ["mousemove", "mousedown", "keydown", "touchstart"];
+
 // Notification utilities
 const playNotificationSound = () => {
   // Create a simple beep sound using Web Audio API
@@ -43,13 +247,14 @@ const playNotificationSound = () => {
   }
 };
 
-const showBrowserNotification = (title, body, icon = null) => {
+const showBrowserNotification = (
+  title,
+  body,
+  icon = null,
+  tag = "chat-notification" // Prevents duplicate notifications
+) => {
   if ("Notification" in window && Notification.permission === "granted") {
-    const notification = new Notification(title, {
-      body,
-      icon,
-      tag: "chat-notification", // Prevents duplicate notifications
-    });
+    const notification = new Notification(title, { body, icon, tag });
 
     // Auto-close after 5 seconds
     setTimeout(() => {
@@ -75,24 +280,115 @@ const requestNotificationPermission = async () => {
 };
 
 // Custom hook for using socket.io
-export const useSocket = () => {
+export const useSocket = ({ onSessionRefreshed, onSessionExpired } = {}) => {
   const [isConnected, setIsConnected] = useState(socket.connected);
   const [lastMessage, setLastMessage] = useState(null);
   const [messages, setMessages] = useState([]);
   const [users, setUsers] = useState([]);
-  const [onlineUsers, setOnlineUsers] = useState(new Set());
+  // userId -> { status, customStatus } for everyone not offline, with status
+  // "online", "away" or "dnd"
+  const [onlineUsers, setOnlineUsers] = useState(new Map());
+  // Our own chosen { status, customStatus }; status is "online", "dnd" or
+  // "invisible"
+  const [myPresence, setMyPresence] = useState(null);
+  const doNotDisturbRef = useRef(false);
+  const idleRef = useRef(false);
+  // Others typing in the current room: [{ id, username, threadId }]
   const [typingUsers, setTypingUsers] = useState([]);
-  const [readReceipts, setReadReceipts] = useState({});
-  const [myId, setMyId] = useState(socket.id || null);
+  const typingSentRef = useRef(null); // { threadId, at } of the last "typing"
+  const typingPauseRef = useRef(null);
+  const [myId, setMyId] = useState(null); // stable user id, not the socket id
+  // Listeners are registered once, so they read the current id from a ref
+  const myIdRef = useRef(null);
+  const usernameRef = useRef(null);
   const [currentRoom, setCurrentRoom] = useState("general");
-  const [availableRooms, setAvailableRooms] = useState(["general"]);
-  const [unreadCounts, setUnreadCounts] = useState({});
+  const [availableRooms, setAvailableRooms] = useState([]); // room summaries
+  const [roomError, setRoomError] = useState(null); // { room, error }
+  const [joinRequests, setJoinRequests] = useState([]); // for rooms you own
+  // Latest moderation action taken against you: { room, action, reason, until? }
+  const [moderationNotice, setModerationNotice] = useState(null);
+  // Set while the server refuses our calls for going too fast:
+  // { event, until } with until a Date.now() time
+  const [slowDown, setSlowDown] = useState(null);
+  const slowDownTimerRef = useRef(null);
+  // Our pending scheduled messages and reminders, the next one first
+  const [scheduledJobs, setScheduledJobs] = useState([]);
+  // The latest reminder that fell due: { job, message } (message is null if
+  // it is gone), and the latest scheduled message that could not be sent:
+  // { job, error }
+  const [dueReminder, setDueReminder] = useState(null);
+  const [scheduleFailure, setScheduleFailure] = useState(null);
+  const [pins, setPins] = useState([]); // pinned messages of the current room
+  const [bookmarks, setBookmarks] = useState([]); // newest first
+  const currentRoomRef = useRef("general");
+  // Room shown in the timeline and the highest sequence number seen there,
+  // so a reconnect only has to fetch what came after it
+  const lastSeqRef = useRef({ room: null, seq: 0 });
+  // { query, results, total, hasMore, loading, error } while searching
+  const [searchResults, setSearchResults] = useState(null);
+  const searchQueryRef = useRef(null);
+  // Message a search result jumped to, and the context waiting for its room
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const pendingContextRef = useRef(null);
+  // Our read pointers: roomId -> { lastReadSeq, unread, mentions }, kept in
+  // step across tabs and devices by the server
+  const [readState, setReadState] = useState({});
+  const readStateRef = useRef({});
+  // Where the "new messages" divider goes: after seq in room, as read when
+  // the room was opened
+  const [unreadMarker, setUnreadMarker] = useState(null);
+  const readStateLoadedRef = useRef(false);
+  const lastMarkedReadRef = useRef({ room: null, seq: 0 });
   const [notificationSettings, setNotificationSettings] = useState({
     soundEnabled: true,
     browserEnabled: false,
   });
   const [hasMoreMessages, setHasMoreMessages] = useState(false);
+  // Set while the timeline shows an older stretch of history (after jumping
+  // to a message); live messages are not appended until it is caught up
+  const [hasNewerMessages, setHasNewerMessages] = useState(false);
+  const hasNewerRef = useRef(false);
   const [loadingOlderMessages, setLoadingOlderMessages] = useState(false);
+  const [activeThread, setActiveThread] = useState(null); // { parent, replies }
+  const [conversations, setConversations] = useState([]);
+  // { conversationId, otherUser, messages, hasMore }
+  const [activeConversation, setActiveConversation] = useState(null);
+  const activeConversationIdRef = useRef(null);
+  // Files being uploaded: [{ key, filename, size, sentBytes, status, error }]
+  // with status "uploading", "paused" or "failed". Sent files are removed.
+  const [uploads, setUploads] = useState([]);
+  // key -> { file, roomId, uploadId, attachmentId, controller }
+  const uploadTasksRef = useRef({});
+
+  // Listeners are registered once, so hand them the latest session callbacks
+  useEffect(() => {
+    sessionHandlers = { onSessionRefreshed, onSessionExpired };
+  });
+
+  // Tell the server when this connection goes idle, and when it is back
+  useEffect(() => {
+    let idleTimer = null;
+    const setIdle = (idle) => {
+      if (idleRef.current === idle) return;
+      idleRef.current = idle;
+      socket.emit("idle", idle);
+    };
+    const onActivity = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => setIdle(true), IDLE_AFTER_MS);
+      setIdle(false);
+    };
+    onActivity();
+    ACTIVITY_EVENTS.forEach((event) =>
+      window.addEventListener(event, onActivity, { passive: true })
+    );
+    return () => {
+      clearTimeout(idleTimer);
+      ACTIVITY_EVENTS.forEach((event) =>
+        window.removeEventListener(event, onActivity)
+      );
+    };
+  }, []);
 
   // Initialize notifications on mount
   useEffect(() => {
@@ -102,7 +398,7 @@ export const useSocket = () => {
   }, []);
 
   // Connect to socket server
-  const connect = (username, token) => {
+  const connect = (username, token, refreshToken) => {
     console.log(
       `[DEBUG] Connecting socket with username: ${username}, token: ${
         token ? "present" : "missing"
@@ -111,10 +407,12 @@ export const useSocket = () => {
     if (token) {
       socket.auth.token = token;
     }
-    socket.connect();
-    if (username) {
-      socket.emit("user_join", username, currentRoom);
+    if (refreshToken) {
+      currentRefreshToken = refreshToken;
     }
+    // The room is joined from the connect listener, so reconnects rejoin too
+    usernameRef.current = username;
+    socket.connect();
   };
 
   // Disconnect from socket server
@@ -122,25 +420,640 @@ export const useSocket = () => {
     socket.disconnect();
   };
 
-  // Send a message
-  const sendMessage = (message, callback) => {
-    socket.emit("send_message", { message }, callback);
+  // Revoke the session on the server, then drop the connection
+  const logout = async () => {
+    try {
+      await fetch(`${SOCKET_URL}/api/logout`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...authHeaders() },
+        body: JSON.stringify({ refreshToken: currentRefreshToken }),
+      });
+    } catch (err) {
+      console.warn("Could not reach logout endpoint:", err);
+    }
+    socket.auth.token = null;
+    currentRefreshToken = null;
+    socket.disconnect();
+  };
+
+  // Show a new status for an outbox message in the timeline
+  const markOutboxMessage = (clientId, changes) => {
+    setMessages((prev) =>
+      prev.map((msg) =>
+        msg.clientId === clientId && msg.status ? { ...msg, ...changes } : msg
+      )
+    );
+  };
+
+  // Hand an outbox entry to the server. Without an answer it stays pending
+  // if the connection dropped (it is resent on reconnect) and fails otherwise.
+  const deliverOutboxEntry = (entry) => {
+    if (!socket.connected || inFlightClientIds.has(entry.clientId)) return;
+    inFlightClientIds.add(entry.clientId);
+    socket.timeout(ACK_TIMEOUT_MS).emit(
+      "send_message",
+      {
+        message: entry.message,
+        roomId: entry.roomId,
+        clientId: entry.clientId,
+      },
+      (err, ack) => {
+        inFlightClientIds.delete(entry.clientId);
+        if (err || !ack) {
+          if (socket.connected) {
+            const error = "No response from server";
+            updateOutboxEntry(entry.clientId, { status: "failed", error });
+            markOutboxMessage(entry.clientId, { status: "failed", error });
+          }
+          return;
+        }
+        // Going too fast: the message stays queued and goes again once the
+        // server takes messages from us again
+        if (ack.code === "rate_limited") {
+          setTimeout(() => {
+            const queued = readOutbox().find(
+              (e) => e.clientId === entry.clientId && e.status === "pending"
+            );
+            if (queued) deliverOutboxEntry(queued);
+          }, ack.retryAfterMs);
+          return;
+        }
+        if (ack.success) {
+          removeOutboxEntry(entry.clientId);
+          markOutboxMessage(entry.clientId, {
+            id: ack.messageId,
+            status: "sent",
+            error: null,
+          });
+        } else {
+          updateOutboxEntry(entry.clientId, {
+            status: "failed",
+            error: ack.error,
+          });
+          markOutboxMessage(entry.clientId, {
+            status: "failed",
+            error: ack.error,
+          });
+        }
+      }
+    );
+  };
+
+  // Resend everything this user still has pending; failed messages wait for
+  // the user to retry them
+  const flushOutbox = () => {
+    for (const entry of readOutbox()) {
+      if (entry.userId === myIdRef.current && entry.status === "pending") {
+        deliverOutboxEntry(entry);
+      }
+    }
+  };
+
+  const highestSeq = (roomMessages) =>
+    Math.max(0, ...roomMessages.map((msg) => msg.seq || 0));
+
+  // Room history plus this user's outbox messages the server has not stored
+  const showRoomHistory = (room, history) => {
+    lastSeqRef.current = { room, seq: highestSeq(history) };
+    hasNewerRef.current = false;
+    setHasNewerMessages(false);
+    const stored = new Set(
+      history.filter((msg) => msg.clientId).map((msg) => msg.clientId)
+    );
+    const waiting = [];
+    for (const entry of readOutbox()) {
+      if (entry.userId !== myIdRef.current || entry.roomId !== room) continue;
+      if (stored.has(entry.clientId)) {
+        removeOutboxEntry(entry.clientId);
+      } else {
+        waiting.push(outboxMessage(entry));
+      }
+    }
+    setMessages([...history, ...waiting]);
+  };
+
+  // Add stored messages to the timeline. Ones we already show (by id, or by
+  // client id for our own outbox messages) are replaced instead of repeated.
+  const mergeRoomMessages = (incoming) => {
+    for (const message of incoming) {
+      if (message.clientId && message.senderId === myIdRef.current) {
+        removeOutboxEntry(message.clientId);
+      }
+    }
+    setMessages((prev) => {
+      const merged = [...prev];
+      for (const message of incoming) {
+        const index = merged.findIndex(
+          (m) =>
+            (m.id != null && String(m.id) === String(message.id)) ||
+            (message.clientId && m.clientId === message.clientId)
+        );
+        if (index === -1) {
+          merged.push(message);
+        } else {
+          merged[index] = message;
+        }
+      }
+      return merged;
+    });
+  };
+
+  // Fetch the messages the room got after the last sequence number we saw.
+  // Returns false when the room is not the one on screen, or the server could
+  // not be asked, so the caller loads the room from scratch instead.
+  const syncRoomMessages = async (room) => {
+    if (lastSeqRef.current.room !== room) return false;
+    // Live messages may arrive meanwhile, so page from our own position
+    let after = lastSeqRef.current.seq;
+    let hasMore = true;
+    while (hasMore) {
+      const res = await authFetch(
+        `${SOCKET_URL}/api/messages/sync?roomId=${encodeURIComponent(
+          room
+        )}&after=${after}`
+      );
+      if (!res.ok) return false;
+      const data = await res.json();
+      // The user switched rooms while we were waiting
+      if (lastSeqRef.current.room !== room) return true;
+      mergeRoomMessages(data.messages);
+      // Thread replies are not listed but still move the position forward
+      after = data.latestSeq;
+      lastSeqRef.current.seq = Math.max(lastSeqRef.current.seq, after);
+      hasMore = data.hasMore;
+    }
+    return true;
+  };
+
+  // Send a message - it goes through the outbox, so it is kept (and resent
+  // on reconnect) until the server confirms it. Returns the client id.
+  const sendMessage = (message) => {
+    const entry = {
+      clientId: newClientId(),
+      userId: myIdRef.current,
+      sender: usernameRef.current,
+      roomId: currentRoomRef.current,
+      message,
+      timestamp: new Date().toISOString(),
+      status: "pending",
+    };
+    writeOutbox([...readOutbox(), entry]);
+    setMessages((prev) => [...prev, outboxMessage(entry)]);
+    deliverOutboxEntry(entry);
+    return entry.clientId;
+  };
+
+  const retryMessage = (clientId) => {
+    const entry = readOutbox().find((e) => e.clientId === clientId);
+    if (!entry) return;
+    updateOutboxEntry(clientId, { status: "pending", error: null });
+    markOutboxMessage(clientId, { status: "pending", error: null });
+    deliverOutboxEntry(entry);
+  };
+
+  const discardMessage = (clientId) => {
+    removeOutboxEntry(clientId);
+    setMessages((prev) =>
+      prev.filter((msg) => msg.clientId !== clientId || !msg.status)
+    );
+  };
+
+  // Reply inside a thread; replies never show up in the main timeline
+  const sendThreadReply = (parentId, message, callback) => {
+    socket.emit("send_message", { message, parentId }, callback);
+  };
+
+  // Open the thread panel for a message and load its replies
+  const openThread = async (messageId) => {
+    try {
+      const res = await authFetch(
+        `${SOCKET_URL}/api/messages/${messageId}/thread`
+      );
+      if (res.ok) {
+        const { parent, replies } = await res.json();
+        setActiveThread({ parent, replies });
+      }
+    } catch (err) {
+      console.error("Failed to load thread", err);
+    }
+  };
+
+  const closeThread = () => {
+    setActiveThread(null);
+  };
+
+  // Edit one of your own messages
+  const editMessage = (messageId, message, callback) => {
+    socket.emit("edit_message", { messageId, message }, callback);
+  };
+
+  // Delete one of your own messages
+  const deleteMessage = (messageId, callback) => {
+    socket.emit("delete_message", { messageId }, callback);
   };
 
   // Send a private message
-  const sendPrivateMessage = (to, message) => {
-    socket.emit("private_message", { to, message });
+  const sendPrivateMessage = (to, message, callback) => {
+    socket.emit("private_message", { to, message }, callback);
+  };
+
+  const updateReadState = (change) => {
+    readStateRef.current = change(readStateRef.current);
+    setReadState(readStateRef.current);
+  };
+
+  const clearReadState = () => {
+    updateReadState(() => ({}));
+    readStateLoadedRef.current = false;
+    setUnreadMarker(null);
+  };
+
+  // Read pointers and unread counts of every room we have read before
+  const fetchReadState = async () => {
+    const { ok, data } = await apiRequest("/api/read-state");
+    if (!ok) return;
+    updateReadState(() => data);
+    // The room opened before they arrived still needs its divider
+    if (!readStateLoadedRef.current) {
+      readStateLoadedRef.current = true;
+      const room = currentRoomRef.current;
+      setUnreadMarker({ room, seq: data[room]?.lastReadSeq ?? null });
+    }
+  };
+
+  const fetchScheduledJobs = async () => {
+    const { ok, data } = await apiRequest("/api/scheduled");
+    if (ok) setScheduledJobs(data);
+  };
+
+  const fetchPins = async (room) => {
+    const { ok, data } = await apiRequest(
+      `/api/rooms/${encodeURIComponent(room)}/pins`
+    );
+    if (ok && room === currentRoomRef.current) setPins(data);
+  };
+
+  const fetchBookmarks = async () => {
+    const { ok, data } = await apiRequest("/api/bookmarks");
+    if (ok) setBookmarks(data);
+  };
+
+  // The newest message on screen is read while the page is visible. Older
+  // history reached by jumping to a message does not count.
+  useEffect(() => {
+    const markNewestMessageRead = () => {
+      if (document.hidden || hasNewerRef.current) return;
+      if (!readStateLoadedRef.current) return;
+      const room = currentRoomRef.current;
+      const newest = messages.findLast(
+        (m) =>
+          (m.roomId || "general") === room &&
+          m.seq != null &&
+          m.parentId == null
+      );
+      if (!newest) return;
+      const lastRead = Math.max(
+        readStateRef.current[room]?.lastReadSeq ?? 0,
+        lastMarkedReadRef.current.room === room
+          ? lastMarkedReadRef.current.seq
+          : 0
+      );
+      if (newest.seq <= lastRead) return;
+      lastMarkedReadRef.current = { room, seq: newest.seq };
+      socket.emit("message_read", { messageId: newest.id });
+    };
+    markNewestMessageRead();
+    document.addEventListener("visibilitychange", markNewestMessageRead);
+    return () =>
+      document.removeEventListener("visibilitychange", markNewestMessageRead);
+  }, [messages, readState]);
+
+  const fetchConversations = async () => {
+    try {
+      const res = await authFetch(`${SOCKET_URL}/api/dms`);
+      if (res.ok) {
+        setConversations(await res.json());
+      }
+    } catch (err) {
+      console.error("Failed to load conversations", err);
+    }
+  };
+
+  // Open the direct-message panel with another user and mark it as read
+  const openConversation = async (otherUser) => {
+    try {
+      const res = await authFetch(
+        `${SOCKET_URL}/api/dms/${otherUser.id}/messages?limit=50`
+      );
+      if (res.ok) {
+        const data = await res.json();
+        activeConversationIdRef.current = data.conversationId;
+        setActiveConversation({
+          conversationId: data.conversationId,
+          otherUser: data.otherUser,
+          messages: data.messages,
+          hasMore: data.hasMore,
+        });
+        socket.emit("dm_read", { conversationId: data.conversationId });
+      }
+    } catch (err) {
+      console.error("Failed to load conversation", err);
+    }
+  };
+
+  const closeConversation = () => {
+    activeConversationIdRef.current = null;
+    setActiveConversation(null);
+  };
+
+  const loadOlderDirectMessages = async () => {
+    if (!activeConversation?.hasMore) return;
+    const { otherUser, messages: loaded } = activeConversation;
+    try {
+      const res = await authFetch(
+        `${SOCKET_URL}/api/dms/${otherUser.id}/messages?limit=50&before=${loaded[0].id}`
+      );
+      if (res.ok) {
+        const data = await res.json();
+        setActiveConversation((prev) =>
+          prev && prev.conversationId === data.conversationId
+            ? {
+                ...prev,
+                messages: [...data.messages, ...prev.messages],
+                hasMore: data.hasMore,
+              }
+            : prev
+        );
+      }
+    } catch (err) {
+      console.error("Failed to load older direct messages", err);
+    }
+  };
+
+  // Upload functions
+  const updateUpload = (key, changes) =>
+    setUploads((prev) =>
+      prev.map((upload) =>
+        upload.key === key ? { ...upload, ...changes } : upload
+      )
+    );
+
+  const removeUpload = (key) => {
+    delete uploadTasksRef.current[key];
+    setUploads((prev) => prev.filter((upload) => upload.key !== key));
+  };
+
+  // Pick up the task's upload session where the server left it, or start
+  // one. Resolves to the session's status.
+  const openUploadSession = async (task, signal) => {
+    if (task.uploadId) {
+      try {
+        return await uploadRequest(
+          `/api/uploads/${encodeURIComponent(task.uploadId)}`,
+          {},
+          signal
+        );
+      } catch (err) {
+        // Expired; start over
+        if (err.status !== 404) throw err;
+      }
+    }
+    const session = await uploadRequest(
+      "/api/uploads",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          filename: task.file.name,
+          size: task.file.size,
+        }),
+      },
+      signal
+    );
+    task.uploadId = session.uploadId;
+    return session;
+  };
+
+  // Send the chunks the server is missing, complete the upload and post the
+  // file to the room it was started in
+  const runUpload = async (key) => {
+    const task = uploadTasksRef.current[key];
+    if (!task || task.controller) return;
+    const controller = new AbortController();
+    const { signal } = controller;
+    task.controller = controller;
+    updateUpload(key, { status: "uploading", error: null });
+    try {
+      if (!task.attachmentId) {
+        const session = await openUploadSession(task, signal);
+        const { size, chunkSize, totalChunks } = session;
+        const received = new Set(session.receivedChunks);
+        const chunkEnd = (index) => Math.min((index + 1) * chunkSize, size);
+        let sentBytes = [...received].reduce(
+          (total, index) => total + chunkEnd(index) - index * chunkSize,
+          0
+        );
+        updateUpload(key, { sentBytes });
+
+        for (let index = 0; index < totalChunks; index++) {
+          if (received.has(index)) continue;
+          const start = index * chunkSize;
+          const bytes = new Uint8Array(
+            await task.file.slice(start, chunkEnd(index)).arrayBuffer()
+          );
+          await uploadRequest(
+            `/api/uploads/${encodeURIComponent(
+              session.uploadId
+            )}/chunks/${index}`,
+            {
+              method: "PUT",
+              headers: {
+                "Content-Type": "application/octet-stream",
+                "X-Chunk-Checksum": crc32(bytes),
+              },
+              body: bytes,
+            },
+            signal
+          );
+          sentBytes += bytes.length;
+          updateUpload(key, { sentBytes });
+        }
+
+        const attachment = await uploadRequest(
+          `/api/uploads/${encodeURIComponent(session.uploadId)}/complete`,
+          { method: "POST" },
+          signal
+        );
+        task.attachmentId = attachment.id;
+      }
+
+      const ack = await new Promise((resolve) =>
+        socket
+          .timeout(ACK_TIMEOUT_MS)
+          .emit(
+            "send_file",
+            { attachmentId: task.attachmentId, roomId: task.roomId },
+            (err, response) =>
+              resolve(
+                err
+                  ? { success: false, error: "No response from server" }
+                  : response
+              )
+          )
+      );
+      if (signal.aborted) return;
+      if (!ack.success) throw new Error(ack.error);
+      removeUpload(key);
+    } catch (err) {
+      // Paused or cancelled; whoever aborted has updated the list
+      if (signal.aborted) return;
+      task.offline = !err.status;
+      updateUpload(key, { status: "failed", error: err.message });
+    } finally {
+      if (task.controller === controller) task.controller = null;
+    }
+  };
+
+  // Upload a file in chunks, then post it to the current room. Progress
+  // and errors show up in uploads.
+  const sendFile = (file) => {
+    const key = newClientId();
+    uploadTasksRef.current[key] = { file, roomId: currentRoomRef.current };
+    setUploads((prev) => [
+      ...prev,
+      {
+        key,
+        filename: file.name,
+        size: file.size,
+        sentBytes: 0,
+        status: "uploading",
+        error: null,
+      },
+    ]);
+    runUpload(key);
   };
 
-  // Send a file message
-  const sendFile = (fileData) => {
-    socket.emit("send_file", fileData);
+  const pauseUpload = (key) => {
+    const task = uploadTasksRef.current[key];
+    // Once the file is complete only posting it is left
+    if (!task?.controller || task.attachmentId) return;
+    task.controller.abort();
+    task.controller = null;
+    updateUpload(key, { status: "paused" });
   };
 
-  // Switch room
+  const resumeUpload = (key) => runUpload(key);
+
+  const cancelUpload = (key) => {
+    const task = uploadTasksRef.current[key];
+    if (!task) return;
+    task.controller?.abort();
+    if (task.uploadId && !task.attachmentId) {
+      apiRequest(`/api/uploads/${encodeURIComponent(task.uploadId)}`, {
+        method: "DELETE",
+      });
+    }
+    removeUpload(key);
+  };
+
+  // Uploads that ran out of retries while offline carry on once back online
+  useEffect(() => {
+    const onOnline = () => {
+      for (const [key, task] of Object.entries(uploadTasksRef.current)) {
+        if (task.offline && !task.controller) runUpload(key);
+      }
+    };
+    window.addEventListener("online", onOnline);
+    return () => window.removeEventListener("online", onOnline);
+  });
+
+  // Switch room; the server answers with room_joined or room_error
+  // Choose a status and/or custom status:
+  // { status?, customStatus?: { text, emoji, expiresAt } | null }
+  const setPresence = (changes, callback) => {
+    socket.emit("set_presence", changes, callback);
+  };
+
+  // { status, customStatus, lastSeen } of any user
+  const fetchPresence = (userId) =>
+    apiRequest(`/api/users/${encodeURIComponent(userId)}/presence`);
+
   const switchRoom = (newRoom) => {
+    setRoomError(null);
     socket.emit("switch_room", newRoom);
-    setCurrentRoom(newRoom);
+  };
+
+  const clearRoomError = () => setRoomError(null);
+
+  const fetchRooms = async () => {
+    const { ok, data } = await apiRequest("/api/rooms");
+    if (ok) setAvailableRooms(data);
+  };
+
+  // Room management - each resolves to { ok, data } or { ok, error }
+  const createRoom = async ({ name, topic, visibility }) => {
+    const result = await apiRequest("/api/rooms", {
+      method: "POST",
+      body: { name, topic, visibility },
+    });
+    if (result.ok) {
+      await fetchRooms();
+      switchRoom(result.data.name);
+    }
+    return result;
+  };
+
+  const updateRoom = (name, changes) =>
+    apiRequest(`/api/rooms/${encodeURIComponent(name)}`, {
+      method: "PATCH",
+      body: changes,
+    });
+
+  const archiveRoom = (name) =>
+    apiRequest(`/api/rooms/${encodeURIComponent(name)}/archive`, {
+      method: "POST",
+    });
+
+  const fetchRoomMembers = (name) =>
+    apiRequest(`/api/rooms/${encodeURIComponent(name)}/members`);
+
+  const createInvite = (name, expiresInHours) =>
+    apiRequest(`/api/rooms/${encodeURIComponent(name)}/invites`, {
+      method: "POST",
+      body: { expiresInHours },
+    });
+
+  const acceptInvite = async (token) => {
+    const result = await apiRequest(
+      `/api/invites/${encodeURIComponent(token)}/accept`,
+      { method: "POST" }
+    );
+    if (result.ok) {
+      await fetchRooms();
+      switchRoom(result.data.name);
+    }
+    return result;
+  };
+
+  const requestToJoin = (name) =>
+    apiRequest(`/api/rooms/${encodeURIComponent(name)}/join-requests`, {
+      method: "POST",
+    });
+
+  const fetchJoinRequests = (name) =>
+    apiRequest(`/api/rooms/${encodeURIComponent(name)}/join-requests`);
+
+  const respondToJoinRequest = async (name, userId, approve) => {
+    const result = await apiRequest(
+      `/api/rooms/${encodeURIComponent(name)}/join-requests/${userId}`,
+      { method: "POST", body: { approve } }
+    );
+    if (result.ok) {
+      setJoinRequests((prev) =>
+        prev.filter((r) => !(r.room === name && r.userId === userId))
+      );
+    }
+    return result;
   };
 
   // Add reaction
@@ -153,9 +1066,34 @@ export const useSocket = () => {
     socket.emit("remove_reaction", { messageId, reaction });
   };
 
-  // Set typing status
-  const setTyping = (isTyping) => {
-    socket.emit("typing", isTyping);
+  // Set typing status for the room timeline, or for a thread (its parent
+  // id). Call it on every keystroke: while typing goes on it is only re-sent
+  // every TYPING_RENEW_MS, to keep the server's indicator from expiring, and
+  // it stops by itself after a pause.
+  const setTyping = (isTyping, threadId = null) => {
+    clearTimeout(typingPauseRef.current);
+    if (isTyping) {
+      typingPauseRef.current = setTimeout(
+        () => setTyping(false),
+        TYPING_PAUSE_MS
+      );
+    }
+    const last = typingSentRef.current;
+    if (!isTyping) {
+      if (!last) return;
+      typingSentRef.current = null;
+      socket.emit("typing", { isTyping: false });
+      return;
+    }
+    if (
+      last &&
+      last.threadId === threadId &&
+      Date.now() - last.at < TYPING_RENEW_MS
+    ) {
+      return;
+    }
+    typingSentRef.current = { threadId, at: Date.now() };
+    socket.emit("typing", { isTyping: true, threadId });
   };
 
   // Socket event listeners
@@ -163,85 +1101,117 @@ export const useSocket = () => {
     // Connection events
     const onConnect = () => {
       setIsConnected(true);
-      setMyId(socket.id);
-      // fetch initial messages and read receipts
+      // A new connection starts out active
+      if (idleRef.current) socket.emit("idle", true);
+      // (Re)join the room; the server answers with room_joined
+      socket.emit("user_join", usernameRef.current, currentRoomRef.current);
+      fetchScheduledJobs();
+      fetchBookmarks();
+      // fetch our read state and initial messages; after a reconnect only
+      // the messages we missed are fetched
       (async () => {
-        const token = socket.auth.token;
-        const headers = token ? { Authorization: `Bearer ${token}` } : {};
-
-        try {
-          const res = await fetch(
-            `${SOCKET_URL}/api/messages?roomId=${currentRoom}&limit=50&offset=0`,
-            { headers }
-          );
-          if (res.ok) {
-            const data = await res.json();
-            // Messages are already filtered by room on server
-            setMessages(data.messages);
-            setHasMoreMessages(data.hasMore);
-          } else if (res.status === 401 || res.status === 403) {
-            // Token expired or invalid, disconnect and clear auth
-            socket.auth.token = null;
-            socket.disconnect();
-            // Trigger logout by clearing messages/users
-            setMessages([]);
-            setUsers([]);
-            setTypingUsers([]);
-            setReadReceipts({});
-            setIsConnected(false);
-            setMyId(null);
-          }
-        } catch (err) {
-          // ignore
-        }
-
+        await fetchReadState();
         try {
-          const r = await fetch(`${SOCKET_URL}/api/read-receipts`, { headers });
-          if (r.ok) {
-            const receipts = await r.json();
-            setReadReceipts(receipts || {});
+          const room = currentRoomRef.current;
+          if (!(await syncRoomMessages(room))) {
+            const res = await authFetch(
+              `${SOCKET_URL}/api/messages?roomId=${encodeURIComponent(
+                room
+              )}&limit=50`
+            );
+            if (res.ok) {
+              const data = await res.json();
+              // Messages are already filtered by room on server
+              showRoomHistory(room, data.messages);
+              setHasMoreMessages(data.hasMore);
+            } else if (res.status === 401 || res.status === 403) {
+              // Token expired or invalid, disconnect and clear auth
+              socket.auth.token = null;
+              socket.disconnect();
+              // Trigger logout by clearing messages/users
+              setMessages([]);
+              lastSeqRef.current = { room: null, seq: 0 };
+              setUsers([]);
+              setTypingUsers([]);
+              clearReadState();
+              setIsConnected(false);
+              setMyId(null);
+              sessionHandlers.onSessionExpired?.();
+              return;
+            }
           }
         } catch (err) {
           // ignore
         }
 
-        try {
-          const roomRes = await fetch(`${SOCKET_URL}/api/rooms`, { headers });
-          if (roomRes.ok) {
-            const rooms = await roomRes.json();
-            setAvailableRooms(rooms);
-          }
-        } catch (err) {
-          // ignore
-        }
+        await fetchRooms();
+        await fetchConversations();
       })();
     };
 
+    // The server tells each socket which account it belongs to
+    const onSession = ({ userId }) => {
+      myIdRef.current = userId;
+      setMyId(userId);
+    };
+
+    const onPresenceSettings = (settings) => {
+      doNotDisturbRef.current = settings.status === "dnd";
+      setMyPresence({
+        status: settings.status,
+        customStatus: settings.customStatus,
+      });
+    };
+
+    // Expired access token on the handshake: refresh once, then reconnect
+    const onConnectError = async (err) => {
+      if (err.message !== "Authentication error") return;
+      if (await refreshSession()) {
+        socket.connect();
+      } else {
+        sessionHandlers.onSessionExpired?.();
+      }
+    };
+
     const onDisconnect = () => {
       setIsConnected(false);
-      setMyId(null);
       // If disconnected due to auth error, clear auth data
       if (!socket.auth.token) {
         setMessages([]);
+        lastSeqRef.current = { room: null, seq: 0 };
         setUsers([]);
         setTypingUsers([]);
-        setReadReceipts({});
+        clearReadState();
       }
     };
 
+    // Messages naming us or the whole room are announced by onMentioned
+    const mentionsMe = (message) =>
+      Boolean(
+        message.mentions?.room ||
+          message.mentions?.users.some((user) => user.id === myIdRef.current)
+      );
+
     // Message events
     const onReceiveMessage = (message) => {
       setLastMessage(message);
-      setMessages((prev) => [...prev, message]);
-      // Increment unread count for the room if not current room or message not from self
-      if (message.roomId !== currentRoom && message.senderId !== myId) {
-        setUnreadCounts((prev) => ({
-          ...prev,
-          [message.roomId]: (prev[message.roomId] || 0) + 1,
-        }));
-
-        // Play sound notification
-        if (notificationSettings.soundEnabled) {
+      // Our own outbox message comes back stored; it replaces the local copy.
+      // Older history on screen is caught up with loadNewerMessages instead.
+      if (!hasNewerRef.current) mergeRoomMessages([message]);
+      if (message.roomId === lastSeqRef.current.room) {
+        lastSeqRef.current.seq = Math.max(
+          lastSeqRef.current.seq,
+          message.seq || 0
+        );
+      }
+      // Notify about messages from others in other rooms
+      if (
+        message.roomId !== currentRoom &&
+        message.senderId !== myIdRef.current &&
+        !mentionsMe(message)
+      ) {
+        // Play sound notification, unless we are not to be disturbed
+        if (notificationSettings.soundEnabled && !doNotDisturbRef.current) {
           playNotificationSound();
         }
 
@@ -256,18 +1226,53 @@ export const useSocket = () => {
       }
     };
 
+    // Mentions are announced apart from other messages, and even while the
+    // mentioning room is on screen as long as the page is hidden
+    const onMentioned = (message) => {
+      const inOtherRoom = message.roomId !== currentRoomRef.current;
+      if (inOtherRoom && !message.parentId) {
+        updateReadState((prev) => {
+          const room = prev[message.roomId] || { lastReadSeq: null, unread: 0 };
+          return {
+            ...prev,
+            [message.roomId]: { ...room, mentions: (room.mentions || 0) + 1 },
+          };
+        });
+      }
+      if (!inOtherRoom && !document.hidden) return;
+      if (notificationSettings.soundEnabled && !doNotDisturbRef.current) {
+        playNotificationSound();
+      }
+      if (notificationSettings.browserEnabled) {
+        showBrowserNotification(
+          `${message.sender} mentioned you in #${message.roomId}`,
+          message.message,
+          "/vite.svg",
+          `chat-mention-${message.id}`
+        );
+      }
+    };
+
+    // Direct messages live in their conversation, never in the room timeline
     const onPrivateMessage = (message) => {
       setLastMessage(message);
-      setMessages((prev) => [...prev, message]);
-      // Private messages are always considered unread if not from self
-      if (message.senderId !== myId) {
-        setUnreadCounts((prev) => ({
-          ...prev,
-          private: (prev.private || 0) + 1,
-        }));
+      const isOpen = message.conversationId === activeConversationIdRef.current;
+      if (isOpen) {
+        setActiveConversation((prev) =>
+          prev && !prev.messages.some((m) => m.id === message.id)
+            ? { ...prev, messages: [...prev.messages, message] }
+            : prev
+        );
+      }
+      if (message.senderId !== myIdRef.current) {
+        // The open conversation is being read as messages arrive
+        if (isOpen) {
+          socket.emit("dm_read", { conversationId: message.conversationId });
+        }
 
-        // Play sound notification for private messages
-        if (notificationSettings.soundEnabled) {
+        // Play sound notification for private messages, unless we are not
+        // to be disturbed
+        if (notificationSettings.soundEnabled && !doNotDisturbRef.current) {
           playNotificationSound();
         }
 
@@ -282,9 +1287,110 @@ export const useSocket = () => {
       }
     };
 
+    // Conversation summaries (last message, unread count) pushed by the server
+    const onConversationUpdated = (conversation) => {
+      setConversations((prev) =>
+        [conversation, ...prev.filter((c) => c.id !== conversation.id)].sort(
+          (a, b) => new Date(b.updatedAt) - new Date(a.updatedAt)
+        )
+      );
+    };
+
+    // Room changes: refetch the list, and leave a room once it is archived
+    const onRoomUpdated = ({ name, archived }) => {
+      fetchRooms();
+      if (archived && name === currentRoomRef.current) {
+        socket.emit("switch_room", "general");
+      }
+    };
+
+    const onRoomError = ({ room, error }) => {
+      setRoomError({ room, error });
+    };
+
+    const onRateLimited = ({ event, retryAfterMs }) => {
+      clearTimeout(slowDownTimerRef.current);
+      setSlowDown({ event, until: Date.now() + retryAfterMs });
+      slowDownTimerRef.current = setTimeout(
+        () => setSlowDown(null),
+        retryAfterMs
+      );
+    };
+
+    const onScheduledJob = (job) => {
+      setScheduledJobs((prev) =>
+        [...prev.filter((j) => j.id !== job.id), job].sort(
+          (a, b) => new Date(a.runAt) - new Date(b.runAt)
+        )
+      );
+    };
+
+    const onScheduledJobRemoved = ({ job, reason, error }) => {
+      setScheduledJobs((prev) => prev.filter((j) => j.id !== job.id));
+      if (reason === "failed") setScheduleFailure({ job, error });
+    };
+
+    const onReminder = (reminder) => {
+      setDueReminder(reminder);
+      if (notificationSettings.soundEnabled && !doNotDisturbRef.current) {
+        playNotificationSound();
+      }
+      if (notificationSettings.browserEnabled && document.hidden) {
+        showBrowserNotification(
+          "Reminder",
+          reminder.message
+            ? `${reminder.message.sender}: ${reminder.message.message}`
+            : reminder.job.note || "The message is no longer available",
+          "/vite.svg"
+        );
+      }
+    };
+
+    const onPinsUpdated = ({ room, pins }) => {
+      if (room === currentRoomRef.current) setPins(pins);
+    };
+
+    // Bookmarks are kept in step across all of our connections
+    const onBookmarkSaved = (bookmark) => {
+      setBookmarks((prev) =>
+        [
+          ...prev.filter((b) => b.messageId !== bookmark.messageId),
+          bookmark,
+        ].sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      );
+    };
+
+    const onBookmarkRemoved = ({ messageId }) => {
+      setBookmarks((prev) => prev.filter((b) => b.messageId !== messageId));
+    };
+
+    // Role changes show up in the room list, so refetch it as well
+    const onModerationNotice = (notice) => {
+      setModerationNotice(notice);
+      fetchRooms();
+    };
+
+    const onJoinRequest = (request) => {
+      setJoinRequests((prev) => [...prev, request]);
+      if (notificationSettings.browserEnabled && document.hidden) {
+        showBrowserNotification(
+          "Join request",
+          `${request.username} wants to join #${request.room}`,
+          "/vite.svg"
+        );
+      }
+    };
+
     // User events
     const onUserList = (userList) => {
       setUsers(userList);
+      setOnlineUsers((prev) => {
+        const next = new Map(prev);
+        for (const { id, status, customStatus } of userList) {
+          next.set(id, { status, customStatus });
+        }
+        return next;
+      });
     };
 
     const onUserJoined = (user) => {
@@ -333,25 +1439,46 @@ export const useSocket = () => {
       }
     };
     const onRoomJoined = (room) => {
+      // The server knows who and where we are now, so queued messages can go
+      flushOutbox();
+      currentRoomRef.current = room;
       setCurrentRoom(room);
+      setRoomError(null);
+      if (room !== lastSeqRef.current.room) setPins([]);
+      fetchPins(room);
+      // Rejoining the room on screen after a reconnect: onConnect fetches
+      // only the messages we missed
+      if (room === lastSeqRef.current.room) return;
       // Clear messages when switching rooms
       setMessages([]);
       setHasMoreMessages(false);
-      // Reset unread count for this room
-      setUnreadCounts((prev) => ({ ...prev, [room]: 0 }));
+      hasNewerRef.current = false;
+      setHasNewerMessages(false);
+      setActiveThread(null);
+      setHighlightedMessageId(null);
+      // Messages after what was read before coming here are new
+      setUnreadMarker({
+        room,
+        seq: readStateRef.current[room]?.lastReadSeq ?? null,
+      });
+      // Arrived here by jumping to a search result
+      const context = pendingContextRef.current;
+      pendingContextRef.current = null;
+      if (context?.room === room) {
+        showMessageContext(context);
+        return;
+      }
       // Fetch messages for the new room
       (async () => {
-        const token = socket.auth.token;
-        const headers = token ? { Authorization: `Bearer ${token}` } : {};
-
         try {
-          const res = await fetch(
-            `${SOCKET_URL}/api/messages?roomId=${room}&limit=50&offset=0`,
-            { headers }
+          const res = await authFetch(
+            `${SOCKET_URL}/api/messages?roomId=${encodeURIComponent(
+              room
+            )}&limit=50`
           );
           if (res.ok) {
             const data = await res.json();
-            setMessages(data.messages);
+            showRoomHistory(room, data.messages);
             setHasMoreMessages(data.hasMore);
           }
         } catch (err) {
@@ -394,22 +1521,82 @@ export const useSocket = () => {
       );
     };
 
+    // Edits, deletions and thread summaries replace the stored message in place
+    // Apply change to a message wherever it is shown
+    const patchMessage = (messageId, change) => {
+      const replace = (msg) =>
+        String(msg.id) === String(messageId) ? change(msg) : msg;
+      setMessages((prev) => prev.map(replace));
+      setActiveConversation((prev) =>
+        prev ? { ...prev, messages: prev.messages.map(replace) } : prev
+      );
+      setActiveThread((prev) =>
+        prev
+          ? {
+              parent: replace(prev.parent),
+              replies: prev.replies.map(replace),
+            }
+          : prev
+      );
+      // Pins and bookmarks carry a copy of their message
+      const replaceIn = (entry) => ({
+        ...entry,
+        message: replace(entry.message),
+      });
+      setPins((prev) => prev.map(replaceIn));
+      setBookmarks((prev) => prev.map(replaceIn));
+    };
+
+    const onMessageUpdated = (updated) =>
+      patchMessage(updated.id, () => updated);
+
+    const onPollUpdated = ({ messageId, poll, pollResults }) =>
+      patchMessage(messageId, (msg) => ({ ...msg, poll, pollResults }));
+
+    // Previews arrive after the message, once its links have been fetched
+    const onLinkPreviews = ({ messageId, previews }) =>
+      patchMessage(messageId, (msg) => ({ ...msg, previews }));
+
+    const onThreadReply = (reply) => {
+      setActiveThread((prev) =>
+        prev && String(prev.parent.id) === String(reply.parentId)
+          ? { ...prev, replies: [...prev.replies, reply] }
+          : prev
+      );
+    };
+
     // Typing events
-    const onTypingUsers = (users) => {
-      setTypingUsers(users);
+    const onTypingUsers = ({ room, users }) => {
+      if (room !== currentRoomRef.current) return;
+      setTypingUsers(users.filter((user) => user.id !== myIdRef.current));
     };
 
-    const onReadReceipt = ({ messageId, receipts }) => {
-      setReadReceipts((prev) => ({ ...prev, [messageId]: receipts }));
+    // Our read pointer moved, here or in another tab or device
+    const onReadState = ({ roomId, ...state }) => {
+      updateReadState((prev) => ({ ...prev, [roomId]: state }));
     };
 
-    const onUserStatus = ({ userId, status }) => {
+    // A new message in a room we are not in; only rooms we have read before
+    // have unread counts
+    const onRoomActivity = ({ roomId, seq, senderId }) => {
+      if (senderId === myIdRef.current) return;
+      updateReadState((prev) => {
+        const room = prev[roomId];
+        if (room?.lastReadSeq == null || seq <= room.lastReadSeq) return prev;
+        return {
+          ...prev,
+          [roomId]: { ...room, unread: Math.min(room.unread + 1, MAX_UNREAD) },
+        };
+      });
+    };
+
+    const onUserStatus = ({ userId, status, customStatus }) => {
       setOnlineUsers((prev) => {
-        const newOnlineUsers = new Set(prev);
-        if (status === "online") {
-          newOnlineUsers.add(userId);
-        } else {
+        const newOnlineUsers = new Map(prev);
+        if (status === "offline") {
           newOnlineUsers.delete(userId);
+        } else {
+          newOnlineUsers.set(userId, { status, customStatus });
         }
         return newOnlineUsers;
       });
@@ -417,55 +1604,204 @@ export const useSocket = () => {
 
     // Register event listeners
     socket.on("connect", onConnect);
+    socket.on("connect_error", onConnectError);
+    socket.on("session", onSession);
+    socket.on("presence_settings", onPresenceSettings);
     socket.on("disconnect", onDisconnect);
     socket.on("user_status", onUserStatus);
     socket.on("receive_message", onReceiveMessage);
+    socket.on("mentioned", onMentioned);
     socket.on("private_message", onPrivateMessage);
+    socket.on("dm_conversation_updated", onConversationUpdated);
     socket.on("user_list", onUserList);
     socket.on("user_joined", onUserJoined);
     socket.on("user_left", onUserLeft);
     socket.on("typing_users", onTypingUsers);
-    socket.on("read_receipt", onReadReceipt);
+    socket.on("read_state", onReadState);
+    socket.on("room_activity", onRoomActivity);
     socket.on("room_joined", onRoomJoined);
+    socket.on("room_updated", onRoomUpdated);
+    socket.on("room_error", onRoomError);
+    socket.on("join_request", onJoinRequest);
+    socket.on("moderation_notice", onModerationNotice);
+    socket.on("rate_limited", onRateLimited);
+    socket.on("scheduled_job", onScheduledJob);
+    socket.on("scheduled_job_removed", onScheduledJobRemoved);
+    socket.on("reminder", onReminder);
+    socket.on("pins_updated", onPinsUpdated);
+    socket.on("bookmark_saved", onBookmarkSaved);
+    socket.on("bookmark_removed", onBookmarkRemoved);
     socket.on("reaction_added", onReactionAdded);
     socket.on("reaction_removed", onReactionRemoved);
+    socket.on("message_edited", onMessageUpdated);
+    socket.on("link_previews", onLinkPreviews);
+    socket.on("poll_updated", onPollUpdated);
+    socket.on("message_deleted", onMessageUpdated);
+    socket.on("thread_reply", onThreadReply);
+    socket.on("thread_updated", onMessageUpdated);
 
     // Clean up event listeners
     return () => {
       socket.off("connect", onConnect);
+      socket.off("connect_error", onConnectError);
+      socket.off("session", onSession);
       socket.off("disconnect", onDisconnect);
       socket.off("user_status", onUserStatus);
+      socket.off("presence_settings", onPresenceSettings);
       socket.off("receive_message", onReceiveMessage);
+      socket.off("mentioned", onMentioned);
       socket.off("private_message", onPrivateMessage);
+      socket.off("dm_conversation_updated", onConversationUpdated);
       socket.off("user_list", onUserList);
       socket.off("user_joined", onUserJoined);
       socket.off("user_left", onUserLeft);
       socket.off("typing_users", onTypingUsers);
-      socket.off("read_receipt", onReadReceipt);
+      socket.off("read_state", onReadState);
+      socket.off("room_activity", onRoomActivity);
       socket.off("room_joined", onRoomJoined);
+      socket.off("room_updated", onRoomUpdated);
+      socket.off("room_error", onRoomError);
+      socket.off("join_request", onJoinRequest);
+      socket.off("moderation_notice", onModerationNotice);
+      socket.off("rate_limited", onRateLimited);
+      socket.off("scheduled_job", onScheduledJob);
+      socket.off("scheduled_job_removed", onScheduledJobRemoved);
+      socket.off("reminder", onReminder);
+      socket.off("pins_updated", onPinsUpdated);
+      socket.off("bookmark_saved", onBookmarkSaved);
+      socket.off("bookmark_removed", onBookmarkRemoved);
       socket.off("reaction_added", onReactionAdded);
       socket.off("reaction_removed", onReactionRemoved);
+      socket.off("message_edited", onMessageUpdated);
+      socket.off("link_previews", onLinkPreviews);
+      socket.off("poll_updated", onPollUpdated);
+      socket.off("message_deleted", onMessageUpdated);
+      socket.off("thread_reply", onThreadReply);
+      socket.off("thread_updated", onMessageUpdated);
     };
   }, []);
 
-  const sendReadReceipt = (messageId) => {
-    socket.emit("message_read", { messageId });
+  // Moderation - each resolves to { ok, data } or { ok, error }
+  const roomPath = (name) => `/api/rooms/${encodeURIComponent(name)}`;
+
+  const setMemberRole = (name, userId, role) =>
+    apiRequest(`${roomPath(name)}/members/${userId}/role`, {
+      method: "PUT",
+      body: { role },
+    });
+
+  const muteUser = (name, userId, durationMinutes, reason) =>
+    apiRequest(`${roomPath(name)}/mutes`, {
+      method: "POST",
+      body: { userId, durationMinutes, reason },
+    });
+
+  const unmuteUser = (name, userId) =>
+    apiRequest(`${roomPath(name)}/mutes/${userId}`, { method: "DELETE" });
+
+  const kickUser = (name, userId, reason) =>
+    apiRequest(`${roomPath(name)}/kicks`, {
+      method: "POST",
+      body: { userId, reason },
+    });
+
+  const banUser = (name, userId, reason) =>
+    apiRequest(`${roomPath(name)}/bans`, {
+      method: "POST",
+      body: { userId, reason },
+    });
+
+  const unbanUser = (name, userId) =>
+    apiRequest(`${roomPath(name)}/bans/${userId}`, { method: "DELETE" });
+
+  const fetchBans = (name) => apiRequest(`${roomPath(name)}/bans`);
+
+  const fetchModerationLog = (name) =>
+    apiRequest(`${roomPath(name)}/moderation-log`);
+
+  const clearModerationNotice = () => setModerationNotice(null);
+
+  // Pins of the current room, for its moderators; pins_updated follows
+  const pinMessage = (messageId) =>
+    apiRequest(`${roomPath(currentRoomRef.current)}/pins`, {
+      method: "POST",
+      body: { messageId },
+    });
+
+  const unpinMessage = (messageId) =>
+    apiRequest(`${roomPath(currentRoomRef.current)}/pins/${messageId}`, {
+      method: "DELETE",
+    });
+
+  // Polls in the current room. Callbacks get { success } or
+  // { success: false, error }; results follow from poll_updated events.
+  const createPoll = (fields, callback) => {
+    socket.emit(
+      "create_poll",
+      { ...fields, roomId: currentRoomRef.current },
+      callback
+    );
+  };
+
+  const votePoll = (messageId, optionIds, callback) => {
+    socket.emit("vote_poll", { messageId, optionIds }, callback);
+  };
+
+  const closePoll = (messageId, callback) => {
+    socket.emit("close_poll", { messageId }, callback);
+  };
+
+  // Our own vote, which anonymous polls do not show: { ok, data: { optionIds } }
+  const fetchBallot = (messageId) =>
+    apiRequest(`/api/messages/${encodeURIComponent(messageId)}/ballot`);
+
+  // Bookmarks - saving again replaces the note. Each resolves to { ok, data }
+  // or { ok, error }; the list follows from bookmark events.
+  const saveBookmark = (messageId, note = "") =>
+    apiRequest(`/api/bookmarks/${messageId}`, {
+      method: "PUT",
+      body: { note },
+    });
+
+  const removeBookmark = (messageId) =>
+    apiRequest(`/api/bookmarks/${messageId}`, { method: "DELETE" });
+
+  // Scheduled messages and reminders. Callbacks get { success, job } or
+  // { success: false, error }; the list follows from scheduled_job events.
+  const scheduleMessage = (fields, callback) => {
+    socket.emit("schedule_message", fields, callback);
+  };
+
+  const setReminder = (messageId, runAt, note, callback) => {
+    socket.emit(
+      "set_reminder",
+      { messageId, runAt, ...(note && { note }) },
+      callback
+    );
+  };
+
+  const editScheduledJob = (jobId, changes, callback) => {
+    socket.emit("edit_scheduled", { jobId, ...changes }, callback);
+  };
+
+  const cancelScheduledJob = (jobId, callback) => {
+    socket.emit("cancel_scheduled", { jobId }, callback);
   };
 
-  // Load older messages
-  const loadOlderMessages = async (searchTerm = "") => {
+  const clearDueReminder = () => setDueReminder(null);
+  const clearScheduleFailure = () => setScheduleFailure(null);
+
+  // Load the page of history before the oldest message on screen
+  const loadOlderMessages = async () => {
     if (!hasMoreMessages || loadingOlderMessages) return;
+    const oldest = messages.find((msg) => msg.seq != null);
+    if (!oldest) return;
     setLoadingOlderMessages(true);
-    const token = socket.auth.token;
-    const headers = token ? { Authorization: `Bearer ${token}` } : {};
     try {
-      const offset = messages.length;
-      const searchParam = searchTerm
-        ? `&search=${encodeURIComponent(searchTerm)}`
-        : "";
-      const res = await fetch(
-        `${SOCKET_URL}/api/messages?roomId=${currentRoom}&limit=50&offset=${offset}${searchParam}`,
-        { headers }
+      const res = await authFetch(
+        `${SOCKET_URL}/api/messages?roomId=${encodeURIComponent(
+          currentRoom
+        )}&limit=50&before=${oldest.seq}`
       );
       if (res.ok) {
         const data = await res.json();
@@ -479,31 +1815,129 @@ export const useSocket = () => {
     }
   };
 
-  // Search messages
-  const searchMessages = async (searchTerm) => {
-    const token = socket.auth.token;
-    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  // Load the page of history after the newest message on screen; once the
+  // timeline reaches the present, live messages are appended again
+  const loadNewerMessages = async () => {
+    if (!hasNewerMessages || loadingOlderMessages) return;
+    const newest = highestSeq(messages);
+    setLoadingOlderMessages(true);
     try {
-      const res = await fetch(
-        `${SOCKET_URL}/api/messages?roomId=${currentRoom}&limit=100&offset=0&search=${encodeURIComponent(
-          searchTerm
-        )}`,
-        { headers }
+      const res = await authFetch(
+        `${SOCKET_URL}/api/messages?roomId=${encodeURIComponent(
+          currentRoom
+        )}&limit=50&after=${newest}`
       );
       if (res.ok) {
         const data = await res.json();
-        setMessages(data.messages);
-        setHasMoreMessages(data.hasMore);
+        mergeRoomMessages(data.messages);
+        if (!data.hasNewer) {
+          lastSeqRef.current = {
+            room: currentRoom,
+            seq: Math.max(newest, highestSeq(data.messages)),
+          };
+          hasNewerRef.current = false;
+        }
+        setHasNewerMessages(data.hasNewer);
       }
     } catch (err) {
-      console.error("Failed to search messages", err);
+      console.error("Failed to load newer messages", err);
+    } finally {
+      setLoadingOlderMessages(false);
+    }
+  };
+
+  // Search every room we can see; results are shown in the search panel
+  const searchMessages = async (query) => {
+    searchQueryRef.current = query;
+    if (!query.trim()) {
+      setSearchResults(null);
+      return;
+    }
+    setSearchResults({
+      query,
+      results: [],
+      total: 0,
+      hasMore: false,
+      loading: true,
+      error: null,
+    });
+    const { ok, data, error } = await apiRequest(
+      `/api/search?q=${encodeURIComponent(query)}&limit=${SEARCH_PAGE_SIZE}`
+    );
+    // A newer search started while this one was running
+    if (searchQueryRef.current !== query) return;
+    setSearchResults({
+      query,
+      results: ok ? data.results : [],
+      total: ok ? data.total : 0,
+      hasMore: ok && data.hasMore,
+      loading: false,
+      error: ok ? null : error,
+    });
+  };
+
+  const loadMoreSearchResults = async () => {
+    if (!searchResults?.hasMore || searchResults.loading) return;
+    const { query, results } = searchResults;
+    setSearchResults((prev) => ({ ...prev, loading: true }));
+    const { ok, data, error } = await apiRequest(
+      `/api/search?q=${encodeURIComponent(
+        query
+      )}&limit=${SEARCH_PAGE_SIZE}&offset=${results.length}`
+    );
+    if (searchQueryRef.current !== query) return;
+    setSearchResults((prev) => ({
+      ...prev,
+      results: ok ? [...prev.results, ...data.results] : prev.results,
+      hasMore: ok ? data.hasMore : prev.hasMore,
+      loading: false,
+      error: ok ? null : error,
+    }));
+  };
+
+  const clearSearch = () => {
+    searchQueryRef.current = null;
+    setSearchResults(null);
+  };
+
+  // Show the messages around a search result, opening its thread if it is
+  // a reply
+  const showMessageContext = (context) => {
+    // A slice of older history is not a timeline to sync into; it is
+    // reloaded on reconnect
+    lastSeqRef.current = context.hasNewer
+      ? { room: null, seq: 0 }
+      : { room: context.room, seq: highestSeq(context.messages) };
+    hasNewerRef.current = context.hasNewer;
+    setMessages(context.messages);
+    setHasMoreMessages(context.hasMore);
+    setHasNewerMessages(context.hasNewer);
+    setHighlightedMessageId(context.threadId ?? context.messageId);
+    if (context.threadId != null) openThread(context.threadId);
+  };
+
+  // Jump to a message, switching rooms first if it lives in another one
+  const openMessageContext = async (messageId) => {
+    const result = await apiRequest(
+      `/api/messages/${encodeURIComponent(messageId)}/context`
+    );
+    if (!result.ok) return result;
+    if (result.data.room === currentRoomRef.current) {
+      showMessageContext(result.data);
+    } else {
+      pendingContextRef.current = result.data;
+      switchRoom(result.data.room);
     }
+    return result;
   };
 
   return {
     socket,
     isConnected,
     onlineUsers,
+    myPresence,
+    setPresence,
+    fetchPresence,
     lastMessage,
     messages,
     users,
@@ -511,22 +1945,88 @@ export const useSocket = () => {
     myId,
     currentRoom,
     availableRooms,
-    unreadCounts,
+    roomError,
+    clearRoomError,
+    joinRequests,
+    createRoom,
+    updateRoom,
+    archiveRoom,
+    fetchRoomMembers,
+    createInvite,
+    acceptInvite,
+    requestToJoin,
+    fetchJoinRequests,
+    respondToJoinRequest,
+    moderationNotice,
+    slowDown,
+    clearModerationNotice,
+    scheduledJobs,
+    scheduleMessage,
+    setReminder,
+    editScheduledJob,
+    cancelScheduledJob,
+    dueReminder,
+    clearDueReminder,
+    scheduleFailure,
+    clearScheduleFailure,
+    pins,
+    pinMessage,
+    unpinMessage,
+    bookmarks,
+    saveBookmark,
+    removeBookmark,
+    createPoll,
+    votePoll,
+    closePoll,
+    fetchBallot,
+    setMemberRole,
+    muteUser,
+    unmuteUser,
+    kickUser,
+    banUser,
+    unbanUser,
+    fetchBans,
+    fetchModerationLog,
+    readState,
+    unreadMarker,
     notificationSettings,
     setNotificationSettings,
     connect,
     disconnect,
+    logout,
     sendMessage,
+    retryMessage,
+    discardMessage,
+    editMessage,
+    deleteMessage,
+    activeThread,
+    openThread,
+    closeThread,
+    sendThreadReply,
     sendPrivateMessage,
+    conversations,
+    activeConversation,
+    openConversation,
+    closeConversation,
+    loadOlderDirectMessages,
     sendFile,
+    uploads,
+    pauseUpload,
+    resumeUpload,
+    cancelUpload,
     switchRoom,
     addReaction,
     removeReaction,
     setTyping,
-    readReceipts,
-    sendReadReceipt,
     loadOlderMessages,
+    loadNewerMessages,
+    hasNewerMessages,
     searchMessages,
+    searchResults,
+    loadMoreSearchResults,
+    clearSearch,
+    openMessageContext,
+    highlightedMessageId,
     hasMoreMessages,
     loadingOlderMessages,
   };
@@ -1,12 +1,12 @@
 // server.js - Main server file for Socket.io chat application
 
+const crypto = require("crypto");
 const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
 const cors = require("cors");
 const dotenv = require("dotenv");
 const path = require("path");
-const jwt = require("jsonwebtoken");
 const multer = require("multer");
 
 // Load environment variables
@@ -16,6 +16,8 @@ dotenv.config();
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
+  // No socket event carries more than a message's text and a few ids
+  maxHttpBufferSize: 64 * 1024,
   cors: {
     origin: process.env.CLIENT_URL || "http://localhost:5173",
     methods: ["GET", "POST"],
@@ -30,63 +32,849 @@ const chatNamespace = io.of("/chat");
 app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 
-// Configure multer for file uploads
-const storageConfig = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, "uploads"));
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  },
-});
+// Connected users are tracked on their sockets (socket.data.user and
+// socket.data.typing) so every instance can see them through the socket
+// adapter; see utils/scaling.js
+
+const storage = require("./utils/storage");
+const auth = require("./utils/auth");
+const directMessages = require("./utils/directMessages");
+const chatRooms = require("./utils/rooms");
+const moderation = require("./utils/moderation");
+const scaling = require("./utils/scaling");
+const clientMessageIds = require("./utils/clientMessageIds");
+const search = require("./utils/search");
+const attachments = require("./utils/attachments");
+const chunkedUploads = require("./utils/chunkedUploads");
+const messageText = require("./utils/messageText");
+const unfurl = require("./utils/unfurl");
+const presence = require("./utils/presence");
+const readState = require("./utils/readState");
+const rateLimits = require("./utils/rateLimits");
+const schemas = require("./utils/schemas");
+const scheduler = require("./utils/scheduler");
+const bookmarks = require("./utils/bookmarks");
+const polls = require("./utils/polls");
 
+// Configure multer for file uploads. Files land in a temporary directory;
+// utils/attachments.js checks their content before keeping them.
 const upload = multer({
-  storage: storageConfig,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|pdf|txt|doc|docx/;
-    const extname = allowedTypes.test(
-      path.extname(file.originalname).toLowerCase()
+  storage: multer.diskStorage({ destination: attachments.TEMP_DIR }),
+  limits: { fileSize: attachments.MAX_FILE_SIZE, files: 1 },
+});
+
+// List the rooms on startup
+(async () => {
+  try {
+    const availableRooms = await chatRooms.listRooms();
+    console.log(
+      `Available rooms: ${availableRooms.map((room) => room.name).join(", ")}`
     );
-    const mimetype = allowedTypes.test(file.mimetype);
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error("Invalid file type"));
+  } catch (err) {
+    console.error("Failed to load persisted data", err);
+  }
+})();
+
+// Message ids are random, so instances sharing storage never hand out the
+// same one. Ordering within a room comes from the seq the storage backend
+// assigns; messages stored before this kept their numeric ids.
+const newMessageId = () => crypto.randomUUID();
+
+// Each user's sockets also join a personal room so they can be reached by id
+const userRoom = (userId) => `user:${userId}`;
+
+// Sockets in a room on every instance
+const socketsIn = (room) => chatNamespace.in(room).fetchSockets();
+
+// Sockets of a user held by this instance
+const localSocketsOf = (userId) =>
+  [...(chatNamespace.adapter.rooms.get(userRoom(userId)) || [])]
+    .map((socketId) => chatNamespace.sockets.get(socketId))
+    .filter(Boolean);
+
+// How a user appears to others, worked out from all of their connections:
+// { userId, status, customStatus, lastSeen }
+const presenceOf = async (userId, connections = null) => {
+  const sockets = connections || (await socketsIn(userRoom(userId)));
+  const data = sockets.map((socket) => socket.data);
+  // Every connection carries the user's current settings
+  const settings = data[0]?.presence || (await presence.getSettings(userId));
+  return { userId, ...presence.aggregate(settings, data) };
+};
+
+const isInvisible = (data) => data.presence?.status === "invisible";
+
+// Longest delay setTimeout supports
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Users present in a room, listed once however many sockets they have there,
+// with their presence. Invisible users are left out.
+const roomUserList = async (room) => {
+  const byId = {};
+  for (const { data } of await socketsIn(room)) {
+    if (data.user && !isInvisible(data)) byId[data.user.id] = data.user;
+  }
+  return Promise.all(
+    Object.values(byId).map(async (user) => {
+      const { status, customStatus } = await presenceOf(user.id);
+      return { ...user, status, customStatus };
+    })
+  );
+};
+
+const isUserInRoom = async (room, userId) =>
+  (await socketsIn(room)).some(({ data }) => data.user?.id === userId);
+
+// A user stays online while any instance holds one of their sockets
+const isUserOnline = async (userId) =>
+  (await socketsIn(userRoom(userId))).length > 0;
+
+// Announcements are best effort: an unreachable instance only delays the next one
+const emitUserList = async (room) => {
+  try {
+    chatNamespace.to(room).emit("user_list", await roomUserList(room));
+  } catch (err) {
+    console.error(`Failed to list users in ${room}`, err);
+  }
+};
+
+// Send a user's presence to the rooms they are in, any rooms they just left,
+// and their own connections
+const announcePresence = async (userId, leftRooms = []) => {
+  try {
+    const sockets = await socketsIn(userRoom(userId));
+    const rooms = new Set(leftRooms);
+    for (const { data } of sockets) if (data.user) rooms.add(data.user.room);
+    chatNamespace
+      .to([...rooms, userRoom(userId)])
+      .emit("user_status", await presenceOf(userId, sockets));
+  } catch (err) {
+    console.error(`Failed to announce presence of ${userId}`, err);
+  }
+};
+
+// Clients are told when a custom status runs out. Each user has at most
+// one timer here, replaced whenever their status changes; one that fires
+// after another instance set a new status stays quiet.
+const statusExpiryTimers = new Map();
+const scheduleStatusExpiry = (userId, customStatus) => {
+  clearTimeout(statusExpiryTimers.get(userId));
+  statusExpiryTimers.delete(userId);
+  const expiresIn = customStatus?.expiresAt
+    ? new Date(customStatus.expiresAt) - Date.now()
+    : null;
+  if (expiresIn === null || expiresIn >= MAX_TIMER_MS) return;
+  const timer = setTimeout(async () => {
+    statusExpiryTimers.delete(userId);
+    try {
+      const current = (await presence.getSettings(userId)).customStatus;
+      if (current && current.expiresAt !== customStatus.expiresAt) return;
+      await announcePresence(userId);
+    } catch (err) {
+      console.error(`Failed to announce status expiry of ${userId}`, err);
     }
-  },
+  }, expiresIn);
+  statusExpiryTimers.set(userId, timer);
+};
+
+// Who is typing in a room, and where: threadId is null for the room
+// timeline, or the thread's top-level message id. Sent to the whole room,
+// or just to a socket that entered it.
+const emitTypingUsers = async (room, socket = null) => {
+  try {
+    const typing = new Map();
+    for (const { data } of await socketsIn(room)) {
+      if (!data.typing || !data.user) continue;
+      const { threadId } = data.typing;
+      typing.set(`${data.user.id}:${threadId}`, {
+        id: data.user.id,
+        username: data.user.username,
+        threadId,
+      });
+    }
+    (socket || chatNamespace.to(room)).emit("typing_users", {
+      room,
+      users: [...typing.values()],
+    });
+  } catch (err) {
+    console.error(`Failed to list typing users in ${room}`, err);
+  }
+};
+
+// Typing indicators run out unless the client renews them, so one that
+// never sends typing: false (closed tab, lost connection) stops eventually
+const TYPING_TTL_MS = 6000;
+// Typing events closer together than this are dropped
+const TYPING_THROTTLE_MS = 1000;
+
+// Clear a socket's typing state and tell its room, if it was typing
+const stopTyping = async (socket) => {
+  clearTimeout(socket.typingTimer);
+  socket.typingTimer = null;
+  if (!socket.data.typing) return;
+  socket.data.typing = null;
+  await emitTypingUsers(socket.data.user.room);
+};
+
+const renewTyping = (socket) => {
+  clearTimeout(socket.typingTimer);
+  socket.typingTimer = setTimeout(() => stopTyping(socket), TYPING_TTL_MS);
+};
+
+// Room messages go to the room; direct messages to both participants
+const toMessageAudience = (message) =>
+  message.conversationId
+    ? chatNamespace
+        .to(userRoom(message.senderId))
+        .to(userRoom(message.recipientId))
+    : chatNamespace.to(message.roomId || "general");
+
+// The message with this id if the user may react to it, or null
+const loadReactable = async (messageId, userId) => {
+  const message = await storage.getMessage(String(messageId));
+  if (!message || message.deleted || !(await canSeeMessage(message, userId))) {
+    return null;
+  }
+  return message;
+};
+
+// Users a message mentions: those named, plus every member for @room
+const mentionRecipients = async (message) => {
+  const ids = new Set();
+  const { mentions } = message;
+  if (!mentions) return ids;
+  for (const user of mentions.users) ids.add(user.id);
+  if (mentions.room) {
+    const room = await chatRooms.getRoom(message.roomId || "general");
+    for (const member of room?.members || []) {
+      if (chatRooms.canView(room, member.id)) ids.add(member.id);
+    }
+  }
+  ids.delete(message.senderId);
+  return ids;
+};
+
+// Mentioned users are told on all their sockets, whichever room they are
+// in. Pass the previous version of an edited message to skip anyone it
+// already mentioned.
+const notifyMentions = async (message, previous = null) => {
+  try {
+    const ids = await mentionRecipients(message);
+    if (previous) {
+      for (const id of await mentionRecipients(previous)) ids.delete(id);
+    }
+    if (ids.size > 0) {
+      chatNamespace.to([...ids].map(userRoom)).emit("mentioned", message);
+    }
+  } catch (err) {
+    console.error("Failed to notify mentioned users", err);
+  }
+};
+
+// Link previews are fetched once the message is out, then stored on it and
+// announced with link_previews. Edits unfurl again; a message edited or
+// deleted while its links load keeps what the newer version gets.
+const attachLinkPreviews = async (message) => {
+  try {
+    const previews = await unfurl.previewsFor(
+      messageText.findLinks(message.message)
+    );
+    const current = await storage.getMessage(String(message.id));
+    if (!current || current.deleted || current.message !== message.message) {
+      return;
+    }
+    if (previews.length === 0 && !current.previews) return;
+    const updated = await storage.updateMessage(String(message.id), {
+      previews: previews.length > 0 ? previews : null,
+    });
+    toMessageAudience(updated).emit("link_previews", {
+      messageId: updated.id,
+      previews: updated.previews,
+    });
+  } catch (err) {
+    console.error("Failed to attach link previews", err);
+  }
+};
+
+// Each participant gets their own view of a conversation (unread count, peer)
+const emitConversationUpdate = (conversation) => {
+  for (const participant of conversation.participants) {
+    chatNamespace
+      .to(userRoom(participant.id))
+      .emit(
+        "dm_conversation_updated",
+        directMessages.viewFor(conversation, participant.id)
+      );
+  }
+};
+
+// Hand over direct messages that arrived while the user was offline
+const deliverPendingDirectMessages = async (socket) => {
+  const messageIds = await directMessages.takePending(socket.userId);
+  for (const messageId of messageIds) {
+    const message = await storage.updateMessage(String(messageId), {
+      deliveredAt: new Date().toISOString(),
+    });
+    if (message) socket.emit("private_message", message);
+  }
+};
+
+// Check that a user may enter a room; public rooms record them as a member
+const admitToRoom = async (roomName, user) => {
+  const room = await chatRooms.getRoom(roomName);
+  if (!room) return { error: "Room not found" };
+  if (room.archived) return { error: "Room is archived" };
+  if (chatRooms.isBanned(room, user.id)) {
+    return { error: "You are banned from this room" };
+  }
+  if (!chatRooms.canJoin(room, user.id)) return { error: "Room is private" };
+  if (!chatRooms.isMember(room, user.id)) {
+    return { room: await chatRooms.addMember(room, user) };
+  }
+  return { room };
+};
+
+// Room list entry as seen by one user ({ id, username })
+const roomSummary = (room, user) => ({
+  name: room.name,
+  topic: room.topic,
+  visibility: room.visibility,
+  ownerId: room.ownerId,
+  archived: room.archived,
+  createdAt: room.createdAt,
+  memberCount: room.members.length,
+  role: moderation.roleOf(room, user),
 });
 
-// JWT secret key
-const JWT_SECRET =
-  process.env.JWT_SECRET || "your-secret-key-change-in-production";
+// Tell everyone who can see a room that it changed; clients refetch the list.
+// Visibility changes go to everyone so non-members drop or gain the room.
+const emitRoomUpdate = (room, toEveryone = false) => {
+  const payload = { name: room.name, archived: room.archived };
+  if (toEveryone || room.visibility === "public") {
+    chatNamespace.emit("room_updated", payload);
+  } else if (room.members.length > 0) {
+    chatNamespace
+      .to(room.members.map((member) => userRoom(member.id)))
+      .emit("room_updated", payload);
+  }
+};
+
+// A new top-level message is announced to everyone who can see its room but
+// is not in it, so the unread counts of rooms that are not on screen move
+const emitRoomActivity = async (message) => {
+  try {
+    const room = await chatRooms.getRoom(message.roomId);
+    if (!room) return;
+    const payload = {
+      roomId: room.name,
+      seq: message.seq,
+      senderId: message.senderId,
+    };
+    if (room.visibility === "public") {
+      chatNamespace.except(room.name).emit("room_activity", payload);
+    } else if (room.members.length > 0) {
+      chatNamespace
+        .to(room.members.map((member) => userRoom(member.id)))
+        .except(room.name)
+        .emit("room_activity", payload);
+    }
+  } catch (err) {
+    console.error("Failed to announce room activity", err);
+  }
+};
+
+// Move a user's read pointer and tell all of their tabs and devices
+const advanceReadPointer = async (userId, roomId, seq) => {
+  try {
+    const state = await readState.markRead(userId, roomId, seq);
+    if (state) chatNamespace.to(userRoom(userId)).emit("read_state", state);
+  } catch (err) {
+    console.error("Failed to move read pointer", err);
+  }
+};
 
-// Store connected users and messages (in-memory mirrors persisted storage)
-const users = {};
-const typingUsers = {};
-const rooms = {}; // { roomName: { socketId: user } }
+// Reactions are short strings such as an emoji
+const MAX_REACTION_LENGTH = 32;
 
-const storage = require("./utils/storage");
-// messages will be loaded from storage on demand; keep an in-memory reference for fast access
-let messages = [];
-let availableRooms = [];
+const isValidReaction = (reaction) =>
+  typeof reaction === "string" &&
+  reaction.length > 0 &&
+  reaction.length <= MAX_REACTION_LENGTH;
 
-// load persisted messages and rooms on startup
-(async () => {
+// Calls over a user's limit for an event are refused through their ack. The
+// socket also hears about it, since not every event has an ack.
+const isRateLimited = (socket, name, callback) => {
+  const limited = rateLimits.take(name, socket.userId);
+  if (!limited) return false;
+  socket.emit("rate_limited", {
+    event: name,
+    retryAfterMs: limited.retryAfterMs,
+  });
+  callback && callback({ success: false, ...limited });
+  return true;
+};
+
+// Move one socket from its current room into another, announcing both changes
+const moveSocketToRoom = async (socket, newRoom) => {
+  const user = socket.data.user;
+  const oldRoom = user.room;
+
+  // Leave old room
+  socket.leave(oldRoom);
+  await stopTyping(socket);
+  await emitUserList(oldRoom);
+  if (!isInvisible(socket.data) && !(await isUserInRoom(oldRoom, user.id))) {
+    chatNamespace.to(oldRoom).emit("user_left", {
+      username: user.username,
+      id: user.id,
+    });
+  }
+
+  // Join new room
+  const alreadyInRoom = await isUserInRoom(newRoom, user.id);
+  user.room = newRoom;
+  socket.join(newRoom);
+
+  await emitUserList(newRoom);
+  if (!alreadyInRoom && !isInvisible(socket.data)) {
+    chatNamespace.to(newRoom).emit("user_joined", {
+      username: user.username,
+      id: user.id,
+    });
+  }
+  socket.emit("room_joined", newRoom);
+  await emitTypingUsers(newRoom, socket);
+};
+
+// Operations on a user's sockets, run by whichever instance holds them
+const instanceOperations = {
+  // Send every socket a kicked or banned user has in a room back to general
+  evict_from_room: async (roomName, userId) => {
+    for (const socket of localSocketsOf(userId)) {
+      if (socket.data.user?.room === roomName) {
+        await moveSocketToRoom(socket, "general");
+      }
+    }
+  },
+  // Clear the typing indicators of a user who was just muted
+  stop_typing: async (userId) => {
+    for (const socket of localSocketsOf(userId)) await stopTyping(socket);
+  },
+  // Every connection of a user carries their latest presence settings
+  refresh_presence: async (userId, settings) => {
+    for (const socket of localSocketsOf(userId)) {
+      socket.data.presence = settings;
+    }
+  },
+  // Every instance keeps its own search index
+  index_message: (message) => search.indexMessage(message),
+};
+
+const runOnAllInstances = (operation, ...args) => {
+  if (scaling.isDistributed()) {
+    chatNamespace.serverSideEmit(operation, ...args);
+  }
+  return instanceOperations[operation](...args);
+};
+
+// Keep the search index in step with a message that was stored or changed
+const updateSearchIndex = (message) =>
+  runOnAllInstances("index_message", message).catch((err) =>
+    console.error("Failed to update search index", err)
+  );
+
+// Operations requested by other instances
+for (const [operation, handler] of Object.entries(instanceOperations)) {
+  chatNamespace.on(operation, (...args) =>
+    handler(...args).catch((err) =>
+      console.error(`Failed to run ${operation}`, err)
+    )
+  );
+}
+
+// Muted and banned users may not post or show as typing in a room
+const checkPostingRights = async (roomName, userId) => {
+  const room = await chatRooms.getRoom(roomName);
+  if (!room) return null;
+  if (chatRooms.isBanned(room, userId)) return "You are banned from this room";
+  const mute = moderation.getActiveMute(room, userId);
+  if (mute) return `You are muted in this room until ${mute.until}`;
+  return null;
+};
+
+// Only the original sender may change a message, and tombstones are final
+const checkMessageOwnership = (message, userId) => {
+  if (!message) return "Message not found";
+  if (message.deleted) return "Message has been deleted";
+  if (message.senderId !== userId) return "Not allowed to modify this message";
+  return null;
+};
+
+// Replies attach to the top-level message of a thread
+const findThreadRoot = async (messageId) => {
+  const message = await storage.getMessage(String(messageId));
+  if (message && message.parentId != null) {
+    return storage.getMessage(String(message.parentId));
+  }
+  return message;
+};
+
+// Bump the reply count and latest reply summary on a thread's root message
+const recordThreadReply = (parentId, reply) =>
+  storage.updateMessage(String(parentId), (parent) => ({
+    replyCount: (parent.replyCount || 0) + 1,
+    lastReply: {
+      id: reply.id,
+      sender: reply.sender,
+      message: reply.message,
+      timestamp: reply.timestamp,
+    },
+  }));
+
+// Check a room message before it is stored: the room must take posts from
+// the sender and a reply must belong to a live thread in it. Senders who
+// are not in the room must also be allowed to join it. Resolves with
+// { message, parent } (parent is null outside threads) or { error }.
+const prepareRoomMessage = async (
+  sender,
+  { text, room, parentId },
+  { inRoom = false } = {}
+) => {
+  let postingError;
   try {
-    messages = await storage.getMessages();
-    availableRooms = await storage.getRooms();
-    console.log(`Loaded ${messages.length} messages from storage`);
-    console.log(`Available rooms: ${availableRooms.join(", ")}`);
+    if (!inRoom) {
+      const target = await chatRooms.getRoom(room);
+      if (!target || !chatRooms.canJoin(target, sender.id)) {
+        postingError = "Room not found";
+      }
+    }
+    postingError = postingError || (await checkPostingRights(room, sender.id));
   } catch (err) {
-    console.error("Failed to load persisted data", err);
-    messages = [];
-    availableRooms = ["general"];
+    console.error("Failed to check posting rights", err);
+    postingError = "Failed to send message";
   }
-})();
+  if (postingError) return { error: postingError };
+
+  // Thread replies must target a live message in the same room
+  let parent = null;
+  if (parentId != null) {
+    try {
+      parent = await findThreadRoot(parentId);
+    } catch (err) {
+      console.error("Failed to load thread", err);
+    }
+    if (!parent || parent.deleted || (parent.roomId || "general") !== room) {
+      return { error: "Thread not found" };
+    }
+  }
+
+  let mentions = null;
+  try {
+    mentions = await messageText.resolveMentions(text, room);
+  } catch (err) {
+    console.error("Failed to resolve mentions", err);
+  }
+
+  const message = {
+    id: newMessageId(),
+    sender: sender.username || "Anonymous",
+    senderId: sender.id,
+    roomId: room,
+    timestamp: new Date().toISOString(),
+    message: text,
+    ...(mentions && { mentions }),
+    ...(parent && { parentId: parent.id }),
+  };
+  return { message, parent };
+};
+
+// Persist a new message and add it to the search index
+const storeMessage = async (message) => {
+  const stored = await storage.addMessage(message);
+  updateSearchIndex(stored);
+  return stored;
+};
+
+// Deliver a stored room message: to the room timeline, or to its thread
+// when it is a reply. Whoever writes in a room has read what came before.
+const broadcastRoomMessage = async (message, parent) => {
+  const room = message.roomId;
+  notifyMentions(message);
+  attachLinkPreviews(message);
+  if (!parent) {
+    chatNamespace.to(room).emit("receive_message", message);
+    emitRoomActivity(message);
+    advanceReadPointer(message.senderId, room, message.seq);
+    return;
+  }
+
+  // Replies stay out of the room timeline; only the thread summary changes
+  chatNamespace.to(room).emit("thread_reply", message);
+  try {
+    const updatedParent = await recordThreadReply(parent.id, message);
+    chatNamespace.to(room).emit("thread_updated", updatedParent);
+  } catch (err) {
+    console.error("Failed to update thread summary", err);
+  }
+};
+
+// Store and deliver a direct message from sender (an { id, username }) to
+// the user recipientId. Resolves with { message } or { error }.
+const sendDirectMessage = async (sender, recipientId, text) => {
+  const recipient = await auth.getUserById(recipientId);
+  if (!recipient) return { error: "Recipient not found" };
+
+  const timestamp = new Date().toISOString();
+  const delivered = await isUserOnline(recipient.id);
+  const message = await storeMessage({
+    id: newMessageId(),
+    sender: sender.username || "Anonymous",
+    senderId: sender.id,
+    recipientId: recipient.id,
+    conversationId: directMessages.conversationIdFor(sender.id, recipient.id),
+    message: text,
+    timestamp,
+    isPrivate: true,
+    ...(delivered && { deliveredAt: timestamp }),
+  });
+  const conversation = await directMessages.recordMessage(
+    message,
+    sender,
+    recipient,
+    delivered
+  );
+
+  // Deliver to every socket of the recipient and of the sender
+  toMessageAudience(message).emit("private_message", message);
+  emitConversationUpdate(conversation);
+  attachLinkPreviews(message);
+  return { message };
+};
+
+// Room messages are visible to whoever can view the room, direct messages
+// to the two people they are between
+const canSeeMessage = async (message, userId) => {
+  if (message.isPrivate) {
+    return message.senderId === userId || message.recipientId === userId;
+  }
+  const room = await chatRooms.getRoom(message.roomId || "general");
+  return Boolean(room && chatRooms.canView(room, userId));
+};
+
+// Pinned messages of a room with the messages themselves, the newest pin
+// first. Pins whose message has since gone are left out.
+const listPins = async (room) => {
+  const pins = [];
+  for (const pin of [...room.pins].reverse()) {
+    const message = await storage.getMessage(String(pin.messageId));
+    if (message && !message.deleted) pins.push({ ...pin, message });
+  }
+  return pins;
+};
+
+// Whoever is in the room gets the new list; others fetch it when they join
+const emitPins = async (room) => {
+  try {
+    chatNamespace
+      .to(room.name)
+      .emit("pins_updated", { room: room.name, pins: await listPins(room) });
+  } catch (err) {
+    console.error("Failed to announce pins", err);
+  }
+};
+
+// Everyone who sees a poll gets its new settings and results
+const emitPollUpdate = (message) =>
+  toMessageAudience(message).emit("poll_updated", {
+    messageId: message.id,
+    poll: message.poll,
+    pollResults: message.pollResults,
+  });
+
+// Pins go with their message when it is deleted
+const unpinDeletedMessage = async (message) => {
+  if (message.isPrivate || message.conversationId) return;
+  try {
+    const room = await chatRooms.getRoom(message.roomId || "general");
+    if (!room?.pins.some((pin) => pin.messageId === message.id)) return;
+    const result = await moderation.unpinMessage(room, message.id, null);
+    if (result.room) emitPins(result.room);
+  } catch (err) {
+    console.error("Failed to unpin deleted message", err);
+  }
+};
+
+// A user's bookmarks with the messages they point at, leaving out messages
+// the user can no longer see. Deleted messages stay as tombstones.
+const listBookmarks = async (userId) => {
+  const listed = [];
+  for (const bookmark of await bookmarks.listBookmarks(userId)) {
+    const message = await storage.getMessage(String(bookmark.messageId));
+    if (message && (await canSeeMessage(message, userId))) {
+      listed.push({ ...bookmark, message });
+    }
+  }
+  return listed;
+};
+
+// Scheduled messages and reminders (see utils/scheduler.js). Each of the
+// owner's connections hears about their jobs: scheduled_job when one is
+// created or changed, scheduled_job_removed once it has run, failed or
+// was cancelled, and reminder when a reminder falls due.
+const emitScheduledJob = (job) =>
+  chatNamespace.to(userRoom(job.ownerId)).emit("scheduled_job", job);
+
+const emitScheduledJobRemoved = (job, reason, error) =>
+  chatNamespace
+    .to(userRoom(job.ownerId))
+    .emit("scheduled_job_removed", { job, reason, ...(error && { error }) });
+
+// Returns { text, recipient } (recipient only for direct messages) or
+// { status, error } for a scheduled message going to a room or a user. It
+// is checked again when it is sent.
+const checkScheduledMessage = async (
+  user,
+  { message, roomId, parentId, to }
+) => {
+  if ((roomId == null) === (to == null)) {
+    return { status: 400, error: "Choose either a room or a user" };
+  }
+  if (to != null && parentId != null) {
+    return { status: 400, error: "Direct messages have no threads" };
+  }
+  const cleaned = messageText.cleanText(message);
+  if (cleaned.error) return { status: 400, error: cleaned.error };
+  if (to != null) {
+    const recipient = await auth.getUserById(to);
+    if (!recipient) return { status: 404, error: "Recipient not found" };
+    return { text: cleaned.text, recipient };
+  }
+  const { error } = await prepareRoomMessage(user, {
+    text: cleaned.text,
+    room: roomId,
+    parentId,
+  });
+  if (error) return { status: 400, error };
+  return { text: cleaned.text };
+};
+
+// user is { id, username }; fields are { message, runAt } and either
+// { roomId, parentId? } or { to }. Returns { job } or { status, error }.
+const scheduleMessage = async (user, fields) => {
+  const { roomId, parentId, to, runAt } = fields;
+  const { text, recipient, status, error } = await checkScheduledMessage(
+    user,
+    fields
+  );
+  if (error) return { status, error };
+  const result = await scheduler.createJob(user.id, {
+    type: "message",
+    message: text,
+    runAt,
+    ...(recipient
+      ? { to: recipient.id, toUsername: recipient.username }
+      : { roomId, ...(parentId != null && { parentId: String(parentId) }) }),
+  });
+  if (result.job) emitScheduledJob(result.job);
+  return result;
+};
+
+// fields: { messageId, runAt, note? }. Returns { job } or { status, error }.
+const scheduleReminder = async (user, { messageId, runAt, note }) => {
+  const message = await storage.getMessage(String(messageId));
+  if (!message || message.deleted || !(await canSeeMessage(message, user.id))) {
+    return { status: 404, error: "Message not found" };
+  }
+  const result = await scheduler.createJob(user.id, {
+    type: "reminder",
+    messageId: String(message.id),
+    runAt,
+    ...(note && { note }),
+  });
+  if (result.job) emitScheduledJob(result.job);
+  return result;
+};
+
+// changes: { runAt?, message? } for messages, { runAt?, note? } for
+// reminders. Returns { job } or { status, error }.
+const editScheduledJob = async (user, jobId, changes) => {
+  const pending = (await scheduler.listJobs(user.id)).find(
+    (job) => job.id === jobId
+  );
+  if (!pending) return { status: 404, error: "Scheduled job not found" };
+  const { runAt, message, note } = changes;
+  if (message !== undefined && pending.type !== "message") {
+    return { status: 400, error: "Only scheduled messages have text" };
+  }
+  if (note !== undefined && pending.type !== "reminder") {
+    return { status: 400, error: "Only reminders have a note" };
+  }
+  let text;
+  if (message !== undefined) {
+    const checked = await checkScheduledMessage(user, {
+      ...pending,
+      message,
+    });
+    if (checked.error) return checked;
+    text = checked.text;
+  }
+  const result = await scheduler.updateJob(user.id, jobId, {
+    ...(runAt !== undefined && { runAt }),
+    ...(text !== undefined && { message: text }),
+    ...(note !== undefined && { note }),
+  });
+  if (result.job) emitScheduledJob(result.job);
+  return result;
+};
+
+const cancelScheduledJob = async (user, jobId) => {
+  const result = await scheduler.cancelJob(user.id, jobId);
+  if (result.job) emitScheduledJobRemoved(result.job, "cancelled");
+  return result;
+};
+
+const scheduledJobHandlers = {
+  // Sent the way send_message and private_message send, after the same
+  // checks; a job that can no longer be sent is dropped and its owner told
+  message: {
+    run: async (job) => {
+      const owner = await auth.getUserById(job.ownerId);
+      if (!owner) return;
+      let error;
+      if (job.to != null) {
+        ({ error } = await sendDirectMessage(owner, job.to, job.message));
+      } else {
+        const prepared = await prepareRoomMessage(owner, {
+          text: job.message,
+          room: job.roomId,
+          parentId: job.parentId,
+        });
+        error = prepared.error;
+        if (!error) {
+          const stored = await storeMessage(prepared.message);
+          broadcastRoomMessage(stored, prepared.parent);
+        }
+      }
+      emitScheduledJobRemoved(job, error ? "failed" : "sent", error);
+    },
+  },
+  // Reminders wait until their owner is connected to see them
+  reminder: {
+    isReady: (job) => isUserOnline(job.ownerId),
+    run: async (job) => {
+      const message = await storage.getMessage(job.messageId);
+      const visible =
+        message &&
+        !message.deleted &&
+        (await canSeeMessage(message, job.ownerId));
+      chatNamespace
+        .to(userRoom(job.ownerId))
+        .emit("reminder", { job, message: visible ? message : null });
+      emitScheduledJobRemoved(job, "reminded");
+    },
+  },
+};
 
 // Socket.io connection handler
 chatNamespace.use((socket, next) => {
@@ -100,377 +888,2400 @@ chatNamespace.use((socket, next) => {
     return next(new Error("Authentication error"));
   }
 
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) {
+  auth
+    .verifyAccessToken(token)
+    .then(async (decoded) => {
+      socket.username = decoded.username;
+      socket.userId = decoded.userId;
+      socket.data.tokenId = decoded.jti;
+      socket.data.presence = await presence.getSettings(decoded.userId);
+      console.log(
+        `[DEBUG] Authenticated socket ${socket.id} as ${socket.username}`
+      );
+      next();
+    })
+    .catch((err) => {
       console.log(
         `[DEBUG] Token verification failed for socket ${socket.id}:`,
         err.message
       );
-      return next(new Error("Authentication error"));
-    }
-    socket.username = decoded.username;
-    console.log(
-      `[DEBUG] Authenticated socket ${socket.id} as ${socket.username}`
-    );
-    next();
-  });
+      next(new Error("Authentication error"));
+    });
 });
 
 chatNamespace.on("connection", (socket) => {
   console.log(`User connected: ${socket.id} (${socket.username})`);
 
-  // Handle user joining
-  socket.on("user_join", (username, room = "general") => {
-    // Use authenticated username from JWT, but allow override if provided
-    const authenticatedUsername = socket.username || username;
-    users[socket.id] = { username: authenticatedUsername, id: socket.id, room };
-    socket.join(room);
-    if (!rooms[room]) rooms[room] = {};
-    rooms[room][socket.id] = users[socket.id];
+  // Track the socket under the user's stable id
+  socket.join(userRoom(socket.userId));
+  socket.emit("session", { userId: socket.userId, username: socket.username });
+  socket.emit("presence_settings", socket.data.presence);
+  deliverPendingDirectMessages(socket).catch((err) =>
+    console.error("Failed to deliver pending direct messages", err)
+  );
 
-    io.to(room).emit("user_list", Object.values(rooms[room]));
-    io.to(room).emit("user_joined", {
-      username: authenticatedUsername,
-      id: socket.id,
-    });
-    io.to(room).emit("user_status", { userId: socket.id, status: "online" });
-    socket.emit("room_joined", room);
-    console.log(`${authenticatedUsername} joined room: ${room}`);
+  // Events whose arguments do not match their schema never reach a handler;
+  // see utils/schemas.js
+  socket.use(([event, ...args], next) => {
+    const callback =
+      typeof args[args.length - 1] === "function" ? args.pop() : null;
+    const invalid = schemas.checkEvent(event, args);
+    if (!invalid) return next();
+    callback && callback({ success: false, ...invalid });
   });
 
-  // Handle room switching
-  socket.on("switch_room", (newRoom) => {
-    if (!users[socket.id]) return;
-    const user = users[socket.id];
-    const oldRoom = user.room;
-
-    // Leave old room
-    socket.leave(oldRoom);
-    delete rooms[oldRoom][socket.id];
-    io.to(oldRoom).emit("user_list", Object.values(rooms[oldRoom]));
-    io.to(oldRoom).emit("user_left", {
-      username: user.username,
-      id: socket.id,
-    });
+  // Handle user joining
+  socket.on("user_join", async (username, requestedRoom = "general") => {
+    // Use authenticated username from JWT, but allow override if provided
+    const authenticatedUsername = socket.username || username;
+    // Fall back to the general room if the requested one is off limits
+    let room = "general";
+    try {
+      const admission = await admitToRoom(requestedRoom, {
+        id: socket.userId,
+        username: authenticatedUsername,
+      });
+      if (admission.room) room = admission.room.name;
+    } catch (err) {
+      console.error("Failed to check room access", err);
+    }
+    // A repeated join replaces the socket's previous room
+    if (socket.data.user) {
+      await stopTyping(socket);
+      socket.leave(socket.data.user.room);
+    }
+    const alreadyInRoom = await isUserInRoom(room, socket.userId).catch(
+      (err) => {
+        console.error("Failed to check room presence", err);
+        return false;
+      }
+    );
+    socket.data.user = {
+      username: authenticatedUsername,
+      id: socket.userId,
+      room,
+    };
+    socket.join(room);
 
-    if (!availableRooms.includes(newRoom)) {
-      availableRooms.push(newRoom);
-      storage.addRoom(newRoom);
+    await emitUserList(room);
+    if (!alreadyInRoom && !isInvisible(socket.data)) {
+      chatNamespace.to(room).emit("user_joined", {
+        username: authenticatedUsername,
+        id: socket.userId,
+      });
     }
+    await announcePresence(socket.userId);
+    socket.emit("room_joined", room);
+    await emitTypingUsers(room, socket);
+    console.log(`${authenticatedUsername} joined room: ${room}`);
+  });
 
-    // Join new room
-    user.room = newRoom;
-    socket.join(newRoom);
-    if (!rooms[newRoom]) rooms[newRoom] = {};
-    rooms[newRoom][socket.id] = user;
+  // Handle room switching
+  socket.on("switch_room", async (newRoom, callback) => {
+    if (!socket.data.user) return;
+    if (isRateLimited(socket, "switch_room", callback)) return;
+    const user = socket.data.user;
 
-    io.to(newRoom).emit("user_list", Object.values(rooms[newRoom]));
-    io.to(newRoom).emit("user_joined", {
-      username: user.username,
-      id: socket.id,
-    });
-    socket.emit("room_joined", newRoom);
+    // Rooms are created through the REST API; switching never creates one
+    let admission;
+    try {
+      admission = await admitToRoom(newRoom, user);
+    } catch (err) {
+      console.error("Failed to check room access", err);
+      admission = { error: "Failed to join room" };
+    }
+    if (admission.error) {
+      socket.emit("room_error", { room: newRoom, error: admission.error });
+      return callback && callback({ success: false, error: admission.error });
+    }
+
+    try {
+      await moveSocketToRoom(socket, newRoom);
+    } catch (err) {
+      console.error("Failed to switch room", err);
+      return (
+        callback && callback({ success: false, error: "Failed to join room" })
+      );
+    }
+    callback && callback({ success: true, room: newRoom });
     console.log(`${user.username} switched to room: ${newRoom}`);
   });
 
   // Handle chat messages
-  socket.on("send_message", (messageData, callback) => {
+  socket.on("send_message", async (messageData, callback) => {
     // Only allow authenticated users to send messages
-    if (!users[socket.id]) {
+    if (!socket.data.user) {
+      return (
+        callback && callback({ success: false, error: "Not authenticated" })
+      );
+    }
+    if (isRateLimited(socket, "send_message", callback)) return;
+    const user = socket.data.user;
+    const { message: text, clientId, roomId, parentId } = messageData;
+    if (clientId !== undefined && !clientMessageIds.isValidClientId(clientId)) {
+      return (
+        callback && callback({ success: false, error: "Invalid client id" })
+      );
+    }
+    const cleaned = messageText.cleanText(text);
+    if (cleaned.error) {
+      return callback && callback({ success: false, error: cleaned.error });
+    }
+    // Messages queued while offline name the room they were written in,
+    // which need not be the room the socket is in now
+    const room = typeof roomId === "string" && roomId ? roomId : user.room;
+    const { message, parent, error } = await prepareRoomMessage(
+      { id: socket.userId, username: user.username },
+      { text: cleaned.text, room, parentId },
+      { inRoom: room === user.room }
+    );
+    if (error) {
+      return callback && callback({ success: false, error });
+    }
+    if (clientId) message.clientId = clientId;
+
+    // A resend of a message that is already stored is acknowledged again
+    // with the original id, but not stored or broadcast a second time
+    if (clientId) {
+      try {
+        const { messageId, duplicate } = await clientMessageIds.claim(
+          socket.userId,
+          clientId,
+          message.id
+        );
+        if (duplicate) {
+          return (
+            callback && callback({ success: true, messageId, duplicate: true })
+          );
+        }
+      } catch (err) {
+        console.error("Failed to check client message id", err);
+        return (
+          callback &&
+          callback({ success: false, error: "Failed to send message" })
+        );
+      }
+    }
+    const releaseClaim = () => {
+      if (!clientId) return;
+      clientMessageIds
+        .release(socket.userId, clientId, message.id)
+        .catch((releaseErr) =>
+          console.error("Failed to release client message id", releaseErr)
+        );
+    };
+
+    // Resends were answered above, so only new sends count as repeats
+    const duplicate = rateLimits.checkDuplicate(socket.userId, cleaned.text);
+    if (duplicate) {
+      releaseClaim();
+      return callback && callback({ success: false, ...duplicate });
+    }
+
+    let stored;
+    try {
+      stored = await storeMessage(message);
+    } catch (err) {
+      console.error("Failed to persist message", err);
+      releaseClaim();
+      return (
+        callback &&
+        callback({ success: false, error: "Failed to persist message" })
+      );
+    }
+    if (clientId) {
+      clientMessageIds
+        .confirm(socket.userId, clientId, stored.id)
+        .catch((confirmErr) =>
+          console.error("Failed to confirm client message id", confirmErr)
+        );
+    }
+    rateLimits.recordSent(socket.userId, cleaned.text);
+    // Emit delivery acknowledgment
+    callback && callback({ success: true, messageId: stored.id });
+    // Sending ends the typing indicator without waiting for the client
+    stopTyping(socket);
+    broadcastRoomMessage(stored, parent);
+  });
+
+  // Handle file messages - the file was uploaded through /api/upload or
+  // /api/uploads first
+  socket.on("send_file", async ({ attachmentId, roomId } = {}, callback) => {
+    if (!socket.data.user) {
+      return (
+        callback && callback({ success: false, error: "Not authenticated" })
+      );
+    }
+    if (isRateLimited(socket, "send_file", callback)) return;
+    const user = socket.data.user;
+    // Large uploads name the room they were started in, which need not be
+    // the room the socket is in once they finish
+    const room = typeof roomId === "string" && roomId ? roomId : user.room;
+    try {
+      let postingError;
+      if (room !== user.room) {
+        const target = await chatRooms.getRoom(room);
+        if (!target || !chatRooms.canJoin(target, socket.userId)) {
+          postingError = "Room not found";
+        }
+      }
+      postingError =
+        postingError || (await checkPostingRights(room, socket.userId));
+      if (postingError) {
+        socket.emit("room_error", { room, error: postingError });
+        return callback && callback({ success: false, error: postingError });
+      }
+    } catch (err) {
+      console.error("Failed to check posting rights", err);
+      return (
+        callback && callback({ success: false, error: "Failed to send file" })
+      );
+    }
+
+    const messageId = newMessageId();
+    let attachment;
+    try {
+      const attached = await attachments.attachToMessage(
+        attachmentId,
+        socket.userId,
+        { roomId: room, messageId }
+      );
+      if (attached.error) {
+        return callback && callback({ success: false, error: attached.error });
+      }
+      attachment = attached.attachment;
+    } catch (err) {
+      console.error("Failed to attach file", err);
+      return (
+        callback && callback({ success: false, error: "Failed to send file" })
+      );
+    }
+
+    const message = {
+      id: messageId,
+      sender: user.username || "Anonymous",
+      senderId: socket.userId,
+      roomId: room,
+      timestamp: new Date().toISOString(),
+      file: attachments.fileInfo(attachment),
+      message: `Shared a file: ${attachment.filename}`,
+    };
+    // Broadcast once stored, so the message carries its sequence number
+    storage
+      .addMessage(message)
+      .then((message) => {
+        updateSearchIndex(message);
+        callback && callback({ success: true, messageId: message.id });
+        chatNamespace.to(message.roomId).emit("receive_message", message);
+        emitRoomActivity(message);
+        advanceReadPointer(socket.userId, message.roomId, message.seq);
+      })
+      .catch((err) => {
+        console.error("Failed to persist file message", err);
+        attachments
+          .detach(attachment.id, messageId)
+          .catch((detachErr) =>
+            console.error("Failed to release attachment", detachErr)
+          );
+        callback &&
+          callback({ success: false, error: "Failed to persist message" });
+      });
+  });
+
+  // Handle typing indicator - { isTyping, threadId } for the current room,
+  // or a bare boolean from older clients for the room timeline
+  socket.on("typing", async (payload) => {
+    // Only allow authenticated users to show typing indicators
+    if (!socket.data.user) return;
+    const { isTyping, threadId = null } =
+      payload !== null && typeof payload === "object"
+        ? payload
+        : { isTyping: payload };
+    const room = socket.data.user.room;
+
+    try {
+      if (!isTyping) {
+        await stopTyping(socket);
+        return;
+      }
+      const now = Date.now();
+      if (now - (socket.lastTypingAt || 0) < TYPING_THROTTLE_MS) return;
+      socket.lastTypingAt = now;
+
+      // Still typing in the same place: only the expiry moves
+      const current = socket.data.typing;
+      if (current && String(current.threadId) === String(threadId)) {
+        renewTyping(socket);
+        return;
+      }
+
+      if (await checkPostingRights(room, socket.userId)) return;
+      let thread = null;
+      if (threadId !== null) {
+        thread = await findThreadRoot(threadId);
+        if (
+          !thread ||
+          thread.deleted ||
+          (thread.roomId || "general") !== room
+        ) {
+          return;
+        }
+      }
+      // The socket may have moved while the room was being loaded
+      if (socket.data.user.room !== room) return;
+      socket.data.typing = { threadId: thread ? thread.id : null };
+      renewTyping(socket);
+      await emitTypingUsers(room);
+    } catch (err) {
+      console.error("Failed to update typing state", err);
+    }
+  });
+
+  // Handle private messages - stored in a conversation between two user ids
+  socket.on("private_message", async ({ to, message }, callback) => {
+    // Only allow authenticated users to send private messages
+    if (!socket.data.user) {
+      return (
+        callback && callback({ success: false, error: "Not authenticated" })
+      );
+    }
+    if (isRateLimited(socket, "private_message", callback)) return;
+    const cleaned = messageText.cleanText(message);
+    if (cleaned.error) {
+      return callback && callback({ success: false, error: cleaned.error });
+    }
+    const duplicate = rateLimits.checkDuplicate(socket.userId, cleaned.text);
+    if (duplicate) {
+      return callback && callback({ success: false, ...duplicate });
+    }
+    const user = socket.data.user;
+
+    try {
+      const { message: sent, error } = await sendDirectMessage(
+        { id: socket.userId, username: user.username },
+        to,
+        cleaned.text
+      );
+      if (error) {
+        return callback && callback({ success: false, error });
+      }
+      rateLimits.recordSent(socket.userId, cleaned.text);
+      callback && callback({ success: true, messageId: sent.id });
+    } catch (err) {
+      console.error("Failed to send private message", err);
+      callback &&
+        callback({ success: false, error: "Failed to send private message" });
+    }
+  });
+
+  // Clear the unread count of a conversation for this user
+  socket.on("dm_read", async ({ conversationId }) => {
+    try {
+      const conversation = await directMessages.markRead(
+        conversationId,
+        socket.userId
+      );
+      if (conversation) {
+        chatNamespace
+          .to(userRoom(socket.userId))
+          .emit(
+            "dm_conversation_updated",
+            directMessages.viewFor(conversation, socket.userId)
+          );
+      }
+    } catch (err) {
+      console.error("Failed to mark conversation read", err);
+    }
+  });
+
+  // A client has shown a room up to this top-level message; the user's read
+  // pointer in the room moves up to it
+  socket.on("message_read", async ({ messageId } = {}) => {
+    // Only allow authenticated users to mark messages as read
+    if (!socket.data.user) {
+      return;
+    }
+    try {
+      const message = await storage.getMessage(String(messageId));
+      if (!message || message.isPrivate || message.parentId != null) return;
+      const room = await chatRooms.getRoom(message.roomId || "general");
+      if (!room || !chatRooms.canView(room, socket.userId)) return;
+      await advanceReadPointer(socket.userId, room.name, message.seq);
+    } catch (err) {
+      console.error("Failed to mark message read", err);
+    }
+  });
+
+  // Handle message reactions
+  socket.on("add_reaction", async ({ messageId, reaction } = {}, callback) => {
+    if (!socket.data.user) return;
+    if (isRateLimited(socket, "reaction", callback)) return;
+    if (!isValidReaction(reaction)) {
+      return (
+        callback && callback({ success: false, error: "Invalid reaction" })
+      );
+    }
+    try {
+      const message = await loadReactable(messageId, socket.userId);
+      if (!message) {
+        return (
+          callback && callback({ success: false, error: "Message not found" })
+        );
+      }
+      await storage.addReaction(String(message.id), socket.userId, reaction);
+      toMessageAudience(message).emit("reaction_added", {
+        messageId: String(message.id),
+        reaction,
+        userId: socket.userId,
+      });
+      callback && callback({ success: true });
+    } catch (err) {
+      console.error("Failed to add reaction", err);
+      callback && callback({ success: false, error: "Failed to add reaction" });
+    }
+  });
+
+  socket.on(
+    "remove_reaction",
+    async ({ messageId, reaction } = {}, callback) => {
+      if (!socket.data.user) return;
+      if (isRateLimited(socket, "reaction", callback)) return;
+      try {
+        const message = await loadReactable(messageId, socket.userId);
+        if (!message) {
+          return (
+            callback && callback({ success: false, error: "Message not found" })
+          );
+        }
+        await storage.removeReaction(
+          String(message.id),
+          socket.userId,
+          reaction
+        );
+        toMessageAudience(message).emit("reaction_removed", {
+          messageId: String(message.id),
+          reaction,
+          userId: socket.userId,
+        });
+        callback && callback({ success: true });
+      } catch (err) {
+        console.error("Failed to remove reaction", err);
+        callback &&
+          callback({ success: false, error: "Failed to remove reaction" });
+      }
+    }
+  );
+
+  // Polls are room messages with options to vote on (see utils/polls.js)
+  socket.on("create_poll", async (fields, callback) => {
+    if (!socket.data.user) {
+      return (
+        callback && callback({ success: false, error: "Not authenticated" })
+      );
+    }
+    if (isRateLimited(socket, "send_message", callback)) return;
+    const user = socket.data.user;
+    const { question, options, multiple, anonymous, closesAt, roomId } = fields;
+    const cleaned = messageText.cleanText(question);
+    if (cleaned.error) {
+      return callback && callback({ success: false, error: cleaned.error });
+    }
+    const created = polls.createPoll({
+      options,
+      multiple,
+      anonymous,
+      closesAt,
+    });
+    if (created.error) {
+      return callback && callback({ success: false, error: created.error });
+    }
+
+    const room = roomId || user.room;
+    const { message, error } = await prepareRoomMessage(
+      { id: socket.userId, username: user.username },
+      { text: cleaned.text, room },
+      { inRoom: room === user.room }
+    );
+    if (error) {
+      return callback && callback({ success: false, error });
+    }
+    message.poll = created.poll;
+    message.pollResults = created.pollResults;
+
+    let stored;
+    try {
+      stored = await storeMessage(message);
+    } catch (err) {
+      console.error("Failed to persist poll", err);
+      return (
+        callback && callback({ success: false, error: "Failed to create poll" })
+      );
+    }
+    callback && callback({ success: true, messageId: stored.id });
+    stopTyping(socket);
+    broadcastRoomMessage(stored, null);
+  });
+
+  // Replaces the caller's vote; no options takes it back
+  socket.on("vote_poll", async ({ messageId, optionIds }, callback) => {
+    if (!socket.data.user) {
+      return (
+        callback && callback({ success: false, error: "Not authenticated" })
+      );
+    }
+    if (isRateLimited(socket, "vote_poll", callback)) return;
+    try {
+      const message = await storage.getMessage(String(messageId));
+      if (!message || !(await canSeeMessage(message, socket.userId))) {
+        return (
+          callback && callback({ success: false, error: "Poll not found" })
+        );
+      }
+      const result = await polls.vote(
+        message,
+        { id: socket.userId, username: socket.username },
+        optionIds
+      );
+      if (result.error) {
+        return callback && callback({ success: false, error: result.error });
+      }
+      callback && callback({ success: true, optionIds: result.optionIds });
+      emitPollUpdate(result.message);
+    } catch (err) {
+      console.error("Failed to vote", err);
+      callback && callback({ success: false, error: "Failed to vote" });
+    }
+  });
+
+  // Polls can be closed early by whoever created them and by room moderators
+  socket.on("close_poll", async ({ messageId }, callback) => {
+    if (!socket.data.user) {
+      return (
+        callback && callback({ success: false, error: "Not authenticated" })
+      );
+    }
+    try {
+      const message = await storage.getMessage(String(messageId));
+      const room =
+        message?.poll && (await chatRooms.getRoom(message.roomId || "general"));
+      if (!room || !chatRooms.canView(room, socket.userId)) {
+        return (
+          callback && callback({ success: false, error: "Poll not found" })
+        );
+      }
+      if (
+        message.senderId !== socket.userId &&
+        !moderation.canModerate(room, {
+          id: socket.userId,
+          username: socket.username,
+        })
+      ) {
+        return (
+          callback &&
+          callback({ success: false, error: "Not allowed to close this poll" })
+        );
+      }
+      const result = await polls.closePoll(message);
+      if (result.error) {
+        return callback && callback({ success: false, error: result.error });
+      }
+      callback && callback({ success: true });
+      emitPollUpdate(result.message);
+    } catch (err) {
+      console.error("Failed to close poll", err);
+      callback && callback({ success: false, error: "Failed to close poll" });
+    }
+  });
+
+  // Handle message edits - the previous text is kept in the message history
+  socket.on("edit_message", async ({ messageId, message: text }, callback) => {
+    if (!socket.data.user) {
+      return (
+        callback && callback({ success: false, error: "Not authenticated" })
+      );
+    }
+    if (isRateLimited(socket, "edit_message", callback)) return;
+    const cleaned = messageText.cleanText(text);
+    if (cleaned.error) {
+      return callback && callback({ success: false, error: cleaned.error });
+    }
+    try {
+      const original = await storage.getMessage(String(messageId));
+      const error = checkMessageOwnership(original, socket.userId);
+      if (error) {
+        return callback && callback({ success: false, error });
+      }
+      // Legacy private messages have no conversation to broadcast edits to,
+      // and a poll's question cannot change under its votes
+      if (
+        original.file ||
+        original.poll ||
+        (original.isPrivate && !original.conversationId)
+      ) {
+        return (
+          callback &&
+          callback({ success: false, error: "Message cannot be edited" })
+        );
+      }
+
+      const mentions = original.isPrivate
+        ? null
+        : await messageText.resolveMentions(
+            cleaned.text,
+            original.roomId || "general"
+          );
+      const editedAt = new Date().toISOString();
+      // History comes from the stored message, so concurrent edits keep
+      // every earlier version
+      const updated = await storage.updateMessage(
+        String(messageId),
+        (stored) => ({
+          message: cleaned.text,
+          mentions,
+          edited: true,
+          editedAt,
+          history: [
+            ...(stored.history || []),
+            {
+              message: stored.message,
+              editedAt: stored.editedAt || stored.timestamp,
+            },
+          ],
+        })
+      );
+      updateSearchIndex(updated);
+      callback && callback({ success: true, messageId: updated.id });
+      toMessageAudience(updated).emit("message_edited", updated);
+      // Only people the edit newly mentions are notified
+      if (!updated.isPrivate) notifyMentions(updated, original);
+      attachLinkPreviews(updated);
+    } catch (err) {
+      console.error("Failed to edit message", err);
+      callback && callback({ success: false, error: "Failed to edit message" });
+    }
+  });
+
+  // Handle message deletion - a tombstone replaces the message content
+  socket.on("delete_message", async ({ messageId }, callback) => {
+    if (!socket.data.user) {
       return (
         callback && callback({ success: false, error: "Not authenticated" })
       );
     }
-    const user = users[socket.id];
-    const message = {
-      ...messageData,
-      id: Date.now(),
-      sender: user.username || "Anonymous",
-      senderId: socket.id,
-      roomId: user.room,
-      timestamp: new Date().toISOString(),
-    };
-    // persist and update in-memory
-    storage
-      .addMessage(message)
-      .then(() => {
-        messages.push(message);
-        if (messages.length > 100) messages.shift();
-        // Emit delivery acknowledgment
-        callback && callback({ success: true, messageId: message.id });
-        io.to(user.room).emit("receive_message", message);
-      })
-      .catch((err) => {
-        console.error("Failed to persist message", err);
-        callback &&
-          callback({ success: false, error: "Failed to persist message" });
-      });
-  });
+    if (isRateLimited(socket, "delete_message", callback)) return;
+    try {
+      const original = await storage.getMessage(String(messageId));
+      let error = checkMessageOwnership(original, socket.userId);
+
+      // Room moderators may remove anyone's message; direct messages stay private
+      const actor = { id: socket.userId, username: socket.username };
+      let removedByModerator = false;
+      if (
+        error &&
+        original &&
+        !original.deleted &&
+        !original.conversationId &&
+        !original.isPrivate
+      ) {
+        const room = await chatRooms.getRoom(original.roomId || "general");
+        if (room && moderation.canModerate(room, actor)) {
+          error = null;
+          removedByModerator = true;
+        }
+      }
+      if (error) {
+        return callback && callback({ success: false, error });
+      }
+
+      const tombstone = await storage.updateMessage(String(messageId), {
+        message: "",
+        file: null,
+        poll: null,
+        pollResults: null,
+        history: [],
+        deleted: true,
+        deletedAt: new Date().toISOString(),
+        ...(removedByModerator && { removedBy: actor }),
+      });
+      updateSearchIndex(tombstone);
+      if (original.file?.id) {
+        attachments
+          .removeAttachment(original.file.id)
+          .catch((err) => console.error("Failed to remove attachment", err));
+      }
+      if (removedByModerator) {
+        await moderation.logAction({
+          room: original.roomId || "general",
+          action: "remove_message",
+          actor,
+          target: { id: original.senderId, username: original.sender },
+          messageId: original.id,
+        });
+      }
+      callback && callback({ success: true, messageId: tombstone.id });
+      toMessageAudience(tombstone).emit("message_deleted", tombstone);
+      unpinDeletedMessage(original);
+    } catch (err) {
+      console.error("Failed to delete message", err);
+      callback &&
+        callback({ success: false, error: "Failed to delete message" });
+    }
+  });
+
+  // Connections report whether the user has been idle at them for a while
+  socket.on("idle", async (idle) => {
+    if (socket.data.idle === Boolean(idle)) return;
+    socket.data.idle = Boolean(idle);
+    await announcePresence(socket.userId);
+  });
+
+  // Choose a status ("online", "dnd" or "invisible") and/or set a custom
+  // status: { status?, customStatus?: { text, emoji, expiresAt } | null }
+  socket.on("set_presence", async (changes, callback) => {
+    try {
+      const { settings, error } = await presence.updateSettings(
+        socket.userId,
+        changes || {}
+      );
+      if (error) {
+        callback && callback({ success: false, error });
+        return;
+      }
+      const wasInvisible = isInvisible(socket.data);
+      await runOnAllInstances("refresh_presence", socket.userId, settings);
+      callback && callback({ success: true, settings });
+      chatNamespace
+        .to(userRoom(socket.userId))
+        .emit("presence_settings", settings);
+      await announcePresence(socket.userId);
+      // Invisible users drop out of room user lists, and come back
+      if (wasInvisible !== (settings.status === "invisible")) {
+        const rooms = new Set();
+        for (const { data } of await socketsIn(userRoom(socket.userId))) {
+          if (data.user) rooms.add(data.user.room);
+        }
+        for (const room of rooms) await emitUserList(room);
+      }
+      scheduleStatusExpiry(socket.userId, settings.customStatus);
+    } catch (err) {
+      console.error("Failed to update presence", err);
+      callback &&
+        callback({ success: false, error: "Failed to update presence" });
+    }
+  });
+
+  // Scheduled messages and reminders; each acks { success, job } or an error
+  const scheduledUser = { id: socket.userId, username: socket.username };
+  const ackScheduled = async (callback, failure, work) => {
+    try {
+      const { job, error } = await work();
+      callback &&
+        callback(error ? { success: false, error } : { success: true, job });
+    } catch (err) {
+      console.error(failure, err);
+      callback && callback({ success: false, error: failure });
+    }
+  };
+
+  socket.on("list_scheduled", async (callback) => {
+    try {
+      const jobs = await scheduler.listJobs(socket.userId);
+      callback && callback({ success: true, jobs });
+    } catch (err) {
+      console.error("Failed to list scheduled jobs", err);
+      callback &&
+        callback({ success: false, error: "Failed to list scheduled jobs" });
+    }
+  });
+
+  socket.on("schedule_message", async (fields, callback) => {
+    if (isRateLimited(socket, "schedule", callback)) return;
+    await ackScheduled(callback, "Failed to schedule message", () =>
+      scheduleMessage(scheduledUser, fields)
+    );
+  });
+
+  socket.on("set_reminder", async (fields, callback) => {
+    if (isRateLimited(socket, "schedule", callback)) return;
+    await ackScheduled(callback, "Failed to set reminder", () =>
+      scheduleReminder(scheduledUser, fields)
+    );
+  });
+
+  socket.on("edit_scheduled", async ({ jobId, ...changes }, callback) => {
+    await ackScheduled(callback, "Failed to update scheduled job", () =>
+      editScheduledJob(scheduledUser, jobId, changes)
+    );
+  });
+
+  socket.on("cancel_scheduled", async ({ jobId }, callback) => {
+    await ackScheduled(callback, "Failed to cancel scheduled job", () =>
+      cancelScheduledJob(scheduledUser, jobId)
+    );
+  });
+
+  // Handle disconnection
+  socket.on("disconnect", async () => {
+    if (!socket.data.user) return;
+    const { username, room, id } = socket.data.user;
+
+    // The socket has already left its rooms, so these only see the others
+    try {
+      if (!isInvisible(socket.data) && !(await isUserInRoom(room, id))) {
+        chatNamespace.to(room).emit("user_left", { username, id });
+      }
+      // The user only goes offline once their last socket is gone
+      if (!(await isUserOnline(id))) {
+        await presence.recordLastSeen(id);
+        console.log(`${username} left the chat`);
+      }
+      // Closing the one active connection can also leave the user away
+      await announcePresence(id, [room]);
+      await emitUserList(room);
+      await stopTyping(socket);
+    } catch (err) {
+      console.error("Failed to announce disconnect", err);
+    }
+  });
+});
+
+// Shared credential checks for register and login
+const validateCredentials = (body) => {
+  const { username, password } = body || {};
+  if (
+    !username ||
+    typeof username !== "string" ||
+    username.trim().length === 0 ||
+    username.trim().length > 32
+  ) {
+    return "Valid username required";
+  }
+  if (!password || typeof password !== "string" || password.length < 8) {
+    return "Password must be at least 8 characters";
+  }
+  return null;
+};
+
+// Registration endpoint - creates an account and signs the user in
+app.post(
+  "/api/register",
+  rateLimits.limitRoute("login"),
+  schemas.checkRequest("register"),
+  async (req, res) => {
+    const validationError = validateCredentials(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const user = await auth.registerUser(
+        req.body.username,
+        req.body.password
+      );
+      if (!user) {
+        return res.status(409).json({ error: "Username is already taken" });
+      }
+      res.status(201).json(await auth.issueTokens(user));
+    } catch (err) {
+      console.error("Failed to register user", err);
+      res.status(500).json({ error: "Failed to register user" });
+    }
+  }
+);
+
+// Login endpoint to generate access and refresh tokens
+app.post(
+  "/api/login",
+  rateLimits.limitRoute("login"),
+  schemas.checkRequest("login"),
+  async (req, res) => {
+    const validationError = validateCredentials(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const user = await auth.authenticateUser(
+        req.body.username,
+        req.body.password
+      );
+      if (!user) {
+        return res.status(401).json({ error: "Invalid username or password" });
+      }
+      res.json(await auth.issueTokens(user));
+    } catch (err) {
+      console.error("Failed to log in", err);
+      res.status(500).json({ error: "Failed to log in" });
+    }
+  }
+);
+
+// Exchange a refresh token for a new access/refresh token pair
+app.post(
+  "/api/refresh",
+  rateLimits.limitRoute("refresh"),
+  schemas.checkRequest("refresh"),
+  async (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return res.status(400).json({ error: "Refresh token required" });
+    }
+
+    try {
+      const tokens = await auth.rotateRefreshToken(refreshToken);
+      if (!tokens) {
+        return res
+          .status(401)
+          .json({ error: "Invalid or expired refresh token" });
+      }
+      res.json(tokens);
+    } catch (err) {
+      console.error("Failed to refresh token", err);
+      res.status(500).json({ error: "Failed to refresh token" });
+    }
+  }
+);
+
+// Middleware to verify JWT
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers["authorization"];
+  const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
+
+  if (!token) {
+    return res.status(401).json({ error: "Access token required" });
+  }
+
+  auth
+    .verifyAccessToken(token)
+    .then((user) => {
+      req.user = user;
+      next();
+    })
+    .catch(() => res.status(403).json({ error: "Invalid or expired token" }));
+};
+
+// Logout endpoint - revokes the access token and its refresh token
+app.post(
+  "/api/logout",
+  authenticateToken,
+  schemas.checkRequest("logout"),
+  async (req, res) => {
+    const { refreshToken } = req.body || {};
+    try {
+      await auth.revokeAccessToken(req.user);
+      if (typeof refreshToken === "string") {
+        await auth.revokeRefreshToken(refreshToken, req.user.username);
+      }
+      // Drop any live sockets (on any instance) opened with the revoked token
+      for (const socket of await socketsIn(userRoom(req.user.userId))) {
+        if (socket.data.tokenId && socket.data.tokenId === req.user.jti) {
+          socket.disconnect(true);
+        }
+      }
+      res.json({ success: true });
+    } catch (err) {
+      console.error("Failed to log out", err);
+      res.status(500).json({ error: "Failed to log out" });
+    }
+  }
+);
+
+// API routes
+
+// The room timeline around a message: up to `size` messages on either side
+const messageWindow = async (roomName, anchor, size) => {
+  const [older, newer] = await Promise.all([
+    storage.getRoomMessages(roomName, { before: anchor.seq, limit: size + 1 }),
+    storage.getRoomMessages(roomName, { after: anchor.seq, limit: size + 1 }),
+  ]);
+  return {
+    messages: [
+      ...older.slice(Math.max(older.length - size, 0)),
+      anchor,
+      ...newer.slice(0, size),
+    ],
+    hasMore: older.length > size,
+    hasNewer: newer.length > size,
+  };
+};
+
+// A page of a room's timeline, oldest first. Thread replies are only listed
+// through the thread route, and direct messages through the conversation
+// routes. Pages are walked with sequence number cursors:
+//   ?before=<seq>  the messages just before it (by default the newest ones)
+//   ?after=<seq>   the messages just after it
+//   ?around=<id>   a window centred on a message, for jumping to it
+// hasMore tells whether older messages exist, hasNewer whether newer ones do.
+app.get(
+  "/api/messages",
+  authenticateToken,
+  schemas.checkRequest("listMessages"),
+  async (req, res) => {
+    const { roomId = "general", before, after, around } = req.query;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 50, 1),
+      100
+    );
+    for (const [name, value] of Object.entries({ before, after })) {
+      if (value !== undefined && !/^\d+$/.test(value)) {
+        return res
+          .status(400)
+          .json({ error: `${name} must be a sequence number` });
+      }
+    }
+
+    try {
+      const room = await chatRooms.getRoom(roomId);
+      // Private room history is only listed for members
+      if (!room || !chatRooms.canView(room, req.user.userId)) {
+        return res.status(404).json({ error: "Room not found" });
+      }
+
+      if (around !== undefined) {
+        const anchor = await storage.getMessage(String(around));
+        if (
+          !anchor ||
+          anchor.isPrivate ||
+          anchor.parentId != null ||
+          (anchor.roomId || "general") !== room.name
+        ) {
+          return res.status(404).json({ error: "Message not found" });
+        }
+        const surrounding = await messageWindow(
+          room.name,
+          anchor,
+          Math.floor(limit / 2)
+        );
+        return res.json({ ...surrounding, anchorId: anchor.id });
+      }
+
+      if (after !== undefined) {
+        const newer = await storage.getRoomMessages(room.name, {
+          after: Number(after),
+          limit: limit + 1,
+        });
+        return res.json({
+          messages: newer.slice(0, limit),
+          hasNewer: newer.length > limit,
+        });
+      }
+
+      const older = await storage.getRoomMessages(room.name, {
+        before: before === undefined ? undefined : Number(before),
+        limit: limit + 1,
+      });
+      res.json({
+        messages: older.slice(-limit),
+        hasMore: older.length > limit,
+        hasNewer: before !== undefined,
+      });
+    } catch (err) {
+      console.error("Failed to read messages", err);
+      res.status(500).json({ error: "Failed to read messages" });
+    }
+  }
+);
+
+// Messages of a room stored after sequence number ?after=, oldest first, so
+// a client that reconnects can fetch exactly what it missed. Thread replies
+// are skipped like in /api/messages, but still advance latestSeq.
+const SYNC_PAGE_SIZE = 200;
+app.get(
+  "/api/messages/sync",
+  authenticateToken,
+  schemas.checkRequest("syncMessages"),
+  async (req, res) => {
+    const { roomId = "general", after = 0 } = req.query;
+    const afterSeq = parseInt(after, 10);
+    if (!Number.isInteger(afterSeq) || afterSeq < 0) {
+      return res.status(400).json({ error: "after must be a sequence number" });
+    }
+    try {
+      const room = await chatRooms.getRoom(roomId);
+      if (!room || !chatRooms.canView(room, req.user.userId)) {
+        return res.status(404).json({ error: "Room not found" });
+      }
+      const missed = await storage.getRoomMessages(room.name, {
+        after: afterSeq,
+        limit: SYNC_PAGE_SIZE + 1,
+        includeReplies: true,
+      });
+      const page = missed.slice(0, SYNC_PAGE_SIZE);
+      res.json({
+        messages: page.filter((m) => m.parentId == null),
+        latestSeq: page.length > 0 ? page[page.length - 1].seq : afterSeq,
+        hasMore: missed.length > page.length,
+      });
+    } catch (err) {
+      console.error("Failed to sync messages", err);
+      res.status(500).json({ error: "Failed to sync messages" });
+    }
+  }
+);
+
+// Full-text search over the rooms the caller can see; see utils/search.js
+// for the query syntax
+app.get(
+  "/api/search",
+  authenticateToken,
+  schemas.checkRequest("search"),
+  async (req, res) => {
+    const { q = "", limit = 20, offset = 0 } = req.query;
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 50);
+    const offsetNum = Math.max(parseInt(offset, 10) || 0, 0);
+    try {
+      const visibleRooms = new Set(
+        (await chatRooms.listRooms())
+          .filter((room) => chatRooms.canView(room, req.user.userId))
+          .map((room) => room.name)
+      );
+      const found = await search.search(String(q), visibleRooms, {
+        limit: limitNum,
+        offset: offsetNum,
+      });
+      if (found.error) {
+        return res.status(400).json({ error: found.error });
+      }
+      res.json(found);
+    } catch (err) {
+      console.error("Failed to search messages", err);
+      res.status(500).json({ error: "Failed to search messages" });
+    }
+  }
+);
+
+// The room timeline around a message (oldest first), for jumping to a search
+// result. Thread replies are shown in their thread, around its root message.
+const CONTEXT_SIZE = 20;
+app.get(
+  "/api/messages/:id/context",
+  authenticateToken,
+  schemas.checkRequest("messageContext"),
+  async (req, res) => {
+    try {
+      const target = await storage.getMessage(req.params.id);
+      const room =
+        target &&
+        !target.isPrivate &&
+        (await chatRooms.getRoom(target.roomId || "general"));
+      if (!room || !chatRooms.canView(room, req.user.userId)) {
+        return res.status(404).json({ error: "Message not found" });
+      }
+      const anchor =
+        target.parentId != null
+          ? await storage.getMessage(String(target.parentId))
+          : target;
+      if (!anchor) {
+        return res.status(404).json({ error: "Message not found" });
+      }
+      res.json({
+        room: room.name,
+        messageId: target.id,
+        threadId: target.parentId ?? null,
+        ...(await messageWindow(room.name, anchor, CONTEXT_SIZE)),
+      });
+    } catch (err) {
+      console.error("Failed to read message context", err);
+      res.status(500).json({ error: "Failed to read message context" });
+    }
+  }
+);
+
+// The caller's own vote in a poll: { optionIds }. Anonymous polls do not
+// name their voters, so this is how clients learn what they picked.
+app.get(
+  "/api/messages/:id/ballot",
+  authenticateToken,
+  schemas.checkRequest("ballot"),
+  async (req, res) => {
+    try {
+      const message = await storage.getMessage(req.params.id);
+      if (
+        !message ||
+        !message.poll ||
+        !(await canSeeMessage(message, req.user.userId))
+      ) {
+        return res.status(404).json({ error: "Poll not found" });
+      }
+      res.json({ optionIds: await polls.getBallot(message, req.user.userId) });
+    } catch (err) {
+      console.error("Failed to read ballot", err);
+      res.status(500).json({ error: "Failed to read ballot" });
+    }
+  }
+);
+
+// Replies of a thread, oldest first, together with the root message
+app.get(
+  "/api/messages/:id/thread",
+  authenticateToken,
+  schemas.checkRequest("thread"),
+  async (req, res) => {
+    try {
+      const parent = await storage.getMessage(req.params.id);
+      const room =
+        parent && (await chatRooms.getRoom(parent.roomId || "general"));
+      if (
+        !parent ||
+        parent.parentId != null ||
+        parent.isPrivate ||
+        !room ||
+        !chatRooms.canView(room, req.user.userId)
+      ) {
+        return res.status(404).json({ error: "Thread not found" });
+      }
+      const replies = await storage.getReplies(parent.id);
+      res.json({ parent, replies });
+    } catch (err) {
+      console.error("Failed to read thread", err);
+      res.status(500).json({ error: "Failed to read thread" });
+    }
+  }
+);
+
+// Direct-message conversations of the caller, most recent first
+app.get(
+  "/api/dms",
+  authenticateToken,
+  schemas.checkRequest("listConversations"),
+  async (req, res) => {
+    try {
+      res.json(await directMessages.listConversations(req.user.userId));
+    } catch (err) {
+      console.error("Failed to read conversations", err);
+      res.status(500).json({ error: "Failed to read conversations" });
+    }
+  }
+);
+
+// History of the caller's conversation with another user, paged with ?before=
+app.get(
+  "/api/dms/:userId/messages",
+  authenticateToken,
+  schemas.checkRequest("directMessages"),
+  async (req, res) => {
+    const { limit = 50, before } = req.query;
+    try {
+      const otherUser = await auth.getUserById(req.params.userId);
+      if (!otherUser) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      const conversationId = directMessages.conversationIdFor(
+        req.user.userId,
+        otherUser.id
+      );
+      const history = await directMessages.getHistory(conversationId, {
+        limit: Math.min(parseInt(limit, 10) || 50, 200),
+        before,
+      });
+      res.json({ conversationId, otherUser, ...history });
+    } catch (err) {
+      console.error("Failed to read conversation", err);
+      res.status(500).json({ error: "Failed to read conversation" });
+    }
+  }
+);
+
+app.get(
+  "/api/users",
+  authenticateToken,
+  schemas.checkRequest("listUsers"),
+  async (req, res) => {
+    // Return users in the same room as the requesting user
+    try {
+      const userSocket = (await socketsIn(userRoom(req.user.userId))).find(
+        ({ data }) => data.user
+      );
+      res.json(userSocket ? await roomUserList(userSocket.data.user.room) : []);
+    } catch (err) {
+      console.error("Failed to read users", err);
+      res.status(500).json({ error: "Failed to read users" });
+    }
+  }
+);
+
+// How a user appears to others, including when they were last seen
+app.get(
+  "/api/users/:id/presence",
+  authenticateToken,
+  schemas.checkRequest("presence"),
+  async (req, res) => {
+    try {
+      if (!(await auth.getUserById(req.params.id))) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      res.json(await presenceOf(req.params.id));
+    } catch (err) {
+      console.error("Failed to read presence", err);
+      res.status(500).json({ error: "Failed to read presence" });
+    }
+  }
+);
+
+// The authenticated caller as a { id, username } user
+const requestUser = (req) => ({
+  id: req.user.userId,
+  username: req.user.username,
+});
+
+// Rooms the caller can see; archived rooms only with ?includeArchived=true
+app.get(
+  "/api/rooms",
+  authenticateToken,
+  schemas.checkRequest("listRooms"),
+  async (req, res) => {
+    const includeArchived = req.query.includeArchived === "true";
+    try {
+      const visible = (await chatRooms.listRooms()).filter(
+        (room) =>
+          chatRooms.canView(room, req.user.userId) &&
+          (includeArchived || !room.archived)
+      );
+      res.json(visible.map((room) => roomSummary(room, requestUser(req))));
+    } catch (err) {
+      console.error("Failed to read rooms", err);
+      res.status(500).json({ error: "Failed to read rooms" });
+    }
+  }
+);
+
+// Loads :name into req.room, rejecting rooms the caller cannot see
+const loadRoom = async (req, res, next) => {
+  try {
+    const room = await chatRooms.getRoom(req.params.name);
+    if (!room || !chatRooms.canView(room, req.user.userId)) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+    req.room = room;
+    next();
+  } catch (err) {
+    console.error("Failed to read room", err);
+    res.status(500).json({ error: "Failed to read room" });
+  }
+};
+
+const requireRoomOwner = (req, res, next) => {
+  if (moderation.roleOf(req.room, requestUser(req)) !== "owner") {
+    return res.status(403).json({ error: "Only the room owner can do that" });
+  }
+  next();
+};
+
+const VISIBILITIES = ["public", "private"];
+
+// Validates the topic/visibility fields shared by create and update
+const validateRoomSettings = ({ topic, visibility }) => {
+  if (
+    topic !== undefined &&
+    (typeof topic !== "string" || topic.length > 200)
+  ) {
+    return "Topic must be a string of at most 200 characters";
+  }
+  if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+    return "Visibility must be public or private";
+  }
+  return null;
+};
+
+app.post(
+  "/api/rooms",
+  authenticateToken,
+  schemas.checkRequest("createRoom"),
+  async (req, res) => {
+    const { name, topic, visibility } = req.body || {};
+    if (!chatRooms.isValidRoomName(name)) {
+      return res.status(400).json({
+        error: "Room name must be 1-32 letters, numbers, dashes or underscores",
+      });
+    }
+    const validationError = validateRoomSettings({ topic, visibility });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const room = await chatRooms.createRoom(
+        { name, topic, visibility },
+        { id: req.user.userId, username: req.user.username }
+      );
+      if (!room) {
+        return res.status(409).json({ error: "Room already exists" });
+      }
+      emitRoomUpdate(room);
+      res.status(201).json(roomSummary(room, requestUser(req)));
+    } catch (err) {
+      console.error("Failed to create room", err);
+      res.status(500).json({ error: "Failed to create room" });
+    }
+  }
+);
+
+app.patch(
+  "/api/rooms/:name",
+  authenticateToken,
+  schemas.checkRequest("updateRoom"),
+  loadRoom,
+  requireRoomOwner,
+  async (req, res) => {
+    const { topic, visibility } = req.body || {};
+    const validationError = validateRoomSettings({ topic, visibility });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const room = await chatRooms.updateRoom(req.room.name, {
+        ...(topic !== undefined && { topic }),
+        ...(visibility !== undefined && { visibility }),
+      });
+      emitRoomUpdate(room, room.visibility !== req.room.visibility);
+      res.json(roomSummary(room, requestUser(req)));
+    } catch (err) {
+      console.error("Failed to update room", err);
+      res.status(500).json({ error: "Failed to update room" });
+    }
+  }
+);
+
+app.post(
+  "/api/rooms/:name/archive",
+  authenticateToken,
+  schemas.checkRequest("archiveRoom"),
+  loadRoom,
+  requireRoomOwner,
+  async (req, res) => {
+    if (req.room.name === "general") {
+      return res.status(400).json({ error: "The general room stays open" });
+    }
+    try {
+      const room = await chatRooms.updateRoom(req.room.name, {
+        archived: true,
+        archivedAt: new Date().toISOString(),
+      });
+      emitRoomUpdate(room);
+      res.json(roomSummary(room, requestUser(req)));
+    } catch (err) {
+      console.error("Failed to archive room", err);
+      res.status(500).json({ error: "Failed to archive room" });
+    }
+  }
+);
+
+app.get(
+  "/api/rooms/:name/members",
+  authenticateToken,
+  schemas.checkRequest("listMembers"),
+  loadRoom,
+  (req, res) => {
+    res.json(req.room.members);
+  }
+);
+
+// Invite links carry an expiring token; accepting it makes the caller a member
+app.post(
+  "/api/rooms/:name/invites",
+  authenticateToken,
+  schemas.checkRequest("createInvite"),
+  loadRoom,
+  requireRoomOwner,
+  async (req, res) => {
+    try {
+      const invite = await chatRooms.createInvite(
+        req.room,
+        req.user.userId,
+        (req.body || {}).expiresInHours
+      );
+      res.status(201).json(invite);
+    } catch (err) {
+      console.error("Failed to create invite", err);
+      res.status(500).json({ error: "Failed to create invite" });
+    }
+  }
+);
+
+app.post(
+  "/api/invites/:token/accept",
+  authenticateToken,
+  schemas.checkRequest("acceptInvite"),
+  async (req, res) => {
+    try {
+      const room = await chatRooms.acceptInvite(req.params.token, {
+        id: req.user.userId,
+        username: req.user.username,
+      });
+      if (!room) {
+        return res.status(404).json({ error: "Invite is invalid or expired" });
+      }
+      emitRoomUpdate(room);
+      res.json(roomSummary(room, requestUser(req)));
+    } catch (err) {
+      console.error("Failed to accept invite", err);
+      res.status(500).json({ error: "Failed to accept invite" });
+    }
+  }
+);
+
+// Join requests let users ask the owner of a private room to let them in.
+// The room is looked up directly since non-members cannot see private rooms.
+app.post(
+  "/api/rooms/:name/join-requests",
+  authenticateToken,
+  schemas.checkRequest("requestToJoin"),
+  async (req, res) => {
+    try {
+      const room = await chatRooms.getRoom(req.params.name);
+      if (!room || room.archived) {
+        return res.status(404).json({ error: "Room not found" });
+      }
+      if (room.visibility === "public") {
+        return res.status(400).json({ error: "Public rooms can be joined" });
+      }
+      if (chatRooms.isMember(room, req.user.userId)) {
+        return res.status(409).json({ error: "Already a member" });
+      }
+      if (chatRooms.isBanned(room, req.user.userId)) {
+        return res.status(403).json({ error: "You are banned from this room" });
+      }
+      const request = await chatRooms.requestToJoin(room, {
+        id: req.user.userId,
+        username: req.user.username,
+      });
+      if (room.ownerId) {
+        chatNamespace.to(userRoom(room.ownerId)).emit("join_request", request);
+      }
+      res.status(201).json(request);
+    } catch (err) {
+      console.error("Failed to request to join room", err);
+      res.status(500).json({ error: "Failed to request to join room" });
+    }
+  }
+);
+
+app.get(
+  "/api/rooms/:name/join-requests",
+  authenticateToken,
+  schemas.checkRequest("listJoinRequests"),
+  loadRoom,
+  requireRoomOwner,
+  async (req, res) => {
+    try {
+      res.json(await chatRooms.listJoinRequests(req.room.name));
+    } catch (err) {
+      console.error("Failed to read join requests", err);
+      res.status(500).json({ error: "Failed to read join requests" });
+    }
+  }
+);
+
+// Body: { approve: boolean }
+app.post(
+  "/api/rooms/:name/join-requests/:userId",
+  authenticateToken,
+  schemas.checkRequest("resolveJoinRequest"),
+  loadRoom,
+  requireRoomOwner,
+  async (req, res) => {
+    const approve = Boolean((req.body || {}).approve);
+    try {
+      const room = await chatRooms.resolveJoinRequest(
+        req.room,
+        req.params.userId,
+        approve
+      );
+      if (!room) {
+        return res.status(404).json({ error: "Join request not found" });
+      }
+      if (approve) {
+        emitRoomUpdate(room);
+        chatNamespace
+          .to(userRoom(req.params.userId))
+          .emit("room_updated", { name: room.name, archived: room.archived });
+      }
+      res.json(roomSummary(room, requestUser(req)));
+    } catch (err) {
+      console.error("Failed to resolve join request", err);
+      res.status(500).json({ error: "Failed to resolve join request" });
+    }
+  }
+);
+
+// Moderation - owners and moderators act on users ranked below them
+const requireModerator = (req, res, next) => {
+  if (!moderation.canModerate(req.room, requestUser(req))) {
+    return res.status(403).json({ error: "Only moderators can do that" });
+  }
+  next();
+};
+
+// Loads the target user (:userId or body.userId) into req.target
+const loadModerationTarget = async (req, res, next) => {
+  const userId = req.params.userId || (req.body || {}).userId;
+  if (!userId || typeof userId !== "string") {
+    return res.status(400).json({ error: "userId is required" });
+  }
+  if (userId === req.user.userId) {
+    return res.status(400).json({ error: "You cannot moderate yourself" });
+  }
+  try {
+    const target = await auth.getUserById(userId);
+    if (!target) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (!moderation.outranks(req.room, requestUser(req), target)) {
+      return res.status(403).json({ error: "You cannot moderate this user" });
+    }
+    req.target = target;
+    next();
+  } catch (err) {
+    console.error("Failed to read user", err);
+    res.status(500).json({ error: "Failed to read user" });
+  }
+};
+
+const validateReason = (reason) =>
+  reason === undefined || (typeof reason === "string" && reason.length <= 200)
+    ? null
+    : "Reason must be a string of at most 200 characters";
+
+// Tell the affected user what happened to them
+const notifyModerationTarget = (entry) => {
+  chatNamespace.to(userRoom(entry.target.id)).emit("moderation_notice", {
+    room: entry.room,
+    action: entry.action,
+    reason: entry.reason || "",
+    ...(entry.until && { until: entry.until }),
+    ...(entry.role && { role: entry.role }),
+  });
+};
+
+const MODERATOR_ROLES = ["moderator", "member"];
+
+// Body: { role: "moderator" | "member" }
+app.put(
+  "/api/rooms/:name/members/:userId/role",
+  authenticateToken,
+  schemas.checkRequest("setRole"),
+  loadRoom,
+  requireRoomOwner,
+  loadModerationTarget,
+  async (req, res) => {
+    const { role } = req.body || {};
+    if (!MODERATOR_ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: "Role must be moderator or member" });
+    }
+    if (!chatRooms.isMember(req.room, req.target.id)) {
+      return res.status(404).json({ error: "User is not a member" });
+    }
+    try {
+      const { room, entry } = await moderation.setRole(
+        req.room,
+        req.target,
+        role,
+        requestUser(req)
+      );
+      emitRoomUpdate(room);
+      notifyModerationTarget(entry);
+      res.json(room.members);
+    } catch (err) {
+      console.error("Failed to change role", err);
+      res.status(500).json({ error: "Failed to change role" });
+    }
+  }
+);
+
+// Body: { userId, durationMinutes?, reason? }
+app.post(
+  "/api/rooms/:name/mutes",
+  authenticateToken,
+  schemas.checkRequest("mute"),
+  loadRoom,
+  requireModerator,
+  loadModerationTarget,
+  async (req, res) => {
+    const { durationMinutes, reason } = req.body || {};
+    const validationError = validateReason(reason);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    try {
+      const { entry } = await moderation.muteUser(
+        req.room,
+        req.target,
+        requestUser(req),
+        durationMinutes,
+        reason
+      );
+      // Clear any typing indicator the muted user is still showing
+      await runOnAllInstances("stop_typing", req.target.id);
+      notifyModerationTarget(entry);
+      res.status(201).json(entry);
+    } catch (err) {
+      console.error("Failed to mute user", err);
+      res.status(500).json({ error: "Failed to mute user" });
+    }
+  }
+);
+
+app.delete(
+  "/api/rooms/:name/mutes/:userId",
+  authenticateToken,
+  schemas.checkRequest("unmute"),
+  loadRoom,
+  requireModerator,
+  loadModerationTarget,
+  async (req, res) => {
+    if (!moderation.getActiveMute(req.room, req.target.id)) {
+      return res.status(404).json({ error: "User is not muted" });
+    }
+    try {
+      const { entry } = await moderation.unmuteUser(
+        req.room,
+        req.target,
+        requestUser(req)
+      );
+      notifyModerationTarget(entry);
+      res.json(entry);
+    } catch (err) {
+      console.error("Failed to unmute user", err);
+      res.status(500).json({ error: "Failed to unmute user" });
+    }
+  }
+);
+
+// Everyone has to be able to reach the general room, so nobody is removed from it
+const rejectGeneralRoom = (req, res, next) => {
+  if (req.room.name === "general") {
+    return res
+      .status(400)
+      .json({ error: "Users cannot be removed from the general room" });
+  }
+  next();
+};
+
+// Body: { userId, reason? }
+app.post(
+  "/api/rooms/:name/kicks",
+  authenticateToken,
+  schemas.checkRequest("kick"),
+  loadRoom,
+  requireModerator,
+  rejectGeneralRoom,
+  loadModerationTarget,
+  async (req, res) => {
+    const { reason } = req.body || {};
+    const validationError = validateReason(reason);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    try {
+      const { room, entry } = await moderation.kickUser(
+        req.room,
+        req.target,
+        requestUser(req),
+        reason
+      );
+      await runOnAllInstances("evict_from_room", room.name, req.target.id);
+      emitRoomUpdate(room);
+      notifyModerationTarget(entry);
+      res.status(201).json(entry);
+    } catch (err) {
+      console.error("Failed to kick user", err);
+      res.status(500).json({ error: "Failed to kick user" });
+    }
+  }
+);
+
+app.get(
+  "/api/rooms/:name/bans",
+  authenticateToken,
+  schemas.checkRequest("listBans"),
+  loadRoom,
+  requireModerator,
+  (req, res) => {
+    res.json(req.room.bans);
+  }
+);
+
+// Body: { userId, reason? }
+app.post(
+  "/api/rooms/:name/bans",
+  authenticateToken,
+  schemas.checkRequest("ban"),
+  loadRoom,
+  requireModerator,
+  rejectGeneralRoom,
+  loadModerationTarget,
+  async (req, res) => {
+    const { reason } = req.body || {};
+    const validationError = validateReason(reason);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    try {
+      const { room, entry } = await moderation.banUser(
+        req.room,
+        req.target,
+        requestUser(req),
+        reason
+      );
+      await runOnAllInstances("evict_from_room", room.name, req.target.id);
+      emitRoomUpdate(room);
+      notifyModerationTarget(entry);
+      res.status(201).json(entry);
+    } catch (err) {
+      console.error("Failed to ban user", err);
+      res.status(500).json({ error: "Failed to ban user" });
+    }
+  }
+);
 
-  // Handle file messages
-  socket.on("send_file", (fileData) => {
-    if (!users[socket.id]) return;
-    const user = users[socket.id];
-    const message = {
-      id: Date.now(),
-      sender: user.username || "Anonymous",
-      senderId: socket.id,
-      roomId: user.room,
-      timestamp: new Date().toISOString(),
-      file: fileData,
-      message: `Shared a file: ${fileData.filename}`,
-    };
-    storage
-      .addMessage(message)
-      .then(() => {
-        messages.push(message);
-        if (messages.length > 100) messages.shift();
-      })
-      .catch((err) => console.error("Failed to persist file message", err));
+app.delete(
+  "/api/rooms/:name/bans/:userId",
+  authenticateToken,
+  schemas.checkRequest("unban"),
+  loadRoom,
+  requireModerator,
+  loadModerationTarget,
+  async (req, res) => {
+    if (!chatRooms.isBanned(req.room, req.target.id)) {
+      return res.status(404).json({ error: "User is not banned" });
+    }
+    try {
+      const { entry } = await moderation.unbanUser(
+        req.room,
+        req.target,
+        requestUser(req)
+      );
+      notifyModerationTarget(entry);
+      res.json(entry);
+    } catch (err) {
+      console.error("Failed to unban user", err);
+      res.status(500).json({ error: "Failed to unban user" });
+    }
+  }
+);
 
-    io.to(user.room).emit("receive_message", message);
-  });
+app.get(
+  "/api/rooms/:name/moderation-log",
+  authenticateToken,
+  schemas.checkRequest("moderationLog"),
+  loadRoom,
+  requireModerator,
+  async (req, res) => {
+    try {
+      res.json(await moderation.getLog(req.room.name));
+    } catch (err) {
+      console.error("Failed to read moderation log", err);
+      res.status(500).json({ error: "Failed to read moderation log" });
+    }
+  }
+);
 
-  // Handle typing indicator
-  socket.on("typing", (isTyping) => {
-    // Only allow authenticated users to show typing indicators
-    if (users[socket.id]) {
-      const username = users[socket.id].username;
-      const room = users[socket.id].room;
+app.get(
+  "/api/rooms/:name/pins",
+  authenticateToken,
+  schemas.checkRequest("listPins"),
+  loadRoom,
+  async (req, res) => {
+    try {
+      res.json(await listPins(req.room));
+    } catch (err) {
+      console.error("Failed to read pins", err);
+      res.status(500).json({ error: "Failed to read pins" });
+    }
+  }
+);
 
-      if (isTyping) {
-        typingUsers[socket.id] = username;
-      } else {
-        delete typingUsers[socket.id];
+// Body: { messageId } of a message in the room, thread replies included
+app.post(
+  "/api/rooms/:name/pins",
+  authenticateToken,
+  schemas.checkRequest("pinMessage"),
+  loadRoom,
+  requireModerator,
+  async (req, res) => {
+    try {
+      const message = await storage.getMessage(String(req.body.messageId));
+      if (
+        !message ||
+        message.deleted ||
+        message.isPrivate ||
+        message.conversationId ||
+        (message.roomId || "general") !== req.room.name
+      ) {
+        return res.status(404).json({ error: "Message not found" });
+      }
+      const result = await moderation.pinMessage(
+        req.room,
+        message,
+        requestUser(req)
+      );
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
       }
+      emitPins(result.room);
+      res.status(201).json(result.entry);
+    } catch (err) {
+      console.error("Failed to pin message", err);
+      res.status(500).json({ error: "Failed to pin message" });
+    }
+  }
+);
 
-      io.to(room).emit("typing_users", Object.values(typingUsers));
+app.delete(
+  "/api/rooms/:name/pins/:messageId",
+  authenticateToken,
+  schemas.checkRequest("unpinMessage"),
+  loadRoom,
+  requireModerator,
+  async (req, res) => {
+    try {
+      const pin = req.room.pins.find(
+        (p) => String(p.messageId) === req.params.messageId
+      );
+      if (!pin) return res.status(404).json({ error: "Message is not pinned" });
+      const result = await moderation.unpinMessage(
+        req.room,
+        pin.messageId,
+        requestUser(req)
+      );
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      emitPins(result.room);
+      res.json(result.entry);
+    } catch (err) {
+      console.error("Failed to unpin message", err);
+      res.status(500).json({ error: "Failed to unpin message" });
     }
-  });
+  }
+);
 
-  // Handle private messages
-  socket.on("private_message", ({ to, message }) => {
-    // Only allow authenticated users to send private messages
-    if (!users[socket.id]) {
-      return;
+// Scheduled messages and reminders of the caller, the next one first
+app.get(
+  "/api/scheduled",
+  authenticateToken,
+  schemas.checkRequest("listScheduled"),
+  async (req, res) => {
+    try {
+      res.json(await scheduler.listJobs(req.user.userId));
+    } catch (err) {
+      console.error("Failed to list scheduled jobs", err);
+      res.status(500).json({ error: "Failed to list scheduled jobs" });
     }
-    const user = users[socket.id];
-    const messageData = {
-      id: Date.now(),
-      sender: user.username || "Anonymous",
-      senderId: socket.id,
-      message,
-      roomId: user.room,
-      timestamp: new Date().toISOString(),
-      isPrivate: true,
-    };
-    // persist private message as well
-    storage
-      .addMessage(messageData)
-      .then(() => {
-        messages.push(messageData);
-        if (messages.length > 100) messages.shift();
-      })
-      .catch((err) => console.error("Failed to persist private message", err));
+  }
+);
 
-    socket.to(to).emit("private_message", messageData);
-    socket.emit("private_message", messageData);
-  });
+// Body: { message, runAt } and either { roomId, parentId? } or { to }
+app.post(
+  "/api/scheduled/messages",
+  authenticateToken,
+  rateLimits.limitRoute("schedule"),
+  schemas.checkRequest("scheduleMessage"),
+  async (req, res) => {
+    try {
+      const result = await scheduleMessage(requestUser(req), req.body);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.status(201).json(result.job);
+    } catch (err) {
+      console.error("Failed to schedule message", err);
+      res.status(500).json({ error: "Failed to schedule message" });
+    }
+  }
+);
 
-  // Handle read receipts from clients (socket event)
-  socket.on("message_read", async ({ messageId }) => {
-    // Only allow authenticated users to mark messages as read
-    if (!users[socket.id]) {
-      return;
+// Body: { messageId, runAt, note? }
+app.post(
+  "/api/scheduled/reminders",
+  authenticateToken,
+  rateLimits.limitRoute("schedule"),
+  schemas.checkRequest("setReminder"),
+  async (req, res) => {
+    try {
+      const result = await scheduleReminder(requestUser(req), req.body);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.status(201).json(result.job);
+    } catch (err) {
+      console.error("Failed to set reminder", err);
+      res.status(500).json({ error: "Failed to set reminder" });
     }
+  }
+);
+
+// Body: { runAt?, message? } for messages, { runAt?, note? } for reminders
+app.patch(
+  "/api/scheduled/:id",
+  authenticateToken,
+  schemas.checkRequest("editScheduled"),
+  async (req, res) => {
     try {
-      const receipts = await storage.markMessageRead(
-        String(messageId),
-        socket.id
+      const result = await editScheduledJob(
+        requestUser(req),
+        req.params.id,
+        req.body
       );
-      // broadcast new read receipt info to clients (scoped to room)
-      const room = users[socket.id].room;
-      io.to(room).emit("read_receipt", {
-        messageId: String(messageId),
-        receipts,
-      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json(result.job);
     } catch (err) {
-      console.error("Failed to mark message read", err);
+      console.error("Failed to update scheduled job", err);
+      res.status(500).json({ error: "Failed to update scheduled job" });
     }
-  });
+  }
+);
 
-  // Handle message reactions
-  socket.on("add_reaction", async ({ messageId, reaction }) => {
-    if (!users[socket.id]) return;
+app.delete(
+  "/api/scheduled/:id",
+  authenticateToken,
+  schemas.checkRequest("cancelScheduled"),
+  async (req, res) => {
     try {
-      await storage.addReaction(String(messageId), socket.id, reaction);
-      const room = users[socket.id].room;
-      io.to(room).emit("reaction_added", {
-        messageId: String(messageId),
-        reaction,
-        userId: socket.id,
-      });
+      const result = await cancelScheduledJob(requestUser(req), req.params.id);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.status(204).end();
     } catch (err) {
-      console.error("Failed to add reaction", err);
+      console.error("Failed to cancel scheduled job", err);
+      res.status(500).json({ error: "Failed to cancel scheduled job" });
     }
-  });
+  }
+);
 
-  socket.on("remove_reaction", async ({ messageId, reaction }) => {
-    if (!users[socket.id]) return;
+// Bookmarks of the caller with their messages, the newest first. Each of
+// the caller's connections hears about changes through bookmark_saved and
+// bookmark_removed.
+app.get(
+  "/api/bookmarks",
+  authenticateToken,
+  schemas.checkRequest("listBookmarks"),
+  async (req, res) => {
     try {
-      await storage.removeReaction(String(messageId), socket.id, reaction);
-      const room = users[socket.id].room;
-      io.to(room).emit("reaction_removed", {
-        messageId: String(messageId),
-        reaction,
-        userId: socket.id,
-      });
+      res.json(await listBookmarks(req.user.userId));
     } catch (err) {
-      console.error("Failed to remove reaction", err);
+      console.error("Failed to read bookmarks", err);
+      res.status(500).json({ error: "Failed to read bookmarks" });
     }
-  });
+  }
+);
 
-  // Handle disconnection
-  socket.on("disconnect", () => {
-    if (users[socket.id]) {
-      const { username, room } = users[socket.id];
-      io.to(room).emit("user_left", { username, id: socket.id });
-      io.to(room).emit("user_status", { userId: socket.id, status: "offline" });
-      console.log(`${username} left the chat`);
+// Body: { note? }. Saves the message, or replaces the note of a saved one.
+app.put(
+  "/api/bookmarks/:messageId",
+  authenticateToken,
+  schemas.checkRequest("saveBookmark"),
+  async (req, res) => {
+    try {
+      const message = await storage.getMessage(req.params.messageId);
+      if (
+        !message ||
+        message.deleted ||
+        !(await canSeeMessage(message, req.user.userId))
+      ) {
+        return res.status(404).json({ error: "Message not found" });
+      }
+      const result = await bookmarks.saveBookmark(
+        req.user.userId,
+        message.id,
+        req.body.note
+      );
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      const bookmark = { ...result.bookmark, message };
+      chatNamespace
+        .to(userRoom(req.user.userId))
+        .emit("bookmark_saved", bookmark);
+      res.json(bookmark);
+    } catch (err) {
+      console.error("Failed to save bookmark", err);
+      res.status(500).json({ error: "Failed to save bookmark" });
+    }
+  }
+);
 
-      delete rooms[room][socket.id];
-      io.to(room).emit("user_list", Object.values(rooms[room]));
+app.delete(
+  "/api/bookmarks/:messageId",
+  authenticateToken,
+  schemas.checkRequest("removeBookmark"),
+  async (req, res) => {
+    try {
+      const removed = await bookmarks.removeBookmark(
+        req.user.userId,
+        req.params.messageId
+      );
+      if (!removed) {
+        return res.status(404).json({ error: "Bookmark not found" });
+      }
+      chatNamespace
+        .to(userRoom(req.user.userId))
+        .emit("bookmark_removed", { messageId: removed.messageId });
+      res.status(204).end();
+    } catch (err) {
+      console.error("Failed to remove bookmark", err);
+      res.status(500).json({ error: "Failed to remove bookmark" });
     }
+  }
+);
 
-    delete users[socket.id];
-    delete typingUsers[socket.id];
+// Read pointers with unread and mention counts:
+// { [roomId]: { lastReadSeq, unread, mentions } }
+app.get(
+  "/api/read-state",
+  authenticateToken,
+  schemas.checkRequest("readState"),
+  async (req, res) => {
+    try {
+      res.json(await readState.summaryFor(req.user.userId));
+    } catch (err) {
+      console.error("Failed to read read state", err);
+      res.status(500).json({ error: "Failed to read read state" });
+    }
+  }
+);
 
-    // Note: typing_users is global, but we can keep it for now or make it room-specific later
-    io.emit("typing_users", Object.values(typingUsers));
-  });
-});
+// File upload endpoint - returns the attachment to post with send_file
+app.post(
+  "/api/upload",
+  authenticateToken,
+  rateLimits.limitRoute("upload"),
+  schemas.checkRequest("upload"),
+  (req, res) => {
+    upload.single("file")(req, res, async (err) => {
+      if (err) {
+        const tooLarge = err.code === "LIMIT_FILE_SIZE";
+        return res.status(tooLarge ? 413 : 400).json({
+          error: tooLarge
+            ? `Files can be at most ${
+                attachments.MAX_FILE_SIZE / 1024 / 1024
+              } MB`
+            : "Invalid upload",
+        });
+      }
+      if (!req.file) {
+        return res.status(400).json({ error: "No file uploaded" });
+      }
 
-// Login endpoint to generate JWT
-app.post("/api/login", (req, res) => {
-  const { username } = req.body;
-  if (
-    !username ||
-    typeof username !== "string" ||
-    username.trim().length === 0
-  ) {
-    return res.status(400).json({ error: "Valid username required" });
+      try {
+        const created = await attachments.createAttachment(
+          req.file,
+          req.user.userId
+        );
+        if (created.error) {
+          return res.status(created.status).json({ error: created.error });
+        }
+        res.status(201).json(attachments.fileInfo(created.attachment));
+      } catch (err) {
+        console.error("Failed to store upload", err);
+        res.status(500).json({ error: "Failed to store upload" });
+      }
+    });
   }
+);
 
-  const trimmedUsername = username.trim();
-  const token = jwt.sign({ username: trimmedUsername }, JWT_SECRET, {
-    expiresIn: "24h",
-  });
-
-  res.json({ token, username: trimmedUsername });
-});
+// Resumable uploads - start a session, send its chunks (again after a
+// network drop), then complete it to get the attachment to post with send_file
+const sendUploadResult = (res, result, status = 200) => {
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.status(status).json(chunkedUploads.sessionStatus(result.session));
+};
 
-// Middleware to verify JWT
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
+app.post(
+  "/api/uploads",
+  authenticateToken,
+  rateLimits.limitRoute("upload"),
+  schemas.checkRequest("startUpload"),
+  async (req, res) => {
+    try {
+      const { filename, size, chunkSize } = req.body || {};
+      const result = await chunkedUploads.createSession(req.user.userId, {
+        filename,
+        size,
+        chunkSize,
+      });
+      sendUploadResult(res, result, 201);
+    } catch (err) {
+      console.error("Failed to start upload", err);
+      res.status(500).json({ error: "Failed to start upload" });
+    }
+  }
+);
 
-  if (!token) {
-    return res.status(401).json({ error: "Access token required" });
+app.get(
+  "/api/uploads/:id",
+  authenticateToken,
+  schemas.checkRequest("uploadStatus"),
+  async (req, res) => {
+    try {
+      const session = await chunkedUploads.getSession(
+        req.params.id,
+        req.user.userId
+      );
+      if (!session) {
+        return res.status(404).json({ error: "Upload not found" });
+      }
+      res.json(chunkedUploads.sessionStatus(session));
+    } catch (err) {
+      console.error("Failed to read upload", err);
+      res.status(500).json({ error: "Failed to read upload" });
+    }
   }
+);
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: "Invalid or expired token" });
+// Chunks are raw bytes with their CRC-32 (8 hex digits) in X-Chunk-Checksum
+app.put(
+  "/api/uploads/:id/chunks/:index",
+  authenticateToken,
+  schemas.checkRequest("uploadChunk"),
+  express.raw({
+    type: "application/octet-stream",
+    limit: chunkedUploads.MAX_CHUNK_SIZE,
+  }),
+  async (req, res) => {
+    try {
+      const result = await chunkedUploads.writeChunk(
+        req.params.id,
+        req.user.userId,
+        Number(req.params.index),
+        req.body,
+        req.get("X-Chunk-Checksum")
+      );
+      sendUploadResult(res, result);
+    } catch (err) {
+      console.error("Failed to store chunk", err);
+      res.status(500).json({ error: "Failed to store chunk" });
     }
-    req.user = user;
-    next();
-  });
-};
+  }
+);
 
-// API routes
-app.get("/api/messages", authenticateToken, (req, res) => {
-  const { limit = 50, offset = 0, roomId, search } = req.query;
-  const limitNum = parseInt(limit, 10);
-  const offsetNum = parseInt(offset, 10);
-
-  // return persisted messages (fresh read) with pagination and search
-  storage
-    .getMessages()
-    .then((msgs) => {
-      let filteredMsgs = msgs;
-      if (roomId) {
-        filteredMsgs = msgs.filter(
-          (m) => m.roomId === roomId || (!m.roomId && roomId === "general")
-        );
-      }
-      if (search) {
-        const searchLower = search.toLowerCase();
-        filteredMsgs = filteredMsgs.filter(
-          (m) =>
-            m.message?.toLowerCase().includes(searchLower) ||
-            m.sender?.toLowerCase().includes(searchLower)
-        );
+app.post(
+  "/api/uploads/:id/complete",
+  authenticateToken,
+  schemas.checkRequest("completeUpload"),
+  async (req, res) => {
+    try {
+      const created = await chunkedUploads.completeSession(
+        req.params.id,
+        req.user.userId
+      );
+      if (created.error) {
+        return res.status(created.status).json({ error: created.error });
       }
-      // Sort by timestamp descending (newest first)
-      filteredMsgs.sort(
-        (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
+      res.status(201).json(attachments.fileInfo(created.attachment));
+    } catch (err) {
+      console.error("Failed to complete upload", err);
+      res.status(500).json({ error: "Failed to complete upload" });
+    }
+  }
+);
+
+app.delete(
+  "/api/uploads/:id",
+  authenticateToken,
+  schemas.checkRequest("cancelUpload"),
+  async (req, res) => {
+    try {
+      const result = await chunkedUploads.cancelSession(
+        req.params.id,
+        req.user.userId
       );
-      const paginatedMsgs = filteredMsgs.slice(offsetNum, offsetNum + limitNum);
-      res.json({
-        messages: paginatedMsgs,
-        total: filteredMsgs.length,
-        hasMore: offsetNum + limitNum < filteredMsgs.length,
-      });
-    })
-    .catch((err) => {
-      console.error("Failed to read messages", err);
-      res.status(500).json({ error: "Failed to read messages" });
-    });
-});
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.status(204).end();
+    } catch (err) {
+      console.error("Failed to cancel upload", err);
+      res.status(500).json({ error: "Failed to cancel upload" });
+    }
+  }
+);
 
-app.get("/api/users", authenticateToken, (req, res) => {
-  // Return users in the same room as the requesting user
-  const userSocketId = Object.keys(users).find(
-    (id) => users[id].username === req.user.username
-  );
-  if (userSocketId && users[userSocketId]) {
-    const room = users[userSocketId].room;
-    res.json(Object.values(rooms[room] || {}));
-  } else {
-    res.json([]);
+// Attachments can be fetched by members of the room they were posted in,
+// or by the uploader before they are posted
+const loadAttachment = async (req, res, next) => {
+  try {
+    const attachment = await attachments.getAttachment(req.params.id);
+    let allowed = attachment?.ownerId === req.user.userId;
+    if (attachment?.roomId && !allowed) {
+      const room = await chatRooms.getRoom(attachment.roomId);
+      allowed = Boolean(room) && chatRooms.canView(room, req.user.userId);
+    }
+    if (!allowed) {
+      return res.status(404).json({ error: "Attachment not found" });
+    }
+    req.attachment = attachment;
+    next();
+  } catch (err) {
+    console.error("Failed to load attachment", err);
+    res.status(500).json({ error: "Failed to load attachment" });
   }
-});
+};
 
-app.get("/api/rooms", authenticateToken, (req, res) => {
-  res.json(availableRooms);
-});
+const sendAttachmentFile = (res, file, options) => {
+  res.set("X-Content-Type-Options", "nosniff");
+  res.set("Cache-Control", "private, max-age=86400");
+  res.sendFile(file, options, (err) => {
+    if (err && !res.headersSent) {
+      res.status(404).json({ error: "Attachment not found" });
+    }
+  });
+};
 
-app.get("/api/read-receipts", authenticateToken, (req, res) => {
-  storage
-    .getReadReceipts()
-    .then((r) => res.json(r))
-    .catch((err) => {
-      console.error("Failed to read receipts", err);
-      res.status(500).json({ error: "Failed to read receipts" });
-    });
-});
+app.get(
+  "/api/attachments/:id",
+  authenticateToken,
+  schemas.checkRequest("attachment"),
+  loadAttachment,
+  (req, res) => {
+    const { attachment } = req;
+    res.type(attachment.mimetype);
+    // Only images are shown inline; everything else is downloaded
+    if (!attachment.mimetype.startsWith("image/")) {
+      res.attachment(attachment.filename);
+    }
+    sendAttachmentFile(res, attachments.filePath(attachment.id));
+  }
+);
 
-// File upload endpoint
-app.post(
-  "/api/upload",
+app.get(
+  "/api/attachments/:id/thumbnail",
   authenticateToken,
-  upload.single("file"),
+  schemas.checkRequest("attachment"),
+  loadAttachment,
   (req, res) => {
-    if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
+    if (!req.attachment.hasThumbnail) {
+      return res.status(404).json({ error: "Attachment has no thumbnail" });
     }
+    res.type("image/webp");
+    sendAttachmentFile(res, attachments.thumbnailPath(req.attachment.id));
+  }
+);
 
-    const fileUrl = `/uploads/${req.file.filename}`;
-    res.json({
-      filename: req.file.originalname,
-      url: fileUrl,
-      size: req.file.size,
-      mimetype: req.file.mimetype,
+// Link preview images are served from the local cache, never hotlinked
+app.get(
+  "/api/link-previews/:id/image",
+  authenticateToken,
+  schemas.checkRequest("linkPreviewImage"),
+  (req, res) => {
+    if (!/^[0-9a-f]{32}$/.test(req.params.id)) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+    res.set("X-Content-Type-Options", "nosniff");
+    res.set("Cache-Control", "private, max-age=86400");
+    res.type("image/webp");
+    res.sendFile(unfurl.imagePath(req.params.id), (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ error: "Image not found" });
+      }
     });
   }
 );
@@ -480,10 +3291,27 @@ app.get("/", (req, res) => {
   res.send("Socket.io Chat Server is running");
 });
 
-// Start server
+// Start server once the socket adapter is connected
 const PORT = process.env.PORT || 5001;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+scaling
+  .attachAdapter(io)
+  .then(() => {
+    if (scaling.isDistributed() && storage.backend === "json") {
+      console.warn(
+        "JSON storage is not safe to share between instances; use STORAGE_BACKEND=sqlite"
+      );
+    }
+    attachments.startCleanup();
+    chunkedUploads.startCleanup();
+    rateLimits.startCleanup();
+    scheduler.start(scheduledJobHandlers);
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+  })
+  .catch((err) => {
+    console.error("Failed to set up the socket adapter", err);
+    process.exit(1);
+  });
 
 module.exports = { app, server, io, chatNamespace };
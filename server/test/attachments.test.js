@@ -0,0 +1,97 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-attachments-"));
+process.env.STORAGE_BACKEND = "json";
+process.env.JSON_DATA_DIR = dir;
+
+const storage = require("../utils/storage");
+const attachments = require("../utils/attachments");
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+let uploads = 0;
+const storedUpload = async (ownerId) => {
+  const id = `upload-${++uploads}`;
+  await storage.putRecord("attachments", id, {
+    id,
+    ownerId,
+    filename: "notes.txt",
+    mimetype: "text/plain",
+    size: 5,
+    hasThumbnail: false,
+    roomId: null,
+    messageId: null,
+    createdAt: new Date().toISOString(),
+  });
+  return id;
+};
+
+test("an upload is attached to one message only", async () => {
+  const id = await storedUpload("u1");
+  const results = await Promise.all(
+    ["m1", "m2", "m3"].map((messageId) =>
+      attachments.attachToMessage(id, "u1", { roomId: "general", messageId })
+    )
+  );
+  const attached = results.filter((result) => result.attachment);
+  assert.equal(attached.length, 1);
+  for (const result of results) {
+    if (!result.attachment) {
+      assert.equal(result.error, "Attachment is already in use");
+    }
+  }
+  const stored = await attachments.getAttachment(id);
+  assert.equal(stored.messageId, attached[0].attachment.messageId);
+});
+
+test("only the owner can attach an upload", async () => {
+  const id = await storedUpload("u1");
+  assert.deepEqual(
+    await attachments.attachToMessage(id, "u2", {
+      roomId: "general",
+      messageId: "m1",
+    }),
+    { error: "Attachment not found" }
+  );
+  assert.deepEqual(
+    await attachments.attachToMessage("missing", "u1", {
+      roomId: "general",
+      messageId: "m1",
+    }),
+    { error: "Attachment not found" }
+  );
+});
+
+test("detaching frees the upload only from its own message", async () => {
+  const id = await storedUpload("u1");
+  await attachments.attachToMessage(id, "u1", {
+    roomId: "general",
+    messageId: "m1",
+  });
+  await attachments.detach(id, "m2");
+  assert.equal((await attachments.getAttachment(id)).messageId, "m1");
+  await attachments.detach(id, "m1");
+  assert.equal((await attachments.getAttachment(id)).messageId, null);
+  const again = await attachments.attachToMessage(id, "u1", {
+    roomId: "general",
+    messageId: "m2",
+  });
+  assert.equal(again.attachment.messageId, "m2");
+});
+
+test("files of unsupported types are refused and removed", async () => {
+  const upload = path.join(dir, "upload.tmp");
+  fs.writeFileSync(upload, "MZ");
+  const result = await attachments.createAttachment(
+    { path: upload, originalname: "setup.exe" },
+    "u1"
+  );
+  assert.equal(result.status, 400);
+  assert.equal(fs.existsSync(upload), false);
+});
@@ -0,0 +1,97 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-auth-"));
+process.env.STORAGE_BACKEND = "json";
+process.env.JSON_DATA_DIR = dir;
+
+const auth = require("../utils/auth");
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("an account is created once and logs in with its password", async () => {
+  const user = await auth.registerUser(" Alice ", "password1");
+  assert.equal(user.username, "Alice");
+  assert.equal(await auth.registerUser("alice", "password2"), null);
+  assert.equal((await auth.authenticateUser("ALICE", "password1")).id, user.id);
+  assert.equal(await auth.authenticateUser("alice", "password2"), null);
+  assert.deepEqual(await auth.getUserById(user.id), {
+    id: user.id,
+    username: "Alice",
+  });
+});
+
+test("of concurrent registrations of one username only one succeeds", async () => {
+  const passwords = ["password1", "password2", "password3"];
+  const results = await Promise.all(
+    passwords.map((password) => auth.registerUser("racer", password))
+  );
+  const created = results.filter(Boolean);
+  assert.equal(created.length, 1);
+  const password = passwords[results.indexOf(created[0])];
+  for (const other of passwords) {
+    const account = await auth.authenticateUser("racer", other);
+    assert.equal(account?.id, other === password ? created[0].id : undefined);
+  }
+  assert.equal((await auth.getUserById(created[0].id)).username, "racer");
+});
+
+test("usernames that are Object.prototype members are ordinary names", async () => {
+  for (const username of ["constructor", "toString", "__proto__"]) {
+    assert.equal(await auth.getUserByUsername(username), null);
+    const user = await auth.registerUser(username, "password1");
+    assert.equal(user.username, username);
+    assert.equal(
+      (await auth.authenticateUser(username, "password1")).id,
+      user.id
+    );
+  }
+});
+
+test("a refresh token is exchanged for a new pair only once", async () => {
+  const user = await auth.registerUser("refresher", "password1");
+  const { refreshToken } = await auth.issueTokens(user);
+  const rotated = await auth.rotateRefreshToken(refreshToken);
+  assert.equal(rotated.userId, user.id);
+  assert.notEqual(rotated.refreshToken, refreshToken);
+  assert.equal(await auth.rotateRefreshToken(refreshToken), null);
+  assert.equal(
+    (await auth.rotateRefreshToken(rotated.refreshToken)).userId,
+    user.id
+  );
+});
+
+test("of concurrent refreshes with one token only one succeeds", async () => {
+  const user = await auth.registerUser("parallel", "password1");
+  const { refreshToken } = await auth.issueTokens(user);
+  const results = await Promise.all([
+    auth.rotateRefreshToken(refreshToken),
+    auth.rotateRefreshToken(refreshToken),
+    auth.rotateRefreshToken(refreshToken),
+  ]);
+  assert.equal(results.filter(Boolean).length, 1);
+});
+
+test("only the owner can revoke a refresh token", async () => {
+  const user = await auth.registerUser("revoker", "password1");
+  const first = await auth.issueTokens(user);
+  await auth.revokeRefreshToken(first.refreshToken, "someone else");
+  const second = await auth.rotateRefreshToken(first.refreshToken);
+  assert.ok(second);
+  await auth.revokeRefreshToken(second.refreshToken, user.username);
+  assert.equal(await auth.rotateRefreshToken(second.refreshToken), null);
+});
+
+test("revoked access tokens are refused", async () => {
+  const user = await auth.registerUser("verifier", "password1");
+  const { token } = await auth.issueTokens(user);
+  const decoded = await auth.verifyAccessToken(token);
+  assert.equal(decoded.userId, user.id);
+  await auth.revokeAccessToken(decoded);
+  await assert.rejects(auth.verifyAccessToken(token), /revoked/);
+});
@@ -0,0 +1,115 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-uploads-"));
+process.env.STORAGE_BACKEND = "json";
+process.env.JSON_DATA_DIR = dir;
+
+const attachments = require("../utils/attachments");
+const chunkedUploads = require("../utils/chunkedUploads");
+
+// Completed uploads land in uploads/ like any other attachment
+const created = [];
+
+after(async () => {
+  for (const id of created) await attachments.removeAttachment(id);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) {
+      crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+  }
+  return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, "0");
+};
+
+const CHUNK = 64 * 1024;
+const text = Buffer.from(
+  "line of text\n".repeat(Math.ceil((2.5 * CHUNK) / 13))
+);
+const chunkOf = (index) => text.subarray(index * CHUNK, (index + 1) * CHUNK);
+
+const start = async () => {
+  const { session } = await chunkedUploads.createSession("u1", {
+    filename: "notes.txt",
+    size: text.length,
+    chunkSize: CHUNK,
+  });
+  return session;
+};
+
+const send = (session, index, data = chunkOf(index), checksum = crc32(data)) =>
+  chunkedUploads.writeChunk(session.id, "u1", index, data, checksum);
+
+test("checksums match the CRC-32 check value", () => {
+  assert.equal(crc32(Buffer.from("123456789")), "cbf43926");
+});
+
+test("uploads need a supported type and a sensible size", async () => {
+  const create = (fields) => chunkedUploads.createSession("u1", fields);
+  assert.equal((await create({ filename: "a.exe", size: 10 })).status, 400);
+  assert.equal((await create({ filename: "a.txt", size: 0 })).status, 400);
+  assert.equal(
+    (await create({ filename: "a.txt", size: 10 * 1024 * 1024 * 1024 })).status,
+    413
+  );
+});
+
+test("chunks with a wrong checksum, length or index are refused", async () => {
+  const session = await start();
+  assert.equal((await send(session, 0, chunkOf(0), "00000000")).status, 422);
+  assert.equal((await send(session, 0, chunkOf(0).subarray(1))).status, 400);
+  assert.equal((await send(session, 3, chunkOf(2))).status, 400);
+  assert.equal(
+    (
+      await chunkedUploads.writeChunk(
+        session.id,
+        "u2",
+        0,
+        chunkOf(0),
+        crc32(chunkOf(0))
+      )
+    ).status,
+    404
+  );
+  const current = await chunkedUploads.getSession(session.id, "u1");
+  assert.deepEqual(chunkedUploads.sessionStatus(current).receivedChunks, []);
+  await chunkedUploads.cancelSession(session.id, "u1");
+});
+
+test("an interrupted upload resumes with the missing chunks", async () => {
+  const session = await start();
+  assert.equal(session.totalChunks, 3);
+  await send(session, 2);
+  // Sending a chunk again replaces it
+  await send(session, 2);
+
+  const paused = await chunkedUploads.getSession(session.id, "u1");
+  assert.deepEqual(chunkedUploads.sessionStatus(paused).receivedChunks, [2]);
+  assert.deepEqual(await chunkedUploads.completeSession(session.id, "u1"), {
+    status: 409,
+    error: "2 chunks are missing",
+  });
+
+  // The rest arrive in parallel and none is lost
+  await Promise.all([send(session, 1), send(session, 0)]);
+  const { attachment } = await chunkedUploads.completeSession(session.id, "u1");
+  created.push(attachment.id);
+  assert.equal(attachment.size, text.length);
+  assert.deepEqual(fs.readFileSync(attachments.filePath(attachment.id)), text);
+  assert.equal(await chunkedUploads.getSession(session.id, "u1"), null);
+});
+
+test("a cancelled upload is gone", async () => {
+  const session = await start();
+  await send(session, 0);
+  assert.deepEqual(await chunkedUploads.cancelSession(session.id, "u1"), {});
+  assert.equal((await send(session, 1)).status, 404);
+});
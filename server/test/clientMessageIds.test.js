@@ -0,0 +1,139 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-client-ids-"));
+process.env.STORAGE_BACKEND = "sqlite";
+process.env.SQLITE_PATH = path.join(dir, "chat.db");
+
+const storage = require("../utils/storage");
+const clientMessageIds = require("../utils/clientMessageIds");
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// What send_message does once it won a claim
+const store = async (senderId, clientId, id) => {
+  await storage.addMessage({
+    id,
+    sender: senderId,
+    senderId,
+    roomId: "general",
+    message: "hello",
+    timestamp: new Date().toISOString(),
+  });
+  await clientMessageIds.confirm(senderId, clientId, id);
+};
+
+let messages = 0;
+const newId = () => `client-ids-${++messages}`;
+
+test("only one of several concurrent claims wins", async () => {
+  const ids = [newId(), newId(), newId(), newId()];
+  const results = await Promise.all(
+    ids.map(async (messageId) => {
+      const result = await clientMessageIds.claim(
+        "u1",
+        "resend-0001",
+        messageId
+      );
+      if (!result.duplicate) await store("u1", "resend-0001", messageId);
+      return result;
+    })
+  );
+  const winners = results.filter((result) => !result.duplicate);
+  assert.equal(winners.length, 1);
+  for (const result of results) {
+    assert.equal(result.messageId, winners[0].messageId);
+  }
+});
+
+test("a resend is a duplicate of the stored message", async () => {
+  const first = newId();
+  assert.deepEqual(await clientMessageIds.claim("u1", "resend-0002", first), {
+    messageId: first,
+    duplicate: false,
+  });
+  await store("u1", "resend-0002", first);
+  assert.deepEqual(await clientMessageIds.claim("u1", "resend-0002", newId()), {
+    messageId: first,
+    duplicate: true,
+  });
+});
+
+test("a resend waits for a send that is still storing its message", async () => {
+  const first = newId();
+  await clientMessageIds.claim("u1", "resend-0003", first);
+  setTimeout(() => store("u1", "resend-0003", first), 300);
+  assert.deepEqual(await clientMessageIds.claim("u1", "resend-0003", newId()), {
+    messageId: first,
+    duplicate: true,
+  });
+});
+
+test("a message stored without confirming its claim still counts", async () => {
+  const first = newId();
+  await clientMessageIds.claim("u1", "resend-0004", first);
+  await storage.addMessage({
+    id: first,
+    senderId: "u1",
+    roomId: "general",
+    message: "hello",
+    timestamp: new Date().toISOString(),
+  });
+  assert.deepEqual(await clientMessageIds.claim("u1", "resend-0004", newId()), {
+    messageId: first,
+    duplicate: true,
+  });
+});
+
+test("a pending claim whose send died is taken over", async () => {
+  // Claimed long ago by a send that never stored its message
+  await storage.putRecord("clientMessageIds", "u1:resend-0005", {
+    messageId: "never-stored",
+    createdAt: Date.now() - 60 * 1000,
+    pending: true,
+  });
+  const retry = newId();
+  assert.deepEqual(await clientMessageIds.claim("u1", "resend-0005", retry), {
+    messageId: retry,
+    duplicate: false,
+  });
+});
+
+test("client ids are per sender", async () => {
+  await clientMessageIds.claim("u1", "resend-0006", newId());
+  const other = newId();
+  assert.deepEqual(await clientMessageIds.claim("u2", "resend-0006", other), {
+    messageId: other,
+    duplicate: false,
+  });
+});
+
+test("a released claim can be retried", async () => {
+  const first = newId();
+  await clientMessageIds.claim("u1", "resend-0007", first);
+  await clientMessageIds.release("u1", "resend-0007", first);
+  const retry = newId();
+  assert.deepEqual(await clientMessageIds.claim("u1", "resend-0007", retry), {
+    messageId: retry,
+    duplicate: false,
+  });
+  // Releasing the first claim again leaves the retry's claim alone
+  await clientMessageIds.release("u1", "resend-0007", first);
+  await store("u1", "resend-0007", retry);
+  assert.equal(
+    (await clientMessageIds.claim("u1", "resend-0007", newId())).messageId,
+    retry
+  );
+});
+
+test("client ids must match the pattern", () => {
+  assert.equal(clientMessageIds.isValidClientId("abcdefgh"), true);
+  assert.equal(clientMessageIds.isValidClientId("short"), false);
+  assert.equal(clientMessageIds.isValidClientId("has spaces in it"), false);
+  assert.equal(clientMessageIds.isValidClientId(12345678), false);
+});
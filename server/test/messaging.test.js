@@ -0,0 +1,205 @@
+// Runs the server in a child process and sends messages over a socket
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { io } = require("socket.io-client");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-messaging-"));
+let server;
+let baseUrl;
+let socket;
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+const startServer = (port) =>
+  new Promise((resolve, reject) => {
+    server = spawn(process.execPath, ["server.js"], {
+      cwd: path.join(__dirname, ".."),
+      env: {
+        ...process.env,
+        PORT: String(port),
+        STORAGE_BACKEND: "sqlite",
+        SQLITE_PATH: path.join(dir, "chat.db"),
+        JSON_DATA_DIR: dir,
+        // Leave duplicate detection, not the rate limit, to refuse sends
+        RATE_LIMITS: "send_message=100/10",
+      },
+      stdio: ["ignore", "pipe", "inherit"],
+    });
+    server.once("exit", (code) =>
+      reject(new Error(`Server exited with code ${code}`))
+    );
+    server.stdout.on("data", (chunk) => {
+      if (chunk.toString().includes("Server running")) resolve();
+    });
+  });
+
+const register = async (username) => {
+  const res = await fetch(`${baseUrl}/api/register`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password: "password1" }),
+  });
+  assert.equal(res.status, 201);
+  return res.json();
+};
+
+const connect = (token) =>
+  new Promise((resolve, reject) => {
+    const client = io(`${baseUrl}/chat`, {
+      auth: { token },
+      transports: ["websocket"],
+    });
+    client.once("connect", () => resolve(client));
+    client.once("connect_error", reject);
+  });
+
+const emit = (event, payload) =>
+  new Promise((resolve) => socket.emit(event, payload, resolve));
+
+const roomMessages = async (token) => {
+  const res = await fetch(`${baseUrl}/api/messages?roomId=general&limit=50`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return (await res.json()).messages.map((message) => message.message);
+};
+
+let token;
+
+before(async () => {
+  const port = await freePort();
+  baseUrl = `http://localhost:${port}`;
+  await startServer(port);
+  ({ token } = await register("tester"));
+  socket = await connect(token);
+  const joined = new Promise((resolve) => socket.once("room_joined", resolve));
+  socket.emit("user_join", "tester", "general");
+  await joined;
+});
+
+after(() => {
+  socket?.close();
+  if (server?.exitCode === null) server.kill();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("a message resent with its clientId is stored once", async () => {
+  const payload = { message: "sent once", clientId: "client-0001" };
+  const [first, second] = await Promise.all([
+    emit("send_message", payload),
+    emit("send_message", payload),
+  ]);
+  const resent = await emit("send_message", payload);
+
+  assert.equal(first.success && second.success && resent.success, true);
+  assert.equal([first, second].filter((ack) => ack.duplicate).length, 1);
+  assert.equal(resent.duplicate, true);
+  assert.equal(second.messageId, first.messageId);
+  assert.equal(resent.messageId, first.messageId);
+  const stored = await roomMessages(token);
+  assert.equal(stored.filter((text) => text === "sent once").length, 1);
+});
+
+test("the same text is refused after several sends, not counting resends", async () => {
+  for (let i = 1; i <= 3; i++) {
+    const payload = { message: "again", clientId: `client-again-${i}` };
+    assert.equal((await emit("send_message", payload)).success, true);
+    // Resends are replayed and must not count as sends of their own
+    assert.equal((await emit("send_message", payload)).duplicate, true);
+  }
+  const refused = await emit("send_message", {
+    message: "again",
+    clientId: "client-again-4",
+  });
+  assert.equal(refused.success, false);
+  assert.equal(refused.code, "duplicate_message");
+
+  // The refused clientId was released, so it can be used again
+  const retried = await emit("send_message", {
+    message: "something new",
+    clientId: "client-again-4",
+  });
+  assert.equal(retried.success, true);
+  assert.notEqual(retried.duplicate, true);
+});
+
+test("unknown payload fields are refused", async () => {
+  const ack = await emit("send_message", { message: "hi", sneaky: true });
+  assert.equal(ack.success, false);
+  assert.equal(ack.code, "invalid_payload");
+});
+
+test(
+  "a replaced custom status is not announced when it would have run out",
+  { timeout: 10000 },
+  async () => {
+    const inMs = (ms) => new Date(Date.now() + ms).toISOString();
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    const announced = [];
+    const onStatus = (status) =>
+      announced.push(status.customStatus?.text || null);
+    socket.on("user_status", onStatus);
+    // Each change is announced once
+    const setStatus = async (text, expiresAt) => {
+      const before = announced.length;
+      const { success } = await emit("set_presence", {
+        customStatus: { text, expiresAt },
+      });
+      assert.equal(success, true);
+      while (announced.length === before) await wait(20);
+    };
+
+    const lunchEnds = Date.now() + 300;
+    await setStatus("lunch", inMs(300));
+    await setStatus("meeting", inMs(2500));
+    assert.deepEqual(announced, ["lunch", "meeting"]);
+    // Past the time lunch would have run out
+    await wait(Math.max(lunchEnds + 700 - Date.now(), 0));
+    assert.deepEqual(announced, ["lunch", "meeting"]);
+    // The meeting runs out
+    while (announced.length === 2) await wait(20);
+    socket.off("user_status", onStatus);
+    assert.deepEqual(announced, ["lunch", "meeting", null]);
+  }
+);
+
+test("a window around a message takes limit / 2 messages on either side", async () => {
+  const ids = [];
+  for (const text of ["one", "two", "three", "four", "five"]) {
+    ids.push(
+      (await emit("send_message", { message: `window ${text}` })).messageId
+    );
+  }
+  const around = async (limit) => {
+    const res = await fetch(
+      `${baseUrl}/api/messages?roomId=general&around=${ids[2]}&limit=${limit}`,
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    assert.equal(res.status, 200);
+    const { messages, hasMore, hasNewer } = await res.json();
+    return { texts: messages.map((m) => m.message), hasMore, hasNewer };
+  };
+  assert.deepEqual(await around(1), {
+    texts: ["window three"],
+    hasMore: true,
+    hasNewer: true,
+  });
+  assert.deepEqual((await around(2)).texts, [
+    "window two",
+    "window three",
+    "window four",
+  ]);
+});
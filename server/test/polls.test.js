@@ -0,0 +1,110 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-polls-"));
+process.env.STORAGE_BACKEND = "sqlite";
+process.env.SQLITE_PATH = path.join(dir, "chat.db");
+
+const storage = require("../utils/storage");
+const polls = require("../utils/polls");
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const alice = { id: "u1", username: "alice" };
+const bob = { id: "u2", username: "bob" };
+
+let count = 0;
+const storedPoll = async (fields) => {
+  const { poll, pollResults } = polls.createPoll(fields);
+  return storage.addMessage({
+    id: `poll-${++count}`,
+    sender: "alice",
+    senderId: "u1",
+    roomId: "general",
+    message: "Lunch?",
+    timestamp: new Date().toISOString(),
+    poll,
+    pollResults,
+  });
+};
+
+test("polls need distinct options and a future closing time", () => {
+  assert.ok(polls.createPoll({ options: ["Only one"] }).error);
+  assert.ok(polls.createPoll({ options: ["Pizza", " pizza "] }).error);
+  assert.ok(polls.createPoll({ options: ["A", ""] }).error);
+  assert.ok(
+    polls.createPoll({
+      options: ["A", "B"],
+      closesAt: new Date(Date.now() - 1000).toISOString(),
+    }).error
+  );
+  const { poll } = polls.createPoll({ options: ["Pizza", "Sushi"] });
+  assert.deepEqual(poll.options, [
+    { id: "1", text: "Pizza" },
+    { id: "2", text: "Sushi" },
+  ]);
+});
+
+test("a vote replaces the voter's last one", async () => {
+  const message = await storedPoll({ options: ["Pizza", "Sushi"] });
+  await polls.vote(message, alice, ["1"]);
+  await polls.vote(message, bob, ["1"]);
+  const { message: updated } = await polls.vote(message, alice, ["2"]);
+  assert.deepEqual(updated.pollResults.tallies, { 1: 1, 2: 1 });
+  assert.equal(updated.pollResults.voterCount, 2);
+  assert.deepEqual(await polls.getBallot(message, "u1"), ["2"]);
+  assert.deepEqual(await polls.vote(message, alice, ["1", "2"]), {
+    error: "This poll takes one option",
+  });
+  assert.deepEqual(await polls.vote(message, alice, ["9"]), {
+    error: "Unknown poll option",
+  });
+});
+
+test("anonymous polls do not list voters", async () => {
+  const message = await storedPoll({
+    options: ["Yes", "No"],
+    anonymous: true,
+  });
+  const { message: updated } = await polls.vote(message, alice, ["1"]);
+  assert.equal(updated.pollResults.voters, undefined);
+  assert.equal(updated.pollResults.tallies["1"], 1);
+});
+
+test("a vote cast after the poll closed is not counted", async () => {
+  const message = await storedPoll({ options: ["Pizza", "Sushi"] });
+  await polls.vote(message, alice, ["1"]);
+  assert.ok((await polls.closePoll(message)).message);
+  // The voter's copy of the message was read before the poll closed
+  assert.deepEqual(await polls.vote(message, bob, ["2"]), {
+    error: "This poll is closed",
+  });
+  assert.deepEqual(await polls.getBallot(message, "u2"), []);
+  const stored = await storage.getMessage(message.id);
+  assert.deepEqual(stored.pollResults.tallies, { 1: 1, 2: 0 });
+  assert.deepEqual(await polls.closePoll(stored), {
+    error: "This poll is already closed",
+  });
+});
+
+test("a poll takes no votes once its closing time passed", async () => {
+  const message = await storedPoll({
+    options: ["Pizza", "Sushi"],
+    closesAt: new Date(Date.now() + 200).toISOString(),
+  });
+  assert.ok((await polls.vote(message, alice, ["1"])).message);
+  await new Promise((resolve) => setTimeout(resolve, 250));
+  assert.deepEqual(await polls.vote(message, bob, ["2"]), {
+    error: "This poll is closed",
+  });
+  assert.equal(
+    await storage.castVote(message.id, bob, ["2"]),
+    null,
+    "storage refuses the ballot too"
+  );
+});
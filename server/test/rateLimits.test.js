@@ -0,0 +1,64 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.RATE_LIMITS = "send_message=3/60";
+
+const rateLimits = require("../utils/rateLimits");
+
+test("a bucket allows its burst and then refuses", () => {
+  for (let i = 0; i < 3; i++) {
+    assert.equal(rateLimits.take("send_message", "burst-user"), null);
+  }
+  const limited = rateLimits.take("send_message", "burst-user");
+  assert.equal(limited.code, "rate_limited");
+  assert.ok(limited.retryAfterMs > 0);
+});
+
+test("buckets are kept per key and per limit", () => {
+  for (let i = 0; i < 3; i++) rateLimits.take("send_message", "busy-user");
+  assert.equal(rateLimits.take("send_message", "quiet-user"), null);
+  assert.equal(rateLimits.take("private_message", "busy-user"), null);
+});
+
+test("limitRoute answers 429 with Retry-After", () => {
+  const middleware = rateLimits.limitRoute("send_message");
+  const req = { user: { userId: "route-user" }, ip: "127.0.0.1" };
+  let nextCalls = 0;
+  const res = {
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+    },
+  };
+  for (let i = 0; i < 4; i++) middleware(req, res, () => nextCalls++);
+  assert.equal(nextCalls, 3);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.code, "rate_limited");
+  assert.ok(Number(res.headers["Retry-After"]) > 0);
+});
+
+test("the same text is refused after it was sent several times", () => {
+  for (let i = 0; i < 3; i++) {
+    assert.equal(rateLimits.checkDuplicate("dup-user", "Hello"), null);
+    rateLimits.recordSent("dup-user", "Hello");
+  }
+  assert.equal(
+    rateLimits.checkDuplicate("dup-user", "  hello ").code,
+    "duplicate_message"
+  );
+  assert.equal(rateLimits.checkDuplicate("dup-user", "Something else"), null);
+  assert.equal(rateLimits.checkDuplicate("other-user", "Hello"), null);
+});
+
+test("texts that were only checked are not counted", () => {
+  for (let i = 0; i < 5; i++) {
+    assert.equal(rateLimits.checkDuplicate("checking-user", "Hello"), null);
+  }
+});
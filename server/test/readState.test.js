@@ -0,0 +1,100 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-read-state-"));
+process.env.STORAGE_BACKEND = "sqlite";
+process.env.SQLITE_PATH = path.join(dir, "chat.db");
+
+const storage = require("../utils/storage");
+const chatRooms = require("../utils/rooms");
+const readState = require("../utils/readState");
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const bob = { id: "bob", username: "bob" };
+
+let count = 0;
+const post = (roomId, senderId, extra = {}) =>
+  storage.addMessage({
+    id: `read-${++count}`,
+    sender: senderId,
+    senderId,
+    roomId,
+    message: `message ${count}`,
+    timestamp: new Date().toISOString(),
+    ...extra,
+  });
+
+test("pointers only move forward", async () => {
+  await chatRooms.createRoom({ name: "forward" }, bob);
+  for (let i = 0; i < 5; i++) await post("forward", "bob");
+
+  assert.deepEqual(await readState.markRead("alice", "forward", 4), {
+    roomId: "forward",
+    lastReadSeq: 4,
+    unread: 1,
+    mentions: 0,
+  });
+  // An older tab reporting late changes nothing
+  assert.equal(await readState.markRead("alice", "forward", 2), null);
+  assert.equal(await readState.markRead("alice", "forward", 4), null);
+  assert.equal((await readState.summaryFor("alice")).forward.lastReadSeq, 4);
+});
+
+test("concurrent reads keep the furthest pointer of every room", async () => {
+  for (const name of ["tab-a", "tab-b", "tab-c"]) {
+    await chatRooms.createRoom({ name }, bob);
+    for (let i = 0; i < 3; i++) await post(name, "bob");
+  }
+  await Promise.all([
+    readState.markRead("carol", "tab-a", 3),
+    readState.markRead("carol", "tab-a", 1),
+    readState.markRead("carol", "tab-b", 2),
+    readState.markRead("carol", "tab-c", 1),
+    readState.markRead("carol", "tab-b", 1),
+  ]);
+  const summary = await readState.summaryFor("carol");
+  assert.deepEqual(
+    Object.fromEntries(
+      Object.entries(summary).map(([room, { lastReadSeq }]) => [
+        room,
+        lastReadSeq,
+      ])
+    ),
+    { "tab-a": 3, "tab-b": 2, "tab-c": 1 }
+  );
+});
+
+test("own, deleted and thread messages are not unread", async () => {
+  await chatRooms.createRoom({ name: "counting" }, bob);
+  const first = await post("counting", "bob");
+  await readState.markRead("dave", "counting", first.seq);
+  await post("counting", "dave");
+  await post("counting", "bob", { deleted: true });
+  await post("counting", "bob", { parentId: first.id });
+  await post("counting", "bob", {
+    mentions: { room: false, users: [{ id: "dave", username: "dave" }] },
+  });
+  await post("counting", "bob", { mentions: { room: true, users: [] } });
+  await post("counting", "bob");
+  assert.deepEqual((await readState.summaryFor("dave")).counting, {
+    lastReadSeq: first.seq,
+    unread: 3,
+    mentions: 2,
+  });
+});
+
+test("rooms the user can no longer see drop out of the summary", async () => {
+  await chatRooms.createRoom({ name: "secret", visibility: "private" }, bob);
+  await post("secret", "bob");
+  await readState.markRead("erin", "secret", 1);
+  assert.equal((await readState.summaryFor("erin")).secret, undefined);
+  // Its owner still sees it
+  await readState.markRead("bob", "secret", 1);
+  assert.equal((await readState.summaryFor("bob")).secret.lastReadSeq, 1);
+});
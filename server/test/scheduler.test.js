@@ -0,0 +1,120 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-scheduler-"));
+process.env.STORAGE_BACKEND = "sqlite";
+process.env.SQLITE_PATH = path.join(dir, "chat.db");
+
+const storage = require("../utils/storage");
+const scheduler = require("../utils/scheduler");
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const newJob = async (ownerId, fields = {}) =>
+  (
+    await scheduler.createJob(ownerId, {
+      type: "message",
+      runAt: inAnHour(),
+      message: "later",
+      roomId: "general",
+      ...fields,
+    })
+  ).job;
+
+// Jobs cannot be scheduled in the past, so due jobs are made by hand
+const makeDue = (job) =>
+  storage.updateRecord("scheduledJobsByOwner", job.ownerId, (jobs) => ({
+    ...jobs,
+    [job.id]: { ...jobs[job.id], runAt: new Date(Date.now() - 1000) },
+  }));
+
+test("jobs must run in the future", async () => {
+  const past = await scheduler.createJob("u1", {
+    type: "message",
+    runAt: new Date(Date.now() - 1000).toISOString(),
+  });
+  assert.equal(past.status, 400);
+  assert.equal(
+    (await scheduler.createJob("u1", { runAt: "soon" })).status,
+    400
+  );
+});
+
+test("the pending-job limit holds for concurrent creates", async () => {
+  for (let i = 0; i < 45; i++) await newJob("busy");
+  const results = await Promise.all(
+    Array.from({ length: 10 }, () =>
+      scheduler.createJob("busy", { type: "message", runAt: inAnHour() })
+    )
+  );
+  assert.equal(results.filter((result) => result.job).length, 5);
+  assert.equal(results.filter((result) => result.status === 409).length, 5);
+  assert.equal((await scheduler.listJobs("busy")).length, 50);
+});
+
+test("jobs are listed per owner, the next one first", async () => {
+  const later = await newJob("lister", {
+    runAt: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+  });
+  const sooner = await newJob("lister");
+  assert.deepEqual(
+    (await scheduler.listJobs("lister")).map((job) => job.id),
+    [sooner.id, later.id]
+  );
+  assert.deepEqual(await scheduler.listJobs("nobody"), []);
+});
+
+test("only the owner can edit or cancel a job", async () => {
+  const job = await newJob("owner");
+  assert.equal(
+    (await scheduler.updateJob("other", job.id, { message: "mine" })).status,
+    404
+  );
+  assert.equal((await scheduler.cancelJob("other", job.id)).status, 404);
+  assert.equal((await scheduler.cancelJob("owner", "constructor")).status, 404);
+  const { job: updated } = await scheduler.updateJob("owner", job.id, {
+    message: "edited",
+  });
+  assert.equal(updated.message, "edited");
+  assert.equal(updated.runAt, job.runAt);
+});
+
+test("a cancel racing an edit is not undone", async () => {
+  const job = await newJob("racer");
+  const [edited, cancelled] = await Promise.all([
+    scheduler.updateJob("racer", job.id, { runAt: inAnHour() }),
+    scheduler.cancelJob("racer", job.id),
+  ]);
+  assert.equal(cancelled.job.id, job.id);
+  assert.ok(edited.job || edited.status === 404);
+  assert.deepEqual(await scheduler.listJobs("racer"), []);
+});
+
+test("due jobs run once and leave the list", async () => {
+  const due = await newJob("runner");
+  const waiting = await newJob("runner", { type: "reminder" });
+  const pending = await newJob("runner");
+  await makeDue(due);
+  await makeDue(waiting);
+  const ran = [];
+  const timer = scheduler.start({
+    message: { run: async (job) => ran.push(job.id) },
+    // Not ready yet: stays pending
+    reminder: { run: async () => {}, isReady: async () => false },
+  });
+  await wait(200);
+  clearInterval(timer);
+  assert.deepEqual(ran, [due.id]);
+  assert.deepEqual(
+    (await scheduler.listJobs("runner")).map((job) => job.id).sort(),
+    [waiting.id, pending.id].sort()
+  );
+});
@@ -0,0 +1,89 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { checkEvent, checkRequest } = require("../utils/schemas");
+
+// Runs a route's middleware, resolving with the 400 body or "next"
+const runRequest = (name, { params = {}, query = {}, body } = {}) => {
+  let result;
+  const res = {
+    status(code) {
+      assert.equal(code, 400);
+      return this;
+    },
+    json(payload) {
+      result = payload;
+    },
+  };
+  checkRequest(name)({ params, query, body }, res, () => {
+    result = "next";
+  });
+  return result;
+};
+
+test("events accept valid payloads", () => {
+  assert.equal(
+    checkEvent("send_message", [{ message: "hi", clientId: "abcdefgh" }]),
+    null
+  );
+});
+
+test("events reject unknown fields", () => {
+  assert.deepEqual(checkEvent("send_message", [{ message: "hi", extra: 1 }]), {
+    code: "invalid_payload",
+    error: "extra is not allowed",
+  });
+});
+
+test("events reject wrong types and extra arguments", () => {
+  assert.equal(
+    checkEvent("send_message", [{ message: 42 }]).code,
+    "invalid_payload"
+  );
+  assert.equal(
+    checkEvent("send_message", [{ message: "hi" }, "more"]).code,
+    "invalid_payload"
+  );
+  assert.equal(checkEvent("no_such_event", []).code, "invalid_payload");
+});
+
+test("requests with valid input reach the handler", () => {
+  assert.equal(
+    runRequest("listMessages", { query: { roomId: "general", limit: "20" } }),
+    "next"
+  );
+  assert.equal(
+    runRequest("createRoom", { body: { name: "random", topic: "Chat" } }),
+    "next"
+  );
+});
+
+test("requests reject unknown body, query and path fields", () => {
+  assert.deepEqual(
+    runRequest("createRoom", { body: { name: "random", owner: "me" } }),
+    { code: "invalid_payload", error: "owner is not allowed" }
+  );
+  assert.deepEqual(
+    runRequest("listMessages", { query: { roomId: "general", sort: "asc" } }),
+    { code: "invalid_payload", error: "sort is not allowed" }
+  );
+  assert.equal(
+    runRequest("listUsers", { query: { page: "2" } }).error,
+    "page is not allowed"
+  );
+  assert.equal(
+    runRequest("thread", { params: { id: "1", extra: "x" } }).error,
+    "extra is not allowed"
+  );
+});
+
+test("requests reject malformed values", () => {
+  assert.equal(
+    runRequest("listMessages", { query: { limit: "lots" } }).code,
+    "invalid_payload"
+  );
+  assert.equal(
+    runRequest("listRooms", { query: { includeArchived: "yes" } }).code,
+    "invalid_payload"
+  );
+});
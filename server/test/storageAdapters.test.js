@@ -0,0 +1,319 @@
+// Both storage backends must behave the same: every scenario runs against
+// each of them and their results are compared
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-storage-"));
+process.env.JSON_DATA_DIR = path.join(dir, "json");
+process.env.SQLITE_PATH = path.join(dir, "chat.db");
+
+const adapters = {
+  json: require("../utils/storageAdapters/jsonStorage"),
+  sqlite: require("../utils/storageAdapters/sqliteStorage"),
+};
+
+// Each backend gets ids of its own, so scenarios can run one after another
+let nextId = 1000;
+const roomMessage = (roomId, text, extra = {}) => ({
+  id: nextId++,
+  sender: "alice",
+  senderId: "u1",
+  roomId,
+  message: text,
+  timestamp: new Date(Date.UTC(2024, 0, 1, 0, 0, nextId)).toISOString(),
+  ...extra,
+});
+
+// Runs scenario(adapter) on every backend; ids and timestamps differ per
+// backend, so scenarios return only what must be the same
+const onBoth = async (scenario) => {
+  const results = {};
+  for (const [name, adapter] of Object.entries(adapters)) {
+    results[name] = await scenario(adapter);
+  }
+  assert.deepEqual(results.sqlite, results.json);
+  return results.json;
+};
+
+before(async () => {
+  // The JSON backend numbers legacy messages when it loads
+  await adapters.json.getMessages();
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("room messages are numbered per room and paged by seq", async () => {
+  const result = await onBoth(async (storage) => {
+    const room = `paging-${nextId}`;
+    const seqs = [];
+    for (let i = 1; i <= 5; i++) {
+      seqs.push((await storage.addMessage(roomMessage(room, `m${i}`))).seq);
+    }
+    const text = (messages) => messages.map((m) => m.message);
+    return {
+      seqs,
+      newest: text(await storage.getRoomMessages(room, { limit: 2 })),
+      before: text(
+        await storage.getRoomMessages(room, { before: 4, limit: 2 })
+      ),
+      after: text(await storage.getRoomMessages(room, { after: 3 })),
+    };
+  });
+  assert.deepEqual(result, {
+    seqs: [1, 2, 3, 4, 5],
+    newest: ["m4", "m5"],
+    before: ["m2", "m3"],
+    after: ["m4", "m5"],
+  });
+});
+
+test("replies stay out of room pages and come back by parent", async () => {
+  const result = await onBoth(async (storage) => {
+    const room = `thread-${nextId}`;
+    const root = await storage.addMessage(roomMessage(room, "root"));
+    await storage.addMessage(
+      roomMessage(room, "reply 1", { parentId: root.id })
+    );
+    await storage.addMessage(
+      roomMessage(room, "reply 2", { parentId: root.id })
+    );
+    const text = (messages) => messages.map((m) => m.message);
+    return {
+      page: text(await storage.getRoomMessages(room)),
+      withReplies: text(
+        await storage.getRoomMessages(room, { includeReplies: true })
+      ),
+      replies: text(await storage.getReplies(String(root.id))),
+    };
+  });
+  assert.deepEqual(result, {
+    page: ["root"],
+    withReplies: ["root", "reply 1", "reply 2"],
+    replies: ["reply 1", "reply 2"],
+  });
+});
+
+test("conversations are paged back from a message", async () => {
+  const result = await onBoth(async (storage) => {
+    const conversationId = `dm:a:${nextId}`;
+    const ids = [];
+    for (let i = 1; i <= 5; i++) {
+      const message = roomMessage(undefined, `dm${i}`, {
+        isPrivate: true,
+        conversationId,
+      });
+      delete message.roomId;
+      ids.push((await storage.addMessage(message)).id);
+    }
+    const text = (messages) => messages.map((m) => m.message);
+    return {
+      newest: text(
+        await storage.getConversationMessages(conversationId, { limit: 2 })
+      ),
+      older: text(
+        await storage.getConversationMessages(conversationId, {
+          before: ids[2],
+          limit: 5,
+        })
+      ),
+      inRoom: (await storage.getRoomMessages("general")).some(
+        (m) => m.conversationId === conversationId
+      ),
+    };
+  });
+  assert.deepEqual(result, {
+    newest: ["dm4", "dm5"],
+    older: ["dm1", "dm2"],
+    inRoom: false,
+  });
+});
+
+test("message updates, reactions and votes", async () => {
+  const result = await onBoth(async (storage) => {
+    const stored = await storage.addMessage(
+      roomMessage(`updates-${nextId}`, "poll", {
+        poll: {
+          options: [
+            { id: "a", text: "A" },
+            { id: "b", text: "B" },
+          ],
+          multiple: false,
+          anonymous: false,
+          closesAt: null,
+        },
+      })
+    );
+    const id = String(stored.id);
+    await storage.updateMessage(id, { edited: true });
+    const counted = await storage.updateMessage(id, (current) => ({
+      replyCount: (current.replyCount || 0) + 1,
+    }));
+    await storage.addReaction(id, "u1", "👍");
+    await storage.addReaction(id, "u2", "👍");
+    await storage.removeReaction(id, "u1", "👍");
+    await storage.castVote(id, { id: "u1", username: "alice" }, ["a"]);
+    const voted = await storage.castVote(id, { id: "u2", username: "bob" }, [
+      "b",
+    ]);
+    const { edited, replyCount, reactions, pollResults } =
+      await storage.getMessage(id);
+    return {
+      counted: counted.replyCount,
+      stored: { edited, replyCount, reactions, pollResults },
+      voted: voted.pollResults,
+      ballot: await storage.getBallot(id, "u1"),
+      missing: await storage.updateMessage("nope", { edited: true }),
+    };
+  });
+  assert.equal(result.counted, 1);
+  assert.deepEqual(result.stored.reactions, { "👍": ["u2"] });
+  assert.deepEqual(result.ballot, ["a"]);
+  assert.equal(result.missing, null);
+});
+
+test("records are stored, updated and deleted by key", async () => {
+  const result = await onBoth(async (storage) => {
+    const collection = `things${nextId++}`;
+    await storage.putRecord(collection, "a", { n: 1 });
+    const unchanged = await storage.updateRecord(
+      collection,
+      "a",
+      () => undefined
+    );
+    const created = await storage.updateRecord(collection, "b", (current) => ({
+      n: (current?.n || 0) + 1,
+    }));
+    return {
+      unchanged,
+      created,
+      all: { ...(await storage.getRecords(collection)) },
+      deleted: await storage.deleteRecord(collection, "a"),
+      deletedAgain: await storage.deleteRecord(collection, "a"),
+      missing: await storage.getRecord(collection, "a"),
+    };
+  });
+  assert.deepEqual(result, {
+    unchanged: { n: 1 },
+    created: { n: 1 },
+    all: { a: { n: 1 }, b: { n: 1 } },
+    deleted: { n: 1 },
+    deletedAgain: null,
+    missing: null,
+  });
+});
+
+test("concurrent record and room updates are not lost", async () => {
+  const result = await onBoth(async (storage) => {
+    const collection = `counters${nextId++}`;
+    await Promise.all(
+      Array.from({ length: 20 }, () =>
+        storage.updateRecord(
+          collection,
+          "count",
+          (current) => (current || 0) + 1
+        )
+      )
+    );
+    const name = `room${nextId++}`;
+    await storage.addRoom({ name, members: [] });
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) =>
+        storage.updateRoom(name, (room) => ({
+          members: [...room.members, `u${i}`],
+        }))
+      )
+    );
+    const room = (await storage.getRooms()).find((r) => r.name === name);
+    return {
+      count: await storage.getRecord(collection, "count"),
+      members: room.members.length,
+    };
+  });
+  assert.deepEqual(result, { count: 20, members: 10 });
+});
+
+test("record keys are never taken from Object.prototype", async () => {
+  const keys = ["constructor", "toString", "__proto__", "hasOwnProperty"];
+  const result = await onBoth(async (storage) => {
+    const collection = `names${nextId++}`;
+    const missing = [];
+    for (const key of keys)
+      missing.push(await storage.getRecord(collection, key));
+    const created = [];
+    for (const key of keys) {
+      created.push(
+        await storage.updateRecord(collection, key, (current) =>
+          current ? undefined : { key }
+        )
+      );
+    }
+    const all = await storage.getRecords(collection);
+    return {
+      missing,
+      created,
+      stored: await Promise.all(
+        keys.map((key) => storage.getRecord(collection, key))
+      ),
+      keys: Object.keys(all),
+      deleted: await storage.deleteRecord(collection, "__proto__"),
+      deletedUnknown: await storage.deleteRecord(collection, "valueOf"),
+    };
+  });
+  assert.deepEqual(result, {
+    missing: [null, null, null, null],
+    created: keys.map((key) => ({ key })),
+    stored: keys.map((key) => ({ key })),
+    keys,
+    deleted: { key: "__proto__" },
+    deletedUnknown: null,
+  });
+});
+
+test("a message id is never stored twice", async () => {
+  const result = await onBoth(async (storage) => {
+    const room = `ids-${nextId}`;
+    const first = await storage.addMessage(roomMessage(room, "first"));
+    await storage.addReaction(String(first.id), "u2", "👍");
+    await assert.rejects(
+      storage.addMessage({ ...roomMessage(room, "second"), id: first.id })
+    );
+    const { message, reactions } = await storage.getMessage(String(first.id));
+    return {
+      message,
+      reactions,
+      page: (await storage.getRoomMessages(room)).map((m) => m.message),
+    };
+  });
+  assert.deepEqual(result, {
+    message: "first",
+    reactions: { "👍": ["u2"] },
+    page: ["first"],
+  });
+});
+
+test("closed polls take no more votes", async () => {
+  const result = await onBoth(async (storage) => {
+    const stored = await storage.addMessage(
+      roomMessage(`closed-${nextId}`, "poll", {
+        poll: {
+          options: [{ id: "a", text: "A" }],
+          multiple: false,
+          anonymous: false,
+          closesAt: new Date(Date.now() - 1000).toISOString(),
+        },
+      })
+    );
+    const id = String(stored.id);
+    return {
+      voted: await storage.castVote(id, { id: "u1", username: "alice" }, ["a"]),
+      ballot: await storage.getBallot(id, "u1"),
+    };
+  });
+  assert.deepEqual(result, { voted: null, ballot: [] });
+});
@@ -0,0 +1,114 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-unfurl-"));
+process.env.STORAGE_BACKEND = "json";
+process.env.JSON_DATA_DIR = dir;
+
+const unfurl = require("../utils/unfurl");
+
+// A local site, only reachable with private addresses allowed
+let site;
+let siteUrl;
+const pages = {
+  "/article": {
+    type: "text/html; charset=utf-8",
+    body: `<html><head><title>Fallback</title>
+      <meta property="og:title" content="An &amp; article">
+      <meta name="description" content="  What it is   about ">
+      </head><body>...</body></html>`,
+  },
+  "/plain": { type: "text/plain", body: "no preview here" },
+  "/moved": { status: 302, location: "/article" },
+};
+let requests = 0;
+
+before(async () => {
+  site = http.createServer((req, res) => {
+    requests++;
+    const page = pages[req.url];
+    if (!page) return res.writeHead(404).end();
+    if (page.location) {
+      return res.writeHead(page.status, { Location: page.location }).end();
+    }
+    res.writeHead(200, { "Content-Type": page.type }).end(page.body);
+  });
+  await new Promise((resolve) => site.listen(0, "127.0.0.1", resolve));
+  siteUrl = `http://127.0.0.1:${site.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => site.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("only public addresses count as public", () => {
+  for (const address of [
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.16.0.1",
+    "192.168.1.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "::1",
+    "::",
+    "fd00::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+    "not an address",
+  ]) {
+    assert.equal(unfurl.isPublicAddress(address), false, address);
+  }
+  for (const address of ["93.184.216.34", "1.1.1.1", "2606:4700::1111"]) {
+    assert.equal(unfurl.isPublicAddress(address), true, address);
+  }
+});
+
+test("the default fetcher refuses private hosts, ports and schemes", async () => {
+  const fetchPage = unfurl.createHttpFetcher();
+  const options = { accept: "text/html", maxBytes: 1024 };
+  for (const [url, reason] of [
+    ["http://127.0.0.1/", /not a public address/],
+    ["http://169.254.169.254/latest/meta-data", /not a public address/],
+    ["http://[::1]/", /not a public address/],
+    ["http://localhost/", /not a public host/],
+    [`${siteUrl}/article`, /standard ports/],
+    ["http://example.com:8080/", /standard ports/],
+    ["file:///etc/passwd", /Only http and https/],
+  ]) {
+    await assert.rejects(fetchPage(url, options), reason, url);
+  }
+  assert.equal(requests, 0);
+});
+
+test("pages are previewed and cached", async () => {
+  unfurl.setFetcher(unfurl.createHttpFetcher({ allowPrivateAddresses: true }));
+  const preview = await unfurl.unfurl(`${siteUrl}/moved`);
+  assert.deepEqual(preview, {
+    url: `${siteUrl}/moved`,
+    title: "An & article",
+    description: "What it is about",
+    siteName: "127.0.0.1",
+    image: null,
+  });
+  const seen = requests;
+  assert.deepEqual(await unfurl.unfurl(`${siteUrl}/moved`), preview);
+  assert.equal(requests, seen);
+});
+
+test("links without a preview resolve to null", async () => {
+  unfurl.setFetcher(unfurl.createHttpFetcher({ allowPrivateAddresses: true }));
+  assert.equal(await unfurl.unfurl(`${siteUrl}/plain`), null);
+  assert.equal(await unfurl.unfurl(`${siteUrl}/missing`), null);
+  assert.deepEqual(
+    (await unfurl.previewsFor([`${siteUrl}/plain`, `${siteUrl}/article`])).map(
+      (preview) => preview.title
+    ),
+    ["An & article"]
+  );
+});
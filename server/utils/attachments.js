@@ -0,0 +1,320 @@
+// attachments.js - Uploaded files, stored once and referenced from messages by id
+//
+// Uploads are written to uploads/ under their attachment id once their
+// content has been checked against the signature (magic bytes) of the type
+// their name claims. Images also get a WebP thumbnail. Metadata lives in the
+// "attachments" record collection:
+//   { id, ownerId, filename, mimetype, size, width, height, hasThumbnail,
+//     roomId, messageId, createdAt }
+// roomId and messageId are set once a message uses the attachment. Until
+// then only the uploader can fetch it, and it is removed if it stays unused.
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const { createReadStream } = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const storage = require("./storage");
+
+const ATTACHMENTS = "attachments";
+
+const UPLOADS_DIR = path.join(__dirname, "..", "uploads");
+// Multer writes incoming files here before they are checked
+const TEMP_DIR = path.join(UPLOADS_DIR, "tmp");
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const QUOTA_BYTES = (Number(process.env.UPLOAD_QUOTA_MB) || 500) * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+
+// Unused uploads are kept long enough for a slow client to post them
+const ORPHAN_TTL_MS = 24 * 60 * 60 * 1000;
+// Files without a record (an upload that crashed halfway) are left alone
+// for a while, in case their record is still being written
+const STRAY_FILE_TTL_MS = 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// File type functions
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+// Plain text has no signature; accept valid UTF-8 without NUL bytes. The
+// whole file is read, a piece at a time, since large uploads can be big.
+const isTextFile = async (file) => {
+  const decoder = new TextDecoder("utf-8", { fatal: true });
+  try {
+    for await (const chunk of createReadStream(file)) {
+      if (chunk.includes(0)) return false;
+      decoder.decode(chunk, { stream: true });
+    }
+    decoder.decode();
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Signatures are checked against the start of the file only
+const HEADER_SIZE = 64 * 1024;
+
+const readHeader = async (file) => {
+  const handle = await fs.open(file, "r");
+  try {
+    const buffer = Buffer.alloc(HEADER_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, HEADER_SIZE, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+const FILE_TYPES = [
+  {
+    mimetype: "image/jpeg",
+    extensions: [".jpg", ".jpeg"],
+    image: true,
+    matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  },
+  {
+    mimetype: "image/png",
+    extensions: [".png"],
+    image: true,
+    matches: (buffer) =>
+      startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    mimetype: "image/gif",
+    extensions: [".gif"],
+    image: true,
+    matches: (buffer) =>
+      startsWith(buffer, ascii("GIF87a")) ||
+      startsWith(buffer, ascii("GIF89a")),
+  },
+  {
+    mimetype: "application/pdf",
+    extensions: [".pdf"],
+    matches: (buffer) => startsWith(buffer, ascii("%PDF-")),
+  },
+  {
+    mimetype: "application/msword",
+    extensions: [".doc"],
+    // OLE compound document
+    matches: (buffer) =>
+      startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+  },
+  {
+    mimetype:
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    extensions: [".docx"],
+    // A zip archive holding the word/ part of an Office document
+    matches: (buffer) =>
+      startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) && buffer.includes("word/"),
+  },
+  {
+    mimetype: "text/plain",
+    extensions: [".txt"],
+    text: true,
+  },
+];
+
+// Control characters and path separators never make it into a stored name
+const cleanFilename = (filename) =>
+  path
+    .basename(String(filename || "file"))
+    .replace(/[\u0000-\u001f\u007f/\\]/g, "")
+    .slice(0, 255) || "file";
+
+const UNSUPPORTED_TYPE =
+  "Only images, PDF, Word and text files can be uploaded";
+
+// The type a file name claims, or undefined for types we do not accept
+const typeOf = (filename) =>
+  FILE_TYPES.find((candidate) =>
+    candidate.extensions.includes(path.extname(filename).toLowerCase())
+  );
+
+const filePath = (id) => path.join(UPLOADS_DIR, id);
+const thumbnailPath = (id) => path.join(UPLOADS_DIR, `${id}.thumb.webp`);
+
+// Record functions
+const getAttachment = (id) =>
+  typeof id === "string" ? storage.getRecord(ATTACHMENTS, id) : null;
+
+const usageOf = async (ownerId) =>
+  Object.values(await storage.getRecords(ATTACHMENTS))
+    .filter((attachment) => attachment.ownerId === ownerId)
+    .reduce((total, attachment) => total + attachment.size, 0);
+
+// Resolves with an error message when size more bytes would not fit in
+// the owner's quota
+const checkQuota = async (ownerId, size) =>
+  (await usageOf(ownerId)) + size > QUOTA_BYTES
+    ? `Upload quota of ${QUOTA_BYTES / 1024 / 1024} MB exceeded`
+    : null;
+
+// What messages carry about their file; the bytes are fetched by id
+const fileInfo = (attachment) => ({
+  id: attachment.id,
+  filename: attachment.filename,
+  mimetype: attachment.mimetype,
+  size: attachment.size,
+  ...(attachment.width && {
+    width: attachment.width,
+    height: attachment.height,
+  }),
+  hasThumbnail: attachment.hasThumbnail,
+});
+
+// Check and store a file saved in TEMP_DIR (by multer, or assembled from
+// chunks) as { path, originalname }. Resolves with
+// { attachment } or { status, error }; the temporary file is always removed.
+const createAttachment = async (upload, ownerId) => {
+  const id = crypto.randomUUID();
+  try {
+    const filename = cleanFilename(upload.originalname);
+    const type = typeOf(filename);
+    if (!type) return { status: 400, error: UNSUPPORTED_TYPE };
+    const matches = type.text
+      ? await isTextFile(upload.path)
+      : type.matches(await readHeader(upload.path));
+    if (!matches) {
+      return { status: 400, error: "File content does not match its type" };
+    }
+    const { size } = await fs.stat(upload.path);
+    const quotaError = await checkQuota(ownerId, size);
+    if (quotaError) return { status: 413, error: quotaError };
+
+    let dimensions = {};
+    if (type.image) {
+      try {
+        const image = sharp(upload.path);
+        const { width, height } = await image.metadata();
+        await image
+          .rotate()
+          .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+            fit: "inside",
+            withoutEnlargement: true,
+          })
+          .webp()
+          .toFile(thumbnailPath(id));
+        dimensions = { width, height };
+      } catch {
+        await fs.rm(thumbnailPath(id), { force: true });
+        return { status: 400, error: "Image could not be read" };
+      }
+    }
+
+    await fs.rename(upload.path, filePath(id));
+    const attachment = {
+      id,
+      ownerId,
+      filename,
+      mimetype: type.mimetype,
+      size,
+      ...dimensions,
+      hasThumbnail: Boolean(type.image),
+      roomId: null,
+      messageId: null,
+      createdAt: new Date().toISOString(),
+    };
+    await storage.putRecord(ATTACHMENTS, id, attachment);
+    return { attachment };
+  } finally {
+    await fs.rm(upload.path, { force: true });
+  }
+};
+
+// Bind an unused upload of ownerId to a message. Resolves with
+// { attachment } or { error }. The check and the binding are one storage
+// update, so one upload cannot end up on two messages.
+const attachToMessage = async (id, ownerId, { roomId, messageId }) => {
+  if (typeof id !== "string") return { error: "Attachment not found" };
+  const attachment = await storage.updateRecord(ATTACHMENTS, id, (current) =>
+    !current || current.ownerId !== ownerId || current.messageId
+      ? undefined
+      : { ...current, roomId, messageId }
+  );
+  if (!attachment || attachment.ownerId !== ownerId) {
+    return { error: "Attachment not found" };
+  }
+  if (attachment.messageId !== messageId) {
+    return { error: "Attachment is already in use" };
+  }
+  return { attachment };
+};
+
+// Undo attachToMessage when the message could not be stored; a binding to
+// another message is left alone
+const detach = (id, messageId) =>
+  storage.updateRecord(ATTACHMENTS, id, (current) =>
+    current && current.messageId === messageId
+      ? { ...current, roomId: null, messageId: null }
+      : undefined
+  );
+
+const removeAttachment = async (id) => {
+  await fs.rm(filePath(id), { force: true });
+  await fs.rm(thumbnailPath(id), { force: true });
+  await storage.deleteRecord(ATTACHMENTS, id);
+};
+
+// Cleanup functions
+const isOrphan = async (attachment) => {
+  if (!attachment.messageId) {
+    return Date.now() - new Date(attachment.createdAt) > ORPHAN_TTL_MS;
+  }
+  const message = await storage.getMessage(String(attachment.messageId));
+  return !message || message.deleted;
+};
+
+// Remove unused uploads, files of deleted messages, and stray files
+const cleanUp = async () => {
+  const records = await storage.getRecords(ATTACHMENTS);
+  for (const attachment of Object.values(records)) {
+    if (await isOrphan(attachment)) await removeAttachment(attachment.id);
+  }
+
+  for (const dir of [UPLOADS_DIR, TEMP_DIR]) {
+    for (const name of await fs.readdir(dir).catch(() => [])) {
+      const file = path.join(dir, name);
+      const id = name.replace(/\.thumb\.webp$/, "");
+      const stats = await fs.stat(file).catch(() => null);
+      if (
+        stats?.isFile() &&
+        (dir === TEMP_DIR || !records[id]) &&
+        Date.now() - stats.mtimeMs > STRAY_FILE_TTL_MS
+      ) {
+        await fs.rm(file, { force: true });
+      }
+    }
+  }
+};
+
+const startCleanup = () => {
+  fs.mkdir(TEMP_DIR, { recursive: true }).catch((err) =>
+    console.error("Could not create uploads directory", err)
+  );
+  const run = () =>
+    cleanUp().catch((err) => console.error("Failed to clean up uploads", err));
+  setInterval(run, CLEANUP_INTERVAL_MS).unref();
+  run();
+};
+
+module.exports = {
+  TEMP_DIR,
+  MAX_FILE_SIZE,
+  UNSUPPORTED_TYPE,
+  typeOf,
+  filePath,
+  thumbnailPath,
+  getAttachment,
+  checkQuota,
+  fileInfo,
+  createAttachment,
+  attachToMessage,
+  detach,
+  removeAttachment,
+  startCleanup,
+};
@@ -0,0 +1,205 @@
+// auth.js - Accounts, password hashing and access/refresh token handling
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const jwt = require("jsonwebtoken");
+const storage = require("./storage");
+
+const scrypt = promisify(crypto.scrypt);
+
+// JWT secret key
+const JWT_SECRET =
+  process.env.JWT_SECRET || "your-secret-key-change-in-production";
+
+// Access tokens are short-lived; refresh tokens are opaque and stored server-side
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || "7",
+  10
+);
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+const USERS = "users";
+// userId -> { username } of the account's key in USERS
+const USER_IDS = "userIds";
+const REFRESH_TOKENS = "refreshTokens";
+const REVOKED_TOKENS = "revokedTokens";
+
+const normalizeUsername = (username) => username.trim().toLowerCase();
+
+// Refresh tokens are only ever stored as a hash
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Password functions
+const hashPassword = async (password, salt = crypto.randomBytes(16)) => {
+  const hash = await scrypt(password, salt, 64);
+  return { salt: salt.toString("hex"), hash: hash.toString("hex") };
+};
+
+const verifyPassword = async (password, user) => {
+  const { hash } = await hashPassword(password, Buffer.from(user.salt, "hex"));
+  return crypto.timingSafeEqual(
+    Buffer.from(hash, "hex"),
+    Buffer.from(user.passwordHash, "hex")
+  );
+};
+
+// Account functions
+const findUser = (username) =>
+  storage.getRecord(USERS, normalizeUsername(username));
+
+// Accounts are keyed by username; USER_IDS finds them by id. Accounts
+// created before that index existed are indexed once per process.
+let indexingAccounts = null;
+const indexAccounts = () => {
+  if (!indexingAccounts) {
+    indexingAccounts = (async () => {
+      const accounts = await storage.getRecords(USERS);
+      for (const account of Object.values(accounts)) {
+        await storage.putRecord(USER_IDS, account.id, {
+          username: account.username,
+        });
+      }
+    })();
+    // A failed attempt is retried by the next lookup
+    indexingAccounts.catch(() => {
+      indexingAccounts = null;
+    });
+  }
+  return indexingAccounts;
+};
+
+const findUserById = async (userId) => {
+  let entry = await storage.getRecord(USER_IDS, userId);
+  if (!entry) {
+    await indexAccounts();
+    entry = await storage.getRecord(USER_IDS, userId);
+  }
+  return entry ? findUser(entry.username) : null;
+};
+
+// Public profile ({ id, username }) of an account, or null if there is none
+const getUserById = async (userId) => {
+  const user = await findUserById(userId);
+  return user ? { id: user.id, username: user.username } : null;
+};
+
+// Public profile of the account with this username, or null
+const getUserByUsername = async (username) => {
+  const user = await findUser(username);
+  return user ? { id: user.id, username: user.username } : null;
+};
+
+// Returns the new account, or null when the username is already taken
+const registerUser = async (username, password) => {
+  const trimmedUsername = username.trim();
+  if (await findUser(trimmedUsername)) return null;
+
+  const { salt, hash } = await hashPassword(password);
+  const user = {
+    id: crypto.randomUUID(),
+    username: trimmedUsername,
+    salt,
+    passwordHash: hash,
+    createdAt: new Date().toISOString(),
+  };
+  // Of concurrent registrations of one username only the first is stored
+  const stored = await storage.updateRecord(
+    USERS,
+    normalizeUsername(trimmedUsername),
+    (existing) => (existing ? undefined : user)
+  );
+  if (stored.id !== user.id) return null;
+  await storage.putRecord(USER_IDS, user.id, { username: trimmedUsername });
+  return user;
+};
+
+// Returns the account when the credentials match, otherwise null
+const authenticateUser = async (username, password) => {
+  const user = await findUser(username);
+  if (!user || !(await verifyPassword(password, user))) return null;
+  return user;
+};
+
+// Token functions
+const issueTokens = async (user) => {
+  const token = jwt.sign(
+    { username: user.username, userId: user.id },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  await storage.putRecord(REFRESH_TOKENS, hashToken(refreshToken), {
+    username: user.username,
+    expiresAt: Date.now() + REFRESH_TOKEN_TTL_MS,
+  });
+
+  return { token, refreshToken, username: user.username, userId: user.id };
+};
+
+// Exchanges a refresh token for a new token pair; the old refresh token is spent
+const rotateRefreshToken = async (refreshToken) => {
+  // Deleting the token claims it: of concurrent refreshes only one gets it
+  const record = await storage.deleteRecord(
+    REFRESH_TOKENS,
+    hashToken(refreshToken)
+  );
+  if (!record || record.expiresAt < Date.now()) return null;
+
+  const user = await findUser(record.username);
+  return user ? issueTokens(user) : null;
+};
+
+// Only the owner of a refresh token may revoke it
+const revokeRefreshToken = async (refreshToken, username) => {
+  const key = hashToken(refreshToken);
+  const record = await storage.getRecord(REFRESH_TOKENS, key);
+  if (record && record.username === username) {
+    await storage.deleteRecord(REFRESH_TOKENS, key);
+  }
+};
+
+// Access tokens are revoked by id until they would have expired anyway
+const revokeAccessToken = async ({ jti, exp }) => {
+  if (!jti) return;
+  const revoked = await storage.getRecords(REVOKED_TOKENS);
+  for (const [id, { expiresAt }] of Object.entries(revoked)) {
+    if (expiresAt < Date.now()) await storage.deleteRecord(REVOKED_TOKENS, id);
+  }
+  await storage.putRecord(REVOKED_TOKENS, jti, { expiresAt: exp * 1000 });
+};
+
+// Resolves with the decoded payload of a valid, unrevoked access token
+const verifyAccessToken = (token) =>
+  new Promise((resolve, reject) => {
+    jwt.verify(token, JWT_SECRET, async (err, decoded) => {
+      if (err) return reject(err);
+      // Tokens from before stable user ids carry no userId; make clients refresh
+      if (!decoded.userId) return reject(new Error("Token has no user id"));
+      try {
+        if (
+          decoded.jti &&
+          (await storage.getRecord(REVOKED_TOKENS, decoded.jti))
+        ) {
+          return reject(new Error("Token has been revoked"));
+        }
+        resolve(decoded);
+      } catch (storageErr) {
+        reject(storageErr);
+      }
+    });
+  });
+
+module.exports = {
+  getUserById,
+  getUserByUsername,
+  registerUser,
+  authenticateUser,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  verifyAccessToken,
+};
@@ -0,0 +1,65 @@
+// bookmarks.js - Messages users saved for themselves, with optional notes
+//
+// Every user has one record in bookmarks:
+//   { [messageId]: { messageId, note, createdAt, updatedAt } }
+// which is only changed through storage.updateRecord, so concurrent changes
+// are not lost.
+// Bookmarks are private; the messages they point at are loaded and checked
+// for visibility by the caller when they are listed.
+
+const storage = require("./storage");
+
+const BOOKMARKS = "bookmarks";
+
+const MAX_BOOKMARKS = 500;
+
+// The newest bookmark first
+const listBookmarks = async (userId) =>
+  Object.values((await storage.getRecord(BOOKMARKS, userId)) || {}).sort(
+    (a, b) => b.createdAt.localeCompare(a.createdAt)
+  );
+
+// Bookmark a message, or change the note of an existing bookmark. Returns
+// { bookmark } or { status, error }.
+const saveBookmark = async (userId, messageId, note = "") => {
+  let result;
+  await storage.updateRecord(BOOKMARKS, userId, (stored) => {
+    const bookmarks = stored || {};
+    const existing = bookmarks[messageId];
+    if (!existing && Object.keys(bookmarks).length >= MAX_BOOKMARKS) {
+      result = {
+        status: 409,
+        error: `You can have at most ${MAX_BOOKMARKS} saved messages`,
+      };
+      return undefined;
+    }
+    const now = new Date().toISOString();
+    const bookmark = {
+      messageId,
+      note,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    };
+    result = { bookmark };
+    return { ...bookmarks, [messageId]: bookmark };
+  });
+  return result;
+};
+
+// Returns the removed bookmark, or null if there was none
+const removeBookmark = async (userId, messageId) => {
+  let removed = null;
+  await storage.updateRecord(BOOKMARKS, userId, (bookmarks) => {
+    if (!bookmarks?.[messageId]) return undefined;
+    const { [messageId]: bookmark, ...rest } = bookmarks;
+    removed = bookmark;
+    return rest;
+  });
+  return removed;
+};
+
+module.exports = {
+  listBookmarks,
+  saveBookmark,
+  removeBookmark,
+};
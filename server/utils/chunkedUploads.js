@@ -0,0 +1,259 @@
+// chunkedUploads.js - Resumable uploads of large files, sent in chunks
+//
+// A client starts an upload session with the file's name and size, sends
+// the file in fixed-size chunks (each with a CRC-32 checksum, in any order,
+// as often as needed) and completes the session once every chunk arrived.
+// After a network drop it asks for the session's status to learn which
+// chunks are still missing. Completing hands the assembled file to
+// attachments.createAttachment, so large files get the same checks as small
+// ones. Sessions live in the "uploadSessions" record collection:
+//   { id, ownerId, filename, size, chunkSize, totalChunks, received,
+//     createdAt, updatedAt }
+// and their data in uploads/partial/<id> until they complete or expire.
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const attachments = require("./attachments");
+const storage = require("./storage");
+const { createKeyedLock } = require("./keyedLock");
+
+const SESSIONS = "uploadSessions";
+
+const PARTIAL_DIR = path.join(__dirname, "..", "uploads", "partial");
+
+const MAX_FILE_SIZE = (Number(process.env.MAX_UPLOAD_MB) || 100) * 1024 * 1024;
+const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+const MIN_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 8 * 1024 * 1024;
+
+// Paused uploads can be resumed for a day after their last chunk
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// CRC-32 (IEEE), as sent by clients in the X-Chunk-Checksum header
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, "0");
+};
+
+const partialPath = (id) => path.join(PARTIAL_DIR, id);
+
+// Changes to one session run one after another, so chunks arriving in
+// parallel cannot drop each other from the received list. The lock only
+// holds in this process: the partial file is on this instance's disk, so
+// with several instances every request of an upload must be routed to the
+// instance it started on.
+const lockSession = createKeyedLock();
+
+const withSession = (id, ownerId, change) =>
+  lockSession(id, async () => {
+    const session =
+      typeof id === "string" ? await storage.getRecord(SESSIONS, id) : null;
+    if (!session || session.ownerId !== ownerId) {
+      return { status: 404, error: "Upload not found" };
+    }
+    return change(session);
+  });
+
+// What clients see of a session
+const sessionStatus = (session) => ({
+  uploadId: session.id,
+  filename: session.filename,
+  size: session.size,
+  chunkSize: session.chunkSize,
+  totalChunks: session.totalChunks,
+  receivedChunks: [...session.received].sort((a, b) => a - b),
+  expiresAt: new Date(
+    new Date(session.updatedAt).getTime() + SESSION_TTL_MS
+  ).toISOString(),
+});
+
+const chunkLength = (session, index) =>
+  Math.min(session.chunkSize, session.size - index * session.chunkSize);
+
+const removeSession = async (id) => {
+  await fs.rm(partialPath(id), { force: true });
+  await storage.deleteRecord(SESSIONS, id);
+};
+
+// Start an upload. Resolves with { session } or { status, error }.
+const createSession = async (ownerId, { filename, size, chunkSize }) => {
+  if (typeof filename !== "string" || !filename.trim()) {
+    return { status: 400, error: "filename is required" };
+  }
+  if (!attachments.typeOf(filename)) {
+    return { status: 400, error: attachments.UNSUPPORTED_TYPE };
+  }
+  if (!Number.isSafeInteger(size) || size < 1) {
+    return { status: 400, error: "size must be a positive number of bytes" };
+  }
+  if (size > MAX_FILE_SIZE) {
+    return {
+      status: 413,
+      error: `File is larger than ${MAX_FILE_SIZE / 1024 / 1024} MB`,
+    };
+  }
+  // Checked again on completion; this just avoids a pointless upload
+  const quotaError = await attachments.checkQuota(ownerId, size);
+  if (quotaError) return { status: 413, error: quotaError };
+
+  const chunk = Math.min(
+    Math.max(
+      Number.parseInt(chunkSize, 10) || DEFAULT_CHUNK_SIZE,
+      MIN_CHUNK_SIZE
+    ),
+    MAX_CHUNK_SIZE
+  );
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomUUID(),
+    ownerId,
+    filename,
+    size,
+    chunkSize: chunk,
+    totalChunks: Math.ceil(size / chunk),
+    received: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+  await fs.mkdir(PARTIAL_DIR, { recursive: true });
+  // Chunks are written in place, so they can arrive in any order
+  const handle = await fs.open(partialPath(session.id), "w");
+  try {
+    await handle.truncate(size);
+  } finally {
+    await handle.close();
+  }
+  await storage.putRecord(SESSIONS, session.id, session);
+  return { session };
+};
+
+const getSession = async (id, ownerId) => {
+  const session =
+    typeof id === "string" ? await storage.getRecord(SESSIONS, id) : null;
+  return session && session.ownerId === ownerId ? session : null;
+};
+
+// Store one chunk. Sending a chunk again replaces it. Resolves with
+// { session } or { status, error }.
+const writeChunk = (id, ownerId, index, data, checksum) =>
+  withSession(id, ownerId, async (session) => {
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+      return { status: 400, error: "Chunk index out of range" };
+    }
+    if (!Buffer.isBuffer(data) || data.length !== chunkLength(session, index)) {
+      return {
+        status: 400,
+        error: `Chunk ${index} must be ${chunkLength(session, index)} bytes`,
+      };
+    }
+    if (
+      typeof checksum !== "string" ||
+      checksum.toLowerCase() !== crc32(data)
+    ) {
+      return { status: 422, error: "Chunk checksum does not match its data" };
+    }
+
+    const handle = await fs.open(partialPath(session.id), "r+");
+    try {
+      await handle.write(data, 0, data.length, index * session.chunkSize);
+    } finally {
+      await handle.close();
+    }
+    const updated = {
+      ...session,
+      received: session.received.includes(index)
+        ? session.received
+        : [...session.received, index],
+      updatedAt: new Date().toISOString(),
+    };
+    await storage.putRecord(SESSIONS, session.id, updated);
+    return { session: updated };
+  });
+
+// Turn a fully received upload into an attachment. Resolves with
+// { attachment } or { status, error }.
+const completeSession = (id, ownerId) =>
+  withSession(id, ownerId, async (session) => {
+    const missing = session.totalChunks - session.received.length;
+    if (missing > 0) {
+      return {
+        status: 409,
+        error: `${missing} ${
+          missing === 1 ? "chunk is" : "chunks are"
+        } missing`,
+      };
+    }
+    // createAttachment consumes the file, so move it out of the session
+    // first; a failed check ends the session either way
+    const assembled = path.join(attachments.TEMP_DIR, session.id);
+    await fs.mkdir(attachments.TEMP_DIR, { recursive: true });
+    await fs.rename(partialPath(session.id), assembled);
+    await removeSession(session.id);
+    return attachments.createAttachment(
+      { path: assembled, originalname: session.filename },
+      ownerId
+    );
+  });
+
+const cancelSession = (id, ownerId) =>
+  withSession(id, ownerId, async (session) => {
+    await removeSession(session.id);
+    return {};
+  });
+
+// Cleanup functions
+const isExpired = (session) =>
+  Date.now() - new Date(session.updatedAt) > SESSION_TTL_MS;
+
+// Remove sessions nobody resumed in time, and data left without a session
+const cleanUp = async () => {
+  const sessions = await storage.getRecords(SESSIONS);
+  for (const session of Object.values(sessions)) {
+    if (!isExpired(session)) continue;
+    // A chunk may have arrived since the list was read
+    await withSession(session.id, session.ownerId, async (current) => {
+      if (isExpired(current)) await removeSession(current.id);
+    });
+  }
+
+  for (const name of await fs.readdir(PARTIAL_DIR).catch(() => [])) {
+    const file = path.join(PARTIAL_DIR, name);
+    const stats = await fs.stat(file).catch(() => null);
+    if (
+      stats?.isFile() &&
+      !sessions[name] &&
+      Date.now() - stats.mtimeMs > SESSION_TTL_MS
+    ) {
+      await fs.rm(file, { force: true });
+    }
+  }
+};
+
+const startCleanup = () => {
+  const run = () =>
+    cleanUp().catch((err) =>
+      console.error("Failed to clean up upload sessions", err)
+    );
+  setInterval(run, CLEANUP_INTERVAL_MS).unref();
+  run();
+};
+
+module.exports = {
+  MAX_CHUNK_SIZE,
+  sessionStatus,
+  createSession,
+  getSession,
+  writeChunk,
+  completeSession,
+  cancelSession,
+  startCleanup,
+};
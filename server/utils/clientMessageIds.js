@@ -0,0 +1,105 @@
+// clientMessageIds.js - Client-generated message ids, so resent messages are stored once
+
+const storage = require("./storage");
+const { CLIENT_ID_PATTERN } = require("./limits");
+
+const CLIENT_MESSAGE_IDS = "clientMessageIds";
+
+// Clients resend until acknowledged; a day comfortably covers a long outage
+const DEDUPE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// A claim is pending until its message is stored. A resend waits for a
+// pending claim, and takes it over once it is this old without a message:
+// the send that made it died before storing anything.
+const PENDING_TIMEOUT_MS = 10 * 1000;
+const PENDING_POLL_MS = 100;
+
+const isValidClientId = (clientId) =>
+  typeof clientId === "string" && CLIENT_ID_PATTERN.test(clientId);
+
+const keyFor = (senderId, clientId) => `${senderId}:${clientId}`;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Released and expired claims no longer stand for a message
+const isLive = (record) =>
+  Boolean(record) &&
+  !record.released &&
+  Date.now() - record.createdAt <= DEDUPE_WINDOW_MS;
+
+let lastPrunedAt = 0;
+
+const pruneExpired = async () => {
+  lastPrunedAt = Date.now();
+  const records = await storage.getRecords(CLIENT_MESSAGE_IDS);
+  for (const [key, record] of Object.entries(records)) {
+    if (!isLive(record)) await storage.deleteRecord(CLIENT_MESSAGE_IDS, key);
+  }
+};
+
+// Resolves with { messageId, duplicate }: the new messageId when this call
+// wins the claim, or the earlier message's id when it is a resend. The claim
+// is a single storage update, so of concurrent resends only one wins. A
+// resend is only answered as a duplicate once the earlier message is stored.
+const claim = async (senderId, clientId, messageId) => {
+  if (Date.now() - lastPrunedAt > PRUNE_INTERVAL_MS) {
+    pruneExpired().catch((err) =>
+      console.error("Failed to prune client message ids", err)
+    );
+  }
+  const key = keyFor(senderId, clientId);
+  const fresh = () => ({ messageId, createdAt: Date.now(), pending: true });
+  let record = await storage.updateRecord(
+    CLIENT_MESSAGE_IDS,
+    key,
+    (existing) => (isLive(existing) ? undefined : fresh())
+  );
+  while (record.messageId !== messageId) {
+    const earlierId = record.messageId;
+    if (!record.pending || (await storage.getMessage(String(earlierId)))) {
+      return { messageId: earlierId, duplicate: true };
+    }
+    if (Date.now() - record.createdAt < PENDING_TIMEOUT_MS) {
+      await wait(PENDING_POLL_MS);
+    }
+    record = await storage.updateRecord(CLIENT_MESSAGE_IDS, key, (existing) =>
+      !isLive(existing) ||
+      (existing.pending &&
+        existing.messageId === earlierId &&
+        Date.now() - existing.createdAt >= PENDING_TIMEOUT_MS)
+        ? fresh()
+        : undefined
+    );
+  }
+  return { messageId, duplicate: false };
+};
+
+// Mark a won claim's message as stored
+const confirm = (senderId, clientId, messageId) =>
+  storage.updateRecord(
+    CLIENT_MESSAGE_IDS,
+    keyFor(senderId, clientId),
+    (existing) =>
+      existing?.messageId === messageId && existing.pending
+        ? { messageId, createdAt: existing.createdAt }
+        : undefined
+  );
+
+// Forget a claim whose message could not be stored, so a resend can retry
+// it. A claim that was taken over since is left alone.
+const release = (senderId, clientId, messageId) =>
+  storage.updateRecord(
+    CLIENT_MESSAGE_IDS,
+    keyFor(senderId, clientId),
+    (existing) =>
+      existing?.messageId === messageId
+        ? { ...existing, released: true }
+        : undefined
+  );
+
+module.exports = {
+  isValidClientId,
+  claim,
+  confirm,
+  release,
+};
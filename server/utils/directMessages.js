@@ -0,0 +1,112 @@
+// directMessages.js - Direct-message conversations between two user ids
+
+const storage = require("./storage");
+
+const CONVERSATIONS = "conversations";
+const PENDING = "pendingDirectMessages";
+
+// A conversation summary and a recipient's pending queue are each one
+// record, changed with storage.updateRecord so concurrent changes add up
+
+// Both participants always resolve to the same conversation id
+const conversationIdFor = (userA, userB) =>
+  `dm:${[userA, userB].sort().join(":")}`;
+
+// A conversation as seen by one participant
+const viewFor = (conversation, userId) => ({
+  id: conversation.id,
+  otherUser:
+    conversation.participants.find((p) => p.id !== userId) ||
+    conversation.participants[0],
+  lastMessage: conversation.lastMessage,
+  unread: conversation.unread[userId] || 0,
+  updatedAt: conversation.updatedAt,
+});
+
+// Update the conversation summary after a message and count it as unread for
+// the recipient; messages for offline recipients are queued for delivery
+const recordMessage = async (message, sender, recipient, delivered) => {
+  const conversation = await storage.updateRecord(
+    CONVERSATIONS,
+    message.conversationId,
+    (existing) => {
+      const conversation = existing || {
+        id: message.conversationId,
+        participants: [sender, recipient],
+        unread: {},
+      };
+
+      conversation.lastMessage = {
+        id: message.id,
+        sender: message.sender,
+        senderId: message.senderId,
+        message: message.message,
+        timestamp: message.timestamp,
+      };
+      conversation.updatedAt = message.timestamp;
+      if (recipient.id !== sender.id) {
+        conversation.unread[recipient.id] =
+          (conversation.unread[recipient.id] || 0) + 1;
+      }
+      return conversation;
+    }
+  );
+
+  if (!delivered) {
+    await storage.updateRecord(PENDING, recipient.id, (pending) => [
+      ...(pending || []),
+      message.id,
+    ]);
+  }
+  return conversation;
+};
+
+const listConversations = async (userId) => {
+  const conversations = await storage.getRecords(CONVERSATIONS);
+  return Object.values(conversations)
+    .filter((c) => c.participants.some((p) => p.id === userId))
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+    .map((c) => viewFor(c, userId));
+};
+
+// Returns the updated conversation, or null if the user is not part of it
+const markRead = async (conversationId, userId) => {
+  let isParticipant = false;
+  const conversation = await storage.updateRecord(
+    CONVERSATIONS,
+    conversationId,
+    (stored) => {
+      if (!stored || !stored.participants.some((p) => p.id === userId)) {
+        return undefined;
+      }
+      isParticipant = true;
+      return { ...stored, unread: { ...stored.unread, [userId]: 0 } };
+    }
+  );
+  return isParticipant ? conversation : null;
+};
+
+// Messages of a conversation, oldest first, paged backwards from a message id
+const getHistory = async (conversationId, { limit = 50, before } = {}) => {
+  // One extra message tells whether there are older ones
+  const page = await storage.getConversationMessages(conversationId, {
+    before,
+    limit: limit + 1,
+  });
+  const hasMore = page.length > limit;
+  return { messages: hasMore ? page.slice(1) : page, hasMore };
+};
+
+// Ids of messages that arrived while the user was offline; the queue is cleared
+const takePending = async (userId) =>
+  (await storage.deleteRecord(PENDING, userId)) || [];
+
+module.exports = {
+  conversationIdFor,
+  viewFor,
+  recordMessage,
+  listConversations,
+  markRead,
+  getHistory,
+  takePending,
+};
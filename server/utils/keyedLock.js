@@ -0,0 +1,24 @@
+// keyedLock.js - Async work that runs one task at a time per key
+//
+// createKeyedLock() returns a function (key, task) => promise. Tasks for the
+// same key run one after another in the order they were queued, each after
+// the previous one settled; tasks for different keys run side by side. The
+// promise settles like the task. Locks only hold within this process, so
+// they suit state only this process touches; changes to stored state that
+// other instances share go through the atomic updates in storage.js.
+
+const createKeyedLock = () => {
+  const queues = new Map();
+  return (key, task) => {
+    const run = (queues.get(key) || Promise.resolve()).then(() => task());
+    const queued = run.catch(() => {});
+    queues.set(key, queued);
+    // Keys that go quiet are forgotten
+    queued.then(() => {
+      if (queues.get(key) === queued) queues.delete(key);
+    });
+    return run;
+  };
+};
+
+module.exports = { createKeyedLock };
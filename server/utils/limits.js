@@ -0,0 +1,18 @@
+// limits.js - Limits on user input that the modules enforcing them share
+// with schemas.js. Nothing here may need storage, so the schemas (and the
+// type generator) can be loaded without a backend.
+
+const MAX_MESSAGE_LENGTH = 4000;
+
+const CHOSEN_STATUSES = ["online", "dnd", "invisible"];
+
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+const MAX_POLL_OPTIONS = 10;
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  CHOSEN_STATUSES,
+  CLIENT_ID_PATTERN,
+  MAX_POLL_OPTIONS,
+};
@@ -0,0 +1,115 @@
+// messageText.js - Cleaning message text and finding the mentions in it
+//
+// Message text is a Markdown subset (bold, italics, links, inline code,
+// fenced code blocks and quotes) that clients render themselves; it is
+// never treated as HTML. Before a message is stored its text is cleaned:
+// line endings are normalized, control and bidirectional override
+// characters are dropped, and links to anything but http(s) and mailto
+// keep only their label. Code is left exactly as written.
+//
+// @username and @room mentions outside code become metadata on the message:
+//   mentions: { users: [{ id, username }], room: true|false }
+// listing only users who can see the room. findLinks() picks out the URLs
+// that get link previews.
+
+const auth = require("./auth");
+const chatRooms = require("./rooms");
+const { MAX_MESSAGE_LENGTH } = require("./limits");
+
+const MAX_MENTIONED_USERS = 20;
+
+// Control characters other than tab and newline, and the overrides that
+// make text display in a different order than it is stored
+const UNSAFE_CHARACTERS =
+  /[\u0000-\u0008\u000b-\u001f\u007f\u202a-\u202e\u2066-\u2069]/g;
+
+// Fenced code blocks (possibly unclosed) and inline code spans
+const CODE_PATTERN = /(```[\s\S]*?(?:```|$)|`[^`\n]+`)/;
+const LINK_PATTERN = /\[([^\]\n]*)\]\(([^)\s]*)\)/g;
+const SAFE_LINK_PATTERN = /^(https?:\/\/|mailto:)/i;
+// Trailing punctuation ends the sentence, not the URL
+const URL_PATTERN = /https?:\/\/[^\s<]*[^\s<.,;:!?)\]'"]/gi;
+// Not preceded by a word character, so e-mail addresses are no mentions
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@])@([\p{L}\p{N}_.-]+)/gu;
+
+// Apply change to the parts of text that are not code
+const outsideCode = (text, change) =>
+  text
+    .split(CODE_PATTERN)
+    .map((part, index) => (index % 2 === 0 ? change(part) : part))
+    .join("");
+
+// Returns { text } or { error }
+const cleanText = (text) => {
+  if (typeof text !== "string") return { error: "Message is required" };
+  const cleaned = outsideCode(
+    text
+      .normalize("NFC")
+      .replace(/\r\n?/g, "\n")
+      .replace(UNSAFE_CHARACTERS, ""),
+    (part) =>
+      part.replace(LINK_PATTERN, (link, label, url) =>
+        SAFE_LINK_PATTERN.test(url) ? link : label
+      )
+  )
+    .replace(/^\n+/, "")
+    .trimEnd();
+  if (cleaned.trim().length === 0) return { error: "Message is required" };
+  if (cleaned.length > MAX_MESSAGE_LENGTH) {
+    return {
+      error: `Messages can be at most ${MAX_MESSAGE_LENGTH} characters`,
+    };
+  }
+  return { text: cleaned };
+};
+
+// Names mentioned outside code: { usernames, room }
+const findMentions = (text) => {
+  const usernames = new Set();
+  let room = false;
+  outsideCode(text, (part) => {
+    for (const [, , rawName] of part.matchAll(MENTION_PATTERN)) {
+      // "@bob." ends a sentence rather than the name
+      const name = rawName.replace(/[.-]+$/, "").toLowerCase();
+      if (name === "room") room = true;
+      else if (name) usernames.add(name);
+    }
+    return part;
+  });
+  return { usernames: [...usernames], room };
+};
+
+// http(s) links outside code, in order and without repeats
+const findLinks = (text) => {
+  const links = new Set();
+  outsideCode(text, (part) => {
+    for (const [url] of part.matchAll(URL_PATTERN)) {
+      if (URL.canParse(url)) links.add(url);
+    }
+    return part;
+  });
+  return [...links];
+};
+
+// The mentions metadata for a message in roomName, or null when it
+// mentions nobody who can see the room
+const resolveMentions = async (text, roomName) => {
+  const { usernames, room: mentionsRoom } = findMentions(text);
+  if (usernames.length === 0 && !mentionsRoom) return null;
+  const room = await chatRooms.getRoom(roomName);
+  if (!room) return null;
+
+  const users = [];
+  for (const name of usernames.slice(0, MAX_MENTIONED_USERS)) {
+    const user = await auth.getUserByUsername(name);
+    if (user && chatRooms.canView(room, user.id)) users.push(user);
+  }
+  if (users.length === 0 && !mentionsRoom) return null;
+  return { users, room: mentionsRoom };
+};
+
+module.exports = {
+  cleanText,
+  findLinks,
+  resolveMentions,
+};
@@ -0,0 +1,244 @@
+// moderation.js - Room roles, mutes, kicks, bans, pinned messages and the
+// moderation log
+
+const crypto = require("crypto");
+const storage = require("./storage");
+const chatRooms = require("./rooms");
+
+const LOG = "moderationLog";
+
+const DEFAULT_MUTE_MINUTES = 10;
+const MAX_MUTE_MINUTES = 7 * 24 * 60;
+const MAX_PINS = 50;
+
+// Site admins (ADMIN_USERNAMES, comma separated) act as owners of every room,
+// which is the only way to moderate unowned rooms such as general
+const ADMIN_USERNAMES = new Set(
+  (process.env.ADMIN_USERNAMES || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+const ROLE_RANKS = { owner: 2, moderator: 1, member: 0 };
+
+const isAdmin = (user) =>
+  Boolean(user.username) && ADMIN_USERNAMES.has(user.username.toLowerCase());
+
+// Effective role of a user ({ id, username }) in a room, or null for non-members
+const roleOf = (room, user) => {
+  if (chatRooms.isOwner(room, user.id) || isAdmin(user)) return "owner";
+  return chatRooms.getMember(room, user.id)?.role || null;
+};
+
+const canModerate = (room, user) =>
+  ["owner", "moderator"].includes(roleOf(room, user));
+
+// Moderators may only act on users ranked below them
+const outranks = (room, actor, target) =>
+  (ROLE_RANKS[roleOf(room, actor)] ?? -1) >
+  (ROLE_RANKS[roleOf(room, target)] ?? -1);
+
+const getActiveMute = (room, userId) =>
+  room.mutes.find(
+    (mute) => mute.id === userId && new Date(mute.until) > new Date()
+  ) || null;
+
+// Log functions
+const logAction = async ({ room, action, actor, target, ...details }) => {
+  const entry = {
+    id: crypto.randomUUID(),
+    room,
+    action,
+    actor: { id: actor.id, username: actor.username },
+    target: target ? { id: target.id, username: target.username } : null,
+    ...details,
+    createdAt: new Date().toISOString(),
+  };
+  await storage.putRecord(LOG, entry.id, entry);
+  return entry;
+};
+
+// Newest entries first
+const getLog = async (roomName, limit = 100) => {
+  const entries = Object.values(await storage.getRecords(LOG));
+  return entries
+    .filter((entry) => entry.room === roomName)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+};
+
+// Action functions - each updates the room and records a log entry.
+// They return { room, entry } so callers can notify clients.
+const setRole = async (room, target, role, actor) => {
+  const updated = await chatRooms.setMemberRole(room, target.id, role);
+  const entry = await logAction({
+    room: room.name,
+    action: "set_role",
+    actor,
+    target,
+    role,
+  });
+  return { room: updated, entry };
+};
+
+const muteUser = async (room, target, actor, durationMinutes, reason = "") => {
+  const minutes = Math.min(
+    Math.max(Number(durationMinutes) || DEFAULT_MUTE_MINUTES, 1),
+    MAX_MUTE_MINUTES
+  );
+  const until = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+  const updated = await chatRooms.mutateRoom(room.name, (current) => ({
+    mutes: [
+      // Drop expired mutes while we are rewriting the list anyway
+      ...current.mutes.filter(
+        (mute) => mute.id !== target.id && new Date(mute.until) > new Date()
+      ),
+      { id: target.id, username: target.username, until, by: actor.id },
+    ],
+  }));
+  const entry = await logAction({
+    room: room.name,
+    action: "mute",
+    actor,
+    target,
+    reason,
+    durationMinutes: minutes,
+    until,
+  });
+  return { room: updated, entry };
+};
+
+const unmuteUser = async (room, target, actor) => {
+  const updated = await chatRooms.mutateRoom(room.name, (current) => ({
+    mutes: current.mutes.filter((mute) => mute.id !== target.id),
+  }));
+  const entry = await logAction({
+    room: room.name,
+    action: "unmute",
+    actor,
+    target,
+  });
+  return { room: updated, entry };
+};
+
+// Kicking removes membership, so private rooms need a new invite to rejoin
+const kickUser = async (room, target, actor, reason = "") => {
+  const updated = await chatRooms.removeMember(room, target.id);
+  const entry = await logAction({
+    room: room.name,
+    action: "kick",
+    actor,
+    target,
+    reason,
+  });
+  return { room: updated, entry };
+};
+
+const banUser = async (room, target, actor, reason = "") => {
+  const updated = await chatRooms.mutateRoom(room.name, (current) => ({
+    members: current.members.filter((member) => member.id !== target.id),
+    bans: [
+      ...current.bans.filter((ban) => ban.id !== target.id),
+      {
+        id: target.id,
+        username: target.username,
+        by: actor.id,
+        reason,
+        at: new Date().toISOString(),
+      },
+    ],
+  }));
+  const entry = await logAction({
+    room: room.name,
+    action: "ban",
+    actor,
+    target,
+    reason,
+  });
+  return { room: updated, entry };
+};
+
+const unbanUser = async (room, target, actor) => {
+  const updated = await chatRooms.mutateRoom(room.name, (current) => ({
+    bans: current.bans.filter((ban) => ban.id !== target.id),
+  }));
+  const entry = await logAction({
+    room: room.name,
+    action: "unban",
+    actor,
+    target,
+  });
+  return { room: updated, entry };
+};
+
+// Pins are kept on the room as { messageId, pinnedBy, pinnedAt }, oldest
+// first. Both return { room, entry } or { status, error }.
+const pinMessage = async (room, message, actor) => {
+  let error = null;
+  const updated = await chatRooms.mutateRoom(room.name, (current) => {
+    if (current.pins.some((pin) => pin.messageId === message.id)) {
+      error = { status: 409, error: "Message is already pinned" };
+      return {};
+    }
+    if (current.pins.length >= MAX_PINS) {
+      error = {
+        status: 409,
+        error: `A room can have at most ${MAX_PINS} pinned messages`,
+      };
+      return {};
+    }
+    return {
+      pins: [
+        ...current.pins,
+        {
+          messageId: message.id,
+          pinnedBy: { id: actor.id, username: actor.username },
+          pinnedAt: new Date().toISOString(),
+        },
+      ],
+    };
+  });
+  if (error) return error;
+  const entry = await logAction({
+    room: room.name,
+    action: "pin",
+    actor,
+    target: { id: message.senderId, username: message.sender },
+    messageId: message.id,
+  });
+  return { room: updated, entry };
+};
+
+// actor is null when a pin goes away with its message, which is not logged
+const unpinMessage = async (room, messageId, actor) => {
+  let pin = null;
+  const updated = await chatRooms.mutateRoom(room.name, (current) => {
+    pin = current.pins.find((p) => p.messageId === messageId) || null;
+    return pin
+      ? { pins: current.pins.filter((p) => p.messageId !== messageId) }
+      : {};
+  });
+  if (!pin) return { status: 404, error: "Message is not pinned" };
+  const entry = actor
+    ? await logAction({ room: room.name, action: "unpin", actor, messageId })
+    : null;
+  return { room: updated, entry };
+};
+
+module.exports = {
+  roleOf,
+  canModerate,
+  outranks,
+  getActiveMute,
+  logAction,
+  getLog,
+  setRole,
+  muteUser,
+  unmuteUser,
+  kickUser,
+  banUser,
+  unbanUser,
+  pinMessage,
+  unpinMessage,
+};
@@ -0,0 +1,29 @@
+// Polls with a closesAt in the past take no more votes
+const isClosed = (poll) =>
+  poll.closesAt != null && new Date(poll.closesAt) <= new Date();
+
+// Poll results as stored on poll messages, from every voter's ballot:
+// { [userId]: { username, optionIds } }. Voters are only named on polls
+// that are not anonymous.
+const pollResults = (poll, ballots) => {
+  const tallies = {};
+  const voters = {};
+  for (const option of poll.options) {
+    tallies[option.id] = 0;
+    voters[option.id] = [];
+  }
+  for (const [userId, ballot] of Object.entries(ballots)) {
+    for (const optionId of ballot.optionIds) {
+      if (!(optionId in tallies)) continue;
+      tallies[optionId] += 1;
+      voters[optionId].push({ id: userId, username: ballot.username });
+    }
+  }
+  return {
+    tallies,
+    voterCount: Object.keys(ballots).length,
+    ...(!poll.anonymous && { voters }),
+  };
+};
+
+module.exports = { isClosed, pollResults };
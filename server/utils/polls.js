@@ -0,0 +1,106 @@
+// polls.js - Poll messages
+//
+// A poll is a room message whose text is the question. It also carries
+//   poll: { options: [{ id, text }], multiple, anonymous, closesAt }
+//   pollResults: { tallies: { [optionId]: count }, voterCount, voters? }
+// Results are kept up to date by storage.castVote, which also keeps every
+// voter's ballot apart from the message; voters ({ [optionId]: [{ id,
+// username }] }) are only listed for polls that are not anonymous. A vote
+// replaces the voter's last one, until the poll closes at closesAt (null
+// for polls that stay open until they are closed by hand).
+
+const storage = require("./storage");
+const { isClosed, pollResults } = require("./pollResults");
+const { MAX_POLL_OPTIONS } = require("./limits");
+
+const MIN_OPTIONS = 2;
+const MAX_DAYS_OPEN = 30;
+
+// The poll fields of a new poll message. Returns { poll, pollResults } or
+// { error }.
+const createPoll = ({
+  options,
+  multiple = false,
+  anonymous = false,
+  closesAt = null,
+}) => {
+  const texts = options.map((text) => text.trim());
+  if (texts.length < MIN_OPTIONS || texts.length > MAX_POLL_OPTIONS) {
+    return {
+      error: `A poll needs ${MIN_OPTIONS} to ${MAX_POLL_OPTIONS} options`,
+    };
+  }
+  if (texts.some((text) => !text)) return { error: "Options cannot be empty" };
+  if (new Set(texts.map((text) => text.toLowerCase())).size !== texts.length) {
+    return { error: "Options must be different" };
+  }
+  if (closesAt != null) {
+    const time = new Date(closesAt);
+    if (isNaN(time)) return { error: "closesAt must be a date and time" };
+    if (time <= new Date())
+      return { error: "Pick a closing time in the future" };
+    if (time - Date.now() > MAX_DAYS_OPEN * 24 * 60 * 60 * 1000) {
+      return { error: `Polls can stay open at most ${MAX_DAYS_OPEN} days` };
+    }
+  }
+  const poll = {
+    options: texts.map((text, index) => ({ id: String(index + 1), text })),
+    multiple,
+    anonymous,
+    closesAt: closesAt == null ? null : new Date(closesAt).toISOString(),
+  };
+  return { poll, pollResults: pollResults(poll, {}) };
+};
+
+// Returns { message, optionIds } or { error }. No options takes the vote back.
+const vote = async (message, voter, optionIds) => {
+  if (!message || !message.poll || message.deleted) {
+    return { error: "Poll not found" };
+  }
+  if (isClosed(message.poll)) return { error: "This poll is closed" };
+  const chosen = [...new Set(optionIds)];
+  if (
+    chosen.some(
+      (id) => !message.poll.options.some((option) => option.id === id)
+    )
+  ) {
+    return { error: "Unknown poll option" };
+  }
+  if (!message.poll.multiple && chosen.length > 1) {
+    return { error: "This poll takes one option" };
+  }
+  // The poll may have closed since the message was read; castVote checks
+  // again as it stores the ballot
+  const updated = await storage.castVote(String(message.id), voter, chosen);
+  if (!updated) {
+    const current = await storage.getMessage(String(message.id));
+    return current?.poll && isClosed(current.poll)
+      ? { error: "This poll is closed" }
+      : { error: "Poll not found" };
+  }
+  return { message: updated, optionIds: chosen };
+};
+
+// Close an open poll now. Returns { message } or { error }.
+const closePoll = async (message) => {
+  if (!message || !message.poll || message.deleted) {
+    return { error: "Poll not found" };
+  }
+  if (isClosed(message.poll)) return { error: "This poll is already closed" };
+  const updated = await storage.updateMessage(String(message.id), {
+    poll: { ...message.poll, closesAt: new Date().toISOString() },
+  });
+  if (!updated) return { error: "Poll not found" };
+  return { message: updated };
+};
+
+const getBallot = (message, userId) =>
+  storage.getBallot(String(message.id), userId);
+
+module.exports = {
+  isClosed,
+  createPoll,
+  vote,
+  closePoll,
+  getBallot,
+};
@@ -0,0 +1,118 @@
+// presence.js - Chosen status, custom status and last seen time of users
+//
+// What others see of a user is worked out from all of their connections:
+//   offline - no connections, or the user chose to be invisible
+//   dnd     - the user chose do-not-disturb
+//   away    - every connection reported itself idle
+//   online  - otherwise
+// The chosen status ("online", "dnd" or "invisible") and the custom status
+// ({ text, emoji, expiresAt }) are stored per user, as is the time they were
+// last seen online. Invisible users are not seen, so it is not updated for
+// them.
+
+const storage = require("./storage");
+const { CHOSEN_STATUSES } = require("./limits");
+
+const PRESENCE = "presence";
+
+const MAX_STATUS_TEXT_LENGTH = 100;
+const MAX_EMOJI_LENGTH = 16;
+
+const DEFAULT_SETTINGS = { status: "online", customStatus: null };
+
+const isExpired = (customStatus) =>
+  Boolean(customStatus?.expiresAt) &&
+  new Date(customStatus.expiresAt) <= new Date();
+
+// { status, customStatus, lastSeen } as stored, without an expired custom status
+const getSettings = async (userId) => {
+  const record = await storage.getRecord(PRESENCE, userId);
+  const settings = { ...DEFAULT_SETTINGS, lastSeen: null, ...record };
+  if (isExpired(settings.customStatus)) settings.customStatus = null;
+  return settings;
+};
+
+// Returns { customStatus } (possibly null) or { error }
+const validateCustomStatus = (customStatus) => {
+  if (customStatus === null) return { customStatus: null };
+  if (typeof customStatus !== "object") {
+    return { error: "Custom status must be an object or null" };
+  }
+  const text = String(customStatus.text || "").trim();
+  const emoji = String(customStatus.emoji || "").trim();
+  if (!text && !emoji) return { customStatus: null };
+  if (text.length > MAX_STATUS_TEXT_LENGTH) {
+    return {
+      error: `Status text can be at most ${MAX_STATUS_TEXT_LENGTH} characters`,
+    };
+  }
+  if (emoji.length > MAX_EMOJI_LENGTH) return { error: "Invalid status emoji" };
+  let expiresAt = null;
+  if (customStatus.expiresAt != null) {
+    const expiry = new Date(customStatus.expiresAt);
+    if (isNaN(expiry) || expiry <= new Date()) {
+      return { error: "Status expiry must be a time in the future" };
+    }
+    expiresAt = expiry.toISOString();
+  }
+  return { customStatus: { text, emoji, expiresAt } };
+};
+
+// Apply { status?, customStatus? } from the user; returns { settings } or
+// { error }. Going invisible counts as leaving.
+const updateSettings = async (userId, changes) => {
+  const settings = await getSettings(userId);
+  if (changes.status !== undefined) {
+    if (!CHOSEN_STATUSES.includes(changes.status)) {
+      return {
+        error: `Status must be one of: ${CHOSEN_STATUSES.join(", ")}`,
+      };
+    }
+    if (changes.status === "invisible" && settings.status !== "invisible") {
+      settings.lastSeen = new Date().toISOString();
+    }
+    settings.status = changes.status;
+  }
+  if (changes.customStatus !== undefined) {
+    const { customStatus, error } = validateCustomStatus(changes.customStatus);
+    if (error) return { error };
+    settings.customStatus = customStatus;
+  }
+  await storage.putRecord(PRESENCE, userId, settings);
+  return { settings };
+};
+
+// Called when a user's last connection closes
+const recordLastSeen = async (userId) => {
+  const settings = await getSettings(userId);
+  if (settings.status === "invisible") return;
+  settings.lastSeen = new Date().toISOString();
+  await storage.putRecord(PRESENCE, userId, settings);
+};
+
+// What others see, given the stored settings and the socket.data of every
+// connection the user has: { status, customStatus, lastSeen }
+const aggregate = (settings, connections) => {
+  let status = "online";
+  if (connections.length === 0 || settings.status === "invisible") {
+    status = "offline";
+  } else if (settings.status === "dnd") {
+    status = "dnd";
+  } else if (connections.every((data) => data.idle)) {
+    status = "away";
+  }
+  return {
+    status,
+    customStatus: isExpired(settings.customStatus)
+      ? null
+      : settings.customStatus,
+    lastSeen: status === "offline" ? settings.lastSeen : null,
+  };
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  recordLastSeen,
+  aggregate,
+};
@@ -0,0 +1,150 @@
+// rateLimits.js - Token buckets for socket events and REST routes, and a
+// detector for the same message being sent over and over
+//
+// Every limit is a bucket of `burst` tokens per key (usually a user id)
+// that refills completely over `seconds`; each call takes one token. The
+// defaults below can be changed with RATE_LIMITS, a comma separated list of
+// name=burst/seconds, e.g. "send_message=5/10,login=20/600". Buckets live
+// in memory, so with several instances each one enforces the limits on the
+// connections and requests it serves.
+
+const DEFAULT_LIMITS = {
+  send_message: { burst: 10, seconds: 10 },
+  private_message: { burst: 10, seconds: 10 },
+  edit_message: { burst: 10, seconds: 30 },
+  delete_message: { burst: 10, seconds: 30 },
+  send_file: { burst: 5, seconds: 30 },
+  reaction: { burst: 20, seconds: 10 },
+  vote_poll: { burst: 10, seconds: 10 },
+  switch_room: { burst: 10, seconds: 30 },
+  // Creating scheduled messages and reminders
+  schedule: { burst: 10, seconds: 60 },
+  // Per client address, for both login attempts and registrations
+  login: { burst: 10, seconds: 15 * 60 },
+  // Per client address; clients refresh once per access token lifetime
+  refresh: { burst: 30, seconds: 15 * 60 },
+  // Whole uploads, single or chunked; chunks of one upload are not counted
+  upload: { burst: 20, seconds: 60 },
+};
+
+// The same text more often than this within DUPLICATE_WINDOW_MS is refused
+const MAX_DUPLICATES = 3;
+const DUPLICATE_WINDOW_MS = 30 * 1000;
+
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+const parseLimits = (setting) => {
+  const limits = { ...DEFAULT_LIMITS };
+  for (const entry of (setting || "").split(",")) {
+    if (!entry.trim()) continue;
+    const match = entry.trim().match(/^(\w+)=(\d+)\/(\d+)$/);
+    if (
+      !match ||
+      !limits[match[1]] ||
+      Number(match[2]) < 1 ||
+      Number(match[3]) < 1
+    ) {
+      throw new Error(
+        `Invalid RATE_LIMITS entry "${entry.trim()}" (expected name=burst/seconds with name one of: ${Object.keys(
+          DEFAULT_LIMITS
+        ).join(", ")})`
+      );
+    }
+    limits[match[1]] = { burst: Number(match[2]), seconds: Number(match[3]) };
+  }
+  return limits;
+};
+
+const limits = parseLimits(process.env.RATE_LIMITS);
+
+// `${name}:${key}` -> { tokens, updatedAt }
+const buckets = new Map();
+
+// Take a token from a bucket. Returns null when the call may go ahead,
+// otherwise { code, error, retryAfterMs }.
+const take = (name, key) => {
+  const { burst, seconds } = limits[name];
+  const now = Date.now();
+  const refillPerMs = burst / (seconds * 1000);
+  const bucketKey = `${name}:${key}`;
+  const bucket = buckets.get(bucketKey) || { tokens: burst, updatedAt: now };
+  bucket.tokens = Math.min(
+    burst,
+    bucket.tokens + (now - bucket.updatedAt) * refillPerMs
+  );
+  bucket.updatedAt = now;
+  buckets.set(bucketKey, bucket);
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return null;
+  }
+  return {
+    code: "rate_limited",
+    error: "You are doing that too often. Please slow down.",
+    retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs),
+  };
+};
+
+// userId -> [{ text, at }] of recent messages
+const recentMessages = new Map();
+
+const recentTexts = (userId, now) =>
+  (recentMessages.get(userId) || []).filter(
+    (entry) => now - entry.at < DUPLICATE_WINDOW_MS
+  );
+
+// Returns null, or { code, error } when a user keeps sending the same text.
+// Only texts passed to recordSent count, so rejected sends are not held
+// against the user.
+const checkDuplicate = (userId, text) => {
+  const normalized = text.trim().toLowerCase();
+  const repeats = recentTexts(userId, Date.now()).filter(
+    (entry) => entry.text === normalized
+  ).length;
+  if (repeats < MAX_DUPLICATES) return null;
+  return {
+    code: "duplicate_message",
+    error: "You already sent this message several times",
+  };
+};
+
+// Remembers a text once its message has been stored
+const recordSent = (userId, text) => {
+  const now = Date.now();
+  const recent = recentTexts(userId, now);
+  recent.push({ text: text.trim().toLowerCase(), at: now });
+  recentMessages.set(userId, recent);
+};
+
+// Full buckets and old messages need not be remembered
+const cleanUp = () => {
+  const now = Date.now();
+  for (const [bucketKey, bucket] of buckets) {
+    const { seconds } = limits[bucketKey.slice(0, bucketKey.indexOf(":"))];
+    if (now - bucket.updatedAt > seconds * 1000) buckets.delete(bucketKey);
+  }
+  for (const [userId, recent] of recentMessages) {
+    if (recent.every((entry) => now - entry.at >= DUPLICATE_WINDOW_MS)) {
+      recentMessages.delete(userId);
+    }
+  }
+};
+
+const startCleanup = () => setInterval(cleanUp, CLEANUP_INTERVAL_MS).unref();
+
+// Express middleware limiting a route per authenticated user, or per client
+// address for routes used before logging in
+const limitRoute = (name) => (req, res, next) => {
+  const limited = take(name, req.user?.userId || req.ip);
+  if (!limited) return next();
+  res.set("Retry-After", String(Math.ceil(limited.retryAfterMs / 1000)));
+  res.status(429).json(limited);
+};
+
+module.exports = {
+  take,
+  checkDuplicate,
+  recordSent,
+  limitRoute,
+  startCleanup,
+};
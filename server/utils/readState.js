@@ -0,0 +1,82 @@
+// readState.js - Where each user stopped reading each room
+//
+// Every user has one record in readPointers: { [roomId]: { seq, updatedAt } }
+// with the seq of the newest top-level room message they have read. Pointers
+// only move forward, so tabs and devices reporting out of order cannot undo
+// each other. Everything after a pointer is unread: top-level messages from
+// others that are not deleted, counted up to MAX_COUNTED. Mentions are the
+// unread ones that mention the user or @room. Rooms a user never opened have
+// no pointer and no counts.
+
+const storage = require("./storage");
+const chatRooms = require("./rooms");
+
+const POINTERS = "readPointers";
+
+// Counts stop here; clients show "99+"
+const MAX_COUNTED = 100;
+
+const mentionsUser = (message, userId) =>
+  Boolean(
+    message.mentions?.room ||
+      message.mentions?.users?.some((user) => user.id === userId)
+  );
+
+// { unread, mentions } in a room after seq
+const countUnread = async (userId, roomId, seq) => {
+  const after = await storage.getRoomMessages(roomId, {
+    after: seq,
+    limit: MAX_COUNTED,
+  });
+  const unread = after.filter(
+    (message) => message.senderId !== userId && !message.deleted
+  );
+  return {
+    unread: unread.length,
+    mentions: unread.filter((message) => mentionsUser(message, userId)).length,
+  };
+};
+
+// Move a user's pointer in a room up to seq. Resolves with the room's
+// { roomId, lastReadSeq, unread, mentions }, or null if the pointer was
+// already there.
+const markRead = async (userId, roomId, seq) => {
+  // Pointers move as one update, so parallel reads from several tabs
+  // cannot drop each other's rooms
+  let moved = false;
+  await storage.updateRecord(POINTERS, userId, (pointers) => {
+    if (pointers?.[roomId] && pointers[roomId].seq >= seq) return undefined;
+    moved = true;
+    return {
+      ...pointers,
+      [roomId]: { seq, updatedAt: new Date().toISOString() },
+    };
+  });
+  if (!moved) return null;
+  return {
+    roomId,
+    lastReadSeq: seq,
+    ...(await countUnread(userId, roomId, seq)),
+  };
+};
+
+// { [roomId]: { lastReadSeq, unread, mentions } } for every room the user
+// has a pointer in and can still see
+const summaryFor = async (userId) => {
+  const pointers = (await storage.getRecord(POINTERS, userId)) || {};
+  const summary = {};
+  for (const [roomId, pointer] of Object.entries(pointers)) {
+    const room = await chatRooms.getRoom(roomId);
+    if (!room || !chatRooms.canView(room, userId)) continue;
+    summary[roomId] = {
+      lastReadSeq: pointer.seq,
+      ...(await countUnread(userId, roomId, pointer.seq)),
+    };
+  }
+  return summary;
+};
+
+module.exports = {
+  markRead,
+  summaryFor,
+};
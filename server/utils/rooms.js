@@ -0,0 +1,198 @@
+// rooms.js - Room objects, membership, invite links and join requests
+
+const crypto = require("crypto");
+const storage = require("./storage");
+
+const INVITES = "roomInvites";
+const JOIN_REQUESTS = "roomJoinRequests";
+
+const DEFAULT_INVITE_TTL_HOURS = 24;
+const MAX_INVITE_TTL_HOURS = 24 * 30;
+
+// Room names double as socket.io room names, so keep them simple and clear
+// of the "user:" and "dm:" prefixes used for personal channels
+const ROOM_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$/;
+
+const isValidRoomName = (name) =>
+  typeof name === "string" && ROOM_NAME_PATTERN.test(name);
+
+// Rooms created before room objects existed are public and unowned
+const normalizeRoom = (room) => ({
+  topic: "",
+  visibility: "public",
+  ownerId: null,
+  members: [],
+  archived: false,
+  mutes: [],
+  bans: [],
+  pins: [],
+  ...room,
+});
+
+const getRoom = async (name) => {
+  const rooms = await storage.getRooms();
+  const room = rooms.find((r) => r.name === name);
+  return room ? normalizeRoom(room) : null;
+};
+
+const listRooms = async () => (await storage.getRooms()).map(normalizeRoom);
+
+const getMember = (room, userId) =>
+  room.members.find((member) => member.id === userId) || null;
+
+const isMember = (room, userId) => Boolean(getMember(room, userId));
+
+const isOwner = (room, userId) => room.ownerId === userId;
+
+const isBanned = (room, userId) => room.bans.some((ban) => ban.id === userId);
+
+// Banned users lose sight of a room altogether
+const canView = (room, userId) =>
+  !isBanned(room, userId) &&
+  (room.visibility === "public" || isMember(room, userId));
+
+// Private rooms only let members in; archived rooms are closed to everyone
+const canJoin = (room, userId) => !room.archived && canView(room, userId);
+
+// Returns the new room, or null when the name is taken
+const createRoom = async (
+  { name, topic = "", visibility = "public" },
+  owner
+) => {
+  if (await getRoom(name)) return null;
+  const room = normalizeRoom({
+    name,
+    topic,
+    visibility,
+    ownerId: owner.id,
+    members: [{ id: owner.id, username: owner.username, role: "owner" }],
+    createdAt: new Date().toISOString(),
+  });
+  await storage.addRoom(room);
+  return room;
+};
+
+const updateRoom = async (name, changes) =>
+  normalizeRoom(await storage.updateRoom(name, changes));
+
+// Changes that depend on the current room (members, bans, ...) are worked
+// out from the stored room as part of the update, so none of them is lost
+const mutateRoom = async (name, change) => {
+  const room = await storage.updateRoom(name, (stored) =>
+    change(normalizeRoom(stored))
+  );
+  return room ? normalizeRoom(room) : null;
+};
+
+const addMember = (room, user, role = "member") =>
+  mutateRoom(room.name, (current) =>
+    isMember(current, user.id)
+      ? {}
+      : {
+          members: [
+            ...current.members,
+            { id: user.id, username: user.username, role },
+          ],
+        }
+  );
+
+const removeMember = (room, userId) =>
+  mutateRoom(room.name, (current) => ({
+    members: current.members.filter((member) => member.id !== userId),
+  }));
+
+// Owners keep their role; everyone else is a "moderator" or a "member"
+const setMemberRole = (room, userId, role) =>
+  mutateRoom(room.name, (current) => ({
+    members: current.members.map((member) =>
+      member.id === userId && member.role !== "owner"
+        ? { ...member, role }
+        : member
+    ),
+  }));
+
+// Invite functions
+const createInvite = async (room, createdBy, ttlHours) => {
+  const hours = Math.min(
+    Math.max(Number(ttlHours) || DEFAULT_INVITE_TTL_HOURS, 1),
+    MAX_INVITE_TTL_HOURS
+  );
+  const invite = {
+    token: crypto.randomBytes(24).toString("base64url"),
+    room: room.name,
+    createdBy,
+    expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(),
+  };
+  await storage.putRecord(INVITES, invite.token, invite);
+  return invite;
+};
+
+// Returns the joined room, or null when the invite is unknown or expired
+const acceptInvite = async (token, user) => {
+  const invite = await storage.getRecord(INVITES, token);
+  if (!invite) return null;
+  if (new Date(invite.expiresAt) < new Date()) {
+    await storage.deleteRecord(INVITES, token);
+    return null;
+  }
+  const room = await getRoom(invite.room);
+  if (!room || room.archived || isBanned(room, user.id)) return null;
+  return addMember(room, user);
+};
+
+// Join request functions, keyed by "<room>:<userId>"
+const joinRequestKey = (roomName, userId) => `${roomName}:${userId}`;
+
+const requestToJoin = async (room, user) => {
+  const request = {
+    room: room.name,
+    userId: user.id,
+    username: user.username,
+    requestedAt: new Date().toISOString(),
+  };
+  await storage.putRecord(
+    JOIN_REQUESTS,
+    joinRequestKey(room.name, user.id),
+    request
+  );
+  return request;
+};
+
+const listJoinRequests = async (roomName) => {
+  const requests = await storage.getRecords(JOIN_REQUESTS);
+  return Object.values(requests).filter((r) => r.room === roomName);
+};
+
+// Approving adds the requester as a member; either way the request is closed.
+// Returns the (possibly updated) room, or null when there was no request.
+const resolveJoinRequest = async (room, userId, approve) => {
+  const key = joinRequestKey(room.name, userId);
+  const request = await storage.getRecord(JOIN_REQUESTS, key);
+  if (!request) return null;
+  await storage.deleteRecord(JOIN_REQUESTS, key);
+  if (!approve) return room;
+  return addMember(room, { id: request.userId, username: request.username });
+};
+
+module.exports = {
+  isValidRoomName,
+  getRoom,
+  listRooms,
+  getMember,
+  isMember,
+  isOwner,
+  isBanned,
+  canView,
+  canJoin,
+  createRoom,
+  updateRoom,
+  mutateRoom,
+  addMember,
+  removeMember,
+  setMemberRole,
+  createInvite,
+  acceptInvite,
+  requestToJoin,
+  listJoinRequests,
+  resolveJoinRequest,
+};
@@ -0,0 +1,57 @@
+// scaling.js - Socket.io adapter shared by every server process
+//
+// The adapter carries broadcasts, room membership and per-socket state
+// (socket.data) between instances, so fetchSockets() and serverSideEmit()
+// see the whole cluster. It is picked with SOCKET_ADAPTER:
+//   "memory" (default) - socket.io's in-process adapter, for a single instance
+//   "redis"            - instances share the Redis server at REDIS_URL
+//
+// Running several instances also needs shared storage (STORAGE_BACKEND=sqlite).
+// Instances keep no copies of stored state: changes that depend on it are
+// atomic storage updates (see storage.js). Rate limits are counted per
+// instance, and an upload in progress must stay on the instance it started
+// on (see chunkedUploads.js).
+
+const adapters = {
+  memory: async () => null,
+  redis: async () => {
+    const { createClient } = require("redis");
+    const { createAdapter } = require("@socket.io/redis-adapter");
+
+    const pubClient = createClient({
+      url: process.env.REDIS_URL || "redis://localhost:6379",
+    });
+    const subClient = pubClient.duplicate();
+    for (const client of [pubClient, subClient]) {
+      client.on("error", (err) => console.error("Redis client error", err));
+    }
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    return createAdapter(pubClient, subClient);
+  },
+};
+
+const adapterName = (process.env.SOCKET_ADAPTER || "memory").toLowerCase();
+
+if (!adapters[adapterName]) {
+  throw new Error(
+    `Unknown SOCKET_ADAPTER "${adapterName}" (expected one of: ${Object.keys(
+      adapters
+    ).join(", ")})`
+  );
+}
+
+// Other instances only exist behind a cross-process adapter
+const isDistributed = () => adapterName !== "memory";
+
+// Must run before the server starts accepting connections
+const attachAdapter = async (io) => {
+  const adapter = await adapters[adapterName]();
+  if (adapter) io.adapter(adapter);
+  console.log(`Using ${adapterName} socket adapter`);
+};
+
+module.exports = {
+  adapter: adapterName,
+  isDistributed,
+  attachAdapter,
+};
@@ -0,0 +1,163 @@
+// scheduler.js - Messages to be sent later and reminders about messages
+//
+// Jobs are kept per user, one record in the scheduledJobsByOwner
+// collection holding all of a user's pending jobs:
+//   { [jobId]: { id, type, ownerId, runAt, createdAt, ... } }
+// Scheduled messages ("message") also carry the text and either the room
+// ({ roomId, parentId }) or the user ({ to }) they go to; reminders
+// ("reminder") carry the messageId and an optional note. What a job does
+// when it falls due is up to the handlers passed to start().
+//
+// Creating, editing, cancelling and running a job are each one update of
+// the owner's record, so none of them can undo another and the limit on
+// pending jobs holds. Every instance polls for due jobs; a job is claimed
+// by taking it out of the record, which only one caller can do, so it runs
+// once even with several instances. Jobs that fell due while the server was
+// down run as soon as it is back.
+
+const crypto = require("crypto");
+const storage = require("./storage");
+
+const JOBS = "scheduledJobsByOwner";
+
+const POLL_INTERVAL_MS = 5 * 1000;
+const MAX_PENDING_JOBS = 50;
+const MAX_DAYS_AHEAD = 365;
+
+// type -> { run(job), isReady?(job) }
+let handlers = {};
+let polling = false;
+
+// Returns null or an error for the time a job should run at
+const checkRunAt = (runAt) => {
+  const time = new Date(runAt);
+  if (isNaN(time)) return "runAt must be a date and time";
+  if (time <= new Date()) return "Pick a time in the future";
+  if (time - Date.now() > MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+    return `Jobs can be scheduled at most ${MAX_DAYS_AHEAD} days ahead`;
+  }
+  return null;
+};
+
+const hasJob = (jobs, jobId) => Boolean(jobs) && Object.hasOwn(jobs, jobId);
+
+// A user's pending jobs, the next one first
+const listJobs = async (ownerId) =>
+  Object.values((await storage.getRecord(JOBS, ownerId)) || {}).sort(
+    (a, b) => new Date(a.runAt) - new Date(b.runAt)
+  );
+
+// fields: { type, runAt, ...what the type needs }. Returns { job } or
+// { status, error }.
+const createJob = async (ownerId, fields) => {
+  const error = checkRunAt(fields.runAt);
+  if (error) return { status: 400, error };
+  const job = {
+    ...fields,
+    id: crypto.randomUUID(),
+    ownerId,
+    runAt: new Date(fields.runAt).toISOString(),
+    createdAt: new Date().toISOString(),
+  };
+  let added = false;
+  await storage.updateRecord(JOBS, ownerId, (jobs) => {
+    if (Object.keys(jobs || {}).length >= MAX_PENDING_JOBS) return undefined;
+    added = true;
+    return { ...jobs, [job.id]: job };
+  });
+  if (!added) {
+    return {
+      status: 409,
+      error: `You can have at most ${MAX_PENDING_JOBS} scheduled messages and reminders`,
+    };
+  }
+  return { job };
+};
+
+// Change a pending job of the user. Returns { job } or { status, error }.
+const updateJob = async (ownerId, jobId, changes) => {
+  if (changes.runAt !== undefined) {
+    const error = checkRunAt(changes.runAt);
+    if (error) return { status: 400, error };
+  }
+  let updated = null;
+  await storage.updateRecord(JOBS, ownerId, (jobs) => {
+    if (!hasJob(jobs, jobId)) return undefined;
+    updated = {
+      ...jobs[jobId],
+      ...changes,
+      ...(changes.runAt !== undefined && {
+        runAt: new Date(changes.runAt).toISOString(),
+      }),
+    };
+    return { ...jobs, [jobId]: updated };
+  });
+  if (!updated) return { status: 404, error: "Scheduled job not found" };
+  return { job: updated };
+};
+
+// Take a job out of its owner's record. Resolves with the job, or null when
+// it is gone (run, cancelled, or taken by someone else).
+const takeJob = async (ownerId, jobId) => {
+  let taken = null;
+  await storage.updateRecord(JOBS, ownerId, (jobs) => {
+    if (!hasJob(jobs, jobId)) return undefined;
+    taken = jobs[jobId];
+    const rest = { ...jobs };
+    delete rest[jobId];
+    return rest;
+  });
+  return taken;
+};
+
+// Returns { job } (the cancelled job) or { status, error }
+const cancelJob = async (ownerId, jobId) => {
+  const job = await takeJob(ownerId, jobId);
+  if (!job) return { status: 404, error: "Scheduled job not found" };
+  return { job };
+};
+
+// Run every due job whose handler is ready for it
+const runDueJobs = async () => {
+  if (polling) return;
+  polling = true;
+  try {
+    const now = new Date();
+    const jobs = Object.values(await storage.getRecords(JOBS)).flatMap(
+      (ownerJobs) => Object.values(ownerJobs)
+    );
+    for (const due of jobs) {
+      if (new Date(due.runAt) > now) continue;
+      const handler = handlers[due.type];
+      if (!handler || (handler.isReady && !(await handler.isReady(due)))) {
+        continue;
+      }
+      // Someone else got to it first
+      const job = await takeJob(due.ownerId, due.id);
+      if (!job) continue;
+      try {
+        await handler.run(job);
+      } catch (err) {
+        console.error(`Failed to run scheduled ${job.type} ${job.id}`, err);
+      }
+    }
+  } catch (err) {
+    console.error("Failed to run scheduled jobs", err);
+  } finally {
+    polling = false;
+  }
+};
+
+const start = (jobHandlers) => {
+  handlers = jobHandlers;
+  runDueJobs();
+  return setInterval(runDueJobs, POLL_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  listJobs,
+  createJob,
+  updateJob,
+  cancelJob,
+  start,
+};
@@ -0,0 +1,635 @@
+// schemas.js - The shape of every socket event payload and REST request
+// body or query string the server accepts
+//
+// A schema is a plain object built with the helpers below. Objects reject
+// fields they do not list, strings and numbers carry their limits, and
+// fields are required unless wrapped in optional(). checkEvent() and
+// checkRequest() run the schemas before any handler sees the data and turn
+// a mismatch into { code: "invalid_payload", error }. The same definitions
+// produce the TypeScript declarations the client is typed with:
+//
+//   npm run generate:types   (writes client/src/socket/events.d.ts)
+
+const fs = require("fs");
+const path = require("path");
+const {
+  MAX_MESSAGE_LENGTH,
+  CHOSEN_STATUSES,
+  CLIENT_ID_PATTERN,
+  MAX_POLL_OPTIONS,
+} = require("./limits");
+
+const string = (limits = {}) => ({ type: "string", ...limits });
+const number = (limits = {}) => ({ type: "number", ...limits });
+const integer = (limits = {}) => ({ type: "integer", ...limits });
+const boolean = () => ({ type: "boolean" });
+const oneOf = (...values) => ({ type: "enum", values });
+const object = (fields) => ({ type: "object", fields });
+const arrayOf = (items, limits = {}) => ({ type: "array", items, ...limits });
+const anyOf = (...variants) => ({ type: "union", variants });
+const optional = (schema) => ({ ...schema, optional: true });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+// Query string values always arrive as strings
+const digits = (description) =>
+  string({ max: 16, pattern: /^\d+$/, description });
+
+// Message ids are strings; messages from before that have numeric ids
+const messageId = {
+  ...anyOf(integer({ min: 0 }), string({ min: 1, max: 64 })),
+  description: "a message id",
+};
+const userId = string({ min: 1, max: 64 });
+const roomName = string({ min: 1, max: 32 });
+const messageBody = string({ max: MAX_MESSAGE_LENGTH });
+const reason = optional(string({ max: 200 }));
+const pollOptionId = string({ min: 1, max: 16 });
+
+// Scheduled messages go to a room (possibly into a thread) or to a user
+const scheduledMessage = object({
+  message: messageBody,
+  runAt: string({ min: 1, max: 64 }),
+  roomId: optional(roomName),
+  parentId: optional(messageId),
+  to: optional(userId),
+});
+const reminder = object({
+  messageId,
+  runAt: string({ min: 1, max: 64 }),
+  note: optional(string({ max: 200 })),
+});
+const scheduledChanges = {
+  runAt: optional(string({ min: 1, max: 64 })),
+  message: optional(messageBody),
+  note: optional(string({ max: 200 })),
+};
+const jobId = string({ min: 1, max: 64 });
+// Ids in a path: messages, uploads, attachments and link preview images
+const pathId = string({ min: 1, max: 64 });
+
+const credentials = object({
+  username: string({ min: 1, max: 32 }),
+  password: string({ min: 8, max: 1024 }),
+});
+
+// Socket events. `args` lists the arguments in the order they are emitted;
+// `ack` events may be given a callback, which is answered with an Ack.
+const events = {
+  user_join: {
+    args: {
+      username: optional(nullable(string({ max: 32 }))),
+      room: optional(nullable(roomName)),
+    },
+  },
+  switch_room: { args: { room: roomName }, ack: true },
+  send_message: {
+    args: {
+      payload: object({
+        message: messageBody,
+        roomId: optional(nullable(roomName)),
+        clientId: optional(
+          string({
+            pattern: CLIENT_ID_PATTERN,
+            description: "8 to 64 letters, digits, dashes or underscores",
+          })
+        ),
+        parentId: optional(nullable(messageId)),
+      }),
+    },
+    ack: true,
+  },
+  send_file: {
+    args: {
+      payload: object({
+        attachmentId: string({ min: 1, max: 64 }),
+        roomId: optional(nullable(roomName)),
+      }),
+    },
+    ack: true,
+  },
+  typing: {
+    args: {
+      payload: anyOf(
+        boolean(),
+        object({
+          isTyping: boolean(),
+          threadId: optional(nullable(messageId)),
+        })
+      ),
+    },
+  },
+  private_message: {
+    args: { payload: object({ to: userId, message: messageBody }) },
+    ack: true,
+  },
+  dm_read: {
+    args: { payload: object({ conversationId: string({ min: 1, max: 160 }) }) },
+  },
+  message_read: { args: { payload: object({ messageId }) } },
+  add_reaction: {
+    args: {
+      payload: object({ messageId, reaction: string({ min: 1, max: 32 }) }),
+    },
+    ack: true,
+  },
+  remove_reaction: {
+    args: {
+      payload: object({ messageId, reaction: string({ min: 1, max: 32 }) }),
+    },
+    ack: true,
+  },
+  edit_message: {
+    args: { payload: object({ messageId, message: messageBody }) },
+    ack: true,
+  },
+  delete_message: { args: { payload: object({ messageId }) }, ack: true },
+  idle: { args: { idle: boolean() } },
+  set_presence: {
+    args: {
+      changes: object({
+        status: optional(oneOf(...CHOSEN_STATUSES)),
+        customStatus: optional(
+          nullable(
+            object({
+              text: optional(string({ max: 100 })),
+              emoji: optional(string({ max: 16 })),
+              expiresAt: optional(nullable(string({ max: 64 }))),
+            })
+          )
+        ),
+      }),
+    },
+    ack: true,
+  },
+  list_scheduled: { args: {}, ack: true },
+  schedule_message: { args: { payload: scheduledMessage }, ack: true },
+  set_reminder: { args: { payload: reminder }, ack: true },
+  edit_scheduled: {
+    args: { payload: object({ jobId, ...scheduledChanges }) },
+    ack: true,
+  },
+  cancel_scheduled: { args: { payload: object({ jobId }) }, ack: true },
+  create_poll: {
+    args: {
+      payload: object({
+        question: messageBody,
+        options: arrayOf(string({ max: 100 }), {
+          min: 2,
+          max: MAX_POLL_OPTIONS,
+        }),
+        multiple: optional(boolean()),
+        anonymous: optional(boolean()),
+        closesAt: optional(nullable(string({ min: 1, max: 64 }))),
+        roomId: optional(nullable(roomName)),
+      }),
+    },
+    ack: true,
+  },
+  vote_poll: {
+    args: {
+      payload: object({
+        messageId,
+        optionIds: arrayOf(pollOptionId, { max: MAX_POLL_OPTIONS }),
+      }),
+    },
+    ack: true,
+  },
+  close_poll: { args: { payload: object({ messageId }) }, ack: true },
+};
+
+// REST requests, by name; checkRequest(name) is the route's middleware.
+// Each lists the path parameters, query string and body it takes; a part
+// it does not list must be empty.
+const requests = {
+  register: { body: credentials },
+  login: { body: credentials },
+  refresh: { body: object({ refreshToken: string({ min: 1, max: 1024 }) }) },
+  logout: {
+    body: object({ refreshToken: optional(string({ max: 1024 })) }),
+  },
+  listMessages: {
+    query: object({
+      roomId: optional(roomName),
+      before: optional(digits("a sequence number")),
+      after: optional(digits("a sequence number")),
+      around: optional(pathId),
+      limit: optional(digits("a number")),
+    }),
+  },
+  syncMessages: {
+    query: object({
+      roomId: optional(roomName),
+      after: optional(digits("a sequence number")),
+    }),
+  },
+  search: {
+    query: object({
+      q: optional(string({ max: 500 })),
+      limit: optional(digits("a number")),
+      offset: optional(digits("a number")),
+    }),
+  },
+  messageContext: { params: object({ id: pathId }) },
+  ballot: { params: object({ id: pathId }) },
+  thread: { params: object({ id: pathId }) },
+  listConversations: {},
+  directMessages: {
+    params: object({ userId }),
+    query: object({
+      limit: optional(digits("a number")),
+      before: optional(pathId),
+    }),
+  },
+  listUsers: {},
+  presence: { params: object({ id: userId }) },
+  listRooms: {
+    query: object({ includeArchived: optional(oneOf("true", "false")) }),
+  },
+  createRoom: {
+    body: object({
+      name: roomName,
+      topic: optional(string({ max: 200 })),
+      visibility: optional(oneOf("public", "private")),
+    }),
+  },
+  updateRoom: {
+    params: object({ name: roomName }),
+    body: object({
+      topic: optional(string({ max: 200 })),
+      visibility: optional(oneOf("public", "private")),
+    }),
+  },
+  archiveRoom: { params: object({ name: roomName }) },
+  listMembers: { params: object({ name: roomName }) },
+  createInvite: {
+    params: object({ name: roomName }),
+    body: object({ expiresInHours: optional(number({ min: 1 })) }),
+  },
+  acceptInvite: { params: object({ token: string({ min: 1, max: 64 }) }) },
+  requestToJoin: { params: object({ name: roomName }) },
+  listJoinRequests: { params: object({ name: roomName }) },
+  resolveJoinRequest: {
+    params: object({ name: roomName, userId }),
+    body: object({ approve: boolean() }),
+  },
+  setRole: {
+    params: object({ name: roomName, userId }),
+    body: object({ role: oneOf("moderator", "member") }),
+  },
+  mute: {
+    params: object({ name: roomName }),
+    body: object({
+      userId: optional(userId),
+      durationMinutes: optional(nullable(number({ min: 0 }))),
+      reason,
+    }),
+  },
+  unmute: { params: object({ name: roomName, userId }) },
+  kick: {
+    params: object({ name: roomName }),
+    body: object({ userId: optional(userId), reason }),
+  },
+  listBans: { params: object({ name: roomName }) },
+  ban: {
+    params: object({ name: roomName }),
+    body: object({ userId: optional(userId), reason }),
+  },
+  unban: { params: object({ name: roomName, userId }) },
+  moderationLog: { params: object({ name: roomName }) },
+  listPins: { params: object({ name: roomName }) },
+  pinMessage: {
+    params: object({ name: roomName }),
+    body: object({ messageId }),
+  },
+  unpinMessage: { params: object({ name: roomName, messageId: pathId }) },
+  listScheduled: {},
+  scheduleMessage: { body: scheduledMessage },
+  setReminder: { body: reminder },
+  editScheduled: {
+    params: object({ id: jobId }),
+    body: object(scheduledChanges),
+  },
+  cancelScheduled: { params: object({ id: jobId }) },
+  listBookmarks: {},
+  saveBookmark: {
+    params: object({ messageId: pathId }),
+    body: object({ note: optional(string({ max: 500 })) }),
+  },
+  removeBookmark: { params: object({ messageId: pathId }) },
+  readState: {},
+  // The file itself is multipart form data, read after this check
+  upload: {},
+  startUpload: {
+    body: object({
+      filename: string({ min: 1, max: 255 }),
+      size: integer({ min: 1 }),
+      chunkSize: optional(integer({ min: 1 })),
+    }),
+  },
+  uploadStatus: { params: object({ id: pathId }) },
+  // The chunk itself is the raw body, read after this check
+  uploadChunk: {
+    params: object({ id: pathId, index: digits("a chunk index") }),
+  },
+  completeUpload: { params: object({ id: pathId }) },
+  cancelUpload: { params: object({ id: pathId }) },
+  attachment: { params: object({ id: pathId }) },
+  linkPreviewImage: { params: object({ id: pathId }) },
+};
+
+// Validation
+
+// What a value must be, for error messages
+const describe = (schema) => {
+  if (schema.description) return schema.description;
+  switch (schema.type) {
+    case "string":
+      if (schema.max === undefined) return "a string";
+      if (schema.min > 0) {
+        return `a string of ${schema.min} to ${schema.max} characters`;
+      }
+      return `a string of at most ${schema.max} characters`;
+    case "number":
+    case "integer": {
+      const kind = schema.type === "integer" ? "a whole number" : "a number";
+      return schema.min === undefined
+        ? kind
+        : `${kind} of at least ${schema.min}`;
+    }
+    case "boolean":
+      return "true or false";
+    case "enum":
+      return `one of: ${schema.values.join(", ")}`;
+    case "object":
+      return "an object";
+    case "array":
+      if (schema.max === undefined) return "a list";
+      if (schema.min > 0) {
+        return `a list of ${schema.min} to ${schema.max} items`;
+      }
+      return `a list of at most ${schema.max} items`;
+    case "union":
+      return schema.variants.map(describe).join(" or ");
+  }
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Returns null or an error message naming the offending field; the
+// top-level payload has an empty path
+const check = (schema, value, path) => {
+  const name = path || "payload";
+  if (value === undefined) {
+    return schema.optional ? null : `${name} is required`;
+  }
+  if (value === null && schema.nullable) return null;
+  const invalid = `${name} must be ${describe(schema)}`;
+  switch (schema.type) {
+    case "string":
+      if (
+        typeof value !== "string" ||
+        value.length < (schema.min || 0) ||
+        (schema.max !== undefined && value.length > schema.max) ||
+        (schema.pattern && !schema.pattern.test(value))
+      ) {
+        return invalid;
+      }
+      return null;
+    case "number":
+    case "integer":
+      if (
+        typeof value !== "number" ||
+        !Number.isFinite(value) ||
+        (schema.type === "integer" && !Number.isSafeInteger(value)) ||
+        (schema.min !== undefined && value < schema.min)
+      ) {
+        return invalid;
+      }
+      return null;
+    case "boolean":
+      return typeof value === "boolean" ? null : invalid;
+    case "enum":
+      return schema.values.includes(value) ? null : invalid;
+    case "object":
+      return isPlainObject(value)
+        ? checkFields(schema.fields, value, path)
+        : invalid;
+    case "array":
+      if (
+        !Array.isArray(value) ||
+        value.length < (schema.min || 0) ||
+        (schema.max !== undefined && value.length > schema.max)
+      ) {
+        return invalid;
+      }
+      for (const [index, item] of value.entries()) {
+        const error = check(schema.items, item, `${name}[${index}]`);
+        if (error) return error;
+      }
+      return null;
+    case "union":
+      // A payload that is nearly one of the variants gets that variant's error
+      for (const variant of schema.variants) {
+        const error = check(variant, value, path);
+        if (!error) return null;
+        if (variant.type === "object" && isPlainObject(value)) return error;
+      }
+      return invalid;
+  }
+};
+
+const checkFields = (fields, value, path) => {
+  const prefix = path ? `${path}.` : "";
+  for (const key of Object.keys(value)) {
+    if (!Object.hasOwn(fields, key)) return `${prefix}${key} is not allowed`;
+  }
+  for (const [key, schema] of Object.entries(fields)) {
+    const error = check(schema, value[key], `${prefix}${key}`);
+    if (error) return error;
+  }
+  return null;
+};
+
+const invalidPayload = (error) => ({ code: "invalid_payload", error });
+
+const hasFields = (schema) =>
+  schema.type === "object" ||
+  (schema.type === "union" && schema.variants.some(hasFields));
+
+// Check the arguments of an incoming socket event (without its callback).
+// Returns null or { code, error }. Object payloads name their fields
+// without a prefix, other arguments by their name.
+const checkEvent = (event, args) => {
+  const definition = events[event];
+  if (!definition) return invalidPayload(`Unknown event ${event}`);
+  const names = Object.keys(definition.args);
+  if (args.length > names.length) {
+    return invalidPayload(
+      `${event} takes at most ${names.length} argument${
+        names.length === 1 ? "" : "s"
+      }`
+    );
+  }
+  for (const [index, name] of names.entries()) {
+    const schema = definition.args[name];
+    const error = check(schema, args[index], hasFields(schema) ? "" : name);
+    if (error) return invalidPayload(error);
+  }
+  return null;
+};
+
+const nothing = object({});
+
+// Express middleware checking the path parameters, query string and body of
+// a request
+const checkRequest = (name) => (req, res, next) => {
+  const { params = nothing, query = nothing, body = nothing } = requests[name];
+  const error =
+    check(params, req.params, "") ||
+    check(query, req.query, "") ||
+    check(body, req.body || {}, "");
+  if (!error) return next();
+  res.status(400).json(invalidPayload(error));
+};
+
+// TypeScript declarations
+
+const pascalCase = (name) =>
+  name.replace(/(^|_)(\w)/g, (_, __, letter) => letter.toUpperCase());
+
+const toType = (schema, indent = "") => {
+  let type;
+  switch (schema.type) {
+    case "string":
+      type = "string";
+      break;
+    case "number":
+    case "integer":
+      type = "number";
+      break;
+    case "boolean":
+      type = "boolean";
+      break;
+    case "enum":
+      type = schema.values.map((value) => JSON.stringify(value)).join(" | ");
+      break;
+    case "object":
+      type = toInterfaceBody(schema.fields, indent);
+      break;
+    case "array": {
+      const items = toType(schema.items, indent);
+      type = schema.items.type === "union" ? `(${items})[]` : `${items}[]`;
+      break;
+    }
+    case "union":
+      type = schema.variants
+        .map((variant) => toType(variant, indent))
+        .join(" | ");
+      break;
+  }
+  return schema.nullable ? `${type} | null` : type;
+};
+
+const toInterfaceBody = (fields, indent) => {
+  const lines = Object.entries(fields).map(
+    ([key, schema]) =>
+      `${indent}  ${key}${schema.optional ? "?" : ""}: ${toType(
+        schema,
+        `${indent}  `
+      )};`
+  );
+  return `{\n${lines.join("\n")}\n${indent}}`;
+};
+
+const toTypeScript = () => {
+  const out = [
+    "// Generated from server/utils/schemas.js by `npm run generate:types`",
+    "// in the server directory. Do not edit by hand.",
+    "",
+    'import type { Socket } from "socket.io-client";',
+    "",
+    "/** What the server answers events that take a callback with */",
+    "export interface Ack {",
+    "  success: boolean;",
+    "  error?: string;",
+    "  code?: string;",
+    "  [key: string]: unknown;",
+    "}",
+  ];
+  const signatures = [];
+  for (const [event, { args, ack }] of Object.entries(events)) {
+    const params = [];
+    for (const [name, schema] of Object.entries(args)) {
+      // Object payloads get an interface of their own
+      const typeName = `${pascalCase(event)}Payload`;
+      const variants =
+        schema.type === "union"
+          ? schema.variants
+          : [{ ...schema, nullable: false }];
+      const types = variants.map((variant) => {
+        if (variant.type !== "object") return toType(variant);
+        out.push("", `export interface ${typeName} ${toType(variant)}`);
+        return typeName;
+      });
+      if (schema.nullable) types.push("null");
+      params.push(`${name}${schema.optional ? "?" : ""}: ${types.join(" | ")}`);
+    }
+    if (ack) params.push("ack?: (response: Ack) => void");
+    const signature = `  ${event}: (${params.join(", ")}) => void;`;
+    signatures.push(
+      signature.length <= 80
+        ? signature
+        : `  ${event}: (\n${params
+            .map((param) => `    ${param}`)
+            .join(",\n")}\n  ) => void;`
+    );
+  }
+  out.push(
+    "",
+    "/** Events the client may emit */",
+    "export interface ClientToServerEvents {",
+    ...signatures,
+    "}"
+  );
+  for (const [name, { params, body, query }] of Object.entries(requests)) {
+    if (params) {
+      out.push(
+        "",
+        `export interface ${pascalCase(name)}Params ${toType(params)}`
+      );
+    }
+    if (body) {
+      out.push("", `export interface ${pascalCase(name)}Body ${toType(body)}`);
+    }
+    if (query) {
+      out.push(
+        "",
+        `export interface ${pascalCase(name)}Query ${toType(query)}`
+      );
+    }
+  }
+  out.push(
+    "",
+    "export type ChatSocket = Socket<",
+    "  { [event: string]: (...args: any[]) => void },",
+    "  ClientToServerEvents",
+    ">;",
+    ""
+  );
+  return out.join("\n");
+};
+
+if (require.main === module) {
+  const target = path.join(__dirname, "../../client/src/socket/events.d.ts");
+  fs.writeFileSync(target, toTypeScript());
+  console.log(`Wrote ${path.relative(process.cwd(), target)}`);
+}
+
+module.exports = {
+  events,
+  requests,
+  checkEvent,
+  checkRequest,
+  toTypeScript,
+};
@@ -0,0 +1,300 @@
+// search.js - Full-text search over room messages
+//
+// Messages are kept in an in-memory inverted index (token -> message ids),
+// built from storage the first time it is needed and updated with
+// indexMessage() whenever a message is stored, edited or deleted. Every
+// server instance keeps its own index; server.js hands changes to the others.
+//
+// Queries are free text plus optional filters:
+//   "exact phrase"                 - words next to each other, in order
+//   from:alice                     - sent by a user (username)
+//   in:general                     - posted in a room
+//   has:file / has:link            - carrying an attachment or a URL
+//   before:2024-05-01              - sent before that day (UTC)
+//   after:2024-05-01               - sent after that day (UTC)
+//   on:2024-05-01                  - sent during that day (UTC)
+
+const storage = require("./storage");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+const URL_PATTERN = /https?:\/\/\S+/i;
+
+// BM25 tuning: how quickly repeated terms saturate, and how much long
+// messages are penalized
+const K1 = 1.2;
+const B = 0.75;
+const PHRASE_BOOST = 2;
+
+// Tokenizer - case and accent insensitive, letters and digits in any script
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const normalize = (text) =>
+  text.normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase();
+
+const tokenize = (text) => normalize(text || "").match(WORD_PATTERN) || [];
+
+// Index state
+const postings = new Map(); // token -> Map(messageId -> term frequency)
+const documents = new Map(); // messageId -> indexed fields of a message
+let totalTokens = 0;
+let ready = null;
+
+const searchableText = (message) =>
+  [message.message, message.file?.filename].filter(Boolean).join(" ");
+
+const removeDocument = (id) => {
+  const doc = documents.get(id);
+  if (!doc) return;
+  for (const token of new Set(doc.tokens)) {
+    const ids = postings.get(token);
+    ids.delete(id);
+    if (ids.size === 0) postings.delete(token);
+  }
+  totalTokens -= doc.tokens.length;
+  documents.delete(id);
+};
+
+const addDocument = (message) => {
+  const id = String(message.id);
+  removeDocument(id);
+  // Direct messages are only reachable through their conversation
+  if (message.isPrivate || message.deleted) return;
+
+  const text = searchableText(message);
+  const tokens = tokenize(text);
+  if (tokens.length === 0 && !message.file) return;
+  documents.set(id, {
+    id,
+    roomId: message.roomId || "general",
+    sender: (message.sender || "").toLowerCase(),
+    time: new Date(message.timestamp).getTime(),
+    hasFile: Boolean(message.file),
+    hasLink: URL_PATTERN.test(text),
+    tokens,
+  });
+  totalTokens += tokens.length;
+  for (const token of tokens) {
+    if (!postings.has(token)) postings.set(token, new Map());
+    const ids = postings.get(token);
+    ids.set(id, (ids.get(id) || 0) + 1);
+  }
+};
+
+// Built once, on first use
+const ensureIndex = () => {
+  if (!ready) {
+    ready = storage
+      .getMessages()
+      .then((messages) => {
+        for (const message of messages) addDocument(message);
+        console.log(`Indexed ${documents.size} messages for search`);
+      })
+      .catch((err) => {
+        ready = null;
+        throw err;
+      });
+  }
+  return ready;
+};
+
+// Add, replace or (for deleted messages) drop a message in the index
+const indexMessage = async (message) => {
+  await ensureIndex();
+  addDocument(message);
+};
+
+// Query parsing
+const FILTER_PATTERN = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+
+const parseDay = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return Number.isNaN(time) ? null : time;
+};
+
+// Returns { terms, phrases, from, in, has, since, until } or { error }
+const parseQuery = (query) => {
+  const parsed = { terms: [], phrases: [], has: [], since: null, until: null };
+  for (const [, key, rawValue, phrase, word] of query.matchAll(
+    FILTER_PATTERN
+  )) {
+    if (phrase !== undefined) {
+      const tokens = tokenize(phrase);
+      if (tokens.length > 1) parsed.phrases.push(tokens);
+      parsed.terms.push(...tokens);
+      continue;
+    }
+    if (word !== undefined) {
+      parsed.terms.push(...tokenize(word));
+      continue;
+    }
+
+    const value = rawValue.replace(/^"|"$/g, "");
+    const filter = key.toLowerCase();
+    if (filter === "from") {
+      parsed.from = value.replace(/^@/, "").toLowerCase();
+    } else if (filter === "in") {
+      parsed.in = value.replace(/^#/, "");
+    } else if (filter === "has") {
+      if (!["file", "link"].includes(value.toLowerCase())) {
+        return { error: "has: must be file or link" };
+      }
+      parsed.has.push(value.toLowerCase());
+    } else if (["before", "after", "on"].includes(filter)) {
+      const day = parseDay(value);
+      if (day === null) {
+        return { error: `${filter}: must be a date like 2024-05-01` };
+      }
+      if (filter === "before" || filter === "on") {
+        const until = filter === "on" ? day + DAY_MS : day;
+        parsed.until =
+          parsed.until === null ? until : Math.min(parsed.until, until);
+      }
+      if (filter === "after" || filter === "on") {
+        const since = filter === "on" ? day : day + DAY_MS;
+        parsed.since =
+          parsed.since === null ? since : Math.max(parsed.since, since);
+      }
+    } else {
+      // Not a filter we know, so just words (e.g. "note:" or a time 10:30)
+      parsed.terms.push(...tokenize(`${key} ${value}`));
+    }
+  }
+  parsed.terms = [...new Set(parsed.terms)];
+  return parsed;
+};
+
+const hasFilters = (parsed) =>
+  Boolean(
+    parsed.from ||
+      parsed.in ||
+      parsed.has.length ||
+      parsed.since !== null ||
+      parsed.until !== null
+  );
+
+const containsPhrase = (tokens, phrase) => {
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((token, offset) => tokens[i + offset] === token)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+const matchesFilters = (doc, parsed, visibleRooms) =>
+  visibleRooms.has(doc.roomId) &&
+  (!parsed.from || doc.sender === parsed.from) &&
+  (!parsed.in || doc.roomId === parsed.in) &&
+  (!parsed.has.includes("file") || doc.hasFile) &&
+  (!parsed.has.includes("link") || doc.hasLink) &&
+  (parsed.since === null || doc.time >= parsed.since) &&
+  (parsed.until === null || doc.time < parsed.until) &&
+  parsed.phrases.every((phrase) => containsPhrase(doc.tokens, phrase));
+
+// Messages holding every term, rarest term first to keep the set small
+const candidateIds = (terms) => {
+  if (terms.length === 0) return [...documents.keys()];
+  const lists = terms.map((term) => postings.get(term) || new Map());
+  lists.sort((a, b) => a.size - b.size);
+  return [...lists[0].keys()].filter((id) =>
+    lists.every((list) => list.has(id))
+  );
+};
+
+const score = (doc, parsed) => {
+  const averageLength = totalTokens / Math.max(documents.size, 1);
+  let total = 0;
+  for (const term of parsed.terms) {
+    const ids = postings.get(term);
+    const frequency = ids.get(doc.id);
+    const idf = Math.log(
+      1 + (documents.size - ids.size + 0.5) / (ids.size + 0.5)
+    );
+    total +=
+      (idf * frequency * (K1 + 1)) /
+      (frequency + K1 * (1 - B + (B * doc.tokens.length) / averageLength));
+  }
+  return total + PHRASE_BOOST * parsed.phrases.length;
+};
+
+// Snippets are returned as segments so clients never have to parse markup:
+// [{ text, match }], where match marks a highlighted word
+const snippetFor = (text, parsed) => {
+  const wanted = new Set(parsed.terms);
+  const matches = [...text.matchAll(WORD_PATTERN)].filter((match) =>
+    wanted.has(normalize(match[0]))
+  );
+
+  let start = 0;
+  if (matches.length > 0 && matches[0].index > SNIPPET_LEAD) {
+    // Start on a word boundary a little before the first match
+    start = text.lastIndexOf(" ", matches[0].index - SNIPPET_LEAD) + 1;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(" ", end);
+    if (space > start) end = space;
+  }
+
+  const segments = [];
+  let position = start;
+  for (const match of matches) {
+    const matchEnd = match.index + match[0].length;
+    if (match.index < start || matchEnd > end) continue;
+    if (match.index > position) {
+      segments.push({ text: text.slice(position, match.index), match: false });
+    }
+    segments.push({ text: match[0], match: true });
+    position = matchEnd;
+  }
+  if (position < end) {
+    segments.push({ text: text.slice(position, end), match: false });
+  }
+  if (start > 0) segments.unshift({ text: "…", match: false });
+  if (end < text.length) segments.push({ text: "…", match: false });
+  return segments;
+};
+
+// Search the rooms in visibleRooms (a Set of names). Resolves to
+// { results, total, hasMore } or { error } for a query that cannot run.
+const search = async (query, visibleRooms, { limit = 20, offset = 0 } = {}) => {
+  const parsed = parseQuery(query);
+  if (parsed.error) return { error: parsed.error };
+  if (parsed.terms.length === 0 && !hasFilters(parsed)) {
+    return { error: "Search query is required" };
+  }
+  await ensureIndex();
+
+  const ranked = candidateIds(parsed.terms)
+    .map((id) => documents.get(id))
+    .filter((doc) => matchesFilters(doc, parsed, visibleRooms))
+    .map((doc) => ({ doc, score: score(doc, parsed) }))
+    // Best matches first; newest first among equals (and for filter-only queries)
+    .sort((a, b) => b.score - a.score || b.doc.time - a.doc.time);
+
+  const results = [];
+  for (const { doc, score: docScore } of ranked.slice(offset, offset + limit)) {
+    const message = await storage.getMessage(doc.id);
+    // Changed since it was indexed; the index catches up on the next update
+    if (!message || message.deleted) continue;
+    results.push({
+      message,
+      score: Math.round(docScore * 1000) / 1000,
+      snippet: snippetFor(searchableText(message), parsed),
+      link: `/?message=${encodeURIComponent(message.id)}`,
+    });
+  }
+  return {
+    results,
+    total: ranked.length,
+    hasMore: offset + limit < ranked.length,
+  };
+};
+
+module.exports = {
+  indexMessage,
+  search,
+};
@@ -1,122 +1,104 @@
-const fs = require("fs").promises;
-const path = require("path");
+// storage.js - Storage interface used by the server
+//
+// Every backend in ./storageAdapters exports the same async functions:
+//   getMessages()                                -> message[]
+//   addMessage(message)                          -> message (room messages
+//                                                   with their room's next seq)
+//     Fails if a message with the same id is already stored.
+//   getMessage(messageId)                        -> message | null
+//   getRoomMessages(roomId, { before, after, limit, includeReplies })
+//                                                -> message[] (oldest first)
+//     Up to limit messages of a room next to a seq cursor: the newest ones
+//     before `before` (or the newest overall), or the oldest ones after
+//     `after`. Thread replies are left out unless includeReplies is set.
+//   getConversationMessages(conversationId, { before, limit })
+//                                                -> message[] (oldest first)
+//     Up to limit direct messages of a conversation: the newest ones sent
+//     before the message with id `before`, or the newest overall.
+//   getReplies(parentId)                         -> message[] (oldest first)
+//     Every reply in the thread started by message parentId.
+//   updateMessage(messageId, changes)            -> message | null
+//     changes may also be a function of the stored message that returns them
+//   getRooms()                                   -> room[] ({ name, ... })
+//   addRoom(room)
+//   updateRoom(name, changes)                    -> room | null
+//     changes may also be a function of the stored room that returns them
+//   addReaction(messageId, userId, reaction)
+//   removeReaction(messageId, userId, reaction)
+//   castVote(messageId, voter, optionIds)        -> message | null
+//     Replaces the ballot of voter ({ id, username }) in the poll on a
+//     message (no options takes it back) and stores the new results on the
+//     message as pollResults. Ballots are kept apart from the message.
+//     Resolves with null, storing nothing, once the poll has closed.
+//   getBallot(messageId, userId)                 -> optionId[]
+//   getRecords(collection)                       -> { [key]: value }
+//     The object has no prototype, so every key is an ordinary record key.
+//   getRecord(collection, key)                   -> value | null
+//   putRecord(collection, key, value)
+//   updateRecord(collection, key, update)        -> value | null (the
+//                                                   record afterwards)
+//     Stores update(current value or null). update must be synchronous; it
+//     returns undefined to leave the record as it is.
+//   deleteRecord(collection, key)                -> value | null (what was
+//                                                   deleted; of concurrent
+//                                                   deletes only one gets it)
+//
+// Records are small keyed documents (accounts, tokens, ...) grouped by collection.
+//
+// Changes that depend on what is stored go through updateMessage or
+// updateRoom with a function, or updateRecord, which read and write in one step: the JSON
+// backend serializes them within its process, the SQLite backend in a write
+// transaction, so they also hold between instances sharing a database.
+//
+// The backend is picked with STORAGE_BACKEND ("json" by default, or "sqlite").
+// JSON files are kept in JSON_DATA_DIR and the SQLite database at
+// SQLITE_PATH, both under data/ unless set.
 
-const messagesFilePath = path.join(__dirname, "..", "data", "messages.json");
-const roomsFilePath = path.join(__dirname, "..", "data", "rooms.json");
-const readReceiptsFilePath = path.join(
-  __dirname,
-  "..",
-  "data",
-  "readReceipts.json"
-);
-
-// Ensure data directory exists
-const ensureDataDir = async () => {
-  try {
-    await fs.mkdir(path.dirname(messagesFilePath), { recursive: true });
-  } catch (err) {
-    console.error("Could not create data directory", err);
-  }
-};
-
-// Helper to read JSON file
-const readJsonFile = async (filePath, defaultValue = []) => {
-  try {
-    await ensureDataDir();
-    const data = await fs.readFile(filePath, "utf-8");
-    return JSON.parse(data);
-  } catch (err) {
-    if (err.code === "ENOENT") {
-      // File doesn't exist, create it with default value
-      await writeJsonFile(filePath, defaultValue);
-      return defaultValue;
-    }
-    console.error(`Failed to read from ${filePath}`, err);
-    return defaultValue; // Return default value on error
-  }
-};
-
-// Helper to write JSON file
-const writeJsonFile = async (filePath, data) => {
-  try {
-    await ensureDataDir();
-    await fs.writeFile(filePath, JSON.stringify(data, null, 2), "utf-8");
-  } catch (err) {
-    console.error(`Failed to write to ${filePath}`, err);
-  }
-};
-
-// Message-related functions
-const getMessages = () => readJsonFile(messagesFilePath, []);
-const addMessage = async (message) => {
-  const messages = await getMessages();
-  messages.push(message);
-  await writeJsonFile(messagesFilePath, messages);
-};
-
-// Room-related functions
-const getRooms = () => readJsonFile(roomsFilePath, ["general"]);
-const addRoom = async (room) => {
-  const rooms = await getRooms();
-  if (!rooms.includes(room)) {
-    rooms.push(room);
-    await writeJsonFile(roomsFilePath, rooms);
-  }
+const backends = {
+  json: () => require("./storageAdapters/jsonStorage"),
+  sqlite: () => require("./storageAdapters/sqliteStorage"),
 };
 
-// Read receipt functions
-const getReadReceipts = () => readJsonFile(readReceiptsFilePath, {});
-const markMessageRead = async (messageId, userId) => {
-  const receipts = await getReadReceipts();
-  if (!receipts[messageId]) {
-    receipts[messageId] = [];
-  }
-  if (!receipts[messageId].includes(userId)) {
-    receipts[messageId].push(userId);
-  }
-  await writeJsonFile(readReceiptsFilePath, receipts);
-  return receipts[messageId];
-};
+const backendName = (process.env.STORAGE_BACKEND || "json").toLowerCase();
 
-// Reaction functions
-const addReaction = async (messageId, userId, reaction) => {
-  const messages = await getMessages();
-  const message = messages.find((m) => String(m.id) === messageId);
-  if (message) {
-    if (!message.reactions) {
-      message.reactions = {};
-    }
-    if (!message.reactions[reaction]) {
-      message.reactions[reaction] = [];
-    }
-    if (!message.reactions[reaction].includes(userId)) {
-      message.reactions[reaction].push(userId);
-    }
-    await writeJsonFile(messagesFilePath, messages);
-  }
-};
+if (!backends[backendName]) {
+  throw new Error(
+    `Unknown STORAGE_BACKEND "${backendName}" (expected one of: ${Object.keys(
+      backends
+    ).join(", ")})`
+  );
+}
 
-const removeReaction = async (messageId, userId, reaction) => {
-  const messages = await getMessages();
-  const message = messages.find((m) => String(m.id) === messageId);
-  if (message && message.reactions && message.reactions[reaction]) {
-    message.reactions[reaction] = message.reactions[reaction].filter(
-      (id) => id !== userId
-    );
-    if (message.reactions[reaction].length === 0) {
-      delete message.reactions[reaction];
-    }
-    await writeJsonFile(messagesFilePath, messages);
-  }
-};
+const adapter = backends[backendName]();
+console.log(`Using ${backendName} storage backend`);
 
 module.exports = {
-  getMessages,
-  addMessage,
-  getRooms,
-  addRoom,
-  getReadReceipts,
-  markMessageRead,
-  addReaction,
-  removeReaction,
+  backend: backendName,
+  getMessages: () => adapter.getMessages(),
+  addMessage: (message) => adapter.addMessage(message),
+  getMessage: (messageId) => adapter.getMessage(messageId),
+  getRoomMessages: (roomId, options) =>
+    adapter.getRoomMessages(roomId, options),
+  getConversationMessages: (conversationId, options) =>
+    adapter.getConversationMessages(conversationId, options),
+  getReplies: (parentId) => adapter.getReplies(parentId),
+  updateMessage: (messageId, changes) =>
+    adapter.updateMessage(messageId, changes),
+  getRooms: () => adapter.getRooms(),
+  addRoom: (room) => adapter.addRoom(room),
+  updateRoom: (name, changes) => adapter.updateRoom(name, changes),
+  addReaction: (messageId, userId, reaction) =>
+    adapter.addReaction(messageId, userId, reaction),
+  removeReaction: (messageId, userId, reaction) =>
+    adapter.removeReaction(messageId, userId, reaction),
+  castVote: (messageId, voter, optionIds) =>
+    adapter.castVote(messageId, voter, optionIds),
+  getBallot: (messageId, userId) => adapter.getBallot(messageId, userId),
+  getRecords: (collection) => adapter.getRecords(collection),
+  getRecord: (collection, key) => adapter.getRecord(collection, key),
+  putRecord: (collection, key, value) =>
+    adapter.putRecord(collection, key, value),
+  updateRecord: (collection, key, update) =>
+    adapter.updateRecord(collection, key, update),
+  deleteRecord: (collection, key) => adapter.deleteRecord(collection, key),
 };
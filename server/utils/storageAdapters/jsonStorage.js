@@ -0,0 +1,325 @@
+// JSON file storage backend - every collection lives in its own file under data/
+
+const fs = require("fs").promises;
+const path = require("path");
+const { isClosed, pollResults } = require("../pollResults");
+const { createKeyedLock } = require("../keyedLock");
+
+const dataDir =
+  process.env.JSON_DATA_DIR || path.join(__dirname, "..", "..", "data");
+const messagesFilePath = path.join(dataDir, "messages.json");
+const roomsFilePath = path.join(dataDir, "rooms.json");
+const ballotsFilePath = path.join(dataDir, "pollBallots.json");
+const recordsFilePath = (collection) =>
+  path.join(dataDir, `${collection}.json`);
+
+// Ensure data directory exists
+const ensureDataDir = async () => {
+  try {
+    await fs.mkdir(dataDir, { recursive: true });
+  } catch (err) {
+    console.error("Could not create data directory", err);
+  }
+};
+
+// Helper to read JSON file
+const readJsonFile = async (filePath, defaultValue = []) => {
+  try {
+    await ensureDataDir();
+    const data = await fs.readFile(filePath, "utf-8");
+    return JSON.parse(data);
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      // File doesn't exist, create it with default value
+      await writeJsonFile(filePath, defaultValue);
+      return defaultValue;
+    }
+    console.error(`Failed to read from ${filePath}`, err);
+    return defaultValue; // Return default value on error
+  }
+};
+
+// Helper to write JSON file - written aside and renamed over the original so
+// readers never see a half-written file. Unlocked reads may create a missing
+// file while a locked update writes it, so every write gets its own temp file.
+let tempFileCount = 0;
+const writeJsonFile = async (filePath, data) => {
+  const tempPath = `${filePath}.${process.pid}.${++tempFileCount}.tmp`;
+  try {
+    await ensureDataDir();
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), "utf-8");
+    await fs.rename(tempPath, filePath);
+  } catch (err) {
+    console.error(`Failed to write to ${filePath}`, err);
+  }
+};
+
+// Read-modify-write updates of a file run one at a time so that concurrent
+// updates cannot overwrite each other
+const withFileLock = createKeyedLock();
+
+// Message-related functions
+const getMessages = () => readJsonFile(messagesFilePath, []);
+// Room messages get the next sequence number of their room; messages stored
+// before sequence numbers existed count as 0
+const nextSeq = (messages, roomId) =>
+  messages
+    .filter((m) => !m.isPrivate && (m.roomId || "general") === roomId)
+    .reduce((max, m) => Math.max(max, m.seq || 0), 0) + 1;
+
+const addMessage = (message) =>
+  withFileLock(messagesFilePath, async () => {
+    const messages = await getMessages();
+    // Like the primary key in SQLite: an id is never stored twice
+    if (messages.some((m) => String(m.id) === String(message.id))) {
+      throw new Error(`A message with id ${message.id} already exists`);
+    }
+    const stored = message.isPrivate
+      ? message
+      : { ...message, seq: nextSeq(messages, message.roomId || "general") };
+    messages.push(stored);
+    await writeJsonFile(messagesFilePath, messages);
+    return stored;
+  });
+
+// Messages stored before sequence numbers existed are numbered once, in the
+// order they were sent. Their rooms are renumbered as a whole so the legacy
+// messages come first; clients just refetch a few messages they already have.
+withFileLock(messagesFilePath, async () => {
+  const messages = await getMessages();
+  const rooms = {};
+  for (const message of messages) {
+    if (message.isPrivate) continue;
+    const roomId = message.roomId || "general";
+    if (!rooms[roomId]) rooms[roomId] = [];
+    rooms[roomId].push(message);
+  }
+  const legacyRooms = Object.values(rooms).filter((roomMessages) =>
+    roomMessages.some((m) => m.seq == null)
+  );
+  for (const roomMessages of legacyRooms) {
+    roomMessages
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .forEach((message, index) => {
+        message.seq = index + 1;
+      });
+  }
+  if (legacyRooms.length > 0) {
+    await writeJsonFile(messagesFilePath, messages);
+  }
+});
+
+const getRoomMessages = async (
+  roomId,
+  { before, after, limit = 50, includeReplies = false } = {}
+) => {
+  const inRoom = (await getMessages())
+    .filter(
+      (m) =>
+        !m.isPrivate &&
+        (m.roomId || "general") === roomId &&
+        (includeReplies || m.parentId == null)
+    )
+    .sort((a, b) => a.seq - b.seq);
+  if (after != null) {
+    return inRoom.filter((m) => m.seq > after).slice(0, limit);
+  }
+  const older = before == null ? inRoom : inRoom.filter((m) => m.seq < before);
+  return older.slice(Math.max(older.length - limit, 0));
+};
+
+// Up to limit messages of a direct-message conversation, oldest first: the
+// newest ones before the message with id `before`, or the newest overall
+const getConversationMessages = async (
+  conversationId,
+  { before, limit = 50 } = {}
+) => {
+  const inConversation = (await getMessages())
+    .filter((m) => m.conversationId === conversationId)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  let end = inConversation.length;
+  if (before != null) {
+    const index = inConversation.findIndex(
+      (m) => String(m.id) === String(before)
+    );
+    if (index !== -1) end = index;
+  }
+  return inConversation.slice(Math.max(end - limit, 0), end);
+};
+
+const getReplies = async (parentId) =>
+  (await getMessages())
+    .filter(
+      (m) => m.parentId != null && String(m.parentId) === String(parentId)
+    )
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+const getMessage = async (messageId) => {
+  const messages = await getMessages();
+  return messages.find((m) => String(m.id) === messageId) || null;
+};
+
+// Shallow-merges changes into a stored message and returns the result
+const updateMessage = (messageId, changes) =>
+  withFileLock(messagesFilePath, async () => {
+    const messages = await getMessages();
+    const index = messages.findIndex((m) => String(m.id) === messageId);
+    if (index === -1) return null;
+    messages[index] = {
+      ...messages[index],
+      ...(typeof changes === "function" ? changes(messages[index]) : changes),
+    };
+    await writeJsonFile(messagesFilePath, messages);
+    return messages[index];
+  });
+
+// Room-related functions
+// Older rooms.json files hold bare room names; they are read as { name }
+const getRooms = async () => {
+  const rooms = await readJsonFile(roomsFilePath, ["general"]);
+  return rooms.map((room) =>
+    typeof room === "string" ? { name: room } : room
+  );
+};
+const addRoom = (room) =>
+  withFileLock(roomsFilePath, async () => {
+    const rooms = await getRooms();
+    if (!rooms.some((r) => r.name === room.name)) {
+      rooms.push(room);
+      await writeJsonFile(roomsFilePath, rooms);
+    }
+  });
+const updateRoom = (name, changes) =>
+  withFileLock(roomsFilePath, async () => {
+    const rooms = await getRooms();
+    const index = rooms.findIndex((r) => r.name === name);
+    if (index === -1) return null;
+    rooms[index] = {
+      ...rooms[index],
+      ...(typeof changes === "function" ? changes(rooms[index]) : changes),
+      name,
+    };
+    await writeJsonFile(roomsFilePath, rooms);
+    return rooms[index];
+  });
+
+// Reaction functions
+const addReaction = (messageId, userId, reaction) =>
+  withFileLock(messagesFilePath, async () => {
+    const messages = await getMessages();
+    const message = messages.find((m) => String(m.id) === messageId);
+    if (message) {
+      if (!message.reactions) {
+        message.reactions = {};
+      }
+      if (!message.reactions[reaction]) {
+        message.reactions[reaction] = [];
+      }
+      if (!message.reactions[reaction].includes(userId)) {
+        message.reactions[reaction].push(userId);
+      }
+      await writeJsonFile(messagesFilePath, messages);
+    }
+  });
+
+const removeReaction = (messageId, userId, reaction) =>
+  withFileLock(messagesFilePath, async () => {
+    const messages = await getMessages();
+    const message = messages.find((m) => String(m.id) === messageId);
+    if (message && message.reactions && message.reactions[reaction]) {
+      message.reactions[reaction] = message.reactions[reaction].filter(
+        (id) => id !== userId
+      );
+      if (message.reactions[reaction].length === 0) {
+        delete message.reactions[reaction];
+      }
+      await writeJsonFile(messagesFilePath, messages);
+    }
+  });
+
+// Poll functions - ballots live in their own file,
+// { [messageId]: { [userId]: { username, optionIds } } }, which is only
+// written while the messages file is locked
+const castVote = (messageId, voter, optionIds) =>
+  withFileLock(messagesFilePath, async () => {
+    const messages = await getMessages();
+    const message = messages.find((m) => String(m.id) === messageId);
+    if (!message || !message.poll || isClosed(message.poll)) return null;
+    const allBallots = await readJsonFile(ballotsFilePath, {});
+    const ballots = { ...allBallots[messageId] };
+    if (optionIds.length > 0) {
+      ballots[voter.id] = { username: voter.username, optionIds };
+    } else {
+      delete ballots[voter.id];
+    }
+    allBallots[messageId] = ballots;
+    await writeJsonFile(ballotsFilePath, allBallots);
+    message.pollResults = pollResults(message.poll, ballots);
+    await writeJsonFile(messagesFilePath, messages);
+    return message;
+  });
+
+const getBallot = async (messageId, userId) => {
+  const allBallots = await readJsonFile(ballotsFilePath, {});
+  return allBallots[messageId]?.[userId]?.optionIds || [];
+};
+
+// Generic keyed records, one file per collection. Records are kept in an
+// object without a prototype, so keys such as "constructor" or "__proto__"
+// are ordinary keys.
+const getRecords = async (collection) =>
+  Object.assign(
+    Object.create(null),
+    await readJsonFile(recordsFilePath(collection), {})
+  );
+const getRecord = async (collection, key) => {
+  const records = await getRecords(collection);
+  return Object.hasOwn(records, key) ? records[key] : null;
+};
+const putRecord = (collection, key, value) =>
+  withFileLock(recordsFilePath(collection), async () => {
+    const records = await getRecords(collection);
+    records[key] = value;
+    await writeJsonFile(recordsFilePath(collection), records);
+  });
+const updateRecord = (collection, key, update) =>
+  withFileLock(recordsFilePath(collection), async () => {
+    const records = await getRecords(collection);
+    const current = Object.hasOwn(records, key) ? records[key] : null;
+    const next = update(current);
+    if (next === undefined) return current;
+    records[key] = next;
+    await writeJsonFile(recordsFilePath(collection), records);
+    return next;
+  });
+const deleteRecord = (collection, key) =>
+  withFileLock(recordsFilePath(collection), async () => {
+    const records = await getRecords(collection);
+    if (!Object.hasOwn(records, key)) return null;
+    const value = records[key];
+    delete records[key];
+    await writeJsonFile(recordsFilePath(collection), records);
+    return value;
+  });
+
+module.exports = {
+  getMessages,
+  addMessage,
+  getMessage,
+  getRoomMessages,
+  getConversationMessages,
+  getReplies,
+  updateMessage,
+  getRooms,
+  addRoom,
+  updateRoom,
+  addReaction,
+  removeReaction,
+  castVote,
+  getBallot,
+  getRecords,
+  getRecord,
+  putRecord,
+  updateRecord,
+  deleteRecord,
+};
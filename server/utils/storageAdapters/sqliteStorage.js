@@ -0,0 +1,482 @@
+// SQLite storage backend - rows are written individually instead of rewriting whole files
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { isClosed, pollResults } = require("../pollResults");
+
+const dbPath =
+  process.env.SQLITE_PATH ||
+  path.join(__dirname, "..", "..", "data", "chat.db");
+
+fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+const db = new Database(dbPath);
+db.pragma("journal_mode = WAL");
+db.pragma("foreign_keys = ON");
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS messages (
+    id TEXT PRIMARY KEY,
+    room_id TEXT,
+    sender TEXT,
+    timestamp TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_messages_room_time
+    ON messages (room_id, timestamp);
+
+  CREATE TABLE IF NOT EXISTS rooms (
+    name TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    data TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS reactions (
+    message_id TEXT NOT NULL REFERENCES messages (id) ON DELETE CASCADE,
+    reaction TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    PRIMARY KEY (message_id, reaction, user_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS poll_votes (
+    message_id TEXT NOT NULL REFERENCES messages (id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    username TEXT NOT NULL,
+    option_id TEXT NOT NULL,
+    PRIMARY KEY (message_id, user_id, option_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    key TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (collection, key)
+  );
+`);
+
+// Databases created before room objects only had name/created_at columns
+if (
+  !db
+    .prepare("PRAGMA table_info(rooms)")
+    .all()
+    .some((column) => column.name === "data")
+) {
+  db.exec("ALTER TABLE rooms ADD COLUMN data TEXT");
+}
+
+// Per-room sequence numbers were added later; see numberLegacyMessages
+if (
+  !db
+    .prepare("PRAGMA table_info(messages)")
+    .all()
+    .some((column) => column.name === "seq")
+) {
+  db.exec("ALTER TABLE messages ADD COLUMN seq INTEGER");
+}
+db.exec(
+  "CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_room_seq ON messages (room_id, seq)"
+);
+
+// Direct messages are paged by conversation, which was only kept in data
+if (
+  !db
+    .prepare("PRAGMA table_info(messages)")
+    .all()
+    .some((column) => column.name === "conversation_id")
+) {
+  db.exec("ALTER TABLE messages ADD COLUMN conversation_id TEXT");
+  db.exec(
+    "UPDATE messages SET conversation_id = json_extract(data, '$.conversationId')"
+  );
+}
+db.exec(
+  "CREATE INDEX IF NOT EXISTS idx_messages_conversation_time ON messages (conversation_id, timestamp)"
+);
+
+// Thread replies are looked up by parent, which was only kept in data
+if (
+  !db
+    .prepare("PRAGMA table_info(messages)")
+    .all()
+    .some((column) => column.name === "parent_id")
+) {
+  db.exec("ALTER TABLE messages ADD COLUMN parent_id TEXT");
+  db.exec(
+    "UPDATE messages SET parent_id = json_extract(data, '$.parentId') WHERE json_extract(data, '$.parentId') IS NOT NULL"
+  );
+}
+db.exec(
+  "CREATE INDEX IF NOT EXISTS idx_messages_parent_time ON messages (parent_id, timestamp)"
+);
+
+const IS_ROOM_MESSAGE = "COALESCE(json_extract(data, '$.isPrivate'), 0) = 0";
+
+// Messages stored before sequence numbers existed are numbered once, in the
+// order they were sent. Their rooms are renumbered as a whole so the legacy
+// messages come first; clients just refetch a few messages they already have.
+const numberLegacyMessages = db.transaction(() => {
+  // The oldest general messages were stored without a room
+  db.exec(
+    `UPDATE messages SET room_id = 'general' WHERE room_id IS NULL AND ${IS_ROOM_MESSAGE}`
+  );
+  const roomIds = db
+    .prepare(
+      `SELECT DISTINCT room_id FROM messages WHERE seq IS NULL AND ${IS_ROOM_MESSAGE}`
+    )
+    .pluck()
+    .all();
+  for (const roomId of roomIds) {
+    const rows = db
+      .prepare(
+        `SELECT id, data FROM messages WHERE room_id = ? AND ${IS_ROOM_MESSAGE} ORDER BY timestamp, rowid`
+      )
+      .all(roomId);
+    db.prepare("UPDATE messages SET seq = NULL WHERE room_id = ?").run(roomId);
+    const setSeq = db.prepare(
+      "UPDATE messages SET seq = ?, data = ? WHERE id = ?"
+    );
+    rows.forEach((row, index) => {
+      const seq = index + 1;
+      setSeq.run(seq, JSON.stringify({ ...JSON.parse(row.data), seq }), row.id);
+    });
+  }
+});
+numberLegacyMessages.immediate();
+
+const statements = {
+  allMessages: db.prepare("SELECT id, data FROM messages ORDER BY rowid"),
+  insertMessage: db.prepare(
+    "INSERT INTO messages (id, room_id, conversation_id, parent_id, sender, timestamp, seq, data) VALUES (@id, @roomId, @conversationId, @parentId, @sender, @timestamp, @seq, @data)"
+  ),
+  nextSeq: db.prepare(
+    "SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM messages WHERE room_id = ?"
+  ),
+  // Pages of a room, walking the (room_id, seq) index from a cursor
+  roomMessagesBefore: db.prepare(
+    `SELECT id, data FROM messages WHERE room_id = @roomId AND seq < @before AND ${IS_ROOM_MESSAGE} AND (@includeReplies OR json_extract(data, '$.parentId') IS NULL) ORDER BY seq DESC LIMIT @limit`
+  ),
+  roomMessagesAfter: db.prepare(
+    `SELECT id, data FROM messages WHERE room_id = @roomId AND seq > @after AND ${IS_ROOM_MESSAGE} AND (@includeReplies OR json_extract(data, '$.parentId') IS NULL) ORDER BY seq LIMIT @limit`
+  ),
+  // Pages of a conversation, walking the (conversation_id, timestamp) index
+  // back from a cursor message
+  conversationMessages: db.prepare(
+    "SELECT id, data FROM messages WHERE conversation_id = @conversationId ORDER BY timestamp DESC, rowid DESC LIMIT @limit"
+  ),
+  conversationMessagesBefore: db.prepare(
+    "SELECT id, data FROM messages WHERE conversation_id = @conversationId AND (timestamp < @timestamp OR (timestamp = @timestamp AND rowid < @rowid)) ORDER BY timestamp DESC, rowid DESC LIMIT @limit"
+  ),
+  cursorMessage: db.prepare(
+    "SELECT timestamp, rowid FROM messages WHERE id = ? AND conversation_id = ?"
+  ),
+  replies: db.prepare(
+    "SELECT id, data FROM messages WHERE parent_id = ? ORDER BY timestamp, rowid"
+  ),
+  messageExists: db.prepare("SELECT 1 FROM messages WHERE id = ?"),
+  getMessage: db.prepare("SELECT id, data FROM messages WHERE id = ?"),
+  updateMessageData: db.prepare("UPDATE messages SET data = ? WHERE id = ?"),
+  reactionsForMessage: db.prepare(
+    "SELECT reaction, user_id FROM reactions WHERE message_id = ? ORDER BY rowid"
+  ),
+  allReactions: db.prepare(
+    "SELECT message_id, reaction, user_id FROM reactions ORDER BY rowid"
+  ),
+  insertReaction: db.prepare(
+    "INSERT OR IGNORE INTO reactions (message_id, reaction, user_id) VALUES (?, ?, ?)"
+  ),
+  deleteReaction: db.prepare(
+    "DELETE FROM reactions WHERE message_id = ? AND reaction = ? AND user_id = ?"
+  ),
+  pollVotes: db.prepare(
+    "SELECT user_id, username, option_id FROM poll_votes WHERE message_id = ? ORDER BY rowid"
+  ),
+  ballot: db.prepare(
+    "SELECT option_id FROM poll_votes WHERE message_id = ? AND user_id = ? ORDER BY rowid"
+  ),
+  insertVote: db.prepare(
+    "INSERT OR IGNORE INTO poll_votes (message_id, user_id, username, option_id) VALUES (?, ?, ?, ?)"
+  ),
+  deleteBallot: db.prepare(
+    "DELETE FROM poll_votes WHERE message_id = ? AND user_id = ?"
+  ),
+  allRooms: db.prepare("SELECT name, data FROM rooms ORDER BY rowid"),
+  insertRoom: db.prepare(
+    "INSERT OR IGNORE INTO rooms (name, created_at, data) VALUES (?, ?, ?)"
+  ),
+  getRoom: db.prepare("SELECT name, data FROM rooms WHERE name = ?"),
+  updateRoomData: db.prepare("UPDATE rooms SET data = ? WHERE name = ?"),
+  allRecords: db.prepare(
+    "SELECT key, data FROM records WHERE collection = ? ORDER BY rowid"
+  ),
+  getRecord: db.prepare(
+    "SELECT data FROM records WHERE collection = ? AND key = ?"
+  ),
+  putRecord: db.prepare(
+    "INSERT INTO records (collection, key, data) VALUES (?, ?, ?) ON CONFLICT (collection, key) DO UPDATE SET data = excluded.data"
+  ),
+  deleteRecord: db.prepare(
+    "DELETE FROM records WHERE collection = ? AND key = ? RETURNING data"
+  ),
+};
+
+// Seed the default room the same way the JSON backend does
+statements.insertRoom.run(
+  "general",
+  new Date().toISOString(),
+  JSON.stringify({ name: "general" })
+);
+
+// Group reaction rows into the { [reaction]: [userId] } shape stored on messages
+const reactionsByMessage = () => {
+  const grouped = {};
+  for (const row of statements.allReactions.all()) {
+    if (!grouped[row.message_id]) grouped[row.message_id] = {};
+    if (!grouped[row.message_id][row.reaction]) {
+      grouped[row.message_id][row.reaction] = [];
+    }
+    grouped[row.message_id][row.reaction].push(row.user_id);
+  }
+  return grouped;
+};
+
+// Message-related functions
+const getMessages = async () => {
+  const reactions = reactionsByMessage();
+  return statements.allMessages.all().map((row) => {
+    const message = JSON.parse(row.data);
+    if (reactions[row.id]) message.reactions = reactions[row.id];
+    return message;
+  });
+};
+
+// Room messages get the next sequence number of their room. The write lock is
+// taken up front so that other processes cannot pick the same number.
+const addMessage = async (message) => {
+  const { reactions, ...data } = message;
+  const id = String(message.id);
+  const roomId = message.isPrivate ? null : message.roomId || "general";
+  return db
+    .transaction(() => {
+      const seq = roomId ? statements.nextSeq.get(roomId).seq : null;
+      statements.insertMessage.run({
+        id,
+        roomId,
+        conversationId: message.conversationId || null,
+        parentId: message.parentId != null ? String(message.parentId) : null,
+        sender: message.sender || null,
+        timestamp: message.timestamp || null,
+        seq,
+        data: JSON.stringify(seq ? { ...data, seq } : data),
+      });
+      for (const [reaction, userIds] of Object.entries(reactions || {})) {
+        for (const userId of userIds) {
+          statements.insertReaction.run(id, reaction, userId);
+        }
+      }
+      return seq ? { ...message, seq } : message;
+    })
+    .immediate();
+};
+
+// A message row with its reactions attached
+const parseMessage = (row) => {
+  const message = JSON.parse(row.data);
+  const reactions = {};
+  for (const { reaction, user_id } of statements.reactionsForMessage.all(
+    row.id
+  )) {
+    if (!reactions[reaction]) reactions[reaction] = [];
+    reactions[reaction].push(user_id);
+  }
+  if (Object.keys(reactions).length > 0) message.reactions = reactions;
+  return message;
+};
+
+const getMessage = async (messageId) => {
+  const row = statements.getMessage.get(messageId);
+  return row ? parseMessage(row) : null;
+};
+
+const getRoomMessages = async (
+  roomId,
+  { before, after, limit = 50, includeReplies = false } = {}
+) => {
+  const params = { roomId, limit, includeReplies: includeReplies ? 1 : 0 };
+  if (after != null) {
+    return statements.roomMessagesAfter
+      .all({ ...params, after })
+      .map(parseMessage);
+  }
+  return statements.roomMessagesBefore
+    .all({ ...params, before: before ?? Number.MAX_SAFE_INTEGER })
+    .map(parseMessage)
+    .reverse();
+};
+
+const getConversationMessages = async (
+  conversationId,
+  { before, limit = 50 } = {}
+) => {
+  const cursor =
+    before != null &&
+    statements.cursorMessage.get(String(before), conversationId);
+  // Without a known cursor the page ends at the newest message
+  const rows = cursor
+    ? statements.conversationMessagesBefore.all({
+        conversationId,
+        limit,
+        ...cursor,
+      })
+    : statements.conversationMessages.all({ conversationId, limit });
+  return rows.map(parseMessage).reverse();
+};
+
+const getReplies = async (parentId) =>
+  statements.replies.all(String(parentId)).map(parseMessage);
+
+// Shallow-merges changes into a stored message and returns the result
+const updateMessage = async (messageId, changes) =>
+  db
+    .transaction(() => {
+      const row = statements.getMessage.get(messageId);
+      if (!row) return null;
+      const stored = JSON.parse(row.data);
+      const { reactions, ...data } = {
+        ...stored,
+        ...(typeof changes === "function" ? changes(stored) : changes),
+      };
+      statements.updateMessageData.run(JSON.stringify(data), messageId);
+      return parseMessage({ id: messageId, data: JSON.stringify(data) });
+    })
+    .immediate();
+
+// Room-related functions
+const parseRoom = (row) => ({
+  ...JSON.parse(row.data || "{}"),
+  name: row.name,
+});
+
+const getRooms = async () => statements.allRooms.all().map(parseRoom);
+const addRoom = async (room) => {
+  statements.insertRoom.run(
+    room.name,
+    room.createdAt || new Date().toISOString(),
+    JSON.stringify(room)
+  );
+};
+// Changes worked out from the stored room are applied in the same write
+// transaction that reads it
+const updateRoom = async (name, changes) =>
+  db
+    .transaction(() => {
+      const row = statements.getRoom.get(name);
+      if (!row) return null;
+      const current = parseRoom(row);
+      const room = {
+        ...current,
+        ...(typeof changes === "function" ? changes(current) : changes),
+        name,
+      };
+      statements.updateRoomData.run(JSON.stringify(room), name);
+      return room;
+    })
+    .immediate();
+
+// Reaction functions
+const addReaction = async (messageId, userId, reaction) => {
+  if (statements.messageExists.get(messageId)) {
+    statements.insertReaction.run(messageId, reaction, userId);
+  }
+};
+
+const removeReaction = async (messageId, userId, reaction) => {
+  statements.deleteReaction.run(messageId, reaction, userId);
+};
+
+// Poll functions - a ballot is one poll_votes row per chosen option
+const castVote = async (messageId, voter, optionIds) =>
+  db
+    .transaction(() => {
+      const row = statements.getMessage.get(messageId);
+      if (!row) return null;
+      const data = JSON.parse(row.data);
+      if (!data.poll || isClosed(data.poll)) return null;
+      statements.deleteBallot.run(messageId, voter.id);
+      for (const optionId of optionIds) {
+        statements.insertVote.run(
+          messageId,
+          voter.id,
+          voter.username,
+          optionId
+        );
+      }
+      const ballots = {};
+      for (const vote of statements.pollVotes.all(messageId)) {
+        if (!ballots[vote.user_id]) {
+          ballots[vote.user_id] = { username: vote.username, optionIds: [] };
+        }
+        ballots[vote.user_id].optionIds.push(vote.option_id);
+      }
+      data.pollResults = pollResults(data.poll, ballots);
+      statements.updateMessageData.run(JSON.stringify(data), messageId);
+      return parseMessage({ id: messageId, data: JSON.stringify(data) });
+    })
+    .immediate();
+
+const getBallot = async (messageId, userId) =>
+  statements.ballot.all(messageId, userId).map((row) => row.option_id);
+
+// Generic keyed records
+// Without a prototype, like the JSON backend's, so any string is a plain key
+const getRecords = async (collection) => {
+  const records = Object.create(null);
+  for (const row of statements.allRecords.all(collection)) {
+    records[row.key] = JSON.parse(row.data);
+  }
+  return records;
+};
+const getRecord = async (collection, key) => {
+  const row = statements.getRecord.get(collection, key);
+  return row ? JSON.parse(row.data) : null;
+};
+const putRecord = async (collection, key, value) => {
+  statements.putRecord.run(collection, key, JSON.stringify(value));
+};
+const updateRecord = async (collection, key, update) =>
+  db
+    .transaction(() => {
+      const row = statements.getRecord.get(collection, key);
+      const current = row ? JSON.parse(row.data) : null;
+      const next = update(current);
+      if (next === undefined) return current;
+      statements.putRecord.run(collection, key, JSON.stringify(next));
+      return next;
+    })
+    .immediate();
+const deleteRecord = async (collection, key) => {
+  const row = statements.deleteRecord.get(collection, key);
+  return row ? JSON.parse(row.data) : null;
+};
+
+module.exports = {
+  getMessages,
+  addMessage,
+  getMessage,
+  getRoomMessages,
+  getConversationMessages,
+  getReplies,
+  updateMessage,
+  getRooms,
+  addRoom,
+  updateRoom,
+  addReaction,
+  removeReaction,
+  castVote,
+  getBallot,
+  getRecords,
+  getRecord,
+  putRecord,
+  updateRecord,
+  deleteRecord,
+};
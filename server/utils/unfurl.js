@@ -0,0 +1,396 @@
+// unfurl.js - Link previews (title, description, image) for URLs in messages
+//
+// Pages are loaded by a fetcher: (url, { accept, maxBytes }) resolving to
+// { url, contentType, body, truncated }, where url is the address finally
+// read after redirects and body a Buffer of at most maxBytes. The default
+// fetcher (createHttpFetcher) only talks to public addresses on the usual
+// ports, so a posted link cannot make the server reach into its own network.
+// setFetcher() swaps it, e.g. for createHttpFetcher({ allowPrivateAddresses:
+// true }) against a local stub server.
+//
+// Previews are cached by URL in the "linkPreviews" record collection:
+//   { url, preview, fetchedAt }
+// with preview null for links that had none. Their images are shrunk to
+// WebP and kept in uploads/previews/, so clients never load them from the
+// linked site.
+
+const crypto = require("crypto");
+const dns = require("dns");
+const fs = require("fs").promises;
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const path = require("path");
+const sharp = require("sharp");
+const storage = require("./storage");
+
+const PREVIEWS = "linkPreviews";
+const IMAGES_DIR = path.join(__dirname, "..", "uploads", "previews");
+
+const MAX_LINKS = 3;
+const TIMEOUT_MS = 5000;
+const MAX_REDIRECTS = 3;
+// Enough for the <head> of nearly every page
+const MAX_PAGE_BYTES = 512 * 1024;
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+const IMAGE_SIZE = 400;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 400;
+
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+// Pages without a preview (or that failed to load) are retried sooner
+const EMPTY_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Address functions
+// Ranges that are not on the public internet: private networks, loopback,
+// link-local, carrier-grade NAT, documentation, multicast and reserved.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  blockedAddresses.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 127], // unspecified and loopback
+  ["64:ff9b::", 96], // NAT64
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  blockedAddresses.addSubnet(network, prefix, "ipv6")
+);
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return (
+    family !== 0 &&
+    !blockedAddresses.check(address, family === 4 ? "ipv4" : "ipv6")
+  );
+};
+
+// dns.lookup that refuses hosts with any non-public address. It runs when
+// the connection is made, so the address checked is the one connected to.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (
+      addresses.length === 0 ||
+      addresses.some(({ address }) => !isPublicAddress(address))
+    ) {
+      return callback(new Error(`${hostname} is not a public host`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Fetcher functions
+const createHttpFetcher = ({ allowPrivateAddresses = false } = {}) => {
+  const checkUrl = (target) => {
+    if (!["http:", "https:"].includes(target.protocol)) {
+      throw new Error("Only http and https links are fetched");
+    }
+    if (allowPrivateAddresses) return;
+    if (target.port && !["80", "443"].includes(target.port)) {
+      throw new Error("Only the standard ports are fetched");
+    }
+    const host = target.hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(host) && !isPublicAddress(host)) {
+      throw new Error(`${host} is not a public address`);
+    }
+  };
+
+  // One request; resolves to a response or { redirect }
+  const request = (target, { accept, maxBytes }) =>
+    new Promise((resolve, reject) => {
+      let timer = null;
+      const settle = (done, value) => {
+        clearTimeout(timer);
+        done(value);
+      };
+      const client = target.protocol === "https:" ? https : http;
+      const req = client.get(
+        target,
+        {
+          headers: { Accept: accept, "User-Agent": "ChatLinkPreview/1.0" },
+          lookup: allowPrivateAddresses ? undefined : publicLookup,
+        },
+        (res) => {
+          if (res.statusCode >= 300 && res.statusCode < 400) {
+            res.resume();
+            return res.headers.location
+              ? settle(resolve, {
+                  redirect: new URL(res.headers.location, target),
+                })
+              : settle(reject, new Error("Redirect without a location"));
+          }
+          if (res.statusCode !== 200) {
+            res.resume();
+            return settle(reject, new Error(`Status ${res.statusCode}`));
+          }
+
+          const chunks = [];
+          let size = 0;
+          const finish = (truncated) =>
+            settle(resolve, {
+              url: target.href,
+              contentType: res.headers["content-type"] || "",
+              body: Buffer.concat(chunks).subarray(0, maxBytes),
+              truncated,
+            });
+          res.on("data", (chunk) => {
+            if (res.destroyed) return;
+            chunks.push(chunk);
+            size += chunk.length;
+            // Stop reading; a page's head is enough, an image is refused
+            if (size > maxBytes) {
+              res.destroy();
+              finish(true);
+            }
+          });
+          res.on("end", () => finish(false));
+          res.on("error", (err) => settle(reject, err));
+        }
+      );
+      timer = setTimeout(() => req.destroy(new Error("Timed out")), TIMEOUT_MS);
+      req.on("error", (err) => settle(reject, err));
+    });
+
+  return async (url, options) => {
+    let target = new URL(url);
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      checkUrl(target);
+      const response = await request(target, options);
+      if (!response.redirect) return response;
+      target = response.redirect;
+    }
+    throw new Error("Too many redirects");
+  };
+};
+
+let fetcher = createHttpFetcher();
+
+const setFetcher = (newFetcher) => {
+  fetcher = newFetcher;
+};
+
+// Page parsing functions
+const META_PATTERN = /<meta\s[^>]*>/gi;
+const ATTRIBUTE_PATTERN =
+  /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+const TITLE_PATTERN = /<title[^>]*>([^<]*)<\/title>/i;
+const CHARSET_PATTERN = /charset\s*=\s*["']?([\w-]+)/i;
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code =
+        name[1].toLowerCase() === "x"
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "";
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  });
+
+const cleanField = (text, maxLength) => {
+  const cleaned = decodeEntities(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return cleaned.length > maxLength
+    ? `${cleaned.slice(0, maxLength - 1).trimEnd()}…`
+    : cleaned || null;
+};
+
+// The page's charset from its Content-Type, or from a <meta> near the top
+const decodePage = ({ contentType, body }) => {
+  const charset =
+    contentType.match(CHARSET_PATTERN)?.[1] ||
+    body.subarray(0, 2048).toString("latin1").match(CHARSET_PATTERN)?.[1];
+  try {
+    return new TextDecoder(charset || "utf-8").decode(body);
+  } catch {
+    return new TextDecoder("utf-8").decode(body);
+  }
+};
+
+// Open Graph and Twitter card tags, with <title> and the description
+// <meta> as fallbacks
+const parsePage = (html, pageUrl) => {
+  const meta = {};
+  for (const [tag] of html.matchAll(META_PATTERN)) {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted, bare] of tag.matchAll(
+      ATTRIBUTE_PATTERN
+    )) {
+      attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare;
+    }
+    const key = (attributes.property || attributes.name || "").toLowerCase();
+    if (key && attributes.content !== undefined && !(key in meta)) {
+      meta[key] = attributes.content;
+    }
+  }
+
+  let imageUrl = null;
+  const image =
+    meta["og:image"] || meta["og:image:url"] || meta["twitter:image"];
+  if (image) {
+    try {
+      const resolved = new URL(decodeEntities(image), pageUrl);
+      if (["http:", "https:"].includes(resolved.protocol)) {
+        imageUrl = resolved.href;
+      }
+    } catch {
+      // Not a usable URL; the preview goes without an image
+    }
+  }
+
+  return {
+    title: cleanField(
+      meta["og:title"] ||
+        meta["twitter:title"] ||
+        html.match(TITLE_PATTERN)?.[1],
+      MAX_TITLE_LENGTH
+    ),
+    description: cleanField(
+      meta["og:description"] || meta["twitter:description"] || meta.description,
+      MAX_DESCRIPTION_LENGTH
+    ),
+    siteName: cleanField(meta["og:site_name"], MAX_TITLE_LENGTH),
+    imageUrl,
+  };
+};
+
+// Preview functions
+const keyFor = (url) =>
+  crypto.createHash("sha256").update(url).digest("hex").slice(0, 32);
+
+const imagePath = (id) => path.join(IMAGES_DIR, `${id}.webp`);
+
+// Fetch, shrink and store a preview image. Resolves to { id, width, height }
+// or null when there is no usable image.
+const storeImage = async (imageUrl, id) => {
+  const response = await fetcher(imageUrl, {
+    accept: "image/*",
+    maxBytes: MAX_IMAGE_BYTES,
+  });
+  // Vector images could pull in other resources, so only bitmaps are used
+  if (
+    response.truncated ||
+    !/^image\/(jpeg|png|gif|webp|avif)/i.test(response.contentType)
+  ) {
+    return null;
+  }
+  await fs.mkdir(IMAGES_DIR, { recursive: true });
+  const { width, height } = await sharp(response.body, {
+    limitInputPixels: MAX_IMAGE_PIXELS,
+  })
+    .rotate()
+    .resize(IMAGE_SIZE, IMAGE_SIZE, { fit: "inside", withoutEnlargement: true })
+    .webp()
+    .toFile(imagePath(id));
+  return { id, width, height };
+};
+
+const fetchPreview = async (url, key) => {
+  const page = await fetcher(url, {
+    accept: "text/html,application/xhtml+xml",
+    maxBytes: MAX_PAGE_BYTES,
+  });
+  if (!/^(text\/html|application\/xhtml\+xml)/i.test(page.contentType)) {
+    return null;
+  }
+  const { title, description, siteName, imageUrl } = parsePage(
+    decodePage(page),
+    page.url
+  );
+  if (!title && !description && !imageUrl) return null;
+
+  let image = null;
+  if (imageUrl) {
+    // A broken image still leaves a useful preview
+    image = await storeImage(imageUrl, key).catch(() => null);
+  }
+  return {
+    url,
+    title,
+    description,
+    siteName: siteName || new URL(page.url).hostname,
+    image,
+  };
+};
+
+const loadPreview = async (url) => {
+  const key = keyFor(url);
+  const cached = await storage.getRecord(PREVIEWS, key);
+  const ttl = cached?.preview ? CACHE_TTL_MS : EMPTY_CACHE_TTL_MS;
+  if (cached && Date.now() - new Date(cached.fetchedAt) < ttl) {
+    return cached.preview;
+  }
+
+  let preview = null;
+  try {
+    preview = await fetchPreview(url, key);
+  } catch {
+    // Unreachable, blocked or broken pages simply have no preview
+  }
+  await storage.putRecord(PREVIEWS, key, {
+    url,
+    preview,
+    fetchedAt: new Date().toISOString(),
+  });
+  return preview;
+};
+
+// Links posted at the same time are only fetched once
+const inFlight = new Map();
+
+// Resolves to the preview of url, or null
+const unfurl = (url) => {
+  if (!inFlight.has(url)) {
+    inFlight.set(
+      url,
+      loadPreview(url).finally(() => inFlight.delete(url))
+    );
+  }
+  return inFlight.get(url);
+};
+
+// Previews for the first few links of a message, in order
+const previewsFor = async (links) =>
+  (await Promise.all(links.slice(0, MAX_LINKS).map(unfurl))).filter(Boolean);
+
+module.exports = {
+  imagePath,
+  isPublicAddress,
+  createHttpFetcher,
+  setFetcher,
+  unfurl,
+  previewsFor,
+};